@@ -8,6 +8,8 @@ class FlexPhoneApp {
         this.currentNumber = '';
         this.isConnected = false;
         this.currentCall = null;
+        this.accounts = [];
+        this.selectedAccountId = null; // null = default account
         this.activeTab = 'dialer';
         this.contacts = [];
         this.autoCompleteItems = [];
@@ -776,12 +778,29 @@ class FlexPhoneApp {
 
         // Advanced call features
         this.isInConference = false;
+        this.conferenceParticipants = new Map(); // callId -> { label, muted }, as reported by the bridge in the main process
+        this.pendingConferenceCalls = new Set();
+        this.conferenceAudio = null; // { context, stream, processor, output, playhead } while we are in the bridge's mix
         this.ringtoneEnabled = true;
         this.doNotDisturbMode = false;
+        this.doNotDisturbState = { active: false, reason: null, until: null }; // from the main process, which owns DND
+
+        // Latest quality sample per call (jitter, loss, RTT, MOS); shown when ui.showCallQuality is on
+        this.callQuality = new Map();
+        this.showCallQuality = true;
+
+        // Line appearances: one per concurrent call, plus the inbound call waiting to be answered
+        this.lineManager = new LineManager();
+        this.waitingCall = null;
+        this.callWaitingTimer = null;
+
+        // Dial string stopped at ';': { callId, remaining } until Enter sends the rest
+        this.postDialWait = null;
 
         // Transfer system
         this.inAttendedTransfer = false;
         this.attendedTransferTarget = null;
+        this.attendedTransferCallId = null;
 
         // Call monitoring (disabled by default for privacy)
         this.callMonitoringEnabled = false;
@@ -897,6 +916,15 @@ class FlexPhoneApp {
         this.answerBtn.addEventListener('click', () => this.answerCall());
         this.declineBtn.addEventListener('click', () => this.declineCall());
 
+        // Deflect sits next to decline and sends the ringing call to another number
+        const deflectBtn = document.createElement('button');
+        deflectBtn.className = this.declineBtn.className;
+        deflectBtn.id = 'deflectBtn';
+        deflectBtn.textContent = '↪️ Deflect';
+        deflectBtn.setAttribute('aria-label', 'Deflect call to another number');
+        deflectBtn.addEventListener('click', () => this.deflectCall());
+        this.declineBtn.insertAdjacentElement('afterend', deflectBtn);
+
         // Tab navigation
         this.navTabs.forEach(tab => {
             tab.addEventListener('click', () => {
@@ -924,6 +952,11 @@ class FlexPhoneApp {
                 return; // Test tone key was handled
             }
 
+            // Alt+1-9 picks a line; in a conference it mutes that party and Alt+Shift removes them
+            if (this.handleLineKeys(e)) {
+                return;
+            }
+
             // Cmd+, for settings (macOS standard)
             if ((e.metaKey || e.ctrlKey) && e.key === ',') {
                 e.preventDefault();
@@ -2452,6 +2485,10 @@ class FlexPhoneApp {
                 this.onSIPDisconnected(data);
             });
 
+            window.flexPhoneAPI.on('sip-registration-state', (event, data) => {
+                this.onRegistrationState(data);
+            });
+
             window.flexPhoneAPI.on('incoming-call', (event, call) => {
                 this.onIncomingCall(call);
             });
@@ -2460,17 +2497,65 @@ class FlexPhoneApp {
                 this.onCallAnswered(call);
             });
 
+            window.flexPhoneAPI.on('call-state', (event, call) => {
+                this.onCallState(call);
+            });
+
             window.flexPhoneAPI.on('call-ended', (event, call) => {
                 this.onCallEnded(call);
             });
 
+            window.flexPhoneAPI.on('transfer-progress', (event, progress) => {
+                this.onTransferProgress(progress);
+            });
+
+            window.flexPhoneAPI.on('call-quality', (event, quality) => {
+                this.onCallQuality(quality);
+            });
+
+            window.flexPhoneAPI.on('post-dial-wait', (event, wait) => {
+                this.onPostDialWait(wait);
+            });
+
+            window.flexPhoneAPI.on('call-forwarded', (event, forward) => {
+                this.onCallForwarded(forward);
+            });
+
+            window.flexPhoneAPI.on('dnd-state', (event, state) => {
+                this.onDoNotDisturbState(state);
+            });
+
+            window.flexPhoneAPI.on('dnd-rejected', (event, rejected) => {
+                this.onDoNotDisturbRejected(rejected);
+            });
+
+            window.flexPhoneAPI.on('call-screened', (event, screened) => {
+                this.onCallScreened(screened);
+            });
+
+            window.flexPhoneAPI.on('conference-state', (event, state) => {
+                this.onConferenceState(state);
+            });
+
+            window.flexPhoneAPI.on('conference-audio', (event, samples) => {
+                this.playConferenceAudio(samples);
+            });
+
+            window.flexPhoneAPI.sip.getDoNotDisturbState().then(state => {
+                this.onDoNotDisturbState(state, { quiet: true });
+            }).catch(error => console.error('Failed to get Do Not Disturb state:', error));
+
+            window.flexPhoneAPI.on('dtmf-received', (event, dtmf) => {
+                this.onDTMFReceived(dtmf);
+            });
+
             // SMS events
             window.flexPhoneAPI.on('sms-received', (event, message) => {
                 this.onSMSReceived(message);
             });
 
             // Menu events
-            window.flexPhoneAPI.on('show-dialer', () => this.switchTab('dialer'));
+            window.flexPhoneAPI.on('show-dialer', (event, link) => this.showDialer(link));
             window.flexPhoneAPI.on('show-contacts', () => this.switchTab('contacts'));
             window.flexPhoneAPI.on('show-history', () => this.switchTab('history'));
             window.flexPhoneAPI.on('show-sms', () => this.switchTab('messages'));
@@ -2493,7 +2578,7 @@ class FlexPhoneApp {
 
         // Send DTMF if connected and on a call
         if (this.isConnected && this.currentCall) {
-            window.flexPhoneAPI.sip.sendDTMF(digit);
+            window.flexPhoneAPI.sip.sendDTMF(digit, this.currentCall);
         }
 
         // Update auto-complete
@@ -2758,7 +2843,7 @@ class FlexPhoneApp {
             'F5': 'Start or Stop Call Recording',
             'F6': 'Reserved for Future Features',
             'F7': 'Reserved for Future Features',
-            'F8': 'Reserved for Future Features',
+            'F8': 'Swap Between Call Lines',
             'F9': 'Reserved for Future Features',
             'F10': 'Reserved for Future Features',
             'F11': 'Output Volume Down',
@@ -2899,7 +2984,7 @@ class FlexPhoneApp {
                         this.createAudioContext().then(async () => {
                             this.playActionTone(0, 0, 'pickup'); // Classic pickup sequence
                             this.voicePack.playF1Pickup(); // VoicePack audio
-                            if (this.currentCall && this.currentCall.incoming) {
+                            if (this.waitingCall || (this.currentCall && this.currentCall.incoming)) {
                                 this.speakAction('Answering call');
                                 this.answerCall();
                             } else if (!this.phoneOffHook) {
@@ -2992,13 +3077,13 @@ class FlexPhoneApp {
                     }
                     break;
 
-                case 8: // F8 - Reserved / Shift+F8 - Quiet exit from conference
+                case 8: // F8 - Swap lines / Shift+F8 - Quiet exit from conference
                     if (isShift) {
                         // Shift+F8 - Quietly exit call leaving others connected
                         this.quietExitConference();
                     } else {
-                        this.playActionTone(500, 100); // Reserved tone
-                        this.showToast('F8: Reserved', 'info');
+                        this.playActionTone(500, 100); // Line swap tone
+                        this.swapLines();
                     }
                     break;
 
@@ -3070,7 +3155,35 @@ class FlexPhoneApp {
         return false; // Not handled
     }
 
+    handleLineKeys(e) {
+        if (!e.altKey || e.ctrlKey || e.metaKey || !/^Digit[1-9]$/.test(e.code)) {
+            return false;
+        }
+
+        e.preventDefault();
+        const line = parseInt(e.code.slice(5));
+        const entry = this.lineManager.get(line);
+
+        if (this.isInConference && entry && this.conferenceParticipants.has(entry.callId)) {
+            if (e.shiftKey) {
+                this.removeConferenceParticipant(entry.callId);
+            } else {
+                this.toggleConferenceParticipantMute(entry.callId);
+            }
+            return true;
+        }
+
+        this.switchToLine(line);
+        return true;
+    }
+
     handleEnterKey() {
+        // A dial string waiting at ';' sends its remaining digits
+        if (this.postDialWait && this.postDialWait.callId === this.currentCall) {
+            this.continueDialing();
+            return;
+        }
+
         // Special behavior: If there's an active call and Enter is pressed
         if (this.currentCall && !this.currentNumber.trim()) {
             // Put current call on hold and prepare for second call
@@ -3207,7 +3320,9 @@ class FlexPhoneApp {
         this.stopDialTone();
 
         try {
-            const result = await window.flexPhoneAPI.sip.makeCall(this.currentNumber);
+            const result = await window.flexPhoneAPI.sip.makeCall(this.currentNumber, {
+                accountId: this.selectedAccountId
+            });
             if (result.success) {
                 this.currentCall = result.callId;
                 this.phoneOffHook = false; // Reset pickup state
@@ -3223,13 +3338,27 @@ class FlexPhoneApp {
     }
 
     // F-key supporting methods
-    toggleHold() {
+    async toggleHold() {
         if (!this.currentCall) {
             this.showToast('No active call to hold', 'warning');
             this.speakAction('No active call to hold');
             return;
         }
 
+        // Re-INVITE the far end; the resulting 'call-state' keeps callOnHold in sync
+        if (window.flexPhoneAPI) {
+            const callId = this.currentCall.id || this.currentCall;
+            const result = this.callOnHold
+                ? await window.flexPhoneAPI.sip.resumeCall(callId)
+                : await window.flexPhoneAPI.sip.holdCall(callId);
+
+            if (!result.success) {
+                this.showToast(`Hold failed: ${result.error}`, 'error');
+                this.speakAction('Hold failed');
+                return;
+            }
+        }
+
         this.callOnHold = !this.callOnHold;
         if (this.callOnHold) {
             this.showToast('F3: Call on hold', 'info');
@@ -3243,15 +3372,12 @@ class FlexPhoneApp {
                 this.speakAction('Call audio muted while on hold');
             }
 
-            // TODO: Implement SIP hold functionality
-            // For now, simulate hold with or without monitoring
             this.applyHoldMonitoring();
 
         } else {
             this.showToast('F3: Call resumed', 'info');
             this.speakAction('Call resumed');
 
-            // TODO: Implement SIP unhold functionality
             this.removeHoldMonitoring();
         }
     }
@@ -3411,7 +3537,7 @@ class FlexPhoneApp {
         this.voicePack.playMuteToggle(this.inputMuted);
     }
 
-    toggleHoldWithMusic() {
+    async toggleHoldWithMusic() {
         // Shift+F5 - Hold toggle with music/silence for caller
         if (!this.currentCall) {
             this.showToast('No active call to put on hold', 'warning');
@@ -3419,6 +3545,20 @@ class FlexPhoneApp {
             return;
         }
 
+        // sendonly hold: we stop listening but keep sending, so the caller hears the music
+        if (window.flexPhoneAPI) {
+            const callId = this.currentCall.id || this.currentCall;
+            const result = this.callOnHoldWithMusic
+                ? await window.flexPhoneAPI.sip.resumeCall(callId)
+                : await window.flexPhoneAPI.sip.holdCall(callId);
+
+            if (!result.success) {
+                this.showToast(`Hold failed: ${result.error}`, 'error');
+                this.speakAction('Hold failed');
+                return;
+            }
+        }
+
         this.callOnHoldWithMusic = !this.callOnHoldWithMusic;
 
         if (this.callOnHoldWithMusic) {
@@ -3512,19 +3652,76 @@ class FlexPhoneApp {
         this.voicePack.playRingtoneToggle(this.ringtoneEnabled);
     }
 
-    toggleDoNotDisturb() {
-        // Shift+F10 - Toggle Do Not Disturb mode
-        this.doNotDisturbMode = !this.doNotDisturbMode;
+    async toggleDoNotDisturb() {
+        // Shift+F10 - Toggle Do Not Disturb mode. The main process answers with dnd-state once it applies
+        const state = this.doNotDisturbState;
+
+        try {
+            if (state.active && state.reason !== 'manual') {
+                // Off by hand during a schedule or quiet hours: resume when that window ends
+                await window.flexPhoneAPI.settings.set('calls.dndSuspendedUntil', state.until);
+            } else {
+                await window.flexPhoneAPI.settings.set('calls.dnd', !state.active);
+            }
+        } catch (error) {
+            console.error('Failed to toggle Do Not Disturb:', error);
+            this.showToast('Could not change Do Not Disturb', 'error');
+        }
+    }
+
+    onDoNotDisturbState(state, { quiet = false } = {}) {
+        this.doNotDisturbState = state;
+        this.doNotDisturbMode = state.active;
 
-        const status = this.doNotDisturbMode ? 'enabled' : 'disabled';
-        this.showToast(`Do Not Disturb ${status}`, 'info');
-        this.speakAction(`Do Not Disturb mode ${status}`);
+        if (!quiet) {
+            const until = state.until ? ` until ${new Date(state.until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+            const why = state.reason === 'schedule' ? ' by schedule' : state.reason === 'quiet-hours' ? ' for quiet hours' : '';
+            const status = state.active ? `enabled${why}${until}` : 'disabled';
 
-        // Save setting
-        localStorage.setItem('flexphone_dnd_mode', this.doNotDisturbMode);
+            this.showToast(`Do Not Disturb ${status}`, 'info');
+            this.speakAction(`Do Not Disturb mode ${status}`);
+            this.voicePack.playDNDToggle(state.active);
+        }
 
-        // Play VoicePack audio
-        this.voicePack.playDNDToggle(this.doNotDisturbMode);
+        this.reportToPBX('presence', {
+            status: state.active ? 'dnd' : 'online',
+            reason: state.reason,
+            until: state.until,
+            timestamp: Date.now()
+        });
+    }
+
+    onCallScreened(screened) {
+        const caller = screened.remoteName || screened.remoteNumber;
+        const messages = {
+            reject: `Blocked call from ${caller}`,
+            silent: `Silenced call from ${caller}`,
+            voicemail: `Blocked call from ${caller} sent to voicemail`
+        };
+
+        this.showToast(messages[screened.action], 'info');
+    }
+
+    // Blocked contacts are cleared, and the number taken off the blocklist or allowed past patterns and contacts-only mode
+    async unblockCaller(call) {
+        const caller = call.remoteName || call.remoteNumber;
+        const result = await window.flexPhoneAPI.sip.unblockCaller(call.remoteNumber, call.accountId, call.contactId);
+
+        if (result.success) {
+            this.showToast(`${caller} unblocked`, 'success');
+            this.speakAction(`${caller} unblocked`);
+        } else {
+            this.showToast(`Unblock error: ${result.error}`, 'error');
+        }
+    }
+
+    onDoNotDisturbRejected(rejected) {
+        const caller = rejected.remoteName || rejected.remoteNumber;
+        const message = rejected.response === 'voicemail'
+            ? `Do Not Disturb: ${caller} sent to voicemail`
+            : `Do Not Disturb: rejected call from ${caller}`;
+
+        this.showToast(message, 'info');
     }
 
     // Test tone and auto answer functions
@@ -4429,53 +4626,128 @@ class FlexPhoneApp {
 
     async performBlindTransfer(targetNumber) {
         try {
+            if (!this.currentCall) {
+                this.showToast('No active call to transfer', 'warning');
+                return;
+            }
+
             this.showToast(`Blind transfer to ${targetNumber}...`, 'info');
             this.speakAction(`Performing blind transfer to ${targetNumber}`);
 
-            // TODO: Implement actual SIP blind transfer
-            // Blind transfer immediately connects the caller to the target without consultation
-            await new Promise(resolve => setTimeout(resolve, 1500));
-
-            // Hang up our side of the call since it's transferred
-            this.currentCall = null;
-            this.showToast('Blind transfer completed', 'success');
-            this.speakAction('Blind transfer completed - call handed off');
-
-            // Play VoicePack transfer sound
-            this.voicePack.playTransferSound();
+            // REFER; the outcome arrives as 'transfer-progress' and our leg ends once the target answers
+            const result = await window.flexPhoneAPI.sip.transferCall(this.currentCall.id || this.currentCall, targetNumber);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
 
         } catch (error) {
-            this.showToast('Blind transfer failed', 'error');
+            this.showToast(`Blind transfer failed: ${error.message}`, 'error');
             this.speakAction('Blind transfer failed');
         }
     }
 
+    onPostDialWait(wait) {
+        this.postDialWait = wait;
+        this.showToast(`Press Enter to send ${wait.remaining}`, 'info');
+        this.speakAction(`Waiting. Press Enter to send ${wait.remaining.replace(/[,;]/g, '')}`);
+    }
+
+    async continueDialing() {
+        const { callId } = this.postDialWait;
+        this.postDialWait = null;
+
+        const result = await window.flexPhoneAPI.sip.continueDialing(callId);
+        if (!result.success) {
+            this.showToast(`Dialing failed: ${result.error}`, 'error');
+        }
+    }
+
+    // Digits the far end sent us (RFC 4733 or SIP INFO)
+    onDTMFReceived(dtmf) {
+        this.showToast(`Received DTMF ${dtmf.digit}`, 'info');
+        this.speakAction(`Received ${dtmf.digit === '*' ? 'star' : dtmf.digit === '#' ? 'pound' : dtmf.digit}`);
+    }
+
+    /**
+     * Announce when a call drops to poor or bad quality and when it recovers
+     */
+    onCallQuality(quality) {
+        this.callQuality.set(quality.callId, quality);
+        if (!this.showCallQuality) return;
+
+        const degraded = ['poor', 'bad'].includes(quality.rating);
+        const wasDegraded = ['poor', 'bad'].includes(quality.previousRating);
+        if (degraded === wasDegraded) return;
+
+        // Plain RTP calls have no RTCP, so round-trip time is unknown and MOS leaves network delay out
+        const rtt = quality.rtt === null ? 'round trip unknown' : `${Math.round(quality.rtt)} ms round trip`;
+        const details = degraded
+            ? `MOS ${quality.mos.toFixed(1)}, ${quality.packetLoss}% loss, ${Math.round(quality.jitter)} ms jitter, ${rtt}`
+            : `MOS ${quality.mos.toFixed(1)}`;
+
+        this.showToast(`Call quality ${quality.rating}: ${details}`, degraded ? 'warning' : 'info');
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announceCall(`quality ${quality.rating}`, details);
+        } else {
+            this.speakAction(`Call quality ${quality.rating}`);
+        }
+    }
+
+    onTransferProgress(progress) {
+        switch (progress.state) {
+            case 'ringing':
+                this.showToast('Transfer target ringing', 'info');
+                this.speakAction('Transfer target ringing');
+                break;
+            case 'succeeded': {
+                const kind = this.inAttendedTransfer ? 'Attended' : 'Blind';
+                this.showToast(`${kind} transfer completed`, 'success');
+                this.speakAction(`${kind} transfer completed - call handed off`);
+                this.voicePack.playTransferSound();
+
+                this.inAttendedTransfer = false;
+                this.attendedTransferTarget = null;
+                this.attendedTransferCallId = null;
+                break;
+            }
+            case 'failed':
+                this.showToast(`Transfer failed: ${progress.status} ${progress.reason}`, 'error');
+                this.speakAction(this.inAttendedTransfer
+                    ? 'Transfer failed - press F2 to return to the held call'
+                    : 'Transfer failed - you are back on the call');
+                break;
+            default:
+                break;
+        }
+    }
+
     async performAttendedTransfer(targetNumber) {
         try {
+            if (!this.currentCall) {
+                this.showToast('No active call to transfer', 'warning');
+                return;
+            }
+
             this.showToast(`Calling ${targetNumber} for attended transfer...`, 'info');
             this.speakAction(`Calling ${targetNumber} for consultation`);
 
-            // TODO: Implement actual SIP attended transfer
-            // Attended transfer allows talking to the target before completing transfer
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            // Simulate consultation call establishment
-            this.showToast('Consultation call connected', 'info');
-            this.speakAction('Consultation call established. Press F4 to complete transfer or F2 to cancel');
+            // Holds the current call and dials the target on a second call
+            const originalCallId = this.currentCall.id || this.currentCall;
+            const result = await window.flexPhoneAPI.sip.startAttendedTransfer(originalCallId, targetNumber);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
 
-            // Set up attended transfer state
             this.attendedTransferTarget = targetNumber;
+            this.attendedTransferCallId = originalCallId;
             this.inAttendedTransfer = true;
+            this.currentCall = result.consultationId;
 
-            // For simulation, auto-complete after 3 seconds
-            setTimeout(() => {
-                if (this.inAttendedTransfer) {
-                    this.completeAttendedTransfer();
-                }
-            }, 3000);
+            this.showToast('Consultation call started', 'info');
+            this.speakAction('Consultation call started. Press F4 to complete transfer or F2 to cancel');
 
         } catch (error) {
-            this.showToast('Attended transfer setup failed', 'error');
+            this.showToast(`Attended transfer setup failed: ${error.message}`, 'error');
             this.speakAction('Attended transfer setup failed');
         }
     }
@@ -4487,68 +4759,231 @@ class FlexPhoneApp {
             this.showToast('Completing attended transfer...', 'info');
             this.speakAction('Completing attended transfer');
 
-            // TODO: Implement actual SIP attended transfer completion
-            await new Promise(resolve => setTimeout(resolve, 1000));
-
-            this.showToast('Attended transfer completed', 'success');
-            this.speakAction('Attended transfer completed successfully');
-
-            // Clean up transfer state
-            this.inAttendedTransfer = false;
-            this.attendedTransferTarget = null;
-            this.currentCall = null;
-
-            // Play VoicePack transfer sound
-            this.voicePack.playTransferSound();
+            // REFER with Replaces; the outcome arrives as 'transfer-progress'
+            const result = await window.flexPhoneAPI.sip.completeAttendedTransfer(this.attendedTransferCallId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
 
         } catch (error) {
-            this.showToast('Transfer completion failed', 'error');
+            this.showToast(`Transfer completion failed: ${error.message}`, 'error');
             this.speakAction('Transfer completion failed');
         }
     }
 
-    cancelAttendedTransfer() {
+    async cancelAttendedTransfer() {
         if (!this.inAttendedTransfer) return;
 
+        const result = await window.flexPhoneAPI.sip.cancelAttendedTransfer(this.attendedTransferCallId);
+        if (result.success) {
+            this.currentCall = this.attendedTransferCallId;
+        }
+
         this.showToast('Attended transfer cancelled', 'info');
         this.speakAction('Attended transfer cancelled - returning to original call');
 
         // Clean up transfer state
         this.inAttendedTransfer = false;
         this.attendedTransferTarget = null;
+        this.attendedTransferCallId = null;
     }
 
     async addToConference(targetNumber) {
         try {
+            if (!this.currentCall) {
+                throw new Error('No active call');
+            }
+
+            // The current call plus the new party must fit the licensed limit
+            const limit = await this.refreshConferenceLimit();
+            const currentCallId = this.currentCall.id || this.currentCall;
+            const parties = this.conferenceParticipants.size + this.pendingConferenceCalls.size +
+                (this.conferenceParticipants.has(currentCallId) ? 0 : 1);
+            if (limit === 0) {
+                throw new Error('Conference calling is not included in your license');
+            }
+            if (parties + 1 > limit) {
+                throw new Error(`Conference is limited to ${limit} participants`);
+            }
+
             this.showToast(`Adding ${targetNumber} to conference...`, 'info');
             this.speakAction(`Adding ${targetNumber} to conference`);
 
-            // TODO: Implement actual SIP conference
-            // For now, simulate the conference addition
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            await this.joinConference(currentCallId);
+
+            // The new party joins the mix once it answers (see onCallState)
+            const result = await window.flexPhoneAPI.sip.makeCall(targetNumber, { accountId: this.selectedAccountId });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+            this.pendingConferenceCalls.add(result.callId);
 
+        } catch (error) {
+            this.showToast(`Conference setup failed: ${error.message}`, 'error');
+            this.speakAction('Conference setup failed');
+        }
+    }
+
+    async refreshConferenceLimit() {
+        return window.flexPhoneAPI
+            ? await window.flexPhoneAPI.features.getLimit('pro.conference_calls', 'maxParticipants')
+            : Infinity;
+    }
+
+    /**
+     * Put a connected call into the bridge in the main process, where its RTP audio is mixed
+     */
+    async joinConference(callId) {
+        const result = await window.flexPhoneAPI.sip.joinConference(callId);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+    }
+
+    /**
+     * The bridge changed; two parties left is a plain call again
+     */
+    onConferenceState(state) {
+        // Our microphone and speaker follow whether the bridge has us in the mix
+        if (state.local) {
+            this.startConferenceAudio().catch(error => {
+                this.stopConferenceAudio();
+                this.showToast(`Conference audio failed: ${error.message}`, 'error');
+            });
+        } else {
+            this.stopConferenceAudio();
+        }
+
+        const previous = this.conferenceParticipants;
+        this.conferenceParticipants = new Map(state.participants.map(({ callId, label, muted }) => [callId, { label, muted }]));
+        const size = this.conferenceParticipants.size;
+
+        if (previous.size < 2 && size > 1) {
             this.isInConference = true;
             this.showToast('Conference call established', 'success');
             this.speakAction('Conference call active');
+        } else if (previous.size > 1 && size < 2) {
+            const remaining = [...this.conferenceParticipants.keys()][0];
+            if (remaining) {
+                window.flexPhoneAPI.sip.leaveConference(remaining)
+                    .catch(error => console.error('Failed to close conference:', error));
+            }
+            if (this.isInConference) {
+                if (remaining) this.currentCall = remaining;
+                this.showToast('Conference ended', 'info');
+            }
+            this.isInConference = false;
+        } else if (size < previous.size && this.isInConference) {
+            this.showToast(`A party left the conference (${size} remaining)`, 'info');
+        }
+    }
 
-        } catch (error) {
-            this.showToast('Conference setup failed', 'error');
-            this.speakAction('Conference setup failed');
+    /**
+     * Alt+line number: stop or restore what that party contributes to the mix
+     */
+    async toggleConferenceParticipantMute(callId) {
+        const participant = this.conferenceParticipants.get(callId);
+        if (!participant) return;
+
+        const result = await window.flexPhoneAPI.sip.setConferenceMuted(callId, !participant.muted);
+        if (!result.success) {
+            this.showToast(`Conference mute failed: ${result.error}`, 'error');
+            return;
         }
+        this.speakAction(`${participant.label} ${result.muted ? 'muted' : 'unmuted'}`);
+    }
+
+    /**
+     * Alt+Shift+line number: hang up on that party; the others stay bridged
+     */
+    async removeConferenceParticipant(callId) {
+        const participant = this.conferenceParticipants.get(callId);
+        if (!participant) return;
+
+        await window.flexPhoneAPI.sip.hangupCall(callId);
+        this.speakAction(`${participant.label} removed from conference`);
     }
 
     async leaveConferenceQuietly() {
-        try {
-            // TODO: Implement actual quiet conference exit
-            // For now, simulate leaving
-            await new Promise(resolve => setTimeout(resolve, 1000));
+        // The bridge in the main process keeps mixing the other parties; only our microphone and speaker leave
+        const result = await window.flexPhoneAPI.sip.leaveConference();
+        if (!result.success) {
+            throw new Error(result.error);
+        }
 
-            this.isInConference = false;
-            this.currentCall = null;
+        this.stopConferenceAudio();
+        this.isInConference = false;
+        this.currentCall = null;
+    }
 
-        } catch (error) {
-            throw new Error('Failed to leave conference');
+    /**
+     * Microphone into the bridge and the bridge's mix out of the speaker, both 16-bit at 8000 Hz
+     */
+    async startConferenceAudio() {
+        if (this.conferenceAudio) return;
+
+        const context = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 8000 });
+        const audio = { context, stream: null, processor: null, output: context.createGain(), playhead: 0 };
+        this.conferenceAudio = audio;
+        audio.output.gain.value = this.outputVolume;
+        audio.output.connect(audio.context.destination);
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true, autoGainControl: true }
+        });
+        if (this.conferenceAudio !== audio) {
+            // Left while the microphone was being opened
+            stream.getTracks().forEach(track => track.stop());
+            return;
         }
+        audio.stream = stream;
+
+        // 512 samples (64 ms) per block stays inside what the bridge queues for a party
+        audio.processor = audio.context.createScriptProcessor(512, 1, 1);
+        audio.processor.onaudioprocess = (event) => {
+            if (this.inputMuted) return;
+
+            const input = event.inputBuffer.getChannelData(0);
+            const samples = new Int16Array(input.length);
+            for (let i = 0; i < input.length; i++) {
+                samples[i] = Math.max(-32768, Math.min(32767, Math.round(input[i] * 32768)));
+            }
+            window.flexPhoneAPI.sip.sendConferenceAudio(samples);
+        };
+        audio.context.createMediaStreamSource(stream).connect(audio.processor);
+        // A script processor only runs while connected to the output; it writes silence there
+        audio.processor.connect(audio.context.destination);
+    }
+
+    stopConferenceAudio() {
+        const audio = this.conferenceAudio;
+        if (!audio) return;
+
+        this.conferenceAudio = null;
+        if (audio.processor) audio.processor.disconnect();
+        if (audio.stream) audio.stream.getTracks().forEach(track => track.stop());
+        audio.context.close();
+    }
+
+    /**
+     * One 20 ms frame of the bridge's mix, queued right behind the last one so playback has no gaps
+     */
+    playConferenceAudio(samples) {
+        const audio = this.conferenceAudio;
+        if (!audio || this.outputMuted) return;
+
+        const buffer = audio.context.createBuffer(1, samples.length, 8000);
+        const channel = buffer.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) {
+            channel[i] = samples[i] / 32768;
+        }
+
+        const player = audio.context.createBufferSource();
+        player.buffer = buffer;
+        player.connect(audio.output);
+        audio.playhead = Math.max(audio.playhead, audio.context.currentTime);
+        player.start(audio.playhead);
+        audio.playhead += buffer.duration;
     }
 
     adjustOutputVolume(delta) {
@@ -4664,6 +5099,9 @@ class FlexPhoneApp {
     }
 
     async answerCall() {
+        if (this.waitingCall) {
+            return this.answerWaitingCall();
+        }
         if (!this.currentCall) return;
 
         try {
@@ -4679,7 +5117,137 @@ class FlexPhoneApp {
         }
     }
 
+    /**
+     * Answer the call waiting on another line; the line in use goes on hold first
+     */
+    async answerWaitingCall() {
+        const callId = this.waitingCall;
+        this.stopCallWaitingTone();
+
+        try {
+            if (this.currentCall && this.currentCall !== callId && !this.callOnHold) {
+                await window.flexPhoneAPI.sip.holdCall(this.currentCall);
+            }
+
+            const result = await window.flexPhoneAPI.sip.answerCall(callId);
+            if (result && result.success === false) {
+                throw new Error(result.error);
+            }
+
+            this.currentCall = callId;
+            this.callOnHold = false;
+            this.hideIncomingCallOverlay();
+            this.callBtn.style.display = 'none';
+            this.hangupBtn.style.display = 'inline-block';
+
+            const entry = this.lineManager.lineOf(callId);
+            this.speakAction(`Line ${entry ? entry.line : ''} answered`);
+        } catch (error) {
+            this.showToast(`Answer error: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Make another line current: hold the one in use and resume the chosen one
+     */
+    async switchToLine(line) {
+        const entry = this.lineManager.get(line);
+        if (!entry) {
+            this.speakAction(`Line ${line} is free`);
+            return;
+        }
+        if (entry.callId === this.currentCall) {
+            this.speakAction(`Already on line ${line}`);
+            return;
+        }
+        if (entry.callId === this.waitingCall) {
+            await this.answerWaitingCall();
+            return;
+        }
+
+        try {
+            if (this.currentCall && !this.callOnHold) {
+                await window.flexPhoneAPI.sip.holdCall(this.currentCall);
+            }
+            if (entry.state === 'held') {
+                const result = await window.flexPhoneAPI.sip.resumeCall(entry.callId);
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+            }
+
+            this.currentCall = entry.callId;
+            this.callOnHold = false;
+            this.showToast(`Line ${line}: ${entry.number}`, 'info');
+            this.speakAction(`Line ${line}, ${entry.number}`);
+        } catch (error) {
+            this.showToast(`Line switch failed: ${error.message}`, 'error');
+        }
+    }
+
+    swapLines() {
+        const next = this.lineManager.next(this.currentCall);
+        if (!next) {
+            this.speakAction('No other lines');
+            return;
+        }
+        this.switchToLine(next.line);
+    }
+
+    // Call-waiting beep: 440 Hz for 300 ms, repeated every ten seconds while the call waits
+    startCallWaitingTone() {
+        this.stopCallWaitingTone();
+
+        const beep = () => {
+            if (this.audioContext) {
+                this.playToneSequence([{ freq: 440, duration: 300 }]);
+            }
+        };
+        beep();
+        this.callWaitingTimer = setInterval(beep, 10000);
+    }
+
+    stopCallWaitingTone() {
+        if (this.callWaitingTimer) {
+            clearInterval(this.callWaitingTimer);
+            this.callWaitingTimer = null;
+        }
+    }
+
+    async deflectCall() {
+        const callId = this.waitingCall || this.currentCall;
+        if (!callId) return;
+
+        const target = prompt('Deflect call to number or extension:');
+        if (!target || !target.trim()) return;
+
+        const result = await window.flexPhoneAPI.sip.deflectCall(callId, target.trim());
+        if (!result.success) {
+            this.showToast(`Deflect error: ${result.error}`, 'error');
+            this.speakAction(`Could not deflect call: ${result.error}`);
+        }
+    }
+
+    // Forwarded by our own rules; calls deflected or forwarded after ringing end through onCallEnded
+    onCallForwarded(forward) {
+        const caller = forward.remoteName || forward.remoteNumber;
+        const message = forward.type === 'deflect'
+            ? `Call from ${caller} deflected to ${forward.target}`
+            : `Call from ${caller} forwarded to ${forward.target}`;
+
+        this.showToast(message, 'info');
+        this.speakAction(message);
+    }
+
     async declineCall() {
+        if (this.waitingCall) {
+            const callId = this.waitingCall;
+            this.waitingCall = null;
+            this.stopCallWaitingTone();
+            this.hideIncomingCallOverlay();
+            await window.flexPhoneAPI.sip.hangupCall(callId);
+            return;
+        }
         if (!this.currentCall) return;
 
         try {
@@ -4752,14 +5320,68 @@ class FlexPhoneApp {
 
     onSIPConnected(data) {
         this.isConnected = true;
-        this.updateConnectionStatus(true, data.provider);
-        this.showToast('SIP connected', 'success');
+        this.updateConnectionStatus(true, data.label || data.provider);
+        this.showToast(`SIP connected: ${data.label || data.provider}`, 'success');
+        this.refreshAccounts();
     }
 
     onSIPDisconnected(data) {
-        this.isConnected = false;
-        this.updateConnectionStatus(false);
         this.showToast('SIP disconnected', 'info');
+        this.refreshAccounts();
+    }
+
+    async onRegistrationState(data) {
+        await this.refreshAccounts();
+
+        if (data.state === 'retrying' && !this.isConnected) {
+            this.connectionStatus.textContent = `Registration failed, retrying in ${Math.ceil(data.retryIn / 1000)}s`;
+        }
+
+        if (data.state === 'registered' && data.failover) {
+            this.showToast(`${data.label} moved to backup server ${data.registrar}`, 'warning');
+        } else if (data.state === 'registered' && data.failback) {
+            this.showToast(`${data.label} is back on its primary server`, 'success');
+        } else if (data.state === 'failed') {
+            this.showToast(`${data.label} registration failed: ${data.status} ${data.reason}`, 'error');
+        }
+
+        this.reportToPBX('statusUpdate', {
+            event: 'registration',
+            accountId: data.accountId,
+            registrationState: data.state,
+            registrar: data.registrar,
+            isFallback: data.isFallback,
+            expiresAt: data.expiresAt,
+            timestamp: Date.now()
+        });
+    }
+
+    // Other accounts may still be registered when one drops
+    async refreshAccounts() {
+        try {
+            this.accounts = await window.flexPhoneAPI.sip.getAccounts();
+            const registered = this.accounts.filter(account => account.isConnected);
+
+            if (this.selectedAccountId && !this.accounts.some(account => account.id === this.selectedAccountId)) {
+                this.selectedAccountId = null;
+            }
+
+            if (registered.length === 0) {
+                this.updateConnectionStatus(false);
+            } else if (registered.length === 1) {
+                this.updateConnectionStatus(true, registered[0].label);
+            } else {
+                this.updateConnectionStatus(true, `${registered.length} accounts`);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not refresh SIP accounts:', error);
+        }
+    }
+
+    selectAccount(accountId) {
+        this.selectedAccountId = accountId || null;
+        const account = this.accounts.find(item => item.id === accountId);
+        this.showToast(`Calling from ${account ? account.label : 'default account'}`, 'info');
     }
 
     onIncomingCall(call) {
@@ -4773,12 +5395,134 @@ class FlexPhoneApp {
         this.showToast('Call connected', 'success');
     }
 
+    // Local ringback only while the far end rings without sending early media
+    onCallState(call) {
+        // A call forwarded or turned away before it rang only reports terminated; it never takes a line
+        if (!this.lineManager.update(call) && call.state !== 'terminated') {
+            this.lineManager.assign(call);
+        }
+
+        if (call.direction === 'outbound' && call.state === 'ringing') {
+            this.startRingback();
+        } else {
+            this.stopRingback();
+        }
+
+        if (call.state === 'early') {
+            this.speakAction('Ringing');
+        }
+
+        if (call.state === 'held' || call.previousState === 'held') {
+            this.onCallHoldChanged(call);
+        }
+
+        if (call.state === 'confirmed' && call.previousState !== 'held') {
+            if (this.pendingConferenceCalls.delete(call.id)) {
+                this.joinConference(call.id).catch(error => {
+                    this.showToast(`Conference setup failed: ${error.message}`, 'error');
+                });
+            } else if (this.waitingToMerge && call.direction === 'outbound') {
+                this.mergeHeldCalls(call.id);
+            }
+        }
+    }
+
+    onCallHoldChanged(call) {
+        this.callOnHold = Boolean(call.localHold);
+
+        if (call.state === 'held') {
+            this.trackCallHeld({
+                id: call.id,
+                number: call.remoteNumber,
+                heldBy: call.localHold ? 'local' : 'remote',
+                heldAt: Date.now()
+            });
+        } else {
+            this.trackCallResumed({ id: call.id });
+        }
+
+        // Our own hold is announced by toggleHold; only report the far end's
+        if (call.remoteHold && !call.localHold) {
+            this.showToast('Call placed on hold by the other party', 'info');
+            this.speakAction('You are on hold');
+        } else if (call.previousState === 'held' && call.state === 'confirmed' && !this.callOnHold) {
+            this.speakAction('Call resumed');
+        }
+    }
+
     onCallEnded(call) {
+        this.stopRingback();
+
+        const line = this.lineManager.release(call.id);
+        this.callQuality.delete(call.id);
+
+        // Forwarded, turned away or silenced before it rang here: nothing on screen to clean up
+        if (call.id !== this.currentCall && (call.screening || (!line && (call.forwardedTo || call.doNotDisturb)))) return;
+
+        if (this.postDialWait && this.postDialWait.callId === call.id) {
+            this.postDialWait = null;
+        }
+        if (call.id === this.waitingCall) {
+            this.waitingCall = null;
+            this.stopCallWaitingTone();
+            this.hideIncomingCallOverlay();
+        }
+
+        // The bridge has already dropped the call (see onConferenceState); a lone party left by a failed add leaves it too
+        if (this.pendingConferenceCalls.delete(call.id) && this.pendingConferenceCalls.size === 0 && this.conferenceParticipants.size === 1) {
+            const [lone] = this.conferenceParticipants.keys();
+            window.flexPhoneAPI.sip.leaveConference(lone).catch(error => console.error('Failed to close conference:', error));
+        }
+        if (this.isInConference) {
+            if (call.id === this.currentCall) this.currentCall = [...this.conferenceParticipants.keys()][0];
+            return;
+        }
+
+        // Other lines stay up; the next one becomes current but stays on hold until picked
+        if (this.lineManager.size > 0 && call.id !== this.currentCall) {
+            this.showToast(`Line ${line ? line.line : ''} ended`, 'info');
+            return;
+        }
+        const remaining = this.lineManager.first();
+        if (remaining && remaining.callId === this.waitingCall) {
+            // Nothing left to wait behind: ring the waiting call normally
+            this.waitingCall = null;
+            this.stopCallWaitingTone();
+            this.currentCall = remaining.callId;
+            this.startCallerIDRingtone({ id: remaining.callId, remoteNumber: remaining.number, ringtone: remaining.ringtone });
+            return;
+        }
+        if (remaining) {
+            this.currentCall = remaining.callId;
+            this.callOnHold = remaining.state === 'held';
+            this.showToast(`Call ended - line ${remaining.line} ${this.callOnHold ? 'on hold' : 'active'}`, 'info');
+            this.speakAction(`Line ${remaining.line}, ${remaining.number}, ${this.callOnHold ? 'on hold' : 'active'}`);
+            return;
+        }
         this.currentCall = null;
         this.callBtn.style.display = 'inline-block';
         this.hangupBtn.style.display = 'none';
         this.hideIncomingCallOverlay();
-        this.showToast('Call ended', 'info');
+
+        if (call.direction === 'outbound' && ['busy', 'failed'].includes(call.outcome)) {
+            this.showToast(`Call ${call.cause}${call.sipCode ? ` (${call.sipCode})` : ''}`, 'error');
+            this.speakAction(call.outcome === 'busy' ? 'Line busy' : 'Call failed');
+        } else {
+            this.showToast('Call ended', 'info');
+        }
+    }
+
+    startRingback() {
+        if (this.ringbackTimer || !this.audioContext) return;
+
+        const ring = () => this.playToneSequence([{ freq: 440, duration: 2000 }]);
+        ring();
+        this.ringbackTimer = setInterval(ring, 6000);
+    }
+
+    stopRingback() {
+        clearInterval(this.ringbackTimer);
+        this.ringbackTimer = null;
     }
 
     onSMSReceived(message) {
@@ -4788,7 +5532,9 @@ class FlexPhoneApp {
 
     showIncomingCallOverlay(call) {
         this.callerName.textContent = call.remoteName || 'Unknown Caller';
-        this.callerNumber.textContent = call.remoteNumber;
+        this.callerNumber.textContent = call.accountLabel
+            ? `${call.remoteNumber} → ${call.accountLabel}`
+            : call.remoteNumber;
         this.incomingCallOverlay.classList.add('show');
     }
 
@@ -5014,7 +5760,16 @@ class FlexPhoneApp {
                 item.className = 'list-item';
 
                 const icon = call.direction === 'inbound' ?
-                    (call.status === 'missed' ? '📞❌' : '📞⬇️') : '📞⬆️';
+                    (call.status === 'missed' ? '📞❌' : call.status === 'forwarded' ? '📞↪️' : call.status === 'blocked' ? '🚫' : '📞⬇️') : '📞⬆️';
+                const screenedBy = call.screening && {
+                    contact: 'blocked contact',
+                    blocklist: `matches ${call.screening.rule}`,
+                    anonymous: 'anonymous',
+                    'contacts-only': 'not in contacts'
+                }[call.screening.reason];
+                const status = (call.status === 'forwarded' && call.forwardedTo ? `forwarded to ${call.forwardedTo}` : call.status) +
+                    (call.doNotDisturb ? ' (Do Not Disturb)' : '') +
+                    (call.status === 'blocked' && screenedBy ? ` (${screenedBy})` : '');
 
                 const time = new Date(call.startTime).toLocaleString();
 
@@ -5022,17 +5777,30 @@ class FlexPhoneApp {
                     <div class="list-item-icon">${icon}</div>
                     <div class="list-item-content">
                         <div class="list-item-title">${call.remoteName || call.remoteNumber}</div>
-                        <div class="list-item-subtitle">${call.status} • ${this.formatDuration(call.duration)}</div>
+                        <div class="list-item-subtitle">${status} • ${this.formatDuration(call.duration)}</div>
                     </div>
                     <div class="list-item-meta">${time}</div>
                 `;
 
                 item.addEventListener('click', () => {
-                    this.currentNumber = call.remoteNumber;
+                    this.currentNumber = call.dialString || call.remoteNumber;
                     this.switchTab('dialer');
                     this.updateDisplay();
                 });
 
+                // Withheld numbers can't be unblocked one by one; that is the rejectAnonymous setting
+                if (call.status === 'blocked' && call.screening && call.screening.reason !== 'anonymous') {
+                    const unblock = document.createElement('button');
+                    unblock.className = 'btn btn-secondary';
+                    unblock.textContent = 'Unblock';
+                    unblock.setAttribute('aria-label', `Unblock ${call.remoteName || call.remoteNumber}`);
+                    unblock.addEventListener('click', (event) => {
+                        event.stopPropagation();
+                        this.unblockCaller(call);
+                    });
+                    item.querySelector('.list-item-meta').appendChild(unblock);
+                }
+
                 list.appendChild(item);
             });
 
@@ -5099,12 +5867,172 @@ class FlexPhoneApp {
             this.handsFreeMode.checked = settings['sip.handsFree'] || false;
             this.intercomEnabled.checked = settings['sip.intercom'] || false;
             this.flexPhoneIntegration.checked = settings['sip.flexPhoneIntegration'] || false;
+            this.showCallQuality = settings['ui.showCallQuality'] !== false;
+
+            // Ring rules have their own editor
+            const settingsForm = document.querySelector('#settings .settings-form');
+            if (settingsForm && !document.getElementById('ringRulesButton')) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.id = 'ringRulesButton';
+                button.className = 'btn btn-secondary';
+                button.textContent = '🔔 Ring Rules...';
+                button.addEventListener('click', () => this.showRingRulesDialog());
+                settingsForm.appendChild(button);
+            }
 
         } catch (error) {
             console.error('Failed to load settings:', error);
         }
     }
 
+    async showRingRulesDialog() {
+        // Rules are checked top to bottom; the first match picks the ringtone, otherwise the default rings
+        const rules = [...(await window.flexPhoneAPI.settings.get('audio.ringRules') || [])];
+        const ringtones = await window.flexPhoneAPI.ringtones.getAvailable();
+        const matchLabels = { 'alert-info': 'Alert-Info', contact: 'Contact', tag: 'Contact tag', account: 'Account' };
+
+        const dialog = document.createElement('div');
+        dialog.className = 'ring-rules-dialog';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-label', 'Ring rules');
+        dialog.style.cssText = `
+            position: fixed;
+            top: 0; left: 0; right: 0; bottom: 0;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            z-index: 10000;
+        `;
+
+        const fieldStyle = 'padding: 8px; border: 1px solid #555; border-radius: 4px; background: #333; color: white; font-size: 14px;';
+        dialog.innerHTML = `
+            <div style="
+                background: linear-gradient(135deg, #1e1e1e 0%, #2d2d2d 100%);
+                border-radius: 8px;
+                padding: 24px;
+                min-width: 460px;
+                max-width: 560px;
+                color: white;
+                font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
+            ">
+                <h3 style="margin: 0 0 16px 0; color: #4CAF50;">🔔 Ring Rules</h3>
+                <ol id="ringRulesList" style="margin: 0 0 16px 0; padding-left: 20px;"></ol>
+
+                <div style="display: flex; flex-wrap: wrap; gap: 8px; margin-bottom: 16px;">
+                    <select id="ringRuleMatch" aria-label="Match on" style="${fieldStyle}">
+                        ${Object.entries(matchLabels).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                    <input type="text" id="ringRuleValue" aria-label="Value to match" placeholder="queue, contact name, tag or account" style="${fieldStyle} flex: 1;">
+                    <select id="ringRuleRingtone" aria-label="Ringtone" style="${fieldStyle}"></select>
+                    <input type="text" id="ringRuleCustomPath" aria-label="Custom ringtone file" placeholder="/path/to/ringtone.mp3" style="${fieldStyle} width: 100%; display: none;">
+                    <button class="btn-add" style="background: #2196F3; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Add Rule</button>
+                </div>
+
+                <div style="text-align: right;">
+                    <button class="btn-cancel" style="background: #666; color: white; border: none; padding: 10px 16px; border-radius: 4px; margin-right: 8px; cursor: pointer;">Cancel</button>
+                    <button class="btn-save" style="background: #4CAF50; color: white; border: none; padding: 10px 16px; border-radius: 4px; cursor: pointer;">Save</button>
+                </div>
+            </div>
+        `;
+
+        const list = dialog.querySelector('#ringRulesList');
+        const ringtoneSelect = dialog.querySelector('#ringRuleRingtone');
+        const customPath = dialog.querySelector('#ringRuleCustomPath');
+
+        ringtones.forEach(ringtone => ringtoneSelect.add(new Option(ringtone.name.replace(/\.\.\.$/, ''), ringtone.id)));
+        ringtoneSelect.addEventListener('change', () => {
+            customPath.style.display = ringtoneSelect.value === 'custom' ? 'block' : 'none';
+        });
+
+        const ringtoneName = (rule) => {
+            if (rule.ringtone === 'custom') return rule.customPath || 'Custom ringtone';
+            const ringtone = ringtones.find(candidate => candidate.id === rule.ringtone);
+            return ringtone ? ringtone.name : `${rule.ringtone} (not synced)`;
+        };
+
+        // Built with textContent: values come from the user and from PBX header names
+        const renderRules = () => {
+            list.replaceChildren(...rules.map((rule, index) => {
+                const item = document.createElement('li');
+                item.style.cssText = 'display: flex; align-items: center; gap: 8px; margin-bottom: 6px;';
+
+                const text = document.createElement('span');
+                text.style.flex = '1';
+                text.textContent = `${matchLabels[rule.match]} "${rule.value}" → ${ringtoneName(rule)}`;
+                item.appendChild(text);
+
+                const up = document.createElement('button');
+                up.textContent = '↑';
+                up.disabled = index === 0;
+                up.setAttribute('aria-label', `Move rule ${index + 1} up`);
+                up.addEventListener('click', () => {
+                    rules.splice(index - 1, 0, ...rules.splice(index, 1));
+                    renderRules();
+                });
+
+                const remove = document.createElement('button');
+                remove.textContent = '✕';
+                remove.setAttribute('aria-label', `Remove rule ${index + 1}`);
+                remove.addEventListener('click', () => {
+                    rules.splice(index, 1);
+                    renderRules();
+                    this.speakAction('Rule removed');
+                });
+
+                item.append(up, remove);
+                return item;
+            }));
+
+            if (rules.length === 0) {
+                const empty = document.createElement('li');
+                empty.style.cssText = 'list-style: none; color: #999;';
+                empty.textContent = 'No rules: every call uses the default ringtone';
+                list.appendChild(empty);
+            }
+        };
+
+        dialog.querySelector('.btn-add').addEventListener('click', () => {
+            const value = dialog.querySelector('#ringRuleValue').value.trim();
+            const rule = {
+                match: dialog.querySelector('#ringRuleMatch').value,
+                value,
+                ringtone: ringtoneSelect.value,
+                customPath: ringtoneSelect.value === 'custom' ? customPath.value.trim() : null
+            };
+
+            if (!value || (rule.ringtone === 'custom' && !rule.customPath)) {
+                this.speakAction(value ? 'Enter the custom ringtone file' : 'Enter a value to match');
+                return;
+            }
+
+            rule.name = `${matchLabels[rule.match]} ${value}`;
+            rules.push(rule);
+            dialog.querySelector('#ringRuleValue').value = '';
+            renderRules();
+            this.speakAction(`Rule added: ${rule.name}`);
+        });
+
+        const close = () => document.body.removeChild(dialog);
+
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) close();
+        });
+        dialog.querySelector('.btn-cancel').addEventListener('click', close);
+        dialog.querySelector('.btn-save').addEventListener('click', async () => {
+            await window.flexPhoneAPI.settings.set('audio.ringRules', rules);
+            close();
+            this.showToast(`${rules.length} ring rule${rules.length === 1 ? '' : 's'} saved`, 'success');
+        });
+
+        renderRules();
+        document.body.appendChild(dialog);
+        setTimeout(() => dialog.querySelector('#ringRuleMatch').focus(), 100);
+
+        this.speakAction(`Ring rules. ${rules.length} rules`);
+    }
+
     handleProviderChange() {
         const provider = this.sipProvider.value;
 
@@ -5114,6 +6042,10 @@ class FlexPhoneApp {
                 this.showProviderHelp('FlexPBX', 'Server: flexpbx.local\nPort: 5070');
                 break;
 
+            case 'FLEXPBX_LOCAL':
+                this.showProviderHelp('FlexPBX Local', 'Server: 127.0.0.1\nPort: 5070\nStart it with: npm run pbx:local\nTest extensions: 9000 echo, 9001 ring, 9002 busy, 9003 no answer, 9004 early media, 9486, 9487');
+                break;
+
             case 'CALLCENTRIC':
                 this.showProviderHelp('CallCentric', 'Server: callcentric.com\nPort: 5060');
                 break;
@@ -5454,6 +6386,27 @@ Visit: https://www.obitalk.com/info/googlevoice for setup guide.
 
     // Enhanced SIP Features
 
+    /**
+     * Dialer from the menu, or with a clicked tel:/sip:/callto: link filled in
+     */
+    showDialer(link = null) {
+        this.switchTab('dialer');
+        if (!link || !link.number) return;
+
+        this.currentNumber = link.number;
+        this.dialerInput.value = this.currentNumber;
+        this.updateDisplay();
+
+        if (link.autoDial) {
+            this.makeCall();
+            return;
+        }
+
+        const subject = link.subject ? ` (${link.subject})` : '';
+        this.showToast(`Press Enter to call ${link.number}${subject}`, 'info');
+        this.speakAction(`Link to ${link.number}. Press Enter to call`);
+    }
+
     // Quick dial functions
     dialNumber(number) {
         this.currentNumber = number;
@@ -5625,27 +6578,77 @@ Last Seen: ${client.lastSeen.toLocaleString()}
 
     // Auto-answer functionality
     async handleIncomingCall(call) {
+        const line = this.lineManager.assign(call);
+
+        // Screened to ring silently: no ringtone or beep; with no other call it can still be answered from the overlay
+        if (call.screening) {
+            if (this.lineManager.size === 1) {
+                this.currentCall = call.id;
+                this.showIncomingCallOverlay(call);
+            }
+            return;
+        }
+
+        // Another line is in use: beep over that call instead of ringing
+        if (this.lineManager.size > 1) {
+            this.waitingCall = call.id;
+            this.startCallWaitingTone();
+            this.showIncomingCallOverlay(call);
+            this.showToast(`Call waiting on line ${line}: ${call.remoteName || call.remoteNumber}`, 'info');
+            this.speakAction(`Call waiting on line ${line} from ${call.remoteName || call.remoteNumber}`);
+            return;
+        }
+
         this.currentCall = call.id;
 
-        // Start caller ID announcement with ringtone ducking
-        this.startCallerIDRingtone(call);
+        // The main process decides intercom and policy auto-answer; the legacy checkbox answers everything
+        const autoAnswer = call.autoAnswer || (this.autoAnswerEnabled && this.autoAnswerEnabled.checked
+            ? { delay: parseInt(this.autoAnswerDelay.value, 10) || 0, intercom: false }
+            : null);
 
-        if (this.autoAnswerEnabled.checked) {
-            const delay = parseInt(this.autoAnswerDelay.value) * 1000;
-            this.showToast(`Auto-answering in ${this.autoAnswerDelay.value} seconds...`, 'info');
+        // Intercom calls beep instead of ringing
+        if (!autoAnswer || !autoAnswer.intercom) {
+            this.startCallerIDRingtone(call);
+        }
 
-            setTimeout(async () => {
-                try {
-                    this.stopCallerIDRingtone();
-                    await this.answerCall();
-                    this.showToast('Call auto-answered', 'success');
-                } catch (error) {
-                    this.showToast(`Auto-answer failed: ${error.message}`, 'error');
-                }
-            }, delay);
+        this.showIncomingCallOverlay(call);
+        if (autoAnswer) {
+            this.scheduleAutoAnswer(call, autoAnswer);
+        }
+    }
+
+    /**
+     * Answer after the delay, always announcing and beeping first so the microphone
+     * never opens unannounced, even for answer-after=0
+     */
+    scheduleAutoAnswer(call, { delay, intercom }) {
+        const caller = call.remoteName || call.remoteNumber;
+        // At least two seconds for the announcement to be heard
+        const seconds = Math.max(delay, 2);
+        const message = `${intercom ? 'Intercom from' : 'Auto-answering'} ${caller}. Microphone opens in ${seconds} seconds`;
+
+        this.showToast(message, 'info');
+        if (window.accessibilityManager) {
+            window.accessibilityManager.announceCall(intercom ? 'intercom' : 'auto-answer', message);
         } else {
-            this.showIncomingCallOverlay(call);
+            this.speakAction(message);
         }
+
+        setTimeout(async () => {
+            // Answered, declined or ended in the meantime
+            const entry = this.lineManager.lineOf(call.id);
+            if (!entry || entry.state !== 'ringing' || this.currentCall !== call.id) return;
+
+            try {
+                this.playToneSequence([{ freq: 1400, duration: 120 }, { freq: 1000, duration: 120 }]);
+                await new Promise(resolve => setTimeout(resolve, 300));
+                this.stopCallerIDRingtone();
+                await this.answerCall();
+                this.showToast(intercom ? `Intercom open with ${caller}` : 'Call auto-answered', 'success');
+            } catch (error) {
+                this.showToast(`Auto-answer failed: ${error.message}`, 'error');
+            }
+        }, seconds * 1000);
     }
 
     async startCallerIDRingtone(call) {
@@ -5657,6 +6660,17 @@ Last Seen: ${client.lastSeen.toLocaleString()}
         // Play initial incoming call sound
         await this.voicePack.playIncomingCall();
 
+        // Custom and synced ringtones loop as files; if one fails to load the ring falls back to tones
+        if (this.isRingtoneActive && call.ringtone && call.ringtone.url) {
+            this.ringtoneAudio = new Audio(call.ringtone.url);
+            this.ringtoneAudio.loop = true;
+            this.ringtoneAudio.volume = this.outputVolume;
+            this.ringtoneAudio.play().catch(error => {
+                console.warn(`Could not play ringtone ${call.ringtone.name}:`, error);
+                this.ringtoneAudio = null;
+            });
+        }
+
         // Start ringtone loop with caller ID announcements
         this.playRingtoneWithCallerID(call);
     }
@@ -5665,20 +6679,14 @@ Last Seen: ${client.lastSeen.toLocaleString()}
         if (!this.isRingtoneActive) return;
 
         try {
-            // Play ringtone (traditional phone ring)
-            const ringTone = this.audioContext.createOscillator();
-            const ringGain = this.audioContext.createGain();
-
-            ringTone.frequency.setValueAtTime(440, this.audioContext.currentTime);
-            ringTone.frequency.setValueAtTime(480, this.audioContext.currentTime + 0.4);
-            ringGain.gain.setValueAtTime(0.3, this.audioContext.currentTime);
-            ringGain.gain.setValueAtTime(0, this.audioContext.currentTime + 0.8);
-
-            ringTone.connect(ringGain);
-            ringGain.connect(this.audioContext.destination);
-
-            ringTone.start(this.audioContext.currentTime);
-            ringTone.stop(this.audioContext.currentTime + 0.8);
+            // The ring rules' pattern, or the traditional phone ring; a ringtone file loops by itself
+            if (this.ringtoneAudio) {
+                // Already playing
+            } else if (call.ringtone && call.ringtone.pattern) {
+                this.playRingPattern(call.ringtone.pattern);
+            } else {
+                this.playTraditionalRing();
+            }
 
             // Announce caller ID after the first ring
             if (!this.callerIDAnnounced && call.remoteNumber) {
@@ -5705,6 +6713,45 @@ Last Seen: ${client.lastSeen.toLocaleString()}
         }
     }
 
+    playTraditionalRing() {
+        const ringTone = this.audioContext.createOscillator();
+        const ringGain = this.audioContext.createGain();
+
+        ringTone.frequency.setValueAtTime(440, this.audioContext.currentTime);
+        ringTone.frequency.setValueAtTime(480, this.audioContext.currentTime + 0.4);
+        ringGain.gain.setValueAtTime(0.3, this.audioContext.currentTime);
+        ringGain.gain.setValueAtTime(0, this.audioContext.currentTime + 0.8);
+
+        ringTone.connect(ringGain);
+        ringGain.connect(this.audioContext.destination);
+
+        ringTone.start(this.audioContext.currentTime);
+        ringTone.stop(this.audioContext.currentTime + 0.8);
+    }
+
+    // One cycle of a built-in ringtone pattern; freq 0 notes are rests
+    playRingPattern(pattern) {
+        let startTime = this.audioContext.currentTime;
+
+        pattern.forEach(({ freq, duration }) => {
+            if (freq > 0) {
+                const ringTone = this.audioContext.createOscillator();
+                const ringGain = this.audioContext.createGain();
+
+                ringTone.frequency.setValueAtTime(freq, startTime);
+                ringGain.gain.setValueAtTime(0.3, startTime);
+
+                ringTone.connect(ringGain);
+                ringGain.connect(this.audioContext.destination);
+
+                ringTone.start(startTime);
+                ringTone.stop(startTime + duration / 1000);
+            }
+
+            startTime += duration / 1000;
+        });
+    }
+
     async announceCallerIDWithDucking(phoneNumber) {
         if (!this.isRingtoneActive) return;
 
@@ -5734,6 +6781,11 @@ Last Seen: ${client.lastSeen.toLocaleString()}
             this.ringtoneTimeout = null;
         }
 
+        if (this.ringtoneAudio) {
+            this.ringtoneAudio.pause();
+            this.ringtoneAudio = null;
+        }
+
         this.callerIDAnnounced = false;
     }
 
@@ -5751,6 +6803,13 @@ Last Seen: ${client.lastSeen.toLocaleString()}
             heldAt: Date.now()
         });
 
+        // Hold it on the wire too; it keeps its line while the second call is placed
+        window.flexPhoneAPI.sip.holdCall(this.currentCall).then((result) => {
+            if (!result.success) {
+                this.showToast(`Hold failed: ${result.error}`, 'error');
+            }
+        });
+
         // Move current call to held calls
         this.pbxCallStates.heldCalls.push(this.currentCall);
         this.currentCall = null;
@@ -5772,6 +6831,34 @@ Last Seen: ${client.lastSeen.toLocaleString()}
         console.log('✅ Call held successfully, ready for second call');
     }
 
+    /**
+     * The second call answered: bridge it with the calls held for the merge
+     */
+    async mergeHeldCalls(callId) {
+        this.waitingToMerge = false;
+
+        const heldCalls = this.pbxCallStates.heldCalls.splice(0);
+        const limit = await this.refreshConferenceLimit();
+        if (heldCalls.length + 1 > limit) {
+            this.pbxCallStates.heldCalls.push(...heldCalls);
+            this.showToast(limit === 0 ? 'Conference calling is not included in your license' : `Conference is limited to ${limit} participants`, 'error');
+            return;
+        }
+
+        this.stopHoldMusic();
+        try {
+            for (const held of heldCalls) {
+                const heldId = held.id || held;
+                await window.flexPhoneAPI.sip.resumeCall(heldId);
+                await this.joinConference(heldId);
+            }
+            await this.joinConference(callId);
+        } catch (error) {
+            this.showToast(`Conference setup failed: ${error.message}`, 'error');
+        }
+        this.currentCall = callId;
+    }
+
     makeCallAndMerge() {
         if (!this.currentNumber || this.pbxCallStates.heldCalls.length === 0) return;
 
@@ -6438,7 +7525,7 @@ Last Seen: ${client.lastSeen.toLocaleString()}
 
         // Report initial status
         setTimeout(() => {
-            this.reportToPBX('presence', { status: 'online', timestamp: Date.now() });
+            this.reportToPBX('presence', { status: this.doNotDisturbMode ? 'dnd' : 'online', timestamp: Date.now() });
         }, 2000);
     }
 
@@ -6453,6 +7540,8 @@ Last Seen: ${client.lastSeen.toLocaleString()}
             userStatus = 'busy'; // Still busy even if calls are on hold
         } else if (this.pbxCallStates.incomingCalls.length > 0) {
             userStatus = 'ringing';
+        } else if (this.doNotDisturbMode) {
+            userStatus = 'dnd';
         }
 
         this.pbxCallStates.userStatus = userStatus;
@@ -6544,22 +7633,25 @@ Last Seen: ${client.lastSeen.toLocaleString()}
     }
 
     trackCallHeld(callInfo) {
-        if (this.pbxCallStates.activeCall) {
-            this.pbxCallStates.heldCalls.push(this.pbxCallStates.activeCall);
-            this.pbxCallStates.activeCall = null;
+        // SIP hold also reports calls the PBX tracker did not see start
+        const heldCall = this.pbxCallStates.activeCall || callInfo;
+        if (this.pbxCallStates.heldCalls.some(call => call.id === heldCall.id)) return;
 
-            this.reportToPBX('callState', {
-                event: 'call_held',
-                call: callInfo,
-                heldCallsCount: this.pbxCallStates.heldCalls.length,
-                timestamp: Date.now()
-            });
-        }
+        this.pbxCallStates.heldCalls.push(heldCall);
+        this.pbxCallStates.activeCall = null;
+
+        this.reportToPBX('callState', {
+            event: 'call_held',
+            call: callInfo,
+            heldCallsCount: this.pbxCallStates.heldCalls.length,
+            timestamp: Date.now()
+        });
     }
 
-    trackCallResumed(callInfo) {
+    trackCallResumed(callInfo = {}) {
         if (this.pbxCallStates.heldCalls.length > 0) {
-            const heldCall = this.pbxCallStates.heldCalls.shift();
+            const index = this.pbxCallStates.heldCalls.findIndex(call => call.id === callInfo.id);
+            const heldCall = this.pbxCallStates.heldCalls.splice(Math.max(index, 0), 1)[0];
             this.pbxCallStates.activeCall = heldCall;
 
             this.reportToPBX('callState', {
@@ -7472,6 +8564,77 @@ class P2PAudioManager {
     }
 }
 
+// ===== LINE MANAGER =====
+// Numbered line appearances for concurrent calls; the lowest free line is taken first
+
+class LineManager {
+    constructor() {
+        this.lines = new Map(); // line number -> { line, callId, number, direction, state, ringtone }
+    }
+
+    get size() {
+        return this.lines.size;
+    }
+
+    assign(call) {
+        const existing = this.lineOf(call.id);
+        if (existing) return existing.line;
+
+        let line = 1;
+        while (this.lines.has(line)) line++;
+
+        this.lines.set(line, {
+            line,
+            callId: call.id,
+            number: call.remoteName || call.remoteNumber,
+            direction: call.direction,
+            state: call.state,
+            ringtone: call.ringtone || null
+        });
+        return line;
+    }
+
+    update(call) {
+        const entry = this.lineOf(call.id);
+        if (entry) entry.state = call.state;
+        return entry;
+    }
+
+    release(callId) {
+        const entry = this.lineOf(callId);
+        if (entry) this.lines.delete(entry.line);
+        return entry;
+    }
+
+    get(line) {
+        return this.lines.get(line) || null;
+    }
+
+    first() {
+        const numbers = [...this.lines.keys()].sort((a, b) => a - b);
+        return numbers.length ? this.lines.get(numbers[0]) : null;
+    }
+
+    lineOf(callId) {
+        for (const entry of this.lines.values()) {
+            if (entry.callId === callId) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * The line after the given call's, wrapping around; null with a single line
+     */
+    next(callId) {
+        const numbers = [...this.lines.keys()].sort((a, b) => a - b);
+        if (numbers.length < 2) return null;
+
+        const current = this.lineOf(callId);
+        const index = current ? numbers.indexOf(current.line) : -1;
+        return this.lines.get(numbers[(index + 1) % numbers.length]);
+    }
+}
+
 // ===== ACCESSIBILITY SYSTEM =====
 // Comprehensive accessibility and announcements system for FlexPhone
 
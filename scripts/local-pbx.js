@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+/**
+ * FlexPhone Local PBX
+ * Runs the bundled SIP registrar/B2BUA for offline testing and demo mode
+ *
+ * Usage: node scripts/local-pbx.js [--host 127.0.0.1] [--udp-port 5070] [--tcp-port 5070] [--ws-port 8089] [--ring-time 2000]
+ *                                  [--password secret] [--auth SHA-256,MD5]
+ */
+
+const readline = require('readline');
+const LocalPBX = require('../src/sip/LocalPBX');
+
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+
+    switch (argv[i]) {
+      case '--host':
+        options.host = value;
+        i++;
+        break;
+      case '--udp-port':
+        options.udpPort = parseInt(value, 10);
+        i++;
+        break;
+      case '--tcp-port':
+        options.tcpPort = value === 'off' ? null : parseInt(value, 10);
+        i++;
+        break;
+      case '--ws-port':
+        options.wsPort = value === 'off' ? null : parseInt(value, 10);
+        i++;
+        break;
+      case '--ring-time':
+        options.ringTime = parseInt(value, 10);
+        i++;
+        break;
+      case '--auth':
+        options.auth = { ...options.auth, algorithms: value.toUpperCase().split(',') };
+        i++;
+        break;
+      case '--password':
+        options.auth = { algorithms: ['SHA-256'], ...options.auth, password: value };
+        i++;
+        break;
+    }
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log('\nCommands:');
+  console.log('  users                 List registered users');
+  console.log('  calls                 List active calls');
+  console.log('  call <user> [from]    Ring a registered user (answers with echo)');
+  console.log('  hangup <call-id>      Hang up an active call');
+  console.log('  quit                  Stop the PBX\n');
+  console.log('Scripted extensions: echo/9000, ring/9001, busy/9002, noanswer/9003, early/9004, 486/9486, 487/9487\n');
+}
+
+async function main() {
+  const pbx = new LocalPBX(parseArgs(process.argv.slice(2)));
+  await pbx.start();
+  printHelp();
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'pbx> ' });
+
+  let stopping = false;
+  const shutdown = async () => {
+    if (stopping) return;
+    stopping = true;
+    rl.close();
+    await pbx.stop();
+    process.exit(0);
+  };
+
+  rl.on('line', async (line) => {
+    const [command, ...args] = line.trim().split(/\s+/);
+
+    try {
+      switch (command) {
+        case 'users':
+          console.log(pbx.getRegisteredUsers().join('\n') || '(none)');
+          break;
+        case 'calls':
+          for (const call of pbx.calls.values()) {
+            console.log(`${call.id}  ${call.caller} → ${call.callee}  ${call.state}`);
+          }
+          break;
+        case 'call': {
+          const result = await pbx.callUser(args[0], { from: args[1] });
+          console.log(result.success ? `✅ Answered (${result.callId})` : `❌ ${result.status} ${result.reason}`);
+          break;
+        }
+        case 'hangup':
+          console.log(pbx.hangup(args[0]) ? '✅ Hung up' : '❌ No such call');
+          break;
+        case 'quit':
+        case 'exit':
+          await shutdown();
+          return;
+        case '':
+          break;
+        default:
+          printHelp();
+      }
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+
+    rl.prompt();
+  });
+
+  rl.on('close', () => shutdown());
+  process.on('SIGINT', () => shutdown());
+  rl.prompt();
+}
+
+main().catch((error) => {
+  console.error('❌ Local PBX failed to start:', error.message);
+  process.exit(1);
+});
@@ -28,12 +28,20 @@ const SMSService = require('./services/SMSService');
 const SettingsService = require('./services/SettingsService');
 const RingtoneService = require('./services/RingtoneService');
 const FeatureManagementService = require('./services/FeatureManagementService');
+const CallURI = require('./sip/CallURI');
 
 class FlexPhoneMain {
     constructor() {
         this.mainWindow = null;
         this.isReady = false;
 
+        // Call link clicked before the window could take it
+        this.pendingCallURI = null;
+
+        // Last Do Not Disturb state sent to the renderer; rechecked every minute for schedules
+        this.dndState = null;
+        this.dndTimer = null;
+
         // Initialize services
         this.sipService = new SIPService();
         this.contactsService = new ContactsService();
@@ -43,6 +51,10 @@ class FlexPhoneMain {
         this.ringtoneService = new RingtoneService();
         this.featureManager = new FeatureManagementService();
 
+        // Account limits come from the license features
+        this.sipService.setFeatureManager(this.featureManager);
+        this.sipService.setContactsService(this.contactsService);
+
         console.log('📱 FlexPhone v1.0.0 - Lightweight SIP Client');
     }
 
@@ -55,6 +67,15 @@ class FlexPhoneMain {
             await this.smsService.initialize();
             await this.settingsService.initialize();
             await this.featureManager.initialize();
+            this.sipService.setInstanceId(await this.settingsService.getInstanceId());
+            this.sipService.setDefaultCodecs(await this.settingsService.get('advanced.codecPreference'));
+            await this.applyCallSettings();
+            await this.applyRingtoneSettings();
+            this.dndTimer = setInterval(() => this.checkDoNotDisturb(), 60000);
+            this.settingsService.on('setting-changed', ({ key }) => {
+                if (key.startsWith('calls.')) this.applyCallSettings();
+                if (key === 'audio.ringtone' || key === 'audio.ringRules') this.applyRingtoneSettings();
+            });
 
             // Setup IPC handlers
             this.setupIPCHandlers();
@@ -62,11 +83,122 @@ class FlexPhoneMain {
             console.log('✅ FlexPhone services initialized');
             this.isReady = true;
 
+            if (await this.settingsService.get('sip.autoConnect')) {
+                this.autoConnectAccounts();
+            }
+
         } catch (error) {
             console.error('❌ FlexPhone initialization failed:', error);
         }
     }
 
+    // Hand the calls.* settings to the SIP service
+    async applyCallSettings() {
+        const get = (key) => this.settingsService.get(key);
+
+        this.sipService.setAutoAnswerSettings({
+            policy: await get('calls.autoAnswer'),
+            delay: await get('calls.autoAnswerDelay'),
+            trusted: await get('calls.autoAnswerTrusted'),
+            whenBusy: await get('calls.autoAnswerWhenBusy')
+        });
+        this.sipService.setForwardingRules(await get('calls.forwarding'));
+        this.sipService.setDoNotDisturb({
+            enabled: await get('calls.dnd'),
+            response: await get('calls.dndResponse'),
+            voicemail: await get('calls.dndVoicemail'),
+            schedule: await get('calls.dndSchedule'),
+            quietHours: await get('calls.dndQuietHours'),
+            suspendedUntil: await get('calls.dndSuspendedUntil'),
+            vipFavorites: await get('calls.dndVipFavorites'),
+            vipTags: await get('calls.dndVipTags')
+        });
+        this.sipService.setScreening({
+            blocklist: await get('calls.blocklist'),
+            allowlist: await get('calls.allowlist'),
+            rejectAnonymous: await get('calls.rejectAnonymous'),
+            contactsOnly: await get('calls.contactsOnly'),
+            action: await get('calls.screeningAction'),
+            voicemail: await get('calls.screeningVoicemail')
+        });
+        this.checkDoNotDisturb();
+    }
+
+    /**
+     * Tell the renderer when Do Not Disturb turns on or off, by hand or as a schedule starts or ends
+     */
+    checkDoNotDisturb() {
+        const state = this.sipService.getDoNotDisturbState();
+        if (this.dndState && this.dndState.active === state.active && this.dndState.reason === state.reason && this.dndState.until === state.until) {
+            return;
+        }
+
+        this.dndState = state;
+        console.log(`🌙 Do Not Disturb ${state.active ? `on (${state.reason})` : 'off'}`);
+        this.mainWindow?.webContents.send('dnd-state', state);
+    }
+
+    async applyRingtoneSettings() {
+        this.ringtoneService.setRingtone(await this.settingsService.get('audio.ringtone'));
+        this.ringtoneService.setRingRules(await this.settingsService.get('audio.ringRules'));
+    }
+
+    /**
+     * Register as the OS handler for call links; unpackaged runs pass electron the app path
+     */
+    registerProtocolHandlers() {
+        for (const scheme of CallURI.SCHEMES) {
+            const registered = process.defaultApp
+                ? app.setAsDefaultProtocolClient(scheme, process.execPath, [path.resolve(process.argv[1])])
+                : app.setAsDefaultProtocolClient(scheme);
+
+            if (!registered) {
+                console.warn(`⚠️ Could not register FlexPhone for ${scheme}: links`);
+            }
+        }
+    }
+
+    /**
+     * Put a clicked tel:/sip:/sips:/callto: link in the dialer; dials straight away with calls.autoDialLinks
+     */
+    async handleCallURI(uri) {
+        const link = CallURI.parse(uri);
+        if (!link) {
+            console.warn(`⚠️ Ignoring unsupported link: ${uri}`);
+            return;
+        }
+
+        if (!this.isReady || !this.mainWindow || this.mainWindow.isDestroyed() || this.mainWindow.webContents.isLoading()) {
+            this.pendingCallURI = uri;
+            return;
+        }
+
+        console.log(`🔗 Call link: ${link.target}`);
+
+        if (this.mainWindow.isMinimized()) {
+            this.mainWindow.restore();
+        }
+        this.mainWindow.show();
+        this.mainWindow.focus();
+
+        this.mainWindow.webContents.send('show-dialer', {
+            number: link.target,
+            scheme: link.scheme,
+            subject: link.headers.subject || null,
+            autoDial: Boolean(await this.settingsService.get('calls.autoDialLinks'))
+        });
+    }
+
+    // Register saved accounts at startup; each keeps retrying on its own if its servers are down
+    async autoConnectAccounts() {
+        for (const account of await this.settingsService.getSIPAccounts()) {
+            const result = await this.sipService.connect(account);
+            if (!result.success) {
+                console.warn(`⚠️ Auto-connect for ${result.accountId}: ${result.error}`);
+            }
+        }
+    }
+
     createMainWindow() {
         // Prevent creating multiple windows
         if (this.mainWindow && !this.mainWindow.isDestroyed()) {
@@ -195,6 +327,12 @@ class FlexPhoneMain {
 
         this.mainWindow.webContents.once('did-finish-load', () => {
             console.log('📱 FlexPhone: Content finished loading');
+            if (this.pendingCallURI) {
+                const uri = this.pendingCallURI;
+                this.pendingCallURI = null;
+                this.handleCallURI(uri);
+            }
+
             // Ensure window is shown after content loads
             if (this.mainWindow && !this.mainWindow.isDestroyed() && !this.mainWindow.isVisible()) {
                 console.log('📱 FlexPhone: Showing window after content load');
@@ -245,12 +383,38 @@ class FlexPhoneMain {
             return await this.sipService.connect(config);
         });
 
-        ipcMain.handle('sip-disconnect', async () => {
-            return await this.sipService.disconnect();
+        ipcMain.handle('sip-disconnect', async (event, accountId) => {
+            return await this.sipService.disconnect(accountId);
+        });
+
+        ipcMain.handle('sip-connect-accounts', async () => {
+            const accounts = await this.settingsService.getSIPAccounts();
+            const results = [];
+            for (const account of accounts) {
+                results.push(await this.sipService.connect(account));
+            }
+            return results;
+        });
+
+        ipcMain.handle('sip-get-accounts', async () => {
+            return this.sipService.getAccounts();
+        });
+
+        ipcMain.handle('sip-set-default-account', async (event, accountId) => {
+            return this.sipService.setDefaultAccount(accountId);
+        });
+
+        ipcMain.handle('sip-save-account', async (event, account) => {
+            return await this.settingsService.saveSIPAccount(account);
+        });
+
+        ipcMain.handle('sip-remove-account', async (event, accountId) => {
+            await this.sipService.disconnect(accountId);
+            return await this.settingsService.removeSIPAccount(accountId);
         });
 
-        ipcMain.handle('sip-make-call', async (event, number) => {
-            return await this.sipService.makeCall(number);
+        ipcMain.handle('sip-make-call', async (event, number, options = {}) => {
+            return await this.sipService.makeCall(number, options);
         });
 
         ipcMain.handle('sip-answer-call', async (event, callId) => {
@@ -261,8 +425,85 @@ class FlexPhoneMain {
             return await this.sipService.hangupCall(callId);
         });
 
-        ipcMain.handle('sip-send-dtmf', async (event, digits) => {
-            return await this.sipService.sendDTMF(digits);
+        ipcMain.handle('sip-hold-call', async (event, callId, options = {}) => {
+            return await this.sipService.holdCall(callId, options);
+        });
+
+        ipcMain.handle('sip-resume-call', async (event, callId) => {
+            return await this.sipService.resumeCall(callId);
+        });
+
+        ipcMain.handle('sip-transfer-call', async (event, callId, target) => {
+            return await this.sipService.transferCall(callId, target);
+        });
+
+        ipcMain.handle('sip-join-conference', (event, callId) => {
+            return this.sipService.joinConference(callId);
+        });
+
+        ipcMain.handle('sip-leave-conference', (event, callId) => {
+            return this.sipService.leaveConference(callId);
+        });
+
+        ipcMain.handle('sip-set-conference-muted', (event, callId, muted) => {
+            return this.sipService.setConferenceMuted(callId, muted);
+        });
+
+        // Microphone frames stream in every few milliseconds, so they are sent rather than invoked
+        ipcMain.on('sip-conference-audio', (event, samples) => {
+            this.sipService.feedConferenceAudio(samples);
+        });
+
+        ipcMain.handle('sip-start-attended-transfer', async (event, callId, target) => {
+            return await this.sipService.startAttendedTransfer(callId, target);
+        });
+
+        ipcMain.handle('sip-complete-attended-transfer', async (event, callId) => {
+            return await this.sipService.completeAttendedTransfer(callId);
+        });
+
+        ipcMain.handle('sip-cancel-attended-transfer', async (event, callId) => {
+            return await this.sipService.cancelAttendedTransfer(callId);
+        });
+
+        ipcMain.handle('sip-send-dtmf', async (event, digits, callId) => {
+            return await this.sipService.sendDTMF(digits, callId);
+        });
+
+        ipcMain.handle('sip-continue-dialing', async (event, callId) => {
+            return await this.sipService.continueDialing(callId);
+        });
+
+        ipcMain.handle('sip-deflect-call', async (event, callId, target) => {
+            return await this.sipService.deflectCall(callId, target);
+        });
+
+        ipcMain.handle('sip-get-dnd-state', async () => {
+            return this.sipService.getDoNotDisturbState();
+        });
+
+        // Clears a blocked contact and updates calls.blocklist/calls.allowlist so the caller rings again
+        ipcMain.handle('sip-unblock-caller', async (event, number, accountId, contactId) => {
+            try {
+                const contact = contactId ? this.contactsService.getContact(contactId) : null;
+                if (contact && contact.blocked) {
+                    await this.contactsService.updateContact(contactId, { blocked: false });
+                }
+
+                const { blocklist, allowlist } = this.sipService.unblockCaller(number, accountId);
+                await this.settingsService.set('calls.blocklist', blocklist);
+                await this.settingsService.set('calls.allowlist', allowlist);
+                return { success: true, blocklist, allowlist };
+            } catch (error) {
+                console.error('❌ Unblock failed:', error);
+                return { success: false, error: error.message };
+            }
+        });
+
+        // Stored in calls.forwarding; the setting-changed listener hands it to the SIP service
+        ipcMain.handle('sip-set-forwarding', async (event, accountId, rules) => {
+            const forwarding = await this.settingsService.get('calls.forwarding');
+            return await this.settingsService.set('calls.forwarding', { ...forwarding, [accountId]: rules });
         });
 
         ipcMain.handle('sip-get-status', async () => {
@@ -270,8 +511,13 @@ class FlexPhoneMain {
         });
 
         // SMS Service handlers
-        ipcMain.handle('sms-send', async (event, to, message) => {
-            return await this.smsService.sendSMS(to, message);
+        ipcMain.handle('sms-send', async (event, to, message, options = {}) => {
+            // Send from the chosen account's number and provider
+            const account = options.accountId ? this.sipService.getAccount(options.accountId) : null;
+            if (account) {
+                options = { provider: account.config.provider, from: account.config.username, ...options };
+            }
+            return await this.smsService.sendSMS(to, message, options);
         });
 
         ipcMain.handle('sms-get-conversations', async () => {
@@ -329,6 +575,20 @@ class FlexPhoneMain {
             return await this.settingsService.getAll();
         });
 
+        // Ringtone handlers
+        ipcMain.handle('ringtone-get-available', async () => {
+            return this.ringtoneService.getAllAvailableRingtones();
+        });
+
+        // Feature handlers
+        ipcMain.handle('feature-is-enabled', (event, featureId) => {
+            return this.featureManager.isFeatureEnabled(featureId);
+        });
+
+        ipcMain.handle('feature-get-limit', (event, featureId, limitType) => {
+            return this.featureManager.getFeatureLimit(featureId, limitType);
+        });
+
         // App handlers
         ipcMain.handle('app-get-version', () => {
             return app.getVersion();
@@ -566,7 +826,7 @@ class FlexPhoneMain {
                     authenticatorTypes: ['platform', 'cross-platform'],
                     features: ['touchid', 'faceid', 'yubikey', 'fingerprint']
                 };
-            } catch (error) {
+            } catch (error) { // eslint-disable-line no-unreachable -- kept for when the check queries the platform
                 console.error('❌ Passkey support check failed:', error);
                 return { success: false, error: error.message };
             }
@@ -859,16 +1119,79 @@ class FlexPhoneMain {
             this.mainWindow?.webContents.send('sip-disconnected', data);
         });
 
+        this.sipService.on('connection-failed', (data) => {
+            this.mainWindow?.webContents.send('sip-connection-failed', data);
+        });
+
+        this.sipService.on('registration-state', (data) => {
+            this.mainWindow?.webContents.send('sip-registration-state', data);
+        });
+
+        // SIP MESSAGE lands in the SMS inbox tagged with the receiving account
+        this.sipService.on('message-received', (data) => {
+            this.smsService.receiveSMS(data.from, data.body, {
+                to: data.to,
+                provider: data.provider,
+                accountId: data.accountId
+            });
+        });
+
+        // Ring rules pick the ringtone per call; the renderer plays it
         this.sipService.on('incoming-call', (data) => {
-            this.mainWindow?.webContents.send('incoming-call', data);
+            const contact = data.contactId ? this.contactsService.getContact(data.contactId) : null;
+            this.mainWindow?.webContents.send('incoming-call', {
+                ...data,
+                ringtone: this.ringtoneService.ringtoneFor(data, contact)
+            });
         });
 
         this.sipService.on('call-answered', (data) => {
             this.mainWindow?.webContents.send('call-answered', data);
         });
 
+        this.sipService.on('call-state', (data) => {
+            this.mainWindow?.webContents.send('call-state', data);
+        });
+
+        this.sipService.on('transfer-progress', (data) => {
+            this.mainWindow?.webContents.send('transfer-progress', data);
+        });
+
+        this.sipService.on('dtmf-received', (data) => {
+            this.mainWindow?.webContents.send('dtmf-received', data);
+        });
+
+        this.sipService.on('post-dial-wait', (data) => {
+            this.mainWindow?.webContents.send('post-dial-wait', data);
+        });
+
+        this.sipService.on('call-forwarded', (data) => {
+            this.mainWindow?.webContents.send('call-forwarded', data);
+        });
+
+        this.sipService.on('dnd-rejected', (data) => {
+            this.mainWindow?.webContents.send('dnd-rejected', data);
+        });
+
+        this.sipService.on('call-screened', (data) => {
+            this.mainWindow?.webContents.send('call-screened', data);
+        });
+
+        this.sipService.on('conference-state', (data) => {
+            this.mainWindow?.webContents.send('conference-state', data);
+        });
+
+        this.sipService.on('conference-audio', (samples) => {
+            this.mainWindow?.webContents.send('conference-audio', samples);
+        });
+
+        this.sipService.on('call-quality', (data) => {
+            this.mainWindow?.webContents.send('call-quality', data);
+        });
+
         this.sipService.on('call-ended', (data) => {
             this.mainWindow?.webContents.send('call-ended', data);
+            this.callHistoryService.addCall({ ...data, status: data.outcome });
         });
 
         // SMS events
@@ -1054,8 +1377,15 @@ class FlexPhoneMain {
 // App event handlers
 const flexPhone = new FlexPhoneMain();
 
+// One instance owns the SIP accounts; later launches hand it their call links and quit
+const gotTheLock = app.requestSingleInstanceLock();
+if (!gotTheLock) {
+    console.log('📱 FlexPhone: Another instance is already running');
+    app.quit();
+}
+
 // Handle second instance - focus existing window
-app.on('second-instance', () => {
+app.on('second-instance', (event, argv) => {
     // Someone tried to run a second instance, focus our window instead
     if (flexPhone.mainWindow && !flexPhone.mainWindow.isDestroyed()) {
         if (flexPhone.mainWindow.isMinimized()) {
@@ -1064,17 +1394,29 @@ app.on('second-instance', () => {
         flexPhone.mainWindow.show();
         flexPhone.mainWindow.focus();
     }
+
+    // Windows and Linux pass a clicked link on the command line
+    const uri = CallURI.fromArgv(argv);
+    if (uri) {
+        flexPhone.handleCallURI(uri);
+    }
+});
+
+// macOS delivers clicked links here, including the one that launched us
+app.on('open-url', (event, url) => {
+    event.preventDefault();
+    flexPhone.handleCallURI(url);
 });
 
 app.whenReady().then(async () => {
+    if (!gotTheLock) return;
+
     console.log('📱 FlexPhone: App ready, initializing...');
 
-    // Simple single instance check after app is ready
-    const gotTheLock = app.requestSingleInstanceLock();
-    if (!gotTheLock) {
-        console.log('📱 FlexPhone: Another instance is already running');
-        app.quit();
-        return;
+    flexPhone.registerProtocolHandlers();
+    const launchURI = CallURI.fromArgv(process.argv);
+    if (launchURI) {
+        flexPhone.handleCallURI(launchURI);
     }
 
     await flexPhone.initialize();
@@ -1110,6 +1452,7 @@ app.on('before-quit', async () => {
     console.log('📱 FlexPhone shutting down...');
 
     // Cleanup services
+    clearInterval(flexPhone.dndTimer);
     if (flexPhone.sipService) {
         await flexPhone.sipService.disconnect();
     }
@@ -11,17 +11,37 @@ contextBridge.exposeInMainWorld('flexPhoneAPI', {
     // SIP API
     sip: {
         connect: (config) => ipcRenderer.invoke('sip-connect', config),
-        disconnect: () => ipcRenderer.invoke('sip-disconnect'),
-        makeCall: (number) => ipcRenderer.invoke('sip-make-call', number),
+        disconnect: (accountId) => ipcRenderer.invoke('sip-disconnect', accountId),
+        connectAccounts: () => ipcRenderer.invoke('sip-connect-accounts'),
+        getAccounts: () => ipcRenderer.invoke('sip-get-accounts'),
+        setDefaultAccount: (accountId) => ipcRenderer.invoke('sip-set-default-account', accountId),
+        saveAccount: (account) => ipcRenderer.invoke('sip-save-account', account),
+        removeAccount: (accountId) => ipcRenderer.invoke('sip-remove-account', accountId),
+        makeCall: (number, options) => ipcRenderer.invoke('sip-make-call', number, options),
         answerCall: (callId) => ipcRenderer.invoke('sip-answer-call', callId),
         hangupCall: (callId) => ipcRenderer.invoke('sip-hangup-call', callId),
-        sendDTMF: (digits) => ipcRenderer.invoke('sip-send-dtmf', digits),
+        holdCall: (callId, options) => ipcRenderer.invoke('sip-hold-call', callId, options),
+        resumeCall: (callId) => ipcRenderer.invoke('sip-resume-call', callId),
+        transferCall: (callId, target) => ipcRenderer.invoke('sip-transfer-call', callId, target),
+        deflectCall: (callId, target) => ipcRenderer.invoke('sip-deflect-call', callId, target),
+        setForwarding: (accountId, rules) => ipcRenderer.invoke('sip-set-forwarding', accountId, rules),
+        getDoNotDisturbState: () => ipcRenderer.invoke('sip-get-dnd-state'),
+        unblockCaller: (number, accountId, contactId) => ipcRenderer.invoke('sip-unblock-caller', number, accountId, contactId),
+        joinConference: (callId) => ipcRenderer.invoke('sip-join-conference', callId),
+        leaveConference: (callId) => ipcRenderer.invoke('sip-leave-conference', callId),
+        setConferenceMuted: (callId, muted) => ipcRenderer.invoke('sip-set-conference-muted', callId, muted),
+        sendConferenceAudio: (samples) => ipcRenderer.send('sip-conference-audio', samples),
+        startAttendedTransfer: (callId, target) => ipcRenderer.invoke('sip-start-attended-transfer', callId, target),
+        completeAttendedTransfer: (callId) => ipcRenderer.invoke('sip-complete-attended-transfer', callId),
+        cancelAttendedTransfer: (callId) => ipcRenderer.invoke('sip-cancel-attended-transfer', callId),
+        sendDTMF: (digits, callId) => ipcRenderer.invoke('sip-send-dtmf', digits, callId),
+        continueDialing: (callId) => ipcRenderer.invoke('sip-continue-dialing', callId),
         getStatus: () => ipcRenderer.invoke('sip-get-status')
     },
 
     // SMS API
     sms: {
-        send: (to, message) => ipcRenderer.invoke('sms-send', to, message),
+        send: (to, message, options) => ipcRenderer.invoke('sms-send', to, message, options),
         getConversations: () => ipcRenderer.invoke('sms-get-conversations'),
         getMessages: (conversationId) => ipcRenderer.invoke('sms-get-messages', conversationId),
         markRead: (messageId) => ipcRenderer.invoke('sms-mark-read', messageId)
@@ -49,6 +69,17 @@ contextBridge.exposeInMainWorld('flexPhoneAPI', {
         getAll: () => ipcRenderer.invoke('settings-get-all')
     },
 
+    // Ringtone API
+    ringtones: {
+        getAvailable: () => ipcRenderer.invoke('ringtone-get-available')
+    },
+
+    // Feature API
+    features: {
+        isEnabled: (featureId) => ipcRenderer.invoke('feature-is-enabled', featureId),
+        getLimit: (featureId, limitType) => ipcRenderer.invoke('feature-get-limit', featureId, limitType)
+    },
+
     // App API
     app: {
         getVersion: () => ipcRenderer.invoke('app-get-version'),
@@ -80,9 +111,22 @@ contextBridge.exposeInMainWorld('flexPhoneAPI', {
         const validChannels = [
             'sip-connected',
             'sip-disconnected',
+            'sip-connection-failed',
+            'sip-registration-state',
             'incoming-call',
             'call-answered',
+            'call-state',
             'call-ended',
+            'call-forwarded',
+            'dnd-state',
+            'dnd-rejected',
+            'call-screened',
+            'transfer-progress',
+            'conference-state',
+            'conference-audio',
+            'call-quality',
+            'dtmf-received',
+            'post-dial-wait',
             'sms-received',
             'sms-sent',
             'show-settings',
@@ -34,15 +34,25 @@ class CallHistoryService extends EventEmitter {
                 id: callData.id,
                 direction: callData.direction, // 'inbound' or 'outbound'
                 remoteNumber: callData.remoteNumber,
+                dialString: callData.dialString || null, // full dial string with post-dial digits, for redial
                 remoteName: callData.remoteName || null,
                 localNumber: callData.localNumber,
-                status: callData.status, // 'completed', 'missed', 'busy', 'failed'
+                status: callData.status, // 'completed', 'missed', 'declined', 'forwarded', 'blocked', 'busy', 'cancelled', 'failed'
+                sipCode: callData.sipCode || null,
+                cause: callData.cause || null,
+                accountId: callData.accountId || null,
+                forwardedTo: callData.forwardedTo || null,
+                forwardType: callData.forwardType || null, // 'always', 'busy', 'noAnswer', 'deflect', 'dnd' or 'screened'
+                doNotDisturb: callData.doNotDisturb || null, // 'manual', 'schedule' or 'quiet-hours' when DND turned the call away
+                contactId: callData.contactId || null,
+                screening: callData.screening || null, // { action, reason, rule } when screening blocked the call
                 startTime: callData.startTime,
                 connectTime: callData.connectTime,
                 endTime: callData.endTime,
                 duration: callData.duration || 0,
                 provider: callData.provider,
                 recording: callData.recording || null,
+                quality: callData.quality || null, // { samples, mos, minMos, rating, jitter, packetLoss, rtt (null when unmeasured), codec }
                 notes: callData.notes || '',
                 tags: callData.tags || []
             };
@@ -100,6 +110,8 @@ class CallHistoryService extends EventEmitter {
             inbound: 0,
             outbound: 0,
             missed: 0,
+            forwarded: 0,
+            blocked: 0,
             completed: 0,
             totalDuration: 0,
             averageDuration: 0,
@@ -126,6 +138,10 @@ class CallHistoryService extends EventEmitter {
             // Status stats
             if (call.status === 'missed') {
                 stats.missed++;
+            } else if (call.status === 'forwarded') {
+                stats.forwarded++;
+            } else if (call.status === 'blocked') {
+                stats.blocked++;
             } else if (call.status === 'completed') {
                 stats.completed++;
                 stats.totalDuration += call.duration;
@@ -156,12 +156,18 @@ class ContactsService extends EventEmitter {
         });
     }
 
-    findContactByPhoneNumber(phoneNumber) {
+    /**
+     * Contact with this number; with a dial plan, national, international and E.164 forms all match
+     */
+    findContactByPhoneNumber(phoneNumber, dialPlan = null) {
         const normalizedQuery = this.normalizePhoneNumber(phoneNumber);
 
         for (const contact of this.contacts.values()) {
             for (const phone of contact.phoneNumbers) {
-                if (this.normalizePhoneNumber(phone.number) === normalizedQuery) {
+                const matched = dialPlan
+                    ? dialPlan.matches(phone.number, phoneNumber)
+                    : this.normalizePhoneNumber(phone.number) === normalizedQuery;
+                if (matched) {
                     return contact;
                 }
             }
@@ -171,8 +177,8 @@ class ContactsService extends EventEmitter {
     }
 
     normalizePhoneNumber(phoneNumber) {
-        // Remove all non-digit characters
-        return phoneNumber.replace(/\D/g, '');
+        // Drop post-dial digits (after ',' or ';'), then all non-digit characters
+        return phoneNumber.split(/[,;]/)[0].replace(/\D/g, '');
     }
 
     generateContactId() {
@@ -4,8 +4,9 @@
  * Based on open-source best practices from JsSIP, SaraPhone, and WebRTC standards
  */
 
-const { SimpleUser, UserAgent, UserAgentOptions } = require('sip.js');
+const { SimpleUser, UserAgent } = require('sip.js');
 const EventEmitter = require('events');
+const DigestAuth = require('../sip/DigestAuth');
 
 class EnhancedSIPService extends EventEmitter {
     constructor() {
@@ -114,6 +115,7 @@ class EnhancedSIPService extends EventEmitter {
                 server: config.server || provider.defaultServer,
                 port: config.port || provider.defaultPort,
                 username: config.username,
+                authUsername: config.authUsername || config.username,
                 password: config.password,
                 displayName: config.displayName || config.username,
                 webSocketServer: config.webSocketServer || provider.webSocketServer,
@@ -165,6 +167,10 @@ class EnhancedSIPService extends EventEmitter {
 
             this.simpleUser = new SimpleUser(sipConfig.webSocketServer, simpleUserOptions);
 
+            // SIP.js only speaks MD5 digest; registration challenges are answered by DigestAuth (SHA-256, SHA-512-256, auth-int)
+            this.installDigestAuth(this.userAgent, sipConfig);
+            this.installDigestAuth(this.simpleUser.sessionManager.userAgent, sipConfig);
+
             // Set up authentication
             this.simpleUser.delegate = {
                 onCallCreated: (call) => {
@@ -227,12 +233,43 @@ class EnhancedSIPService extends EventEmitter {
         }
     }
 
+    /**
+     * Replace SIP.js credential generation with DigestAuth; a challenge it cannot answer fails the request
+     */
+    installDigestAuth(userAgent, sipConfig) {
+        const digest = new DigestAuth({
+            username: sipConfig.authUsername,
+            password: sipConfig.password
+        });
+
+        userAgent.userAgentCore.configuration.authenticationFactory = () => {
+            let credentials = null;
+
+            return {
+                authenticate: (request, challenge) => {
+                    try {
+                        credentials = digest.createCredentials(challenge, {
+                            method: request.method,
+                            uri: request.ruri.toString(),
+                            body: request.body ? request.body.body : ''
+                        });
+                        return true;
+                    } catch (error) {
+                        console.warn('⚠️ Cannot answer digest challenge:', error.message);
+                        return false;
+                    }
+                },
+                toString: () => credentials
+            };
+        };
+    }
+
     async disconnect() {
         try {
             console.log('📞 Disconnecting from SIP server...');
 
             // End all active calls
-            for (const [callId, call] of this.activeCalls) {
+            for (const call of this.activeCalls.values()) {
                 if (call.sipCall) {
                     await call.sipCall.hangup();
                 }
@@ -35,7 +35,7 @@ class FeatureManagementService extends EventEmitter {
             'pro.concurrent_calls': { enabled: false, level: 'professional', name: 'Multiple Concurrent Calls', maxCalls: 5 },
             'pro.call_waiting': { enabled: false, level: 'professional', name: 'Call Waiting' },
             'pro.voicemail_advanced': { enabled: false, level: 'professional', name: 'Advanced Voicemail' },
-            'pro.conference_calls': { enabled: false, level: 'professional', name: 'Conference Calling' },
+            'pro.conference_calls': { enabled: false, level: 'professional', name: 'Conference Calling', maxParticipants: 5 },
 
             // Enterprise Features
             'ent.cloud_recording': { enabled: false, level: 'enterprise', name: 'Cloud Call Recording' },
@@ -4,6 +4,10 @@
  */
 
 const EventEmitter = require('events');
+const { pathToFileURL } = require('url');
+
+// What a ring rule can match on an incoming call
+const RULE_TYPES = ['alert-info', 'contact', 'tag', 'account'];
 
 class RingtoneService extends EventEmitter {
     constructor() {
@@ -15,7 +19,9 @@ class RingtoneService extends EventEmitter {
         this.customRingtonePath = null;
         this.remoteRingtones = [];
         this.localServerRingtones = [];
+        this.localServerUrl = null;
         this.lastRemoteSync = null;
+        this.ringRules = [];
 
         // Built-in ringtone patterns
         this.ringtonePatterns = {
@@ -85,9 +91,9 @@ class RingtoneService extends EventEmitter {
     }
 
     /**
-     * Start playing the selected ringtone
+     * Start playing the ringtone for an incoming call (the selected one when no rule matches)
      */
-    async startRinging() {
+    async startRinging(call = null, contact = null) {
         if (this.isPlaying) {
             return;
         }
@@ -95,14 +101,17 @@ class RingtoneService extends EventEmitter {
         try {
             this.isPlaying = true;
 
-            if (this.selectedRingtone === 'custom' && this.customRingtonePath) {
-                await this.playCustomRingtone();
+            const ringtone = this.ringtoneFor(call, contact);
+            if (ringtone.type === 'custom' && ringtone.customPath) {
+                await this.playCustomRingtone(ringtone.customPath);
+            } else if (ringtone.type === 'remote' || ringtone.type === 'server') {
+                await this.playRemoteRingtone(ringtone.originalId, ringtone.server);
             } else {
-                await this.playBuiltInRingtone(this.selectedRingtone);
+                await this.playBuiltInRingtone(ringtone.id);
             }
 
-            console.log(`🔊 Started ringing with '${this.selectedRingtone}' ringtone`);
-            this.emit('ringStart', { ringtone: this.selectedRingtone });
+            console.log(`🔊 Started ringing with '${ringtone.id}' ringtone${ringtone.rule ? ` (rule: ${ringtone.rule})` : ''}`);
+            this.emit('ringStart', { ringtone: ringtone.id, rule: ringtone.rule });
 
         } catch (error) {
             console.error('❌ Failed to start ringing:', error);
@@ -160,10 +169,10 @@ class RingtoneService extends EventEmitter {
     /**
      * Play a custom ringtone file
      */
-    async playCustomRingtone() {
+    async playCustomRingtone(filePath = this.customRingtonePath) {
         // Implementation for custom ringtone files
         // This would load and play a custom audio file
-        console.log(`🎵 Playing custom ringtone: ${this.customRingtonePath}`);
+        console.log(`🎵 Playing custom ringtone: ${filePath}`);
 
         // Fallback to default if custom fails
         await this.playBuiltInRingtone('default');
@@ -322,6 +331,80 @@ class RingtoneService extends EventEmitter {
         };
     }
 
+    /**
+     * Ring rules, checked in order: { name, match: alert-info|contact|tag|account, value, ringtone, customPath }.
+     * ringtone is an id from getAllAvailableRingtones()
+     */
+    setRingRules(rules = []) {
+        this.ringRules = (Array.isArray(rules) ? rules : [])
+            .filter(rule => rule && RULE_TYPES.includes(rule.match) && rule.value && rule.ringtone)
+            .map((rule, index) => ({
+                name: rule.name || `Rule ${index + 1}`,
+                match: rule.match,
+                value: String(rule.value),
+                ringtone: String(rule.ringtone),
+                customPath: rule.customPath || null
+            }));
+
+        console.log(`🔔 ${this.ringRules.length} ring rules set`);
+        this.emit('ringRulesChanged', { rules: this.ringRules });
+    }
+
+    /**
+     * Ringtone for an incoming call: { id, name, type, source, rule, pattern or url, customPath, originalId, server }.
+     * call carries alertInfo and accountId; contact is the caller's contact, if any
+     */
+    ringtoneFor(call = null, contact = null) {
+        const rule = call ? this.ringRules.find(candidate => this.matchesRule(candidate, call, contact)) : null;
+        const ringtone = rule ? this.describeRingtone(rule.ringtone, rule.customPath) : null;
+
+        return ringtone
+            ? { ...ringtone, rule: rule.name }
+            : { ...this.describeRingtone(this.selectedRingtone, this.customRingtonePath), rule: null };
+    }
+
+    matchesRule(rule, call, contact) {
+        const value = rule.value.toLowerCase();
+
+        switch (rule.match) {
+            case 'alert-info':
+                // "external" matches info=external and Polycom-style info=alert-external; URIs match by substring
+                return (call.alertInfo || []).some(entry => {
+                    const alert = String(entry).toLowerCase();
+                    return alert === value || alert.replace(/^alert-/, '') === value.replace(/^alert-/, '') ||
+                           (alert.includes(':') && alert.includes(value));
+                });
+            case 'contact':
+                return Boolean(contact) && (contact.id === rule.value || (contact.displayName || '').toLowerCase() === value);
+            case 'tag':
+                return Boolean(contact) && (contact.tags || []).some(tag => String(tag).toLowerCase() === value);
+            case 'account':
+                return [call.accountId, call.accountLabel, call.localNumber]
+                    .some(account => account && String(account).toLowerCase() === value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Everything needed to play a ringtone id; unknown or unsynced ids fall back to the default ring
+     */
+    describeRingtone(ringtoneId, customPath = null) {
+        if (ringtoneId === 'custom' && customPath) {
+            return { id: 'custom', name: 'Custom Ringtone', type: 'custom', source: 'local', customPath, url: pathToFileURL(customPath).href };
+        }
+
+        const synced = this.getAllAvailableRingtones()
+            .find(ringtone => ringtone.id === ringtoneId && (ringtone.type === 'remote' || ringtone.type === 'server'));
+        if (synced) {
+            const server = synced.server || this.localServerUrl;
+            return { ...synced, server, url: `${server}/api/ringtones/${synced.originalId}/download` };
+        }
+
+        const id = this.ringtonePatterns[ringtoneId] ? ringtoneId : 'default';
+        return { id, name: this.ringtonePatterns[id].name, type: 'built-in', source: 'local', pattern: this.ringtonePatterns[id].pattern };
+    }
+
     /**
      * Sync ringtones from remote FlexPBX servers
      */
@@ -347,7 +430,7 @@ class RingtoneService extends EventEmitter {
             }
 
             const data = await response.json();
-            this.remoteRingtones = data.ringtones || [];
+            this.remoteRingtones = (data.ringtones || []).map(ringtone => ({ ...ringtone, server: ringtone.server || serverUrl }));
             this.lastRemoteSync = new Date();
 
             console.log(`✅ Synced ${this.remoteRingtones.length} ringtones from remote server`);
@@ -385,6 +468,7 @@ class RingtoneService extends EventEmitter {
 
             const data = await response.json();
             this.localServerRingtones = data.ringtones || [];
+            this.localServerUrl = serverUrl;
 
             console.log(`✅ Synced ${this.localServerRingtones.length} ringtones from local server`);
             this.emit('localRingtonesSynced', {
@@ -554,4 +638,6 @@ class RingtoneService extends EventEmitter {
     }
 }
 
+RingtoneService.RULE_TYPES = RULE_TYPES;
+
 module.exports = RingtoneService;
\ No newline at end of file
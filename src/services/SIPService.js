@@ -5,6 +5,29 @@
 
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const SIPUserAgent = require('../sip/SIPUserAgent');
+const SIPTransport = require('../sip/SIPTransport');
+const RegistrationManager = require('../sip/RegistrationManager');
+const KeepAliveManager = require('../sip/KeepAliveManager');
+const CallStateMachine = require('../sip/CallStateMachine');
+const SIPResolver = require('../sip/SIPResolver');
+const SIPMessage = require('../sip/SIPMessage');
+const SDP = require('../sip/SDP');
+const RTPSession = require('../sip/RTPSession');
+const CallQualityMonitor = require('../sip/CallQualityMonitor');
+const DTMF = require('../sip/DTMF');
+const DialString = require('../sip/DialString');
+const DialPlan = require('../sip/DialPlan');
+const AutoAnswer = require('../sip/AutoAnswer');
+const CallForwarding = require('../sip/CallForwarding');
+const DoNotDisturb = require('../sip/DoNotDisturb');
+const CallScreening = require('../sip/CallScreening');
+const ConferenceBridge = require('../sip/ConferenceBridge');
+const CallURI = require('../sip/CallURI');
+
+// Random wait (ms) before retrying a re-INVITE that met glare; longer for the side that owns the Call-ID (RFC 3261 section 14.1)
+const GLARE_RETRY_DELAYS = { owner: [2100, 4000], other: [0, 2000] };
+const MAX_GLARE_RETRIES = 3;
 
 class SIPService extends EventEmitter {
     constructor() {
@@ -18,6 +41,13 @@ class SIPService extends EventEmitter {
                 transport: 'UDP',
                 features: ['calls', 'sms', 'presence', 'conference']
             },
+            FLEXPBX_LOCAL: {
+                name: 'FlexPBX Local (Demo)',
+                defaultServer: '127.0.0.1',
+                defaultPort: 5070,
+                transport: 'UDP',
+                features: ['calls', 'conference']
+            },
             CALLCENTRIC: {
                 name: 'CallCentric',
                 defaultServer: 'sip.callcentric.com',
@@ -35,14 +65,14 @@ class SIPService extends EventEmitter {
             TWILIO: {
                 name: 'Twilio',
                 defaultServer: 'edge.twilio.com',
-                defaultPort: 5060,
+                defaultPort: 5061,
                 transport: 'TLS',
                 features: ['calls', 'sms', 'video']
             },
             GOOGLE_VOICE: {
                 name: 'Google Voice',
                 defaultServer: 'voice.google.com',
-                defaultPort: 5060,
+                defaultPort: 5061,
                 transport: 'TLS',
                 features: ['calls', 'sms', 'voicemail']
             },
@@ -55,15 +85,55 @@ class SIPService extends EventEmitter {
             }
         };
 
-        // Connection state
-        this.isConnected = false;
-        this.currentConfig = null;
-        this.registrationState = 'unregistered';
+        // Registered accounts (accountId -> { id, label, config, userAgent, registration, registrationState, isConnected })
+        this.accounts = new Map();
+        this.defaultAccountId = null;
+
+        // Injected by the main process to enforce provider limits
+        this.featureManager = null;
+        this.contactsService = null;
+
+        // Auto-answer policy for incoming calls; the main process applies the calls.autoAnswer* settings
+        this.autoAnswerSettings = AutoAnswer.settingsFor();
+
+        // Client-side forwarding per account id (the calls.forwarding setting); wins over the account config
+        this.forwardingRules = {};
+
+        // Do Not Disturb for all accounts; the main process applies the calls.dnd* settings
+        this.doNotDisturb = new DoNotDisturb();
+
+        // Call screening for all accounts, before anything rings; the main process applies the calls.* lists
+        this.screening = new CallScreening();
+
+        // Codec order for accounts without their own; the main process applies advanced.codecPreference
+        this.defaultCodecs = ['PCMU', 'PCMA'];
+
+        // RFC 3263 server location; replace with a SIPResolver over a DNS stand-in to test without real DNS
+        this.resolver = new SIPResolver();
+
+        // RFC 5626 instance ID shared by all accounts; the main process sets the persisted one
+        this.instanceId = crypto.randomUUID();
 
         // Call management
         this.activeCalls = new Map();
         this.callHistory = [];
 
+        // SIP state per call (transactions, dialogs, RTP), kept apart so call objects stay serializable
+        this.callSessions = new Map();
+        this.ringTimeout = 30000;
+
+        // Jitter, loss and MOS per connected call, re-emitted as 'call-quality'
+        this.qualityMonitor = new CallQualityMonitor();
+        this.qualityMonitor.on('call-quality', (quality) => this.emit('call-quality', quality));
+
+        // Local conference: connected calls' RTP and the local microphone mixed here, each party hearing the others
+        this.conference = new ConferenceBridge();
+        this.conference.on('local-audio', (samples) => this.emit('conference-audio', samples));
+        this.glareRetryDelays = GLARE_RETRY_DELAYS;
+
+        // Give up on a transfer the transferee stops reporting on
+        this.transferTimeout = 60000;
+
         // Audio management
         this.audioContext = null;
         this.localStream = null;
@@ -88,9 +158,168 @@ class SIPService extends EventEmitter {
         }
     }
 
+    // Single-account view kept for callers that predate multiple accounts
+    get isConnected() {
+        return Array.from(this.accounts.values()).some(account => account.isConnected);
+    }
+
+    get currentConfig() {
+        const account = this.getAccount();
+        return account ? account.config : null;
+    }
+
+    get registrationState() {
+        const account = this.getAccount();
+        return account ? account.registrationState : 'unregistered';
+    }
+
+    setFeatureManager(featureManager) {
+        this.featureManager = featureManager;
+    }
+
+    // Caller IDs on incoming calls are looked up here with the account's dial plan
+    setContactsService(contactsService) {
+        this.contactsService = contactsService;
+    }
+
+    /**
+     * Which incoming calls answer themselves: { policy, delay, trusted, whenBusy } (see AutoAnswer)
+     */
+    setAutoAnswerSettings(settings) {
+        this.autoAnswerSettings = AutoAnswer.settingsFor(settings);
+    }
+
+    /**
+     * { enabled, response, voicemail, schedule, quietHours, suspendedUntil, vipFavorites, vipTags } (see DoNotDisturb)
+     */
+    setDoNotDisturb(settings) {
+        this.doNotDisturb = new DoNotDisturb(settings);
+    }
+
+    /**
+     * { blocklist, allowlist, rejectAnonymous, contactsOnly, action, voicemail } (see CallScreening)
+     */
+    setScreening(settings) {
+        this.screening = new CallScreening(settings);
+    }
+
+    /**
+     * Let a caller through screening again, matching with the account's dial plan; returns the new lists
+     */
+    unblockCaller(number, accountId = null) {
+        const account = this.accounts.get(accountId) || this.accounts.get(this.defaultAccountId);
+        return this.screening.unblock(number, account ? account.config.dialPlan : undefined);
+    }
+
+    /**
+     * { active, reason, until }; until is when a schedule or quiet hours window ends
+     */
+    getDoNotDisturbState(date = new Date()) {
+        const reason = this.doNotDisturb.reasonAt(date);
+        const until = this.doNotDisturb.activeUntil(date);
+        return { active: reason !== null, reason, until: until ? until.toISOString() : null };
+    }
+
+    /**
+     * Forwarding per account id: { always, busy, noAnswer, noAnswerTimeout } (see CallForwarding)
+     */
+    setForwardingRules(rulesByAccount = {}) {
+        this.forwardingRules = { ...rulesByAccount };
+
+        for (const account of this.accounts.values()) {
+            if (this.forwardingRules[account.id]) {
+                account.config.forwarding = new CallForwarding(this.forwardingRules[account.id]);
+            }
+        }
+    }
+
+    setInstanceId(instanceId) {
+        this.instanceId = instanceId;
+    }
+
+    setDefaultCodecs(codecs) {
+        const names = SDP.parseCodecList(codecs);
+        if (names.length > 0) {
+            this.defaultCodecs = names;
+        }
+    }
+
+    /**
+     * How many accounts may be registered at once under the current license
+     */
+    getAccountLimit() {
+        if (!this.featureManager) {
+            return Infinity;
+        }
+
+        if (this.featureManager.isFeatureEnabled('ent.unlimited_providers')) {
+            return Infinity;
+        }
+
+        // Community installs keep a single account; the professional feature raises it to maxProviders
+        return Math.max(1, this.featureManager.getFeatureLimit('pro.external_providers', 'maxProviders'));
+    }
+
+    /**
+     * How many calls may be up at once; community installs get a single line
+     */
+    getCallLimit() {
+        if (!this.featureManager) {
+            return Infinity;
+        }
+
+        return Math.max(1, this.featureManager.getFeatureLimit('pro.concurrent_calls', 'maxCalls'));
+    }
+
+    /**
+     * Look up an account; without an id, the default account if registered, else any registered one
+     */
+    getAccount(accountId = null) {
+        if (accountId) {
+            return this.accounts.get(accountId) || null;
+        }
+
+        const preferred = this.accounts.get(this.defaultAccountId);
+        if (preferred && preferred.isConnected) {
+            return preferred;
+        }
+
+        return Array.from(this.accounts.values()).find(account => account.isConnected) || preferred || null;
+    }
+
+    getAccounts() {
+        return Array.from(this.accounts.values()).map(account => ({
+            id: account.id,
+            label: account.label,
+            provider: account.config.provider,
+            server: account.config.server,
+            username: account.config.username,
+            registrar: account.registrar,
+            registrationState: account.registrationState,
+            isConnected: account.isConnected,
+            isDefault: account.id === this.defaultAccountId
+        }));
+    }
+
+    setDefaultAccount(accountId) {
+        if (!this.accounts.has(accountId)) {
+            return { success: false, error: `Unknown account: ${accountId}` };
+        }
+
+        this.defaultAccountId = accountId;
+        this.emit('default-account-changed', { accountId });
+        return { success: true, accountId };
+    }
+
+    /**
+     * Register an account; reusing an accountId replaces that account
+     */
     async connect(config) {
+        const accountId = config.accountId || 'primary';
+        let account = null;
+
         try {
-            console.log(`📞 Connecting to ${config.provider} SIP server...`);
+            console.log(`📞 Connecting ${accountId} to ${config.provider} SIP server...`);
 
             // Validate configuration
             const validationResult = this.validateConfig(config);
@@ -98,85 +327,151 @@ class SIPService extends EventEmitter {
                 throw new Error(`Invalid config: ${validationResult.error}`);
             }
 
-            // Get provider defaults
+            if (this.accounts.has(accountId)) {
+                await this.disconnect(accountId);
+            } else if (this.accounts.size >= this.getAccountLimit()) {
+                throw new Error(`Account limit reached (${this.getAccountLimit()}); upgrade to register more providers`);
+            }
+
+            // Get provider defaults; overriding the transport also changes the default port
             const provider = this.sipProviders[config.provider];
+            const transport = (config.transport || provider.transport).toUpperCase();
+            const defaultPort = transport === provider.transport ? provider.defaultPort : SIPResolver.DEFAULT_PORTS[transport];
             const sipConfig = {
                 provider: config.provider,
                 server: config.server || provider.defaultServer,
-                port: config.port || provider.defaultPort,
+                port: config.port || defaultPort,
+                domain: config.domain || config.server || provider.defaultServer,
                 username: config.username,
+                authUsername: config.authUsername || config.username,
                 password: config.password,
                 displayName: config.displayName || config.username,
-                transport: config.transport || provider.transport,
+                transport,
+                tlsVerify: config.tlsVerify !== false,
+                keepAlive: config.keepAlive !== false,
+                keepAliveMethod: config.keepAliveMethod || 'crlf',
+                keepAliveInterval: config.keepAliveInterval || null,
+                outbound: config.outbound !== false,
+                rewriteContact: config.rewriteContact !== false,
+                instanceId: this.instanceId,
+                expires: config.expires || 3600,
+                fallbackServers: config.fallbackServers || [],
+                codecs: config.codecs ? SDP.parseCodecList(config.codecs) : this.defaultCodecs,
+                opus: { ...SDP.OPUS_DEFAULTS, ...config.opus },
+                dtmf: DTMF.settingsFor(config),
+                dialPlan: new DialPlan(config.dialPlan),
+                forwarding: new CallForwarding(this.forwardingRules[accountId] || config.forwarding),
                 features: provider.features
             };
 
-            // Store current config
-            this.currentConfig = sipConfig;
+            account = {
+                id: accountId,
+                label: config.label || `${provider.name} (${sipConfig.username})`,
+                config: sipConfig,
+                userAgent: null,
+                registration: null,
+                keepAlive: null,
+                registrar: null,
+                registrationState: 'registering',
+                isConnected: false
+            };
 
-            // Simulate SIP registration
-            await this.simulateSIPRegistration(sipConfig);
+            this.accounts.set(accountId, account);
+            if (!this.defaultAccountId || config.isDefault) {
+                this.defaultAccountId = accountId;
+            }
 
-            // Set connected state
-            this.isConnected = true;
-            this.registrationState = 'registered';
+            console.log('🔐 Registering with SIP server...');
+            const userAgent = new SIPUserAgent(sipConfig);
+            await userAgent.start();
 
-            console.log(`✅ Connected to ${provider.name}`);
-            console.log(`   Server: ${sipConfig.server}:${sipConfig.port}`);
-            console.log(`   Username: ${sipConfig.username}`);
-            console.log(`   Transport: ${sipConfig.transport}`);
+            account.userAgent = userAgent;
+            this.attachUserAgent(account);
 
-            this.emit('connected', {
-                provider: sipConfig.provider,
-                server: sipConfig.server,
-                username: sipConfig.username,
-                features: sipConfig.features
+            // Renews before expiry, fails over to fallbackServers and returns to the primary when it recovers.
+            // Without an explicit port the servers are located through NAPTR/SRV
+            account.registration = new RegistrationManager(userAgent, {
+                expires: sipConfig.expires,
+                registrars: [{ server: sipConfig.server, port: config.port || null }, ...sipConfig.fallbackServers],
+                resolver: this.resolver,
+                defaultPort
             });
+            account.registration.on('state', (details) => this.handleRegistrationState(account, details));
+
+            // Keeps NAT bindings open while registered; a dead flow triggers an immediate re-registration
+            if (sipConfig.keepAlive) {
+                account.keepAlive = new KeepAliveManager(userAgent, {
+                    method: sipConfig.keepAliveMethod,
+                    interval: sipConfig.keepAliveInterval
+                });
+                account.keepAlive.on('flow-failed', (details) => {
+                    console.warn(`⚠️ Flow to ${details.server}:${details.port} lost (${details.reason}); re-registering ${account.id}`);
+                    if (account.registration) account.registration.reregister();
+                });
+            }
+
+            const result = await account.registration.start();
+            const status = result.response ? `${result.response.status} ${result.response.reason}` : 'no response';
+
+            if (!result.success && !result.retrying) {
+                userAgent.stop();
+                account.userAgent = null;
+                throw new Error(`Registration failed: ${status}`);
+            }
+
+            if (!result.success) {
+                // Still retrying in the background; 'connected' fires once a registrar accepts
+                return {
+                    success: false,
+                    accountId,
+                    retrying: true,
+                    error: `Registration failed: ${status} (retrying)`
+                };
+            }
 
             return {
                 success: true,
+                accountId,
                 message: `Connected to ${provider.name}`,
                 config: sipConfig
             };
 
         } catch (error) {
             console.error('❌ SIP connection failed:', error);
-            this.isConnected = false;
-            this.registrationState = 'failed';
 
-            this.emit('connection-failed', { error: error.message });
+            // Failed accounts stay listed so their status is visible
+            if (account) {
+                account.isConnected = false;
+                account.registrationState = 'failed';
+            }
+
+            this.emit('connection-failed', { accountId, error: error.message });
 
             return {
                 success: false,
+                accountId,
                 error: error.message
             };
         }
     }
 
-    async disconnect() {
+    /**
+     * Unregister one account, or every account when no id is given
+     */
+    async disconnect(accountId = null) {
         try {
-            if (!this.isConnected) {
+            const accounts = accountId
+                ? [this.accounts.get(accountId)].filter(Boolean)
+                : Array.from(this.accounts.values());
+
+            if (accounts.length === 0) {
                 return { success: true, message: 'Not connected' };
             }
 
-            console.log('📞 Disconnecting from SIP server...');
-
-            // End all active calls
-            for (const [callId, call] of this.activeCalls) {
-                await this.hangupCall(callId);
+            for (const account of accounts) {
+                await this.disconnectAccount(account);
             }
 
-            // Clear state
-            this.isConnected = false;
-            this.registrationState = 'unregistered';
-            this.currentConfig = null;
-
-            console.log('✅ Disconnected from SIP server');
-
-            this.emit('disconnected', {
-                timestamp: new Date().toISOString()
-            });
-
             return {
                 success: true,
                 message: 'Disconnected successfully'
@@ -191,40 +486,197 @@ class SIPService extends EventEmitter {
         }
     }
 
+    async disconnectAccount(account) {
+        console.log(`📞 Disconnecting ${account.id} from SIP server...`);
+
+        // End the account's active calls
+        for (const call of Array.from(this.activeCalls.values())) {
+            if (call.accountId === account.id) {
+                await this.hangupCall(call.id);
+            }
+        }
+
+        if (account.keepAlive) {
+            account.keepAlive.stop();
+            account.keepAlive = null;
+        }
+
+        if (account.registration) {
+            await account.registration.stop();
+            account.registration = null;
+        }
+
+        if (account.userAgent) {
+            account.userAgent.stop();
+            account.userAgent = null;
+        }
+
+        account.isConnected = false;
+        account.registrationState = 'unregistered';
+        this.accounts.delete(account.id);
+
+        if (this.defaultAccountId === account.id) {
+            const next = this.accounts.keys().next();
+            this.defaultAccountId = next.done ? null : next.value;
+        }
+
+        console.log(`✅ Disconnected ${account.id} from SIP server`);
+
+        this.emit('disconnected', {
+            accountId: account.id,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Mirror registration state onto the account; connected/connection-lost fire on transitions
+     */
+    handleRegistrationState(account, details) {
+        const wasConnected = account.isConnected;
+        const { config } = account;
+
+        account.registrationState = details.state;
+        account.registrar = details.registrar;
+        account.isConnected = account.registration.isRegistered;
+
+        if (account.keepAlive) {
+            if (details.state === 'registered') {
+                account.keepAlive.start(account.registration.registrar, {
+                    flowTimer: details.flowTimer,
+                    outbound: details.outbound
+                });
+            } else if (!account.isConnected) {
+                account.keepAlive.stop();
+            }
+        }
+
+        this.emit('registration-state', {
+            accountId: account.id,
+            label: account.label,
+            ...details
+        });
+
+        if (!wasConnected && account.isConnected) {
+            console.log(`✅ Connected to ${this.sipProviders[config.provider].name} (${account.id})`);
+            console.log(`   Server: ${details.registrar}${details.isFallback ? ' (fallback)' : ''}`);
+            console.log(`   Username: ${config.username}`);
+            console.log(`   Transport: ${config.transport}`);
+
+            this.emit('connected', {
+                accountId: account.id,
+                label: account.label,
+                provider: config.provider,
+                server: config.server,
+                registrar: details.registrar,
+                username: config.username,
+                features: config.features
+            });
+        } else if (wasConnected && !account.isConnected && !account.registration.stopped) {
+            console.warn(`⚠️ ${account.id} lost its registration (${details.state})`);
+
+            this.emit('connection-lost', {
+                accountId: account.id,
+                label: account.label,
+                state: details.state,
+                status: details.status || null,
+                reason: details.reason || null
+            });
+        }
+    }
+
+    /**
+     * Place a call; options.accountId picks the account, otherwise the default one is used
+     */
     async makeCall(number, options = {}) {
         try {
-            if (!this.isConnected) {
-                throw new Error('Not connected to SIP server');
+            const account = this.getAccount(options.accountId);
+            if (!account) {
+                throw new Error(options.accountId ? `Unknown account: ${options.accountId}` : 'Not connected to SIP server');
+            }
+
+            if (!account.isConnected) {
+                throw new Error(`Account ${account.id} is not registered`);
+            }
+
+            // A transferee's new call takes over the referring one, so it needs no extra line
+            if (!options.referredBy && this.activeCalls.size >= this.getCallLimit()) {
+                throw new Error(`Call limit reached (${this.getCallLimit()}); upgrade for more concurrent calls`);
+            }
+
+            // Digits after ',' or ';' are sent once the call connects
+            const dialString = new DialString(number);
+            if (!dialString.number) {
+                throw new Error('No number to dial');
+            }
+
+            const { config, userAgent } = account;
+            const route = config.dialPlan.route(dialString.number);
+            if (route.blocked) {
+                throw new Error(`${dialString.number} is blocked by the dial plan (${route.blocked})`);
             }
 
             const callId = this.generateCallId();
             const call = {
                 id: callId,
                 direction: 'outbound',
-                remoteNumber: number,
-                localNumber: this.currentConfig.username,
+                accountId: account.id,
+                accountLabel: account.label,
+                remoteNumber: dialString.number,
+                dialString: dialString.hasPostDial ? String(number).trim() : null,
+                e164: route.e164,
+                localNumber: config.username,
+                state: 'trying',
                 status: 'connecting',
+                earlyMedia: false,
+                codec: null,
+                telephoneEvent: null,
+                localHold: false,
+                remoteHold: false,
                 startTime: new Date(),
                 connectTime: null,
                 endTime: null,
                 duration: 0,
-                provider: this.currentConfig.provider,
+                provider: config.provider,
                 options: options
             };
 
+            const rtp = new RTPSession();
+            await rtp.open();
+            this.listenForDTMF(callId, rtp);
+
+            const session = this.createSession(call, {
+                role: 'uac',
+                account,
+                invite: null,
+                rtp,
+                postDial: dialString.hasPostDial ? dialString : null
+            });
+            const offer = this.describeMedia(session);
+
             this.activeCalls.set(callId, call);
 
-            console.log(`📞 Making call: ${this.currentConfig.username} → ${number}`);
+            console.log(`📞 Making call: ${config.username} → ${route.dialed} (${route.type})`);
+
+            session.invite = userAgent.invite(this.buildTargetURI(route.dialed, config), {
+                body: offer,
+                headers: options.headers,
+                onProvisional: (response) => this.handleProvisional(call, response)
+            });
 
-            // Simulate call connection process
-            await this.simulateCallConnection(call);
+            this.callSessions.set(callId, session);
+            session.invite.promise
+                .then(result => this.handleInviteResult(account, call, result))
+                .catch(error => {
+                    console.warn(`⚠️ Call ${callId} failed: ${error.message}`);
+                    this.finishCall(callId, { reason: error.message });
+                });
 
             this.emit('call-initiated', call);
 
             return {
                 success: true,
                 callId: callId,
-                message: `Calling ${number}...`
+                message: `Calling ${dialString.number}...`
             };
 
         } catch (error) {
@@ -239,18 +691,46 @@ class SIPService extends EventEmitter {
     async answerCall(callId) {
         try {
             const call = this.activeCalls.get(callId);
-            if (!call) {
+            const session = this.callSessions.get(callId);
+            if (!call || !session) {
                 throw new Error('Call not found');
             }
 
-            if (call.status !== 'ringing') {
-                throw new Error(`Cannot answer call in state: ${call.status}`);
+            if (call.state !== 'ringing' || session.role !== 'uas') {
+                throw new Error(`Cannot answer call in state: ${call.state}`);
             }
 
             console.log(`📞 Answering call: ${callId}`);
 
-            call.status = 'connected';
+            clearTimeout(session.ringTimer);
+            session.rtp = new RTPSession();
+            await session.rtp.open();
+            this.listenForDTMF(callId, session.rtp);
+
+            const userAgent = session.account.userAgent;
+            const request = session.request;
+
+            // Without an offer in the INVITE we offer in the 200 and expect the answer in the ACK
+            const body = this.describeMedia(session, { offer: request.body });
+
+            if (!body) {
+                userAgent.respond(session.transaction, 488, { toTag: session.localTag });
+                this.finishCall(callId, { sipCode: 488, reason: 'No compatible codecs' });
+                throw new Error('No compatible codecs offered');
+            }
+
+            session.dialog = userAgent.createDialog(request, session.localTag, session.transaction);
+            session.dialog.state = 'confirmed';
+            userAgent.respond(session.transaction, 200, { toTag: session.localTag, body });
+
+            if (request.body) {
+                this.applyRemoteDescription(session, request.body);
+                this.setNegotiatedCodec(call, body);
+            }
+
             call.connectTime = new Date();
+            this.setCallState(call, 'confirmed', { sipCode: 200 });
+            this.watchCallQuality(callId, session);
 
             // Initialize audio for the call
             await this.initializeCallAudio(call);
@@ -283,23 +763,25 @@ class SIPService extends EventEmitter {
 
             console.log(`📞 Hanging up call: ${callId}`);
 
-            call.status = 'ended';
-            call.endTime = new Date();
-
-            if (call.connectTime) {
-                call.duration = call.endTime - call.connectTime;
+            const session = this.callSessions.get(callId);
+            const userAgent = session && session.account.userAgent;
+            let cause = { reason: 'local-hangup' };
+
+            if (userAgent) {
+                if (session.dialog && session.dialog.state === 'confirmed') {
+                    userAgent.sendInDialog(session.dialog, 'BYE')
+                        .catch(error => console.warn(`⚠️ BYE for call ${callId} failed: ${error.message}`));
+                    userAgent.removeDialog(session.dialog);
+                } else if (session.role === 'uac') {
+                    userAgent.cancel(session.invite);
+                    cause = { sipCode: 487, reason: 'cancelled' };
+                } else {
+                    userAgent.respond(session.transaction, 603, { toTag: session.localTag });
+                    cause = { sipCode: 603, reason: 'declined' };
+                }
             }
 
-            // Clean up audio
-            await this.cleanupCallAudio(call);
-
-            // Move to call history
-            this.callHistory.push({ ...call });
-            this.activeCalls.delete(callId);
-
-            console.log(`✅ Call ended: ${call.remoteNumber} (Duration: ${Math.round(call.duration / 1000)}s)`);
-
-            this.emit('call-ended', call);
+            this.finishCall(callId, cause);
 
             return {
                 success: true,
@@ -316,28 +798,61 @@ class SIPService extends EventEmitter {
         }
     }
 
-    async sendDTMF(digits) {
+    /**
+     * Send digits on a call (by default the first one up and not on hold) using the account's DTMF mode.
+     * RFC 4733 needs a negotiated telephone-event and in-band needs G.711; otherwise we fall back to INFO
+     */
+    async sendDTMF(digits, callId = null) {
         try {
-            if (this.activeCalls.size === 0) {
+            // Without a call id, the call that is up and not on hold; held calls report 'connected' too
+            const activeCall = callId
+                ? this.activeCalls.get(callId)
+                : Array.from(this.activeCalls.values()).find(call => call.state === 'confirmed');
+            if (!activeCall) {
                 throw new Error('No active calls');
             }
 
-            const activeCall = Array.from(this.activeCalls.values())[0];
-            console.log(`🔢 Sending DTMF: ${digits}`);
+            const session = this.callSessions.get(activeCall.id);
+            if (!session || !session.dialog) {
+                throw new Error('Call is not connected');
+            }
+
+            const invalid = String(digits).split('').find(digit => !DTMF.isDigit(digit));
+            if (invalid) {
+                throw new Error(`Invalid DTMF digit: ${invalid}`);
+            }
 
-            // Simulate DTMF sending
-            for (const digit of digits) {
-                await this.simulateDTMFTone(digit);
-                await new Promise(resolve => setTimeout(resolve, 100));
+            const { duration, gap } = session.account.config.dtmf;
+            const method = this.resolveDTMFMethod(activeCall, session);
+            console.log(`🔢 Sending DTMF ${digits} via ${method}`);
+
+            for (const digit of String(digits).toUpperCase()) {
+                await this.playLocalDTMFTone(digit);
+
+                if (method === 'rfc4733') {
+                    await this.sendTelephoneEvent(activeCall, session, digit, duration);
+                } else if (method === 'inband') {
+                    await this.sendInbandTone(activeCall, session, digit, duration);
+                } else {
+                    await session.account.userAgent.sendInDialog(session.dialog, 'INFO', {
+                        body: DTMF.formatRelay(digit, duration),
+                        contentType: 'application/dtmf-relay'
+                    });
+                }
+
+                await new Promise(resolve => setTimeout(resolve, gap));
             }
 
             this.emit('dtmf-sent', {
                 callId: activeCall.id,
-                digits: digits
+                digits: digits,
+                method
             });
 
             return {
                 success: true,
+                callId: activeCall.id,
+                method,
                 message: `DTMF sent: ${digits}`
             };
 
@@ -350,104 +865,1315 @@ class SIPService extends EventEmitter {
         }
     }
 
-    async simulateSIPRegistration(config) {
-        console.log('🔐 Registering with SIP server...');
+    resolveDTMFMethod(call, session) {
+        const { mode } = session.account.config.dtmf;
+        const canRelay = Boolean(session.rtp) && call.telephoneEvent !== null;
+        const canInband = Boolean(session.rtp && call.codec) && ['PCMU', 'PCMA'].includes(call.codec.name.toUpperCase());
+
+        if (mode === 'inband' && canInband) return 'inband';
+        if (mode !== 'info' && canRelay) return 'rfc4733';
+
+        if (mode !== 'info') {
+            console.warn(`⚠️ DTMF mode ${mode} not possible on call ${call.id}, using SIP INFO`);
+        }
+        return 'info';
+    }
+
+    /**
+     * One RFC 4733 event: updates every 50 ms on a fixed timestamp, then the end packet three times (section 2.5.1.4)
+     */
+    async sendTelephoneEvent(call, session, digit, duration) {
+        const rtp = session.rtp;
+        const units = (ms) => Math.round(ms * rtp.codec.clockRate / 1000);
+        const timestamp = rtp.currentTimestamp();
+
+        for (let elapsed = 50; elapsed < duration; elapsed += 50) {
+            rtp.sendRTP(call.telephoneEvent, DTMF.buildEvent(digit, { duration: units(elapsed) }), { marker: elapsed === 50, timestamp });
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        const end = DTMF.buildEvent(digit, { end: true, duration: units(duration) });
+        for (let i = 0; i < 3; i++) {
+            rtp.sendRTP(call.telephoneEvent, end, { marker: duration <= 50 && i === 0, timestamp });
+        }
+    }
+
+    /**
+     * The tone itself as G.711 audio in 20 ms packets on the call's voice payload type
+     */
+    async sendInbandTone(call, session, digit, duration) {
+        const rtp = session.rtp;
+        const samples = DTMF.generateTone(digit, { duration, codec: call.codec.name });
+        const timestamp = rtp.currentTimestamp();
+
+        for (let offset = 0; offset < samples.length; offset += 160) {
+            rtp.sendRTP(call.codec.payload, samples.slice(offset, offset + 160), { marker: offset === 0, timestamp: timestamp + offset });
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+    }
+
+    /**
+     * Report RFC 4733 digits from the far end once each, on their end packet
+     */
+    listenForDTMF(callId, rtp) {
+        let lastEvent = null;
 
-        // Simulate network delay
-        await new Promise(resolve => setTimeout(resolve, 1000));
+        rtp.on('packet', (data) => {
+            const call = this.activeCalls.get(callId);
+            if (!call || call.telephoneEvent === null) return;
+
+            const header = RTPSession.parseHeader(data);
+            if (!header || header.payloadType !== call.telephoneEvent) return;
 
-        // Simulate authentication
-        console.log('🔑 Authenticating credentials...');
-        await new Promise(resolve => setTimeout(resolve, 500));
+            const event = DTMF.parseEvent(header.payload);
+            if (!event || !event.end || lastEvent === header.timestamp) return;
+
+            lastEvent = header.timestamp;
+            this.emit('dtmf-received', {
+                callId,
+                digit: event.digit,
+                duration: Math.round(event.duration * 1000 / rtp.codec.clockRate),
+                method: 'rfc4733'
+            });
+        });
+    }
 
-        // Success
-        console.log('✅ SIP registration successful');
+    /**
+     * Wire an account's user agent events into call handling
+     */
+    attachUserAgent(account) {
+        const userAgent = account.userAgent;
+        userAgent.on('invite', (request, transaction) => this.handleIncomingInvite(account, request, transaction));
+        userAgent.on('cancel', (transaction) => this.handleRemoteCancel(account, transaction));
+        userAgent.on('dialog-request', (dialog, request, transaction) => this.handleDialogRequest(account, dialog, request, transaction));
+        userAgent.on('request', (request, transaction) => this.handleOutOfDialogRequest(account, request, transaction));
+        userAgent.on('ack', (dialog, request) => {
+            const entry = this.findSessionByDialog(dialog);
+            if (entry && request.body) {
+                this.applyRemoteDescription(entry.session, request.body);
+                this.setNegotiatedCodec(this.activeCalls.get(entry.callId), request.body);
+            }
+        });
     }
 
-    async simulateCallConnection(call) {
-        // Update call status through connection phases
-        setTimeout(() => {
-            call.status = 'ringing';
-            console.log(`📞 Call ${call.id}: Ringing`);
+    handleProvisional(call, response) {
+        const session = this.callSessions.get(call.id);
+        if (!session || !this.activeCalls.has(call.id)) return;
+
+        const wasTrying = call.state === 'trying';
+
+        if (session.referral && response.status > 100) {
+            this.notifyReferrer(session.referral, response.status, response.reason);
+        }
+
+        if (response.body && (response.status === 180 || response.status === 183)) {
+            // Early media: the far end plays ringback or announcements itself
+            this.applyRemoteDescription(session, response.body);
+            call.earlyMedia = true;
+            this.setCallState(call, 'early', { sipCode: response.status });
+        } else if ((response.status === 180 || response.status === 183) && wasTrying) {
+            this.setCallState(call, 'ringing', { sipCode: response.status });
+        }
+
+        if (wasTrying && call.state !== 'trying') {
+            console.log(`📞 Call ${call.id}: ${call.earlyMedia ? 'Early media' : 'Ringing'}`);
             this.emit('call-ringing', call);
-        }, 1000);
+        }
+    }
 
-        setTimeout(() => {
-            call.status = 'connected';
-            call.connectTime = new Date();
-            console.log(`📞 Call ${call.id}: Connected`);
-            this.emit('call-connected', call);
-        }, 3000);
+    handleInviteResult(account, call, { response, dialog }) {
+        const session = this.callSessions.get(call.id);
+        const success = response.status >= 200 && response.status < 300;
+
+        // Hung up while the INVITE was still pending: release an answer that raced the CANCEL
+        if (!session || !this.activeCalls.has(call.id)) {
+            if (success && dialog && account.userAgent) {
+                account.userAgent.sendInDialog(dialog, 'BYE')
+                    .catch(error => console.warn(`⚠️ BYE for call ${call.id} failed: ${error.message}`));
+                account.userAgent.removeDialog(dialog);
+            }
+            return;
+        }
+
+        if (!success) {
+            console.log(`📞 Call ${call.id} failed: ${response.status} ${response.reason}`);
+            this.finishCall(call.id, { sipCode: response.status, reason: response.reason });
+            return;
+        }
+
+        session.dialog = dialog;
+        if (response.body) {
+            this.applyRemoteDescription(session, response.body);
+            this.setNegotiatedCodec(call, response.body);
+        }
+
+        if (session.referral) {
+            this.notifyReferrer(session.referral, response.status, response.reason);
+            session.referral = null;
+        }
 
-        return call;
+        call.connectTime = new Date();
+        this.setCallState(call, 'confirmed', { sipCode: response.status });
+        this.watchCallQuality(call.id, session);
+        console.log(`📞 Call ${call.id}: Connected`);
+        this.emit('call-connected', call);
+
+        if (session.postDial) {
+            this.playPostDial(call.id);
+        }
+    }
+
+    /**
+     * Send the dial string's post-dial digits; stops at each ';' until continueDialing()
+     */
+    async playPostDial(callId) {
+        const session = this.callSessions.get(callId);
+        const postDial = session && session.postDial;
+        if (!postDial) return;
+
+        try {
+            const status = await postDial.play((digits) => this.sendDTMF(digits, callId), session.account.config.dtmf.pause);
+
+            if (status === 'waiting') {
+                console.log(`⏸️ Call ${callId} waiting to send ${postDial.remaining}`);
+                this.emit('post-dial-wait', { callId, remaining: postDial.remaining });
+            } else if (status === 'complete') {
+                session.postDial = null;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Post-dial digits on call ${callId} stopped: ${error.message}`);
+            postDial.cancel();
+            session.postDial = null;
+        }
+    }
+
+    /**
+     * Resume a dial string waiting at ';'
+     */
+    async continueDialing(callId) {
+        const session = this.callSessions.get(callId);
+        if (!session || !session.postDial || !session.postDial.waiting) {
+            return { success: false, error: 'No dial string waiting on this call' };
+        }
+
+        const remaining = session.postDial.remaining;
+        this.playPostDial(callId);
+
+        return { success: true, remaining };
     }
 
-    async simulateIncomingCall(fromNumber, fromName = null) {
+    handleIncomingInvite(account, request, transaction) {
+        const { userAgent, config } = account;
+
+        // INVITE with Replaces takes over one of our calls instead of ringing
+        let replacedId = null;
+        if (request.has('Replaces')) {
+            const replaces = SIPMessage.parseReplaces(request.get('Replaces'));
+            replacedId = this.findReplacedCall(account, replaces);
+            if (!replacedId || replaces.earlyOnly) {
+                userAgent.respond(transaction, replacedId ? 486 : 481);
+                return;
+            }
+        }
+
+        const from = request.from;
+        const remoteNumber = from.uri && from.uri.user ? from.uri.user : from.uriString;
+        const contact = this.findContact(account, remoteNumber);
+
+        // Screening comes first, so blocked callers are never forwarded; then unconditional and busy
+        // forwarding answer before anything rings, then Do Not Disturb (VIPs ring through)
+        const screened = replacedId ? null : this.screening.screen({
+            number: remoteNumber,
+            anonymous: CallScreening.isAnonymous({ user: from.uri && from.uri.user, host: from.uri && from.uri.host, displayName: from.displayName })
+        }, contact, config.dialPlan);
+        // Busy means talking (or holding) on a call, not dialing out or another call still ringing
+        const busy = [...this.callSessions.values()].some(session => session.state.isEstablished);
+        const immediate = replacedId || screened ? null : config.forwarding.immediate({ busy });
+        const forward = immediate && this.forwardingRoute(config, immediate.target) ? immediate : null;
+        const dnd = replacedId || forward || screened ? null : this.doNotDisturb.decide(contact);
+        const turnedAway = forward || dnd || (screened && screened.action !== 'silent');
+
+        if (!replacedId && !turnedAway && this.activeCalls.size >= this.getCallLimit()) {
+            console.log(`📵 Rejecting call from ${request.from.uriString}: all ${this.getCallLimit()} lines in use`);
+            userAgent.respond(transaction, 486);
+            return;
+        }
+
+        const intercom = AutoAnswer.detect(request);
         const callId = this.generateCallId();
         const call = {
             id: callId,
             direction: 'inbound',
-            remoteNumber: fromNumber,
-            remoteName: fromName,
-            localNumber: this.currentConfig.username,
+            accountId: account.id,
+            accountLabel: account.label,
+            remoteNumber,
+            remoteName: contact ? contact.displayName : from.displayName || null,
+            contactId: contact ? contact.id : null,
+            e164: config.dialPlan.toE164(remoteNumber),
+            alertInfo: AutoAnswer.headerEntries(request, 'Alert-Info').flatMap(entry => [entry.uri, ...entry.tokens].filter(Boolean)),
+            intercom: intercom !== null,
+            screening: screened, // { action, reason, rule } when screening blocked the call
+            autoAnswer: replacedId || screened ? null : AutoAnswer.decide(intercom, {
+                ...this.autoAnswerSettings,
+                trusted: this.autoAnswerSettings.trusted.some(number => config.dialPlan.matches(number, remoteNumber)),
+                busy
+            }),
+            localNumber: config.username,
+            state: 'ringing',
             status: 'ringing',
+            codec: null,
+            telephoneEvent: null,
+            localHold: false,
+            remoteHold: false,
             startTime: new Date(),
             connectTime: null,
             endTime: null,
             duration: 0,
-            provider: this.currentConfig.provider
+            provider: config.provider
         };
 
+        const session = this.createSession(call, {
+            role: 'uas',
+            account,
+            request,
+            transaction,
+            localTag: SIPMessage.generateTag(),
+            rtp: null,
+            ringTimer: null
+        }, 'ringing');
+
         this.activeCalls.set(callId, call);
+        this.callSessions.set(callId, session);
+
+        if (forward) {
+            this.forwardCall(callId, forward.type, forward.target);
+            return;
+        }
+        if (dnd) {
+            this.rejectForDoNotDisturb(callId, dnd);
+            return;
+        }
+        if (screened) {
+            this.screenCall(callId, screened);
+            if (screened.action !== 'silent') return;
+        }
+
+        userAgent.respond(transaction, 180, { toTag: session.localTag });
+
+        if (replacedId) {
+            this.replaceCall(callId, replacedId);
+            return;
+        }
 
-        console.log(`📞 Incoming call from: ${fromName || fromNumber}`);
+        console.log(`📞 Incoming ${call.intercom ? 'intercom ' : ''}call from: ${call.remoteName || call.remoteNumber} (${account.id})`);
 
         this.emit('incoming-call', call);
 
-        // Auto-hangup after 30 seconds if not answered
-        setTimeout(() => {
-            if (this.activeCalls.has(callId) && call.status === 'ringing') {
-                this.hangupCall(callId);
+        // Give up after the ring timeout if not answered, or deflect to the no-answer target (not for screened calls)
+        const noAnswer = screened ? null : config.forwarding.noAnswer;
+        const { noAnswerTimeout } = config.forwarding;
+        session.ringTimer = setTimeout(() => {
+            if (!this.activeCalls.has(callId) || call.state !== 'ringing') return;
+
+            if (!noAnswer || !this.forwardCall(callId, 'noAnswer', noAnswer)) {
+                userAgent.respond(transaction, 480, { toTag: session.localTag });
+                this.finishCall(callId, { sipCode: 480, reason: 'no-answer' });
             }
-        }, 30000);
+        }, noAnswer ? noAnswerTimeout * 1000 : this.ringTimeout);
+    }
 
-        return call;
+    /**
+     * Send a ringing incoming call elsewhere with 302 Moved Temporarily. Targets go through the
+     * account's dial plan; false when the target is invalid or blocked
+     */
+    forwardCall(callId, type, target) {
+        const call = this.activeCalls.get(callId);
+        const session = this.callSessions.get(callId);
+        const { config, userAgent } = session.account;
+
+        const route = this.forwardingRoute(config, target);
+        if (!route) return false;
+
+        userAgent.respond(session.transaction, 302, {
+            toTag: session.localTag,
+            headers: {
+                'Contact': `<${this.buildTargetURI(route.dialed, config)}>`,
+                'Diversion': CallForwarding.diversion(this.buildTargetURI(config.username, config), type)
+            }
+        });
+
+        call.forwardedTo = target;
+        call.forwardType = type;
+        console.log(`↪️ Forwarded call from ${call.remoteName || call.remoteNumber} to ${target} (${type})`);
+
+        this.emit('call-forwarded', {
+            callId,
+            accountId: call.accountId,
+            remoteNumber: call.remoteNumber,
+            remoteName: call.remoteName,
+            target,
+            type
+        });
+        this.finishCall(callId, { sipCode: 302, reason: 'forwarded' });
+
+        return true;
     }
 
-    async initializeCallAudio(call) {
+    /**
+     * Turn a call away while Do Not Disturb is on: to voicemail when configured and routable, else with the status
+     */
+    rejectForDoNotDisturb(callId, dnd) {
+        const call = this.activeCalls.get(callId);
+        const session = this.callSessions.get(callId);
+
+        call.doNotDisturb = dnd.reason;
+        console.log(`🌙 Do Not Disturb (${dnd.reason}): turning away ${call.remoteName || call.remoteNumber}`);
+
+        const toVoicemail = dnd.voicemail && this.forwardingRoute(session.account.config, dnd.voicemail);
+        this.emit('dnd-rejected', {
+            callId,
+            accountId: call.accountId,
+            remoteNumber: call.remoteNumber,
+            remoteName: call.remoteName,
+            reason: dnd.reason,
+            response: toVoicemail ? 'voicemail' : dnd.status || 486
+        });
+
+        if (toVoicemail) {
+            this.forwardCall(callId, 'dnd', dnd.voicemail);
+            return;
+        }
+
+        session.account.userAgent.respond(session.transaction, dnd.status || 486, { toTag: session.localTag });
+        this.finishCall(callId, { sipCode: dnd.status || 486, reason: 'do-not-disturb' });
+    }
+
+    /**
+     * Act on a screening decision: silent calls go on to ring without a sound, the rest are sent
+     * to voicemail when it routes or rejected with 603 Decline
+     */
+    screenCall(callId, screened) {
+        const call = this.activeCalls.get(callId);
+        const session = this.callSessions.get(callId);
+        const toVoicemail = screened.action === 'voicemail' && this.forwardingRoute(session.account.config, this.screening.voicemail);
+        const action = screened.action === 'voicemail' && !toVoicemail ? 'reject' : screened.action;
+
+        call.screening = { ...screened, action };
+        console.log(`🚫 Screened call from ${call.remoteName || call.remoteNumber} (${screened.reason}): ${action}`);
+
+        this.emit('call-screened', {
+            callId,
+            accountId: call.accountId,
+            remoteNumber: call.remoteNumber,
+            remoteName: call.remoteName,
+            contactId: call.contactId,
+            ...call.screening
+        });
+
+        if (action === 'voicemail') {
+            this.forwardCall(callId, 'screened', this.screening.voicemail);
+        } else if (action === 'reject') {
+            session.account.userAgent.respond(session.transaction, 603, { toTag: session.localTag });
+            this.finishCall(callId, { sipCode: 603, reason: 'blocked' });
+        }
+    }
+
+    /**
+     * Dial plan route for a forwarding target, or null (with a warning) when it can't be used
+     */
+    forwardingRoute(config, target) {
         try {
-            if (typeof navigator !== 'undefined' && navigator.mediaDevices) {
-                // Get user media for WebRTC
-                this.localStream = await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        autoGainControl: true
-                    }
-                });
+            const route = config.dialPlan.route(new DialString(target).number);
+            if (!route.blocked) return route;
 
-                console.log('🎤 Audio initialized for call');
-            }
+            console.warn(`⚠️ Not forwarding to ${target}: blocked by the dial plan (${route.blocked})`);
         } catch (error) {
-            console.warn('⚠️ Audio initialization failed:', error);
+            console.warn(`⚠️ Not forwarding to ${target}: ${error.message}`);
         }
+        return null;
     }
 
-    async cleanupCallAudio(call) {
+    /**
+     * Deflect a ringing incoming call to another number instead of answering it
+     */
+    async deflectCall(callId, target) {
         try {
-            if (this.localStream) {
-                this.localStream.getTracks().forEach(track => track.stop());
-                this.localStream = null;
+            const call = this.activeCalls.get(callId);
+            if (!call || call.direction !== 'inbound' || call.state !== 'ringing') {
+                throw new Error('Only ringing incoming calls can be deflected');
+            }
+            if (!target || !String(target).trim()) {
+                throw new Error('No number to deflect to');
             }
 
-            console.log('🔇 Audio cleaned up for call');
+            if (!this.forwardCall(callId, 'deflect', String(target).trim())) {
+                throw new Error(`Cannot deflect to ${target}`);
+            }
+
+            return { success: true, callId, target: call.forwardedTo };
+
         } catch (error) {
-            console.warn('⚠️ Audio cleanup failed:', error);
+            console.error('❌ Deflect failed:', error);
+            return { success: false, error: error.message };
         }
     }
 
-    async simulateDTMFTone(digit) {
-        console.log(`🔢 Playing DTMF tone: ${digit}`);
+    findContact(account, number) {
+        if (!this.contactsService) return null;
+        return this.contactsService.findContactByPhoneNumber(number, account.config.dialPlan);
+    }
+
+    handleRemoteCancel(account, transaction) {
+        for (const [callId, session] of this.callSessions) {
+            if (session.transaction === transaction) {
+                account.userAgent.respond(transaction, 487, { toTag: session.localTag });
+                this.finishCall(callId, { sipCode: 487, reason: 'cancelled' });
+                return;
+            }
+        }
+
+        account.userAgent.respond(transaction, 487);
+    }
+
+    handleDialogRequest(account, dialog, request, transaction) {
+        const userAgent = account.userAgent;
+        const entry = this.findSessionByDialog(dialog);
+
+        if (!entry) {
+            userAgent.respond(transaction, 481);
+            return;
+        }
+
+        const { callId, session } = entry;
+
+        switch (request.method) {
+            case 'BYE':
+                userAgent.respond(transaction, 200);
+                userAgent.removeDialog(dialog);
+                this.finishCall(callId, { reason: 'remote-hangup' });
+                break;
+
+            case 'INVITE':
+                this.handleReinvite(callId, session, request, transaction);
+                break;
+
+            case 'INFO': {
+                userAgent.respond(transaction, 200);
+
+                const relay = request.body ? DTMF.parseRelay(request.body, request.get('Content-Type')) : null;
+                if (relay) {
+                    this.emit('dtmf-received', { callId, digit: relay.digit, duration: relay.duration, method: 'info' });
+                }
+                break;
+            }
+
+            case 'REFER':
+                this.handleRefer(session, request, transaction);
+                break;
+
+            case 'NOTIFY':
+                this.handleNotify(callId, session, request, transaction);
+                break;
+
+            default:
+                userAgent.respond(transaction, 501);
+                break;
+        }
+    }
+
+    /**
+     * Out-of-dialog requests other than INVITE/OPTIONS; MESSAGE is delivered tagged with its account
+     */
+    handleOutOfDialogRequest(account, request, transaction) {
+        if (request.method !== 'MESSAGE') {
+            account.userAgent.respond(transaction, 405);
+            return;
+        }
+
+        account.userAgent.respond(transaction, 200);
+
+        const from = request.from;
+        const message = {
+            accountId: account.id,
+            accountLabel: account.label,
+            from: from.uri && from.uri.user ? from.uri.user : from.uriString,
+            fromName: from.displayName || null,
+            to: account.config.username,
+            body: request.body || '',
+            contentType: request.get('Content-Type') || 'text/plain',
+            provider: account.config.provider
+        };
+
+        console.log(`💬 SIP MESSAGE from ${message.from} (${account.id})`);
+        this.emit('message-received', message);
+    }
+
+    /**
+     * Answer a mid-call offer with our existing media endpoint; a sendonly or inactive offer is the far end holding us
+     */
+    handleReinvite(callId, session, request, transaction) {
+        const userAgent = session.account.userAgent;
+
+        // Glare: our own re-INVITE is still pending (RFC 3261 section 14.2)
+        if (session.reinvite) {
+            userAgent.respond(transaction, 491);
+            return;
+        }
+
+        const body = this.describeMedia(session, { offer: request.body, direction: session.localHold || 'sendrecv' });
+        if (!body) {
+            userAgent.respond(transaction, 488);
+            return;
+        }
+
+        session.dialog.pendingTransaction = transaction;
+        userAgent.respond(transaction, 200, { body });
+
+        if (request.body) {
+            this.applyRemoteDescription(session, request.body);
+            this.setNegotiatedCodec(this.activeCalls.get(callId), body);
+
+            // RFC 2543 style hold offers c=0.0.0.0
+            const target = SDP.getMediaTarget(request.body);
+            if (target) {
+                session.remoteHold = !SDP.receives(target.direction) || target.address === '0.0.0.0';
+                this.updateHoldState(this.activeCalls.get(callId), session, 'remote');
+            }
+        }
+    }
+
+    async holdCall(callId, options = {}) {
+        return this.setHold(callId, options.inactive ? 'inactive' : 'sendonly');
+    }
+
+    async resumeCall(callId) {
+        return this.setHold(callId, null);
+    }
+
+    /**
+     * Re-offer with a new local direction (RFC 3264 section 8.4): sendonly or inactive holds, null resumes
+     */
+    async setHold(callId, direction) {
+        const action = direction ? 'hold' : 'resume';
+
+        try {
+            const call = this.activeCalls.get(callId);
+            const session = this.callSessions.get(callId);
+            if (!call || !session) {
+                throw new Error('Call not found');
+            }
+
+            if (!session.state.isEstablished || !session.dialog) {
+                throw new Error(`Cannot ${action} call in state: ${call.state}`);
+            }
+            if (session.reinvite) {
+                throw new Error('Another call update is in progress');
+            }
+
+            console.log(`⏸️ ${direction ? `Holding (${direction})` : 'Resuming'} call: ${callId}`);
+
+            const previous = session.localHold;
+            session.localHold = direction;
+
+            let response;
+            try {
+                response = await this.sendReinvite(callId, session);
+            } catch (error) {
+                session.localHold = previous;
+                throw error;
+            }
+            if (response.status < 200 || response.status >= 300) {
+                session.localHold = previous;
+                throw new Error(`Re-INVITE rejected: ${response.status} ${response.reason}`);
+            }
+
+            this.updateHoldState(call, session, 'local');
+
+            return {
+                success: true,
+                callId: callId,
+                state: call.state
+            };
+
+        } catch (error) {
+            console.error(`❌ Call ${action} failed:`, error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Send our current offer in a re-INVITE, retrying after a random wait on 491 glare
+     */
+    async sendReinvite(callId, session) {
+        const userAgent = session.account.userAgent;
+
+        for (let attempt = 0; ; attempt++) {
+            const offered = session.localHold || 'sendrecv';
+
+            // Cleared even when the transport is gone, or every later update would be refused with 491
+            session.reinvite = true;
+            let response;
+            try {
+                response = await userAgent.sendInDialog(session.dialog, 'INVITE', {
+                    body: this.describeMedia(session, { direction: offered }),
+                    contentType: 'application/sdp'
+                });
+            } finally {
+                session.reinvite = false;
+            }
+
+            if (response.status === 491 && attempt < MAX_GLARE_RETRIES && this.callSessions.has(callId)) {
+                const [min, max] = session.role === 'uac' ? this.glareRetryDelays.owner : this.glareRetryDelays.other;
+                console.log(`🔁 Re-INVITE glare on call ${callId}, retrying`);
+                await new Promise(resolve => setTimeout(resolve, min + Math.random() * (max - min)));
+                if (this.callSessions.has(callId)) continue;
+            }
+
+            if (response.status >= 200 && response.status < 300 && response.body) {
+                this.applyRemoteDescription(session, response.body);
+                this.setNegotiatedCodec(this.activeCalls.get(callId), response.body);
+
+                // A far end that declines media we offered to send is holding us; after an inactive offer we cannot tell
+                const target = SDP.getMediaTarget(response.body);
+                if (target && SDP.sends(offered)) {
+                    session.remoteHold = !SDP.receives(target.direction);
+                }
+            }
+
+            return response;
+        }
+    }
+
+    /**
+     * A call is held while either side holds it; `by` records which side changed it
+     */
+    updateHoldState(call, session, by) {
+        if (!call) return;
+
+        call.localHold = Boolean(session.localHold);
+        call.remoteHold = session.remoteHold;
+
+        // A pending transfer settles the state itself
+        if (session.transfer) return;
+
+        const held = call.localHold || call.remoteHold;
+        if (this.setCallState(call, held ? 'held' : 'confirmed', { holdBy: by })) {
+            console.log(`📞 Call ${call.id}: ${held ? `Held by ${by} side` : 'Resumed'}`);
+            this.emit(held ? 'call-held' : 'call-resumed', call);
+        }
+    }
+
+    findSessionByDialog(dialog) {
+        for (const [callId, session] of this.callSessions) {
+            if (session.dialog === dialog) {
+                return { callId, session };
+            }
+        }
+        return null;
+    }
+
+    applyRemoteDescription(session, sdpText) {
+        const target = SDP.getMediaTarget(sdpText);
+        if (target && session.rtp) {
+            session.rtp.setRemote(target.address, target.port);
+        }
+    }
+
+    /**
+     * Record on the call what an answer settled on: its first codec and matching telephone-event payload
+     */
+    setNegotiatedCodec(call, answer) {
+        const target = call ? SDP.getMediaTarget(answer) : null;
+        if (!target || !target.codec) return;
+
+        const { name, payload, clockRate, channels } = target.codec;
+        call.codec = { name, payload, clockRate, channels };
+        call.telephoneEvent = target.telephoneEvent ? target.telephoneEvent.payload : null;
+
+        const session = this.callSessions.get(call.id);
+        if (session && session.rtp) {
+            session.rtp.codec = { name, payload, clockRate };
+        }
+    }
+
+    watchCallQuality(callId, session) {
+        if (session.rtp) {
+            const rtp = session.rtp;
+            this.qualityMonitor.watch(callId, async () => rtp.getStats());
+        }
+    }
+
+    /**
+     * Bridge a connected call into the local conference, up to the licensed participant limit;
+     * the local user joins the mix with the first call
+     */
+    joinConference(callId) {
+        const call = this.activeCalls.get(callId);
+        const session = this.callSessions.get(callId);
+        if (!call || !session || !session.rtp || !call.connectTime) {
+            return { success: false, error: 'Call is not connected' };
+        }
+
+        this.conference.maxParticipants = this.getConferenceLimit();
+        if (this.conference.maxParticipants === 0) {
+            return { success: false, error: 'Conference calling is not included in your license' };
+        }
+
+        const result = this.conference.add(callId, session.rtp, { label: call.remoteName || call.remoteNumber });
+        if (result.success) {
+            this.conference.joinLocal();
+            this.emitConferenceState();
+        }
+        return result;
+    }
+
+    /**
+     * Take a call out of the mix without hanging it up; without a callId the local user leaves
+     * and the calls stay bridged to each other
+     */
+    leaveConference(callId = null) {
+        const left = callId === null ? this.conference.leaveLocal() : this.conference.remove(callId);
+        if (!left) {
+            return { success: false, error: callId === null ? 'Not in the conference' : 'Call is not in the conference' };
+        }
+
+        this.emitConferenceState();
+        return { success: true };
+    }
+
+    /**
+     * Microphone samples for the conference (16-bit linear at 8000 Hz) from the renderer
+     */
+    feedConferenceAudio(samples) {
+        return this.conference.feedLocal(samples);
+    }
+
+    setConferenceMuted(callId, muted) {
+        if (!this.conference.setMuted(callId, muted)) {
+            return { success: false, error: 'Call is not in the conference' };
+        }
+
+        this.emitConferenceState();
+        return { success: true, muted: Boolean(muted) };
+    }
+
+    getConferenceState() {
+        return {
+            participants: this.conference.getParticipants(),
+            limit: this.conference.maxParticipants,
+            local: this.conference.local !== null
+        };
+    }
+
+    emitConferenceState() {
+        this.emit('conference-state', this.getConferenceState());
+    }
+
+    /**
+     * How many calls one conference may bridge; 0 without the conference feature
+     */
+    getConferenceLimit() {
+        if (!this.featureManager) {
+            return Infinity;
+        }
+
+        return this.featureManager.getFeatureLimit('pro.conference_calls', 'maxParticipants');
+    }
+
+    /**
+     * Blind transfer (RFC 5589): REFER the far end to target. Progress arrives in NOTIFYs
+     * and our leg hangs up only once the target answers
+     */
+    async transferCall(callId, target) {
+        const session = this.callSessions.get(callId);
+        const referTo = session ? this.buildTargetURI(target, session.account.config) : null;
+        return this.refer(callId, referTo, target);
+    }
+
+    /**
+     * Attended transfer, step one: hold the call and consult the target on a second call
+     */
+    async startAttendedTransfer(callId, target) {
+        try {
+            const call = this.activeCalls.get(callId);
+            const session = this.callSessions.get(callId);
+            if (!call || !session) {
+                throw new Error('Call not found');
+            }
+
+            if (!session.state.isEstablished || session.consultation || session.transfer) {
+                throw new Error(`Cannot start a transfer in state: ${call.state}`);
+            }
+
+            if (!call.localHold) {
+                const hold = await this.holdCall(callId);
+                if (!hold.success) throw new Error(hold.error);
+            }
+
+            const result = await this.makeCall(target, { accountId: call.accountId });
+            if (!result.success) {
+                throw new Error(result.error);
+            }
+
+            session.consultation = result.callId;
+            this.callSessions.get(result.callId).consultationFor = callId;
+
+            return {
+                success: true,
+                callId: callId,
+                consultationId: result.callId,
+                message: `Consulting ${target}...`
+            };
+
+        } catch (error) {
+            console.error('❌ Attended transfer failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Step two: REFER the held party to the consulted target with Replaces naming our consultation
+     * dialog, so the target swaps that call for the new one (RFC 5589 section 7, RFC 3891)
+     */
+    async completeAttendedTransfer(callId) {
+        const session = this.callSessions.get(callId);
+        const consultation = session && this.callSessions.get(session.consultation);
+        if (!consultation || !consultation.state.isEstablished) {
+            return { success: false, error: 'Consultation call is not connected' };
+        }
+
+        const dialog = consultation.dialog;
+        const target = SIPMessage.parseNameAddr(dialog.remoteIdentity).uri;
+        const replaces = SIPMessage.formatReplaces({
+            callId: dialog.callId,
+            toTag: dialog.remoteTag,
+            fromTag: dialog.localTag
+        });
+
+        const referTo = SIPMessage.formatURI({ ...target, headers: { Replaces: replaces } });
+        return this.refer(callId, referTo, this.activeCalls.get(session.consultation).remoteNumber);
+    }
+
+    /**
+     * Drop the consultation call and go back to the held party
+     */
+    async cancelAttendedTransfer(callId) {
+        const session = this.callSessions.get(callId);
+        if (!session || !session.consultation) {
+            return { success: false, error: 'No attended transfer in progress' };
+        }
+
+        if (this.activeCalls.has(session.consultation)) {
+            await this.hangupCall(session.consultation);
+        }
+        session.consultation = null;
+
+        return this.resumeCall(callId);
+    }
+
+    /**
+     * REFER the far end to referTo; label is what the user asked for, for messages
+     */
+    async refer(callId, referTo, label) {
+        try {
+            const call = this.activeCalls.get(callId);
+            const session = this.callSessions.get(callId);
+            if (!call || !session) {
+                throw new Error('Call not found');
+            }
+
+            if (!session.state.isEstablished || !session.dialog || session.transfer) {
+                throw new Error(`Cannot transfer call in state: ${call.state}`);
+            }
+
+            const userAgent = session.account.userAgent;
+
+            console.log(`🔀 Transferring call ${callId} to ${referTo}`);
+
+            // Set up before sending: the first NOTIFY can beat the 202
+            session.transfer = {
+                target: referTo,
+                timer: setTimeout(() => this.endTransfer(callId, { status: 408, reason: 'No transfer result' }), this.transferTimeout)
+            };
+            this.setCallState(call, 'transferring', { target: referTo });
+
+            const response = await userAgent.sendInDialog(session.dialog, 'REFER', {
+                headers: {
+                    'Refer-To': `<${referTo}>`,
+                    'Referred-By': `<${userAgent.aor}>`
+                }
+            });
+
+            if (response.status >= 300) {
+                this.endTransfer(callId, { status: response.status, reason: response.reason });
+                throw new Error(`Transfer rejected: ${response.status} ${response.reason}`);
+            }
+
+            return {
+                success: true,
+                callId: callId,
+                message: `Transferring to ${label}...`
+            };
+
+        } catch (error) {
+            console.error('❌ Transfer failed:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * NOTIFY in the implicit refer subscription; the message/sipfrag body is the status line
+     * of the transferee's call to the target (RFC 3515 section 2.4.5)
+     */
+    handleNotify(callId, session, request, transaction) {
+        const userAgent = session.account.userAgent;
+        const event = (request.get('Event') || '').split(';')[0].trim().toLowerCase();
+
+        if (event !== 'refer') {
+            userAgent.respond(transaction, 489);
+            return;
+        }
+        if (!session.transfer) {
+            userAgent.respond(transaction, 481);
+            return;
+        }
+
+        userAgent.respond(transaction, 200);
+
+        const match = /^SIP\/2\.0\s+(\d{3})[ \t]*([^\r\n]*)/.exec(request.body || '');
+        const terminated = /^\s*terminated/i.test(request.get('Subscription-State') || '');
+        const status = match ? parseInt(match[1], 10) : null;
+        const reason = match && match[2] ? match[2] : SIPMessage.reasonPhrase(status);
+
+        if (status >= 200) {
+            this.endTransfer(callId, { status, reason });
+        } else if (terminated) {
+            this.endTransfer(callId, { status: 487, reason: 'Subscription terminated' });
+        } else if (status) {
+            this.emit('transfer-progress', {
+                callId,
+                target: session.transfer.target,
+                status,
+                reason,
+                state: status === 100 ? 'trying' : 'ringing'
+            });
+        }
+    }
+
+    /**
+     * Final transfer result: on success our leg is done, otherwise the call goes back to how it was
+     */
+    endTransfer(callId, { status, reason }) {
+        const call = this.activeCalls.get(callId);
+        const session = this.callSessions.get(callId);
+        if (!call || !session || !session.transfer) return;
+
+        const { target, timer } = session.transfer;
+        clearTimeout(timer);
+        session.transfer = null;
+
+        const succeeded = status >= 200 && status < 300;
+        this.emit('transfer-progress', { callId, target, status, reason, state: succeeded ? 'succeeded' : 'failed' });
+
+        if (succeeded) {
+            console.log(`✅ Call ${callId} transferred to ${target}`);
+            this.byeCall(callId, { reason: 'transferred' });
+        } else {
+            console.log(`⚠️ Transfer of call ${callId} failed: ${status} ${reason}`);
+            this.setCallState(call, call.localHold || call.remoteHold ? 'held' : 'confirmed', { sipCode: status });
+        }
+    }
+
+    /**
+     * We are being transferred: call the Refer-To target and report its progress to the referrer
+     */
+    async handleRefer(session, request, transaction) {
+        const account = session.account;
+        const referTo = SIPMessage.parseNameAddr(request.get('Refer-To') || '');
+        const target = referTo.uri ? this.referTarget(referTo.uri) : null;
+
+        if (!target) {
+            account.userAgent.respond(transaction, 400, { reason: 'Bad Refer-To' });
+            return;
+        }
+
+        account.userAgent.respond(transaction, 202);
+
+        const referral = { account, dialog: session.dialog };
+        this.notifyReferrer(referral, 100, 'Trying');
+
+        // Header fields embedded in Refer-To belong on the new INVITE; we honor Replaces (attended transfer)
+        const embedded = referTo.uri.headers || {};
+        const replacesName = Object.keys(embedded).find(name => name.toLowerCase() === 'replaces');
+        console.log(`🔀 Transferred to ${target}`);
+
+        const result = await this.makeCall(target, {
+            accountId: account.id,
+            referredBy: request.get('Referred-By') || null,
+            headers: replacesName ? { 'Replaces': embedded[replacesName] } : undefined
+        });
+
+        const newSession = result.success && this.callSessions.get(result.callId);
+        if (newSession) {
+            newSession.referral = referral;
+        } else {
+            this.notifyReferrer(referral, 503, 'Service Unavailable');
+        }
+    }
+
+    /**
+     * What to dial for a Refer-To URI: SIP URIs as they are, tel: URIs as their number (RFC 3966
+     * phone-context applied) so the dial plan routes them; null for anything else
+     */
+    referTarget(uri) {
+        if (uri.scheme === 'sip' || uri.scheme === 'sips') {
+            return SIPMessage.formatURI({ ...uri, headers: {} });
+        }
+        if (uri.scheme === 'tel') {
+            const link = CallURI.parse(SIPMessage.formatURI({ ...uri, headers: {} }));
+            return link ? link.target : null;
+        }
+        return null;
+    }
+
+    /**
+     * NOTIFY the referrer with a message/sipfrag status line; a final status ends the subscription
+     */
+    notifyReferrer(referral, status, reason) {
+        if (referral.dialog.state === 'terminated') return;
+
+        referral.account.userAgent.sendInDialog(referral.dialog, 'NOTIFY', {
+            headers: {
+                'Event': 'refer',
+                'Subscription-State': status >= 200 ? 'terminated;reason=noresource' : 'active;expires=60'
+            },
+            body: `SIP/2.0 ${status} ${reason || SIPMessage.reasonPhrase(status)}\r\n`,
+            contentType: 'message/sipfrag;version=2.0'
+        }).catch(error => console.warn(`⚠️ Transfer NOTIFY failed: ${error.message}`));
+    }
+
+    /**
+     * Confirmed dialog a Replaces header names (RFC 3891 section 3); null when there is none to take over
+     */
+    findReplacedCall(account, replaces) {
+        for (const [callId, session] of this.callSessions) {
+            const dialog = session.dialog;
+            if (session.account === account && dialog && dialog.state === 'confirmed' &&
+                dialog.callId === replaces.callId && dialog.localTag === replaces.toTag && dialog.remoteTag === replaces.fromTag) {
+                return callId;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Another phone transferred its call with us to this INVITE: answer it at once and hang up the call it replaces
+     */
+    async replaceCall(callId, replacedId) {
+        console.log(`🔀 Call ${replacedId} replaced by ${callId}`);
+
+        // End the old call first so listeners see the replacement as the current call
+        this.byeCall(replacedId, { reason: 'replaced' });
+
+        const result = await this.answerCall(callId);
+        if (result.success) {
+            this.emit('call-replaced', { ...this.activeCalls.get(callId), replacedCallId: replacedId });
+        }
+    }
+
+    /**
+     * Hang up an established call with BYE and move it to history
+     */
+    byeCall(callId, details) {
+        const session = this.callSessions.get(callId);
+        if (!session) return;
+
+        const userAgent = session.account.userAgent;
+        userAgent.sendInDialog(session.dialog, 'BYE')
+            .catch(error => console.warn(`⚠️ BYE for call ${callId} failed: ${error.message}`));
+        userAgent.removeDialog(session.dialog);
+        this.finishCall(callId, details);
+    }
+
+    /**
+     * SIP state for a new call; hold, transfer and SDP versioning start out clear
+     */
+    createSession(call, fields, initialState = 'trying') {
+        return {
+            dialog: null,
+            sdp: null,
+            localHold: null,
+            remoteHold: false,
+            reinvite: false,
+            transfer: null,
+            referral: null,
+            consultation: null,
+            consultationFor: null,
+            ...fields,
+            state: this.createCallState(call, initialState)
+        };
+    }
+
+    /**
+     * Our SDP for the call: an answer to offer, or a new offer. Keeps one o= session id and
+     * bumps its version on every description (RFC 3264 section 8)
+     */
+    describeMedia(session, { offer = null, direction = 'sendrecv' } = {}) {
+        const { userAgent, config } = session.account;
+
+        if (!session.sdp) {
+            session.sdp = { sessionId: String(Date.now()), version: 0 };
+        }
+        session.sdp.version++;
+
+        const options = {
+            address: userAgent.localAddress,
+            port: session.rtp.localPort,
+            codecs: config.codecs,
+            direction,
+            sessionId: session.sdp.sessionId,
+            sessionVersion: session.sdp.version
+        };
+
+        // Answers follow our codec order too, so the far end's first choice is one we prefer
+        const body = offer ? SDP.createAnswer(offer, options) : SDP.createOffer(options);
+        return body && SDP.applyCodecPreferences(body, { codecs: config.codecs, opus: config.opus });
+    }
+
+    /**
+     * State machine for a new call; every change is mirrored onto the call and emitted as 'call-state'
+     */
+    createCallState(call, initialState = 'trying') {
+        const machine = new CallStateMachine(initialState);
+
+        machine.on('change', (change) => {
+            call.state = change.state;
+            call.status = machine.status;
+            this.emit('call-state', { ...call, previousState: change.previousState, sipCode: change.sipCode || null });
+        });
+
+        return machine;
+    }
+
+    /**
+     * Advance a live call; returns false if the call is gone or already in that state
+     */
+    setCallState(call, state, details = {}) {
+        const session = this.callSessions.get(call.id);
+        return session ? session.state.transition(state, details) : false;
+    }
+
+    /**
+     * Move a call to history once its signaling is over
+     */
+    finishCall(callId, details = {}) {
+        const call = this.activeCalls.get(callId);
+        if (!call) return;
+
+        const session = this.callSessions.get(callId);
+
+        call.endTime = new Date();
+        call.endReason = details.reason || null;
+        call.sipCode = details.sipCode || null;
+        call.cause = CallStateMachine.causeFor(call.sipCode, call.endReason);
+        call.outcome = session ? session.state.outcome(call.direction, call.sipCode) : (call.connectTime ? 'completed' : 'failed');
+        if (call.screening && !call.connectTime) {
+            call.outcome = 'blocked';
+        }
+
+        if (session) {
+            clearTimeout(session.ringTimer);
+            if (session.transfer) clearTimeout(session.transfer.timer);
+            if (session.referral) {
+                this.notifyReferrer(session.referral, call.sipCode || 487, call.sipCode ? call.endReason : 'Request Terminated');
+            }
+            const parent = session.consultationFor && this.callSessions.get(session.consultationFor);
+            if (parent && parent.consultation === callId) {
+                parent.consultation = null;
+            }
+            if (session.postDial) session.postDial.cancel();
+            if (this.conference.remove(callId)) this.emitConferenceState();
+            if (session.rtp) session.rtp.close();
+            call.quality = this.qualityMonitor.unwatch(callId);
+            session.state.terminate({ sipCode: call.sipCode, reason: call.endReason });
+            this.callSessions.delete(callId);
+        }
+
+        call.state = 'terminated';
+        call.status = 'ended';
+
+        if (call.connectTime) {
+            call.duration = call.endTime - call.connectTime;
+        }
+
+        // Clean up audio
+        this.cleanupCallAudio(call);
+
+        // Move to call history
+        this.callHistory.push({ ...call });
+        this.activeCalls.delete(callId);
+
+        console.log(`✅ Call ended: ${call.remoteNumber} (Duration: ${Math.round(call.duration / 1000)}s)`);
+
+        this.emit('call-ended', call);
+    }
+
+    /**
+     * Dialed numbers become sip:number@domain of the calling account; full URIs pass through
+     */
+    buildTargetURI(number, config = this.currentConfig) {
+        const value = String(number).trim();
+        if (/^sips?:/i.test(value)) {
+            return value;
+        }
+
+        const user = value.includes('@') ? value : `${value.replace(/[\s().-]/g, '')}@${config.domain}`;
+        return `sip:${user}`;
+    }
+
+    async initializeCallAudio(call) {
+        try {
+            if (typeof navigator !== 'undefined' && navigator.mediaDevices) {
+                // Get user media for WebRTC
+                this.localStream = await navigator.mediaDevices.getUserMedia({
+                    audio: {
+                        echoCancellation: true,
+                        noiseSuppression: true,
+                        autoGainControl: true
+                    }
+                });
+
+                console.log('🎤 Audio initialized for call');
+            }
+        } catch (error) {
+            console.warn('⚠️ Audio initialization failed:', error);
+        }
+    }
+
+    async cleanupCallAudio(call) {
+        try {
+            if (this.localStream) {
+                this.localStream.getTracks().forEach(track => track.stop());
+                this.localStream = null;
+            }
+
+            console.log('🔇 Audio cleaned up for call');
+        } catch (error) {
+            console.warn('⚠️ Audio cleanup failed:', error);
+        }
+    }
+
+    async playLocalDTMFTone(digit) {
+        console.log(`🔢 Playing DTMF tone: ${digit}`);
 
         // DTMF frequencies
         const dtmfFreqs = {
@@ -503,6 +2229,10 @@ class SIPService extends EventEmitter {
             return { valid: false, error: 'Server is required for custom provider' };
         }
 
+        if (config.transport && !SIPTransport.SUPPORTED_TRANSPORTS.includes(config.transport.toUpperCase())) {
+            return { valid: false, error: `Unsupported transport: ${config.transport}` };
+        }
+
         return { valid: true };
     }
 
@@ -519,7 +2249,8 @@ class SIPService extends EventEmitter {
             username: this.currentConfig?.username || null,
             activeCalls: this.activeCalls.size,
             totalCalls: this.callHistory.length,
-            features: this.currentConfig?.features || []
+            features: this.currentConfig?.features || [],
+            accounts: this.getAccounts()
         };
     }
 
@@ -545,14 +2276,6 @@ class SIPService extends EventEmitter {
     }
 
     // Test methods for development
-    async testIncomingCall() {
-        if (!this.isConnected) {
-            throw new Error('Not connected to SIP server');
-        }
-
-        return await this.simulateIncomingCall('+1 (336) 462-6141', 'Test Caller');
-    }
-
     async testOutgoingCall() {
         if (!this.isConnected) {
             throw new Error('Not connected to SIP server');
@@ -562,4 +2285,4 @@ class SIPService extends EventEmitter {
     }
 }
 
-module.exports = SIPService;
\ No newline at end of file
+module.exports = SIPService;
@@ -92,6 +92,7 @@ class SMSService extends EventEmitter {
                 timestamp: timestamp.toISOString(),
                 status: 'sending',
                 provider: provider,
+                accountId: options.accountId || null,
                 type: 'text',
                 metadata: {
                     length: message.length,
@@ -143,6 +144,7 @@ class SMSService extends EventEmitter {
                 timestamp: timestamp.toISOString(),
                 status: 'received',
                 provider: options.provider || 'FLEXPBX',
+                accountId: options.accountId || null,
                 type: 'text',
                 read: false,
                 metadata: {
@@ -391,6 +393,7 @@ class SMSService extends EventEmitter {
 
     detectEncoding(message) {
         // Simple encoding detection
+        // eslint-disable-next-line no-control-regex
         if (/[^\x00-\x7F]/.test(message)) {
             return 'UTF-8';
         }
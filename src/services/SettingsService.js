@@ -6,6 +6,7 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 
 class SettingsService extends EventEmitter {
     constructor() {
@@ -21,16 +22,26 @@ class SettingsService extends EventEmitter {
             'sip.server': 'flexpbx.local',
             'sip.port': 5070,
             'sip.username': '',
+            'sip.authUsername': '',
             'sip.password': '',
             'sip.displayName': '',
             'sip.transport': 'UDP',
+            'sip.tlsVerify': true,
             'sip.autoConnect': false,
             'sip.keepAlive': true,
+            'sip.keepAliveMethod': 'crlf',
+            'sip.keepAliveInterval': 0,
+            'sip.outbound': true,
+            'sip.rewriteContact': true,
+            'sip.instanceId': null,
+            'sip.fallbackServers': [],
+            'sip.accounts': null,
 
             // Audio Settings
             'audio.inputDevice': 'default',
             'audio.outputDevice': 'default',
             'audio.ringtone': 'default',
+            'audio.ringRules': [],
             'audio.dtmfTone': true,
             'audio.microphoneVolume': 80,
             'audio.speakerVolume': 80,
@@ -48,6 +59,28 @@ class SettingsService extends EventEmitter {
             'ui.minimizeToTray': true,
             'ui.startMinimized': false,
 
+            // Call Handling
+            'calls.autoDialLinks': false, // tel:/sip:/callto: links dial at once instead of filling the dialer
+            'calls.autoAnswer': 'never', // never, always, intercom (Call-Info/Alert-Info hints) or trusted
+            'calls.autoAnswerDelay': 3, // seconds, for calls without an answer-after hint
+            'calls.autoAnswerTrusted': [], // numbers whose intercom calls answer under the trusted policy
+            'calls.autoAnswerWhenBusy': false,
+            'calls.forwarding': {}, // account id -> { always, busy, noAnswer, noAnswerTimeout } forwarded by the client
+            'calls.dnd': false,
+            'calls.dndResponse': 486, // 486, 480, 603 or 'voicemail'
+            'calls.dndVoicemail': '', // number or URI calls go to when dndResponse is 'voicemail'
+            'calls.dndSchedule': [], // [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '08:00' }], days 0 = Sunday
+            'calls.dndQuietHours': null, // { start: '22:00', end: '07:00' } every day
+            'calls.dndSuspendedUntil': null, // set when DND is turned off during a schedule; schedules resume after it
+            'calls.dndVipFavorites': true, // favorite contacts ring through
+            'calls.dndVipTags': ['vip'], // contacts with these tags ring through
+            'calls.blocklist': [], // numbers or patterns ('+1900*', '555?123'), or { pattern, action }
+            'calls.allowlist': [], // ring through the blocklist and contacts-only mode
+            'calls.rejectAnonymous': false, // withheld caller IDs are screened
+            'calls.contactsOnly': false, // only callers in contacts ring
+            'calls.screeningAction': 'reject', // reject (603), silent (no ring) or voicemail
+            'calls.screeningVoicemail': '', // number or URI for the voicemail action
+
             // Notifications
             'notifications.enabled': true,
             'notifications.sound': true,
@@ -105,7 +138,7 @@ class SettingsService extends EventEmitter {
                 return this.settings.get(key);
             }
 
-            if (this.defaultSettings.hasOwnProperty(key)) {
+            if (Object.hasOwn(this.defaultSettings, key)) {
                 return this.defaultSettings[key];
             }
 
@@ -173,7 +206,7 @@ class SettingsService extends EventEmitter {
         try {
             if (key) {
                 // Reset specific setting
-                if (this.defaultSettings.hasOwnProperty(key)) {
+                if (Object.hasOwn(this.defaultSettings, key)) {
                     this.settings.set(key, this.defaultSettings[key]);
                     await this.saveSettings();
 
@@ -252,7 +285,7 @@ class SettingsService extends EventEmitter {
 
             // Import settings
             for (const [key, value] of Object.entries(importData.settings)) {
-                if (this.defaultSettings.hasOwnProperty(key)) {
+                if (Object.hasOwn(this.defaultSettings, key)) {
                     this.settings.set(key, value);
                 }
             }
@@ -296,14 +329,83 @@ class SettingsService extends EventEmitter {
             server: this.get('sip.server'),
             port: this.get('sip.port'),
             username: this.get('sip.username'),
+            authUsername: this.get('sip.authUsername'),
             password: this.get('sip.password'),
             displayName: this.get('sip.displayName'),
             transport: this.get('sip.transport'),
+            tlsVerify: this.get('sip.tlsVerify'),
             autoConnect: this.get('sip.autoConnect'),
-            keepAlive: this.get('sip.keepAlive')
+            keepAlive: this.get('sip.keepAlive'),
+            keepAliveMethod: this.get('sip.keepAliveMethod'),
+            keepAliveInterval: this.get('sip.keepAliveInterval'),
+            outbound: this.get('sip.outbound'),
+            rewriteContact: this.get('sip.rewriteContact'),
+            fallbackServers: this.get('sip.fallbackServers')
         };
     }
 
+    /**
+     * Saved SIP accounts; the legacy single 'sip.*' account becomes 'primary'
+     */
+    async getSIPAccounts() {
+        const accounts = await this.get('sip.accounts');
+        if (Array.isArray(accounts)) {
+            return accounts;
+        }
+
+        const username = await this.get('sip.username');
+        if (!username) {
+            return [];
+        }
+
+        return [{
+            accountId: 'primary',
+            provider: await this.get('sip.provider'),
+            server: await this.get('sip.server'),
+            port: await this.get('sip.port'),
+            username,
+            authUsername: await this.get('sip.authUsername'),
+            password: await this.get('sip.password'),
+            displayName: await this.get('sip.displayName'),
+            transport: await this.get('sip.transport'),
+            tlsVerify: await this.get('sip.tlsVerify'),
+            keepAlive: await this.get('sip.keepAlive'),
+            keepAliveMethod: await this.get('sip.keepAliveMethod'),
+            keepAliveInterval: await this.get('sip.keepAliveInterval'),
+            outbound: await this.get('sip.outbound'),
+            rewriteContact: await this.get('sip.rewriteContact'),
+            fallbackServers: await this.get('sip.fallbackServers')
+        }];
+    }
+
+    /**
+     * Stable RFC 5626 instance ID for this installation, created on first use
+     */
+    async getInstanceId() {
+        let instanceId = await this.get('sip.instanceId');
+        if (!instanceId) {
+            instanceId = crypto.randomUUID();
+            await this.set('sip.instanceId', instanceId);
+        }
+        return instanceId;
+    }
+
+    async saveSIPAccount(account) {
+        if (!account.accountId) {
+            return { success: false, error: 'accountId is required' };
+        }
+
+        const accounts = (await this.getSIPAccounts()).filter(existing => existing.accountId !== account.accountId);
+        accounts.push(account);
+
+        return await this.set('sip.accounts', accounts);
+    }
+
+    async removeSIPAccount(accountId) {
+        const accounts = (await this.getSIPAccounts()).filter(account => account.accountId !== accountId);
+        return await this.set('sip.accounts', accounts);
+    }
+
     getAudioConfig() {
         return {
             inputDevice: this.get('audio.inputDevice'),
@@ -0,0 +1,99 @@
+/**
+ * 📢 FlexPhone Auto Answer
+ * Intercom hints on incoming INVITEs, and the policy deciding which calls answer themselves
+ */
+
+const SIPMessage = require('./SIPMessage');
+
+// never; always; intercom: calls with a hint; trusted: calls with a hint from a trusted number
+const POLICIES = ['never', 'always', 'intercom', 'trusted'];
+
+// Alert-Info tokens phones and PBXs use for intercom (Snom, Yealink, Polycom, Grandstream, Cisco)
+const INTERCOM_ALERTS = ['alert-autoanswer', 'autoanswer', 'auto-answer', 'alert-intercom', 'intercom', 'ring-answer'];
+
+const DEFAULTS = { policy: 'never', delay: 3, trusted: [], whenBusy: false };
+
+class AutoAnswer {
+    /**
+     * { delay, source } from Call-Info ;answer-after=N, an intercom Alert-Info (;delay=N) or
+     * Answer-Mode/Priv-Answer-Mode: Auto (RFC 5373); null when the INVITE carries none
+     */
+    static detect(request) {
+        for (const entry of AutoAnswer.headerEntries(request, 'Call-Info')) {
+            if ('answer-after' in entry.params) {
+                return { delay: seconds(entry.params['answer-after']), source: 'call-info' };
+            }
+        }
+
+        for (const entry of AutoAnswer.headerEntries(request, 'Alert-Info')) {
+            if (entry.tokens.some(token => INTERCOM_ALERTS.includes(token))) {
+                return { delay: seconds(entry.params.delay), source: 'alert-info' };
+            }
+        }
+
+        for (const name of ['Answer-Mode', 'Priv-Answer-Mode']) {
+            const value = request.get(name);
+            if (value && /^auto\b/i.test(value.trim())) {
+                return { delay: 0, source: name.toLowerCase() };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Call-Info/Alert-Info entries: "<uri>;params", or bare params and tokens ("info=alert-autoanswer",
+     * "Ring Answer"). tokens holds info= and flag names, lowercased with spaces as dashes
+     */
+    static headerEntries(request, name) {
+        return request.getAll(name).flatMap(value => SIPMessage.splitList(value)).map(value => {
+            const bracket = value.match(/^\s*<([^>]*)>(.*)$/);
+            const params = SIPMessage.parseParams(bracket ? bracket[2] : value);
+            const flags = Object.keys(params).filter(key => params[key] === null);
+            const tokens = [params.info, ...flags]
+                .filter(Boolean)
+                .map(token => token.trim().toLowerCase().replace(/\s+/g, '-'));
+
+            return { uri: bracket ? bracket[1].trim() : null, params, tokens };
+        });
+    }
+
+    /**
+     * { delay, intercom, source } when the call should answer itself, else null. settings: policy,
+     * delay for calls without a hint, whenBusy; trusted and busy describe this call
+     */
+    static decide(hint, { policy, delay, whenBusy, trusted = false, busy = false } = {}) {
+        if (busy && !whenBusy) {
+            return null;
+        }
+
+        if (hint && (policy === 'always' || policy === 'intercom' || (policy === 'trusted' && trusted))) {
+            return { delay: hint.delay, intercom: true, source: hint.source };
+        }
+        if (policy === 'always') {
+            return { delay, intercom: false, source: 'policy' };
+        }
+
+        return null;
+    }
+
+    static settingsFor(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        return {
+            policy: POLICIES.includes(settings.policy) ? settings.policy : DEFAULTS.policy,
+            delay: seconds(settings.delay),
+            trusted: [].concat(settings.trusted || []).map(String),
+            whenBusy: settings.whenBusy === true
+        };
+    }
+}
+
+function seconds(value) {
+    return Math.max(0, parseInt(value, 10) || 0);
+}
+
+AutoAnswer.POLICIES = POLICIES;
+AutoAnswer.INTERCOM_ALERTS = INTERCOM_ALERTS;
+AutoAnswer.DEFAULTS = DEFAULTS;
+
+module.exports = AutoAnswer;
@@ -0,0 +1,71 @@
+/**
+ * ↪️ FlexPhone Call Forwarding
+ * Per-account forwarding done by the client when the PBX doesn't: unconditional, busy and
+ * no-answer targets, sent to the caller as 302 Moved Temporarily
+ */
+
+const TYPES = ['always', 'busy', 'noAnswer'];
+
+// Diversion header reasons (RFC 5806)
+const REASONS = {
+    always: 'unconditional',
+    busy: 'user-busy',
+    noAnswer: 'no-answer',
+    deflect: 'deflection',
+    dnd: 'do-not-disturb'
+};
+
+// Targets are numbers or SIP URIs; null turns that kind of forwarding off
+const DEFAULTS = { always: null, busy: null, noAnswer: null, noAnswerTimeout: 20 };
+
+class CallForwarding {
+    constructor(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+
+        for (const type of TYPES) {
+            const target = settings[type] === null || settings[type] === undefined ? '' : String(settings[type]).trim();
+            this[type] = target || null;
+        }
+        this.noAnswerTimeout = Math.max(1, parseInt(settings.noAnswerTimeout, 10) || DEFAULTS.noAnswerTimeout);
+    }
+
+    get enabled() {
+        return TYPES.some(type => this[type] !== null);
+    }
+
+    /**
+     * Forwarding that applies before the call rings: { type, target } or null.
+     * busy means already on a call, so busy forwarding takes the place of call waiting
+     */
+    immediate({ busy = false } = {}) {
+        if (this.always) {
+            return { type: 'always', target: this.always };
+        }
+        if (busy && this.busy) {
+            return { type: 'busy', target: this.busy };
+        }
+        return null;
+    }
+
+    toJSON() {
+        return {
+            always: this.always,
+            busy: this.busy,
+            noAnswer: this.noAnswer,
+            noAnswerTimeout: this.noAnswerTimeout
+        };
+    }
+
+    /**
+     * Diversion header naming who forwarded the call and why
+     */
+    static diversion(uri, type) {
+        return `<${uri}>;reason=${REASONS[type] || 'unknown'};counter=1`;
+    }
+}
+
+CallForwarding.TYPES = TYPES;
+CallForwarding.REASONS = REASONS;
+CallForwarding.DEFAULTS = DEFAULTS;
+
+module.exports = CallForwarding;
@@ -0,0 +1,190 @@
+/**
+ * 📶 FlexPhone Call Quality Monitor
+ * Polls each call's RTP statistics and estimates MOS with the ITU-T G.107 E-model
+ */
+
+const EventEmitter = require('events');
+
+const POLL_INTERVAL = 5000;
+
+// Equipment impairment (Ie) and packet-loss robustness (Bpl) from G.113 Appendix I;
+// codecs without a published entry are rated like G.711 with loss concealment
+const CODEC_IMPAIRMENT = {
+    PCMU: { ie: 0, bpl: 25.1 },
+    PCMA: { ie: 0, bpl: 25.1 },
+    G729: { ie: 11, bpl: 19 }
+};
+const DEFAULT_IMPAIRMENT = CODEC_IMPAIRMENT.PCMU;
+
+// Lowest MOS for each rating, best first; poor and bad count as degraded
+const RATINGS = [['good', 4.0], ['fair', 3.6], ['poor', 3.1], ['bad', 0]];
+
+class CallQualityMonitor extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.interval = options.interval || POLL_INTERVAL;
+        this.calls = new Map(); // callId -> { getStats, timer, totals, samples, rating }
+    }
+
+    /**
+     * Poll a call; getStats resolves to an RTCStatsReport or any Map of stats entries in the same shape
+     */
+    watch(callId, getStats) {
+        this.unwatch(callId);
+
+        const entry = { getStats, timer: null, totals: null, samples: [], rating: null };
+        entry.timer = setInterval(() => this.poll(callId), this.interval);
+        this.calls.set(callId, entry);
+    }
+
+    /**
+     * Stop polling; returns the call's quality summary, or null if nothing was measured
+     */
+    unwatch(callId) {
+        const entry = this.calls.get(callId);
+        if (!entry) return null;
+
+        clearInterval(entry.timer);
+        this.calls.delete(callId);
+
+        return CallQualityMonitor.summarize(entry.samples);
+    }
+
+    stop() {
+        for (const callId of [...this.calls.keys()]) {
+            this.unwatch(callId);
+        }
+    }
+
+    async poll(callId) {
+        const entry = this.calls.get(callId);
+        if (!entry) return;
+
+        let report;
+        try {
+            report = await entry.getStats();
+        } catch (error) {
+            console.warn(`⚠️ Call ${callId} statistics unavailable: ${error.message}`);
+            return;
+        }
+        if (this.calls.get(callId) !== entry || !report) return;
+
+        const sample = CallQualityMonitor.measure(report, entry.totals);
+        if (!sample) return;
+
+        entry.totals = sample.totals;
+        delete sample.totals;
+        entry.samples.push(sample);
+
+        const previousRating = entry.rating;
+        entry.rating = sample.rating;
+
+        this.emit('call-quality', { callId, ...sample, previousRating });
+    }
+
+    /**
+     * One sample from a stats report; loss is over the interval since the previous totals
+     */
+    static measure(report, previous = null) {
+        let inbound = null;
+        let remoteInbound = null;
+        let pair = null;
+        const byId = new Map();
+
+        for (const stats of report.values()) {
+            byId.set(stats.id, stats);
+            const audio = (stats.kind || stats.mediaType) === 'audio';
+
+            if (stats.type === 'inbound-rtp' && audio) {
+                inbound = stats;
+            } else if (stats.type === 'remote-inbound-rtp' && audio) {
+                remoteInbound = stats;
+            } else if (stats.type === 'candidate-pair' && (stats.nominated || stats.selected)) {
+                pair = stats;
+            }
+        }
+
+        if (!inbound) return null;
+
+        const totals = { lost: Math.max(0, inbound.packetsLost || 0), received: inbound.packetsReceived || 0 };
+        const lost = totals.lost - (previous ? previous.lost : 0);
+        const received = totals.received - (previous ? previous.received : 0);
+        const packetLoss = lost + received > 0 ? (Math.max(0, lost) / (lost + received)) * 100 : 0;
+
+        // null when nothing measured it (plain RTP without RTCP), rather than a flattering zero
+        const roundTrip = remoteInbound && typeof remoteInbound.roundTripTime === 'number'
+            ? remoteInbound.roundTripTime
+            : pair && typeof pair.currentRoundTripTime === 'number' ? pair.currentRoundTripTime : null;
+
+        const codecStats = inbound.codecId ? byId.get(inbound.codecId) : null;
+        const codec = codecStats && codecStats.mimeType ? codecStats.mimeType.split('/')[1] : null;
+
+        const sample = {
+            jitter: round((inbound.jitter || 0) * 1000),
+            packetLoss: round(packetLoss),
+            rtt: roundTrip === null ? null : round(roundTrip * 1000),
+            codec
+        };
+        sample.mos = CallQualityMonitor.estimateMOS(sample);
+        sample.rating = CallQualityMonitor.rate(sample.mos);
+        sample.totals = totals;
+
+        return sample;
+    }
+
+    /**
+     * Simplified E-model: delay impairment from one-way delay plus a jitter buffer of twice the
+     * jitter, loss impairment from the codec's Ie/Bpl, then R mapped to MOS (G.107 Annex B).
+     * An unknown rtt leaves network delay out, so the estimate is an upper bound
+     */
+    static estimateMOS({ rtt = 0, jitter = 0, packetLoss = 0, codec = null }) {
+        const delay = (rtt || 0) / 2 + jitter * 2 + 10;
+        const delayImpairment = delay < 160 ? delay / 40 : (delay - 120) / 10;
+
+        const { ie, bpl } = CODEC_IMPAIRMENT[String(codec).toUpperCase()] || DEFAULT_IMPAIRMENT;
+        const lossImpairment = ie + (95 - ie) * packetLoss / (packetLoss + bpl);
+
+        const r = 93.2 - delayImpairment - lossImpairment;
+        if (r <= 0) return 1;
+        if (r >= 100) return 4.5;
+
+        return round(1 + 0.035 * r + 7e-6 * r * (r - 60) * (100 - r));
+    }
+
+    static rate(mos) {
+        return RATINGS.find(([, floor]) => mos >= floor)[0];
+    }
+
+    static isDegraded(rating) {
+        return rating === 'poor' || rating === 'bad';
+    }
+
+    static summarize(samples) {
+        if (samples.length === 0) return null;
+
+        const average = (key) => round(samples.reduce((sum, sample) => sum + sample[key], 0) / samples.length);
+        const mos = average('mos');
+        const timed = samples.filter(sample => sample.rtt !== null);
+
+        return {
+            samples: samples.length,
+            mos,
+            minMos: Math.min(...samples.map(sample => sample.mos)),
+            rating: CallQualityMonitor.rate(mos),
+            jitter: average('jitter'),
+            packetLoss: average('packetLoss'),
+            rtt: timed.length > 0 ? round(timed.reduce((sum, sample) => sum + sample.rtt, 0) / timed.length) : null,
+            codec: samples[samples.length - 1].codec
+        };
+    }
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+CallQualityMonitor.CODEC_IMPAIRMENT = CODEC_IMPAIRMENT;
+CallQualityMonitor.RATINGS = RATINGS;
+
+module.exports = CallQualityMonitor;
@@ -0,0 +1,139 @@
+/**
+ * 🚫 FlexPhone Call Screening
+ * Decides before an incoming call rings whether it is blocked: blocked contacts, blocklists and
+ * allowlists of numbers and wildcard patterns, anonymous callers and allow-contacts-only mode
+ */
+
+const DialPlan = require('./DialPlan');
+
+// reject: 603 Decline; silent: shown without ringing until the caller gives up; voicemail: forwarded there
+const ACTIONS = ['reject', 'silent', 'voicemail'];
+
+// What withheld caller IDs look like in From (RFC 3261 anonymous.invalid, and what carriers send)
+const ANONYMOUS_NAMES = ['anonymous', 'restricted', 'withheld', 'private', 'unknown', 'unavailable'];
+
+const DEFAULTS = {
+    blocklist: [], // numbers or patterns ('*' any run, '?' one character: '+1900*' blocks a prefix), or { pattern, action }
+    allowlist: [], // rings through everything except a blocked contact
+    rejectAnonymous: false,
+    contactsOnly: false,
+    action: 'reject',
+    voicemail: null
+};
+
+class CallScreening {
+    constructor(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+
+        this.voicemail = settings.voicemail ? String(settings.voicemail).trim() || null : null;
+        this.action = this.usableAction(settings.action) || DEFAULTS.action;
+        this.blocklist = [].concat(settings.blocklist || []).map(entry => this.parseEntry(entry)).filter(Boolean);
+        this.allowlist = [].concat(settings.allowlist || []).map(entry => this.parseEntry(entry)).filter(Boolean);
+        this.rejectAnonymous = settings.rejectAnonymous === true;
+        this.contactsOnly = settings.contactsOnly === true;
+    }
+
+    /**
+     * What to do with an incoming call before it rings: null to ring, else { action, reason, rule }.
+     * caller is { number, anonymous }; reason is contact, blocklist, anonymous or contacts-only
+     */
+    screen(caller, contact = null, dialPlan = new DialPlan()) {
+        if (contact && contact.blocked === true) {
+            return { action: this.action, reason: 'contact', rule: contact.displayName || null };
+        }
+        if (caller.anonymous) {
+            return this.rejectAnonymous ? { action: this.action, reason: 'anonymous', rule: null } : null;
+        }
+        if (this.find(this.allowlist, caller.number, dialPlan)) {
+            return null;
+        }
+
+        const blocked = this.find(this.blocklist, caller.number, dialPlan);
+        if (blocked) {
+            return { action: blocked.action || this.action, reason: 'blocklist', rule: blocked.pattern };
+        }
+        if (this.contactsOnly && !contact) {
+            return { action: this.action, reason: 'contacts-only', rule: null };
+        }
+        return null;
+    }
+
+    /**
+     * Let a number through again: drops blocklist entries for exactly this number and allowlists it
+     * when a pattern or contacts-only mode would still stop it. Returns the new lists for settings
+     */
+    unblock(number, dialPlan = new DialPlan()) {
+        this.blocklist = this.blocklist.filter(entry => entry.regex || !dialPlan.matches(entry.pattern, number));
+
+        if (this.find(this.blocklist, number, dialPlan) || this.contactsOnly) {
+            if (!this.find(this.allowlist, number, dialPlan)) {
+                this.allowlist.push(this.parseEntry(number));
+            }
+        }
+        return this.toJSON();
+    }
+
+    /**
+     * First entry matching the number; exact entries compare through the dial plan, so national,
+     * international and E.164 forms match, and patterns are tried on the number and its E.164 form
+     */
+    find(list, number, dialPlan) {
+        const candidates = [DialPlan.clean(String(number || '')), dialPlan.toE164(number)].filter(Boolean);
+
+        return list.find(entry => entry.regex
+            ? candidates.some(candidate => entry.regex.test(candidate))
+            : dialPlan.matches(entry.pattern, number)) || null;
+    }
+
+    parseEntry(entry) {
+        const pattern = String(entry && typeof entry === 'object' ? entry.pattern || '' : entry || '').trim();
+        if (!pattern) {
+            return null;
+        }
+
+        return {
+            pattern,
+            action: entry && typeof entry === 'object' ? this.usableAction(entry.action) : null,
+            regex: /[*?]/.test(pattern) ? CallScreening.compilePattern(pattern) : null
+        };
+    }
+
+    // Voicemail needs somewhere to send calls
+    usableAction(action) {
+        return ACTIONS.includes(action) && (action !== 'voicemail' || this.voicemail) ? action : null;
+    }
+
+    toJSON() {
+        const entry = ({ pattern, action }) => action ? { pattern, action } : pattern;
+        return {
+            blocklist: this.blocklist.map(entry),
+            allowlist: this.allowlist.map(entry)
+        };
+    }
+
+    /**
+     * Withheld caller IDs: no user, an anonymous.invalid host, or a name like Anonymous or Restricted
+     */
+    static isAnonymous({ user, host, displayName } = {}) {
+        const names = [user, displayName].filter(Boolean).map(name => String(name).trim().toLowerCase());
+
+        return !user || /(^|\.)anonymous\.invalid$/i.test(String(host || '')) ||
+               names.some(name => ANONYMOUS_NAMES.includes(name));
+    }
+
+    static compilePattern(pattern) {
+        const source = DialPlan.clean(pattern).split('').map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        return new RegExp(`^${source}$`, 'i');
+    }
+}
+
+CallScreening.ACTIONS = ACTIONS;
+CallScreening.ANONYMOUS_NAMES = ANONYMOUS_NAMES;
+CallScreening.DEFAULTS = DEFAULTS;
+
+module.exports = CallScreening;
@@ -0,0 +1,140 @@
+/**
+ * 🚦 FlexPhone Call State Machine
+ * Per-call states from INVITE to teardown, with the SIP cause that ended the call
+ */
+
+const EventEmitter = require('events');
+
+// Allowed moves; 180 and 183 may arrive in either order before the answer
+const TRANSITIONS = {
+    trying: ['ringing', 'early', 'confirmed', 'terminated'],
+    ringing: ['early', 'confirmed', 'terminated'],
+    early: ['ringing', 'confirmed', 'terminated'],
+    confirmed: ['held', 'transferring', 'terminated'],
+    held: ['confirmed', 'transferring', 'terminated'],
+    transferring: ['confirmed', 'held', 'terminated'],
+    terminated: []
+};
+
+// Final response codes -> cause names reported on the ended call
+const CAUSES = {
+    302: 'forwarded',
+    404: 'not-found',
+    408: 'timeout',
+    480: 'unavailable',
+    486: 'busy',
+    487: 'cancelled',
+    488: 'incompatible',
+    503: 'service-unavailable',
+    600: 'busy',
+    603: 'declined'
+};
+
+// Legacy coarse status kept on call objects for existing consumers
+const STATUS = {
+    trying: 'connecting',
+    ringing: 'ringing',
+    early: 'ringing',
+    confirmed: 'connected',
+    held: 'connected',
+    transferring: 'connected',
+    terminated: 'ended'
+};
+
+class CallStateMachine extends EventEmitter {
+    constructor(initialState = 'trying') {
+        super();
+
+        if (!TRANSITIONS[initialState]) {
+            throw new Error(`Unknown call state: ${initialState}`);
+        }
+
+        this.state = initialState;
+        this.answered = false;
+        this.cause = null;
+        this.history = [{ state: initialState, timestamp: new Date() }];
+    }
+
+    get status() {
+        return STATUS[this.state];
+    }
+
+    get isTerminated() {
+        return this.state === 'terminated';
+    }
+
+    get isEstablished() {
+        return ['confirmed', 'held', 'transferring'].includes(this.state);
+    }
+
+    can(state) {
+        return TRANSITIONS[this.state].includes(state);
+    }
+
+    /**
+     * Move to state; returns false when already there, throws on a move the table does not allow
+     */
+    transition(state, details = {}) {
+        if (state === this.state) {
+            return false;
+        }
+        if (!this.can(state)) {
+            throw new Error(`Invalid call state transition: ${this.state} → ${state}`);
+        }
+
+        const previousState = this.state;
+        this.state = state;
+        if (state === 'confirmed') {
+            this.answered = true;
+        }
+        this.history.push({ state, timestamp: new Date(), ...details });
+
+        this.emit('change', { state, previousState, ...details });
+        return true;
+    }
+
+    /**
+     * End the call; sipCode/reason describe why (487 cancelled, 486 busy...)
+     */
+    terminate({ sipCode = null, reason = null } = {}) {
+        this.cause = {
+            sipCode,
+            reason,
+            cause: CallStateMachine.causeFor(sipCode, reason)
+        };
+        return this.transition('terminated', this.cause);
+    }
+
+    static causeFor(sipCode, reason = null) {
+        if (CAUSES[sipCode]) {
+            return CAUSES[sipCode];
+        }
+        if (!sipCode) {
+            return reason || 'normal';
+        }
+        return sipCode >= 500 ? 'server-error' : 'failed';
+    }
+
+    /**
+     * Call history status: completed, busy, cancelled or failed outbound; missed, declined or forwarded inbound
+     */
+    outcome(direction, sipCode = this.cause ? this.cause.sipCode : null) {
+        if (this.answered) {
+            return 'completed';
+        }
+
+        if (direction === 'inbound') {
+            if (sipCode === 302) return 'forwarded';
+            return sipCode === 603 ? 'declined' : 'missed';
+        }
+        if (sipCode === 486 || sipCode === 600) {
+            return 'busy';
+        }
+        return sipCode === 487 ? 'cancelled' : 'failed';
+    }
+}
+
+CallStateMachine.TRANSITIONS = TRANSITIONS;
+CallStateMachine.CAUSES = CAUSES;
+
+module.exports = CallStateMachine;
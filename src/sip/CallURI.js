@@ -0,0 +1,165 @@
+/**
+ * 🔗 FlexPhone Call URI
+ * Turns tel:, sip:, sips: and callto: links from browsers and other apps into something to dial
+ */
+
+const SCHEMES = ['tel', 'sip', 'sips', 'callto'];
+
+// RFC 3966 visual separators
+const VISUAL_SEPARATORS = /[\s().\-/]/g;
+
+// eslint-disable-next-line no-control-regex
+const UNSAFE = /[\s<>"\x00-\x1f\x7f]/;
+
+class CallURI {
+    /**
+     * { scheme, target, number, params, headers } or null for anything that is not a call link.
+     * target is what the dialer gets: a number (with post-dial digits for ;ext and ;postd) or a SIP URI
+     */
+    static parse(text) {
+        const value = String(text || '').trim();
+        const match = value.match(/^([a-z]+):(.*)$/i);
+        if (!match || !SCHEMES.includes(match[1].toLowerCase())) {
+            return null;
+        }
+
+        const scheme = match[1].toLowerCase();
+        const rest = match[2];
+
+        if (scheme === 'tel') return CallURI.parseTel(rest);
+        if (scheme === 'callto') return CallURI.parseCallto(rest);
+        return CallURI.parseSip(scheme, rest);
+    }
+
+    /**
+     * tel:+1-201-555-0123;ext=101 or tel:7042;phone-context=+1-201-555 (RFC 3966)
+     */
+    static parseTel(rest) {
+        const [subscriber, ...parts] = rest.split(';');
+        const params = CallURI.parseParams(parts);
+        const context = params['phone-context'] || null;
+
+        let number = decode(subscriber).replace(VISUAL_SEPARATORS, '');
+        // A local number with a global-number context is the context digits followed by it
+        if (context && context.startsWith('+') && !number.startsWith('+')) {
+            number = context.replace(VISUAL_SEPARATORS, '') + number;
+        }
+        if (!/^\+?[\d*#A-D]+$/i.test(number)) {
+            return null;
+        }
+
+        return {
+            scheme: 'tel',
+            target: number + CallURI.postDial(params),
+            number,
+            params,
+            headers: {}
+        };
+    }
+
+    /**
+     * sip:alice@example.com;transport=tcp?subject=Hello; user=phone URIs and bare sip:1234 dial their number
+     */
+    static parseSip(scheme, rest) {
+        const [address, query = ''] = rest.split('?');
+        const at = address.lastIndexOf('@');
+        const [hostport, ...parts] = address.slice(at + 1).split(';');
+        const params = at === -1 ? {} : CallURI.parseParams(parts);
+
+        // The user part may carry its own ;phone-context; a password after ':' is dropped
+        const user = (at === -1 ? address : address.slice(0, at)).split(':')[0];
+        const host = at === -1 ? null : decode(hostport);
+        if (!user || (host !== null && !/^([\w.-]+|\[[\da-f:]+\])(:\d+)?$/i.test(host))) {
+            return null;
+        }
+
+        if (host === null || params.user === 'phone') {
+            const tel = CallURI.parseTel(user);
+            return tel ? { ...tel, scheme, params: { ...tel.params, ...params }, headers: CallURI.parseHeaders(query) } : null;
+        }
+
+        // Whitespace, quotes or control characters could break out of the Request-URI and To header
+        const target = `${scheme}:${decode(user)}@${host}${parts.length > 0 ? `;${parts.join(';')}` : ''}`;
+        if (UNSAFE.test(target)) {
+            return null;
+        }
+
+        return { scheme, target, number: null, params, headers: CallURI.parseHeaders(query) };
+    }
+
+    /**
+     * callto:+15551234, callto://+15551234 or callto:alice@example.com (treated as SIP)
+     */
+    static parseCallto(rest) {
+        const value = decode(rest).replace(/^\/\//, '').replace(/\/$/, '').split('?')[0].trim();
+        if (!value) return null;
+
+        if (value.includes('@')) {
+            const parsed = CallURI.parseSip('sip', value);
+            return parsed ? { ...parsed, scheme: 'callto' } : null;
+        }
+
+        // Numbers lose their separators; anything else is a user name to dial as is
+        const numeric = /^\+?[\d*#]/.test(value);
+        const target = numeric ? value.replace(VISUAL_SEPARATORS, '') : value;
+        if (!/^\+?[\w.*#-]+$/.test(target)) {
+            return null;
+        }
+
+        return { scheme: 'callto', target, number: numeric ? target : null, params: {}, headers: {} };
+    }
+
+    /**
+     * Dial-string suffix for ;ext= (sent after a pause) and the older ;postd= with p/w (RFC 2806)
+     */
+    static postDial(params) {
+        if (params.ext && /^[\d*#]+$/.test(params.ext)) {
+            return `,${params.ext}`;
+        }
+        if (params.postd) {
+            return params.postd.replace(/p/gi, ',').replace(/w/gi, ';');
+        }
+        return '';
+    }
+
+    static parseParams(parts) {
+        const params = {};
+        for (const part of parts) {
+            const [name, ...value] = part.split('=');
+            if (name) {
+                params[decode(name).toLowerCase()] = value.length > 0 ? decode(value.join('=')) : '';
+            }
+        }
+        return params;
+    }
+
+    static parseHeaders(query) {
+        const headers = {};
+        for (const pair of query.split('&')) {
+            const [name, ...value] = pair.split('=');
+            if (name) {
+                headers[decode(name).toLowerCase()] = decode(value.join('='));
+            }
+        }
+        return headers;
+    }
+
+    /**
+     * First call link in a command line (Windows and Linux pass the clicked URI as an argument)
+     */
+    static fromArgv(argv) {
+        return argv.find(arg => CallURI.parse(arg) !== null) || null;
+    }
+}
+
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+CallURI.SCHEMES = SCHEMES;
+
+module.exports = CallURI;
@@ -0,0 +1,261 @@
+/**
+ * 🎛️ FlexPhone Conference Bridge
+ * Local N-way mix of calls' RTP audio plus the local user's microphone: every 20 ms each party is sent
+ * the sum of everyone else, never themselves; the local user's share comes out as 'local-audio'
+ */
+
+const EventEmitter = require('events');
+const RTPSession = require('./RTPSession');
+const DTMF = require('./DTMF');
+
+// One G.711 frame is 20 ms at 8000 samples per second
+const FRAME_SAMPLES = 160;
+const FRAME_INTERVAL = 20;
+
+// Audio queued per party before the oldest is dropped, so a burst cannot build up delay
+const MAX_QUEUED_FRAMES = 5;
+
+class ConferenceBridge extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.maxParticipants = options.maxParticipants ?? Infinity;
+        this.frameInterval = options.frameInterval || FRAME_INTERVAL;
+
+        this.participants = new Map(); // callId -> { label, rtp, muted, queue, listener }
+        this.local = null; // { label, queue, pending } while the local user is in the mix
+        this.timer = null;
+    }
+
+    // Calls in the bridge; the local user is not counted against maxParticipants
+    get size() {
+        return this.participants.size;
+    }
+
+    get parties() {
+        return this.participants.size + (this.local ? 1 : 0);
+    }
+
+    /**
+     * Bridge a call's RTP session; its negotiated codec (rtp.codec) is decoded on the way in and used on the way out
+     */
+    add(callId, rtp, { label = callId } = {}) {
+        if (this.participants.has(callId)) {
+            return { success: true };
+        }
+        if (this.participants.size >= this.maxParticipants) {
+            return { success: false, error: `Conference is limited to ${this.maxParticipants} participants` };
+        }
+
+        const participant = { label, rtp, muted: false, queue: [] };
+        participant.listener = (data) => this.receive(participant, data);
+        rtp.on('packet', participant.listener);
+
+        this.participants.set(callId, participant);
+        if (this.parties > 1) this.start();
+
+        console.log(`🎛️ Conference: ${label} joined (${this.participants.size} parties)`);
+        return { success: true };
+    }
+
+    remove(callId) {
+        const participant = this.participants.get(callId);
+        if (!participant) return false;
+
+        participant.rtp.removeListener('packet', participant.listener);
+        this.participants.delete(callId);
+        // With no calls left there is no one for the local user to talk to
+        if (this.participants.size === 0) this.local = null;
+        if (this.parties < 2) this.stop();
+
+        console.log(`🎛️ Conference: ${participant.label} left (${this.participants.size} parties)`);
+        return true;
+    }
+
+    /**
+     * Put the local user in the mix: their microphone arrives through feedLocal() and what they
+     * should hear (every call, never themselves) is emitted as 'local-audio' each tick
+     */
+    joinLocal({ label = 'You' } = {}) {
+        if (this.local) return false;
+
+        this.local = { label, queue: [], pending: new Int16Array(0) };
+        if (this.parties > 1) this.start();
+
+        console.log(`🎛️ Conference: ${label} joined (${this.participants.size} calls)`);
+        return true;
+    }
+
+    /**
+     * Take the local user out; the calls stay bridged to each other
+     */
+    leaveLocal() {
+        if (!this.local) return false;
+
+        const { label } = this.local;
+        this.local = null;
+        if (this.parties < 2) this.stop();
+
+        console.log(`🎛️ Conference: ${label} left (${this.participants.size} calls)`);
+        return true;
+    }
+
+    /**
+     * Queue microphone samples (16-bit linear at 8000 Hz, any length); a partial frame waits for the rest
+     */
+    feedLocal(samples) {
+        const local = this.local;
+        if (!local) return false;
+
+        const input = Int16Array.from(samples);
+        const buffered = new Int16Array(local.pending.length + input.length);
+        buffered.set(local.pending);
+        buffered.set(input, local.pending.length);
+
+        let offset = 0;
+        for (; offset + FRAME_SAMPLES <= buffered.length; offset += FRAME_SAMPLES) {
+            local.queue.push(buffered.slice(offset, offset + FRAME_SAMPLES));
+        }
+        local.pending = buffered.slice(offset);
+        if (local.queue.length > MAX_QUEUED_FRAMES) {
+            local.queue.splice(0, local.queue.length - MAX_QUEUED_FRAMES);
+        }
+        return true;
+    }
+
+    /**
+     * Silence what a party contributes; they still hear the conference
+     */
+    setMuted(callId, muted) {
+        const participant = this.participants.get(callId);
+        if (!participant) return false;
+
+        participant.muted = Boolean(muted);
+        participant.queue = [];
+        return true;
+    }
+
+    getParticipants() {
+        return [...this.participants].map(([callId, { label, muted }]) => ({ callId, label, muted }));
+    }
+
+    /**
+     * Queue a party's voice samples; telephone-events and other payload types stay out of the mix
+     */
+    receive(participant, data) {
+        const header = RTPSession.parseHeader(data);
+        const codec = participant.rtp.codec;
+        if (!header || header.payloadType !== codec.payload || participant.muted) return;
+
+        const samples = ConferenceBridge.decode(header.payload, codec.name);
+        if (!samples) return;
+
+        for (let offset = 0; offset < samples.length; offset += FRAME_SAMPLES) {
+            participant.queue.push(samples.subarray(offset, offset + FRAME_SAMPLES));
+        }
+        if (participant.queue.length > MAX_QUEUED_FRAMES) {
+            participant.queue.splice(0, participant.queue.length - MAX_QUEUED_FRAMES);
+        }
+    }
+
+    /**
+     * One 20 ms tick: sum every party's next frame, then send each party the sum minus their own
+     */
+    mix() {
+        const frames = new Map();
+        const total = new Int32Array(FRAME_SAMPLES);
+        const parties = this.local ? [...this.participants, [null, this.local]] : this.participants;
+
+        for (const [callId, participant] of parties) {
+            const frame = participant.queue.shift();
+            if (!frame) continue;
+
+            frames.set(callId, frame);
+            for (let i = 0; i < frame.length; i++) {
+                total[i] += frame[i];
+            }
+        }
+
+        const without = (callId, i) => {
+            const own = frames.get(callId);
+            const sample = total[i] - (own && i < own.length ? own[i] : 0);
+            return Math.max(-32768, Math.min(32767, sample));
+        };
+
+        for (const [callId, participant] of this.participants) {
+            const codec = participant.rtp.codec;
+            const encode = String(codec.name).toUpperCase() === 'PCMA' ? DTMF.linearToAlaw : DTMF.linearToUlaw;
+            const output = Buffer.alloc(FRAME_SAMPLES);
+
+            for (let i = 0; i < FRAME_SAMPLES; i++) {
+                output[i] = encode(without(callId, i));
+            }
+
+            participant.rtp.sendRTP(codec.payload, output);
+        }
+
+        if (this.local) {
+            const output = new Int16Array(FRAME_SAMPLES);
+            for (let i = 0; i < FRAME_SAMPLES; i++) {
+                output[i] = without(null, i);
+            }
+            this.emit('local-audio', output);
+        }
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.mix(), this.frameInterval);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    close() {
+        this.leaveLocal();
+        for (const callId of [...this.participants.keys()]) {
+            this.remove(callId);
+        }
+        this.stop();
+    }
+
+    /**
+     * G.711 payload to 16-bit linear samples; null for codecs the bridge cannot mix
+     */
+    static decode(payload, codecName) {
+        const name = String(codecName).toUpperCase();
+        if (name !== 'PCMU' && name !== 'PCMA') return null;
+
+        const decodeSample = name === 'PCMA' ? ConferenceBridge.alawToLinear : ConferenceBridge.ulawToLinear;
+        const samples = new Int16Array(payload.length);
+        for (let i = 0; i < payload.length; i++) {
+            samples[i] = decodeSample(payload[i]);
+        }
+        return samples;
+    }
+
+    // G.711 decoders, the inverse of DTMF.linearToUlaw and DTMF.linearToAlaw
+    static ulawToLinear(byte) {
+        const value = ~byte & 0xff;
+        const exponent = (value >> 4) & 0x07;
+        const magnitude = ((((value & 0x0f) << 3) + 0x84) << exponent) - 0x84;
+
+        return value & 0x80 ? -magnitude : magnitude;
+    }
+
+    static alawToLinear(byte) {
+        const value = byte ^ 0x55;
+        const exponent = (value >> 4) & 0x07;
+        const mantissa = value & 0x0f;
+        const magnitude = exponent === 0 ? (mantissa << 4) + 8 : ((mantissa << 4) + 0x108) << (exponent - 1);
+
+        return value & 0x80 ? magnitude : -magnitude;
+    }
+}
+
+ConferenceBridge.FRAME_SAMPLES = FRAME_SAMPLES;
+ConferenceBridge.MAX_QUEUED_FRAMES = MAX_QUEUED_FRAMES;
+
+module.exports = ConferenceBridge;
@@ -0,0 +1,152 @@
+/**
+ * 🔢 FlexPhone DTMF
+ * Digit encodings for the three ways to signal DTMF on a call: RFC 4733 telephone-events,
+ * SIP INFO application/dtmf-relay bodies and in-band G.711 tones
+ */
+
+const MODES = ['rfc4733', 'info', 'inband'];
+
+// RFC 4733 section 3.2 event codes
+const EVENTS = '0123456789*#ABCD';
+
+const FREQUENCIES = {
+    '1': [697, 1209], '2': [697, 1336], '3': [697, 1477], 'A': [697, 1633],
+    '4': [770, 1209], '5': [770, 1336], '6': [770, 1477], 'B': [770, 1633],
+    '7': [852, 1209], '8': [852, 1336], '9': [852, 1477], 'C': [852, 1633],
+    '*': [941, 1209], '0': [941, 1336], '#': [941, 1477], 'D': [941, 1633]
+};
+
+// Defaults: Q.24 wants at least 40 ms of tone and of silence; providers commonly expect more.
+// pause is how long each ',' in a dial string waits
+const DEFAULTS = { mode: 'rfc4733', duration: 160, gap: 100, pause: 2000 };
+
+class DTMF {
+    /**
+     * Account DTMF settings (dtmfMode, dtmfDuration, dtmfGap, dtmfPause) with defaults; unknown modes fall back to RFC 4733
+     */
+    static settingsFor(config = {}) {
+        const mode = String(config.dtmfMode || DEFAULTS.mode).toLowerCase();
+        return {
+            mode: MODES.includes(mode) ? mode : DEFAULTS.mode,
+            duration: Math.max(40, parseInt(config.dtmfDuration, 10) || DEFAULTS.duration),
+            gap: Math.max(40, parseInt(config.dtmfGap, 10) || DEFAULTS.gap),
+            pause: Math.max(100, parseInt(config.dtmfPause, 10) || DEFAULTS.pause)
+        };
+    }
+
+    static isDigit(digit) {
+        return EVENTS.includes(String(digit).toUpperCase());
+    }
+
+    static eventCode(digit) {
+        return EVENTS.indexOf(String(digit).toUpperCase());
+    }
+
+    static digitFor(code) {
+        return EVENTS[code] || null;
+    }
+
+    /**
+     * Four-byte telephone-event payload (RFC 4733 section 2.3); duration in timestamp units
+     */
+    static buildEvent(digit, { end = false, volume = 10, duration = 0 } = {}) {
+        const payload = Buffer.alloc(4);
+        payload[0] = DTMF.eventCode(digit);
+        payload[1] = (end ? 0x80 : 0) | (volume & 0x3f);
+        payload.writeUInt16BE(Math.min(duration, 0xffff), 2);
+        return payload;
+    }
+
+    static parseEvent(payload) {
+        if (payload.length < 4) return null;
+
+        const digit = DTMF.digitFor(payload[0]);
+        if (!digit) return null;
+
+        return {
+            digit,
+            end: (payload[1] & 0x80) !== 0,
+            volume: payload[1] & 0x3f,
+            duration: payload.readUInt16BE(2)
+        };
+    }
+
+    static formatRelay(digit, duration) {
+        return `Signal=${digit}\r\nDuration=${duration}\r\n`;
+    }
+
+    /**
+     * Digit from an INFO body: application/dtmf-relay "Signal=5" lines, or application/dtmf with just the digit
+     */
+    static parseRelay(body, contentType = 'application/dtmf-relay') {
+        const text = String(body || '').trim();
+
+        if (/application\/dtmf(?!-)/i.test(contentType)) {
+            const digit = text.toUpperCase();
+            return DTMF.isDigit(digit) && digit.length === 1 ? { digit, duration: null } : null;
+        }
+
+        const signal = text.match(/^Signal\s*=\s*(\S)/im);
+        if (!signal || !DTMF.isDigit(signal[1])) return null;
+
+        const duration = text.match(/^Duration\s*=\s*(\d+)/im);
+        return { digit: signal[1].toUpperCase(), duration: duration ? parseInt(duration[1], 10) : null };
+    }
+
+    /**
+     * Dual-tone samples for digit encoded as G.711 (PCMU or PCMA), 8000 samples per second
+     */
+    static generateTone(digit, { duration = DEFAULTS.duration, codec = 'PCMU', level = 0.25 } = {}) {
+        const [low, high] = FREQUENCIES[String(digit).toUpperCase()];
+        const samples = Math.round(8 * duration);
+        const encode = String(codec).toUpperCase() === 'PCMA' ? DTMF.linearToAlaw : DTMF.linearToUlaw;
+        const output = Buffer.alloc(samples);
+
+        for (let i = 0; i < samples; i++) {
+            const t = i / 8000;
+            const value = level * (Math.sin(2 * Math.PI * low * t) + Math.sin(2 * Math.PI * high * t));
+            output[i] = encode(Math.round(value * 16383));
+        }
+
+        return output;
+    }
+
+    // G.711 encoders for 16-bit linear samples
+    static linearToUlaw(sample) {
+        const BIAS = 0x84;
+        const sign = sample < 0 ? 0x80 : 0;
+        const magnitude = Math.min(Math.abs(sample), 32635) + BIAS;
+
+        let exponent = 7;
+        for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+            exponent--;
+        }
+        const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+
+        return ~(sign | (exponent << 4) | mantissa) & 0xff;
+    }
+
+    static linearToAlaw(sample) {
+        const sign = sample >= 0 ? 0x80 : 0;
+        const magnitude = Math.min(Math.abs(sample), 32767) >> 3;
+
+        let encoded;
+        if (magnitude < 32) {
+            encoded = magnitude >> 1;
+        } else {
+            let exponent = 1;
+            while (magnitude >> (exponent + 5) > 0 && exponent < 7) {
+                exponent++;
+            }
+            encoded = (exponent << 4) | ((magnitude >> exponent) & 0x0f);
+        }
+
+        return (sign | encoded) ^ 0x55;
+    }
+}
+
+DTMF.MODES = MODES;
+DTMF.FREQUENCIES = FREQUENCIES;
+DTMF.DEFAULTS = DEFAULTS;
+
+module.exports = DTMF;
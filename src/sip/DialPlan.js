@@ -0,0 +1,146 @@
+/**
+ * 🗺️ FlexPhone Dial Plan
+ * Per-account number rules: prefix rewrites, international and national prefixes, E.164 conversion,
+ * extension detection and blocked patterns. Used for outgoing calls and for matching caller IDs
+ */
+
+const DEFAULTS = {
+    countryCode: '1',
+    internationalPrefix: '011',
+    nationalPrefix: '1',
+    nationalNumberLength: 10, // or a list of lengths, for countries with more than one
+    maxExtensionLength: 5,
+    format: 'dialed', // what goes to the provider: dialed (after rewrites), e164 or national
+    rules: [], // [{ prefix: '9', replace: '' }]; the longest matching prefix wins
+    blocked: [] // patterns: X any digit, N 2-9, Z 1-9, trailing '.' anything more; e.g. '+1900.'
+};
+
+const FORMATS = ['dialed', 'e164', 'national'];
+
+class DialPlan {
+    constructor(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+
+        this.countryCode = String(settings.countryCode).replace(/\D/g, '');
+        this.internationalPrefix = String(settings.internationalPrefix || '');
+        this.nationalPrefix = String(settings.nationalPrefix || '');
+        this.nationalNumberLengths = [].concat(settings.nationalNumberLength).map(Number);
+        this.maxExtensionLength = settings.maxExtensionLength;
+        this.format = FORMATS.includes(settings.format) ? settings.format : DEFAULTS.format;
+        this.rules = settings.rules
+            .map(rule => ({ prefix: String(rule.prefix), replace: String(rule.replace || '') }))
+            .sort((a, b) => b.prefix.length - a.prefix.length);
+        this.blocked = settings.blocked.map(pattern => ({ pattern, regex: DialPlan.compilePattern(pattern) }));
+    }
+
+    /**
+     * What to send for a dialed number: { input, dialed, e164, type, rule, blocked }; type is
+     * extension, national, international, unknown, or uri for names and SIP URIs (passed through)
+     */
+    route(number) {
+        const input = String(number).trim();
+
+        if (/[a-z@]/i.test(input)) {
+            return { input, dialed: input, e164: null, type: 'uri', rule: null, blocked: null };
+        }
+
+        const cleaned = DialPlan.clean(input);
+        const rule = this.rules.find(candidate => cleaned.startsWith(candidate.prefix)) || null;
+        const rewritten = rule ? rule.replace + cleaned.slice(rule.prefix.length) : cleaned;
+
+        if (this.isExtension(rewritten)) {
+            return { input, dialed: rewritten, e164: null, type: 'extension', rule, blocked: this.findBlocked(rewritten) };
+        }
+
+        const e164 = this.toE164(rewritten);
+        const type = !e164 ? 'unknown' : e164.startsWith(`+${this.countryCode}`) ? 'national' : 'international';
+
+        let dialed = rewritten;
+        if (e164 && this.format === 'e164') {
+            dialed = e164;
+        } else if (e164 && this.format === 'national') {
+            dialed = type === 'national'
+                ? this.nationalPrefix + e164.slice(this.countryCode.length + 1)
+                : this.internationalPrefix + e164.slice(1);
+        }
+
+        return { input, dialed, e164, type, rule, blocked: this.findBlocked(rewritten, e164) };
+    }
+
+    isExtension(number) {
+        const cleaned = DialPlan.clean(number);
+        return /^[\d*#]+$/.test(cleaned) && cleaned.length <= this.maxExtensionLength;
+    }
+
+    /**
+     * +<country code><number> from international, national or bare national numbers; null when it is none of those
+     */
+    toE164(number) {
+        const cleaned = DialPlan.clean(number);
+        let e164 = null;
+
+        if (cleaned.startsWith('+')) {
+            e164 = cleaned;
+        } else if (this.internationalPrefix && cleaned.startsWith(this.internationalPrefix)) {
+            e164 = `+${cleaned.slice(this.internationalPrefix.length)}`;
+        } else if (this.nationalNumberLengths.includes(cleaned.length)) {
+            e164 = `+${this.countryCode}${cleaned}`;
+        } else if (this.nationalPrefix && cleaned.startsWith(this.nationalPrefix) &&
+                   this.nationalNumberLengths.includes(cleaned.length - this.nationalPrefix.length)) {
+            e164 = `+${this.countryCode}${cleaned.slice(this.nationalPrefix.length)}`;
+        }
+
+        // E.164 allows at most 15 digits
+        return e164 && /^\+[1-9]\d{6,14}$/.test(e164) ? e164 : null;
+    }
+
+    /**
+     * First blocked pattern matching the number as dialed or in E.164, or null
+     */
+    findBlocked(number, e164 = null) {
+        const entry = this.blocked.find(({ regex }) => regex.test(number) || (e164 && regex.test(e164)));
+        return entry ? entry.pattern : null;
+    }
+
+    /**
+     * Comparable form of a caller ID or contact number: E.164 when it converts, digits otherwise;
+     * SIP user names compare case-insensitively
+     */
+    matchKey(number) {
+        const value = String(number || '').split(/[,;@]/)[0].replace(/^(sips?|tel):/i, '');
+        if (/^[a-z][\w.-]*$/i.test(value.trim())) {
+            return value.trim().toLowerCase();
+        }
+        return this.toE164(value) || DialPlan.clean(value).replace(/\D/g, '');
+    }
+
+    matches(a, b) {
+        const key = this.matchKey(a);
+        return key.length > 0 && key === this.matchKey(b);
+    }
+
+    /**
+     * Dial string without formatting characters; '+' is kept only in front
+     */
+    static clean(number) {
+        const value = String(number).replace(/[\s().\-/]/g, '');
+        return value.startsWith('+') ? `+${value.slice(1).replace(/\+/g, '')}` : value.replace(/\+/g, '');
+    }
+
+    static compilePattern(pattern) {
+        const source = String(pattern).split('').map((char, index, chars) => {
+            if (char === 'X' || char === 'x') return '\\d';
+            if (char === 'N' || char === 'n') return '[2-9]';
+            if (char === 'Z' || char === 'z') return '[1-9]';
+            if (char === '.' && index === chars.length - 1) return '.+';
+            return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+
+        return new RegExp(`^${source}$`);
+    }
+}
+
+DialPlan.DEFAULTS = DEFAULTS;
+DialPlan.FORMATS = FORMATS;
+
+module.exports = DialPlan;
@@ -0,0 +1,112 @@
+/**
+ * ⏸️ FlexPhone Dial String
+ * Number plus post-dial DTMF, as in "18005551234,,,98765#;1#": each ',' pauses and
+ * ';' waits for the user before the digits after it are sent
+ */
+
+const DTMF = require('./DTMF');
+
+const PAUSE = ',';
+const WAIT = ';';
+
+class DialString {
+    constructor(text) {
+        const { number, steps } = DialString.parse(text);
+
+        this.number = number;
+        this.steps = steps;
+        this.playing = false;
+        this.waiting = false;
+        this.cancelled = false;
+    }
+
+    get hasPostDial() {
+        return this.steps.some(step => step.type === 'digits');
+    }
+
+    get remaining() {
+        return DialString.format(this.steps);
+    }
+
+    /**
+     * Send steps until a wait or the end; resolves 'waiting', 'complete' or 'cancelled',
+     * or null if already playing. send(digits) resolves { success, error }
+     */
+    async play(send, pauseInterval) {
+        if (this.playing) return null;
+
+        this.playing = true;
+        this.waiting = false;
+
+        try {
+            while (this.steps.length > 0 && !this.cancelled) {
+                const step = this.steps.shift();
+
+                if (step.type === 'wait') {
+                    // A trailing ';' has nothing left to wait for
+                    if (this.hasPostDial) {
+                        this.waiting = true;
+                        return 'waiting';
+                    }
+                } else if (step.type === 'pause') {
+                    await new Promise(resolve => setTimeout(resolve, pauseInterval));
+                } else {
+                    const result = await send(step.digits);
+                    if (!result.success) {
+                        throw new Error(result.error);
+                    }
+                }
+            }
+
+            return this.cancelled ? 'cancelled' : 'complete';
+        } finally {
+            this.playing = false;
+        }
+    }
+
+    cancel() {
+        this.cancelled = true;
+        this.waiting = false;
+        this.steps = [];
+    }
+
+    /**
+     * Split at the first ',' or ';'; full SIP URIs are left alone since ';' starts their parameters
+     */
+    static parse(text) {
+        const value = String(text || '').trim();
+        const start = value.search(/[,;]/);
+
+        if (/^sips?:/i.test(value) || start === -1) {
+            return { number: value, steps: [] };
+        }
+
+        const steps = [];
+        for (const char of value.slice(start).replace(/[\s().-]/g, '')) {
+            const last = steps[steps.length - 1];
+
+            if (char === PAUSE) {
+                steps.push({ type: 'pause' });
+            } else if (char === WAIT) {
+                steps.push({ type: 'wait' });
+            } else if (!DTMF.isDigit(char)) {
+                throw new Error(`Invalid character in dial string: ${char}`);
+            } else if (last && last.type === 'digits') {
+                last.digits += char.toUpperCase();
+            } else {
+                steps.push({ type: 'digits', digits: char.toUpperCase() });
+            }
+        }
+
+        return { number: value.slice(0, start).trim(), steps };
+    }
+
+    static format(steps) {
+        return steps.map(step => (step.type === 'pause' ? PAUSE : step.type === 'wait' ? WAIT : step.digits)).join('');
+    }
+}
+
+DialString.PAUSE = PAUSE;
+DialString.WAIT = WAIT;
+
+module.exports = DialString;
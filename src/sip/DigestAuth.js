@@ -0,0 +1,248 @@
+/**
+ * 🔑 FlexPhone Digest Authentication
+ * RFC 3261 / RFC 8760 digest credentials (MD5, SHA-256, SHA-512-256, qop auth and auth-int)
+ */
+
+const crypto = require('crypto');
+
+// Digest algorithm token -> Node hash name
+const ALGORITHMS = {
+    'MD5': 'md5',
+    'MD5-SESS': 'md5',
+    'SHA-256': 'sha256',
+    'SHA-256-SESS': 'sha256',
+    'SHA-512-256': 'sha512-256',
+    'SHA-512-256-SESS': 'sha512-256'
+};
+
+class DigestAuth {
+    constructor(credentials) {
+        this.username = credentials.username;
+        this.password = credentials.password;
+
+        // Latest challenge per realm, reused for later requests with an increasing nonce count
+        this.challenges = new Map();
+        this.nonceCounts = new Map();
+    }
+
+    /**
+     * Split "Digest a=1, b="2"" into lower-cased parameter names and unquoted values
+     */
+    static parseDigestParams(value) {
+        const match = String(value).trim().match(/^(\S+)\s+([\s\S]*)$/);
+        if (!match || match[1].toLowerCase() !== 'digest') {
+            return null;
+        }
+
+        const params = {};
+        const paramRegex = /([A-Za-z0-9\-_]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^,\s]*)/g;
+        let param;
+
+        while ((param = paramRegex.exec(match[2])) !== null) {
+            let paramValue = param[2];
+            if (paramValue.startsWith('"')) {
+                paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+            params[param[1].toLowerCase()] = paramValue;
+        }
+
+        return params;
+    }
+
+    /**
+     * Parse a WWW-Authenticate / Proxy-Authenticate value
+     */
+    static parseChallenge(value) {
+        const params = DigestAuth.parseDigestParams(value);
+        if (!params) return null;
+
+        return {
+            realm: params.realm,
+            nonce: params.nonce,
+            opaque: params.opaque || null,
+            algorithm: (params.algorithm || 'MD5').toUpperCase(),
+            qop: params.qop ? params.qop.split(',').map(item => item.trim().toLowerCase()) : [],
+            stale: (params.stale || '').toLowerCase() === 'true'
+        };
+    }
+
+    /**
+     * Parse an Authorization / Proxy-Authorization value (server side)
+     */
+    static parseCredentials(value) {
+        const params = DigestAuth.parseDigestParams(value);
+        if (!params) return null;
+
+        return {
+            username: params.username,
+            realm: params.realm,
+            nonce: params.nonce,
+            uri: params.uri,
+            response: params.response,
+            algorithm: (params.algorithm || 'MD5').toUpperCase(),
+            qop: params.qop || null,
+            nc: params.nc || null,
+            cnonce: params.cnonce || null,
+            opaque: params.opaque || null
+        };
+    }
+
+    static isSupported(challenge) {
+        return Boolean(challenge && challenge.realm && challenge.nonce && ALGORITHMS[challenge.algorithm]);
+    }
+
+    /**
+     * Pick the challenge to answer from a 401/407; servers list their preferred algorithm first (RFC 8760 section 2.4)
+     */
+    static selectChallenge(response) {
+        const headerName = response.status === 407 ? 'Proxy-Authenticate' : 'WWW-Authenticate';
+
+        for (const value of response.getAll(headerName)) {
+            const challenge = DigestAuth.parseChallenge(value);
+            if (DigestAuth.isSupported(challenge)) {
+                return {
+                    challenge,
+                    header: response.status === 407 ? 'Proxy-Authorization' : 'Authorization'
+                };
+            }
+        }
+
+        return null;
+    }
+
+    static hash(algorithm, data) {
+        return crypto.createHash(ALGORITHMS[algorithm]).update(data).digest('hex');
+    }
+
+    static quote(value) {
+        return `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+    }
+
+    /**
+     * Remember a challenge; returns false when retrying would not help
+     * (no usable challenge, or a second rejection without stale=true)
+     */
+    handleChallenge(response, alreadyAnswered = false) {
+        const selected = DigestAuth.selectChallenge(response);
+        if (!selected) {
+            return false;
+        }
+
+        const { challenge, header } = selected;
+        if (alreadyAnswered && !challenge.stale) {
+            return false;
+        }
+
+        const previous = this.challenges.get(challenge.realm);
+        if (previous && previous.challenge.nonce !== challenge.nonce) {
+            this.nonceCounts.delete(previous.challenge.nonce);
+        }
+
+        this.challenges.set(challenge.realm, { challenge, header });
+        return true;
+    }
+
+    /**
+     * Add credentials for every known realm to an outgoing request
+     */
+    authorize(request) {
+        request.remove('Authorization');
+        request.remove('Proxy-Authorization');
+
+        for (const { challenge, header } of this.challenges.values()) {
+            request.add(header, this.createCredentials(challenge, {
+                method: request.method,
+                uri: request.uri,
+                body: request.body
+            }));
+        }
+
+        return this.challenges.size > 0;
+    }
+
+    /**
+     * Build the credentials value for a challenge and request
+     */
+    createCredentials(challenge, { method, uri, body = '' }) {
+        const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+        if (!ALGORITHMS[algorithm]) {
+            throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+        }
+
+        const offered = Array.isArray(challenge.qop)
+            ? challenge.qop
+            : String(challenge.qop || '').split(',').map(item => item.trim()).filter(Boolean);
+        const qop = offered.includes('auth-int') ? 'auth-int' : (offered.includes('auth') ? 'auth' : null);
+
+        const cnonce = crypto.randomBytes(8).toString('hex');
+        const nc = this.nextNonceCount(challenge.nonce);
+
+        const response = DigestAuth.computeResponse({
+            algorithm,
+            username: this.username,
+            password: this.password,
+            realm: challenge.realm,
+            nonce: challenge.nonce,
+            nc,
+            cnonce,
+            qop,
+            method,
+            uri,
+            body
+        });
+
+        const parts = [
+            `username=${DigestAuth.quote(this.username)}`,
+            `realm=${DigestAuth.quote(challenge.realm)}`,
+            `nonce=${DigestAuth.quote(challenge.nonce)}`,
+            `uri=${DigestAuth.quote(uri)}`,
+            `response=${DigestAuth.quote(response)}`,
+            `algorithm=${algorithm}`
+        ];
+
+        if (challenge.opaque) {
+            parts.push(`opaque=${DigestAuth.quote(challenge.opaque)}`);
+        }
+        if (qop) {
+            parts.push(`qop=${qop}`, `nc=${nc}`, `cnonce=${DigestAuth.quote(cnonce)}`);
+        }
+
+        return `Digest ${parts.join(', ')}`;
+    }
+
+    /**
+     * Digest response value (RFC 2617 section 3.2.2.1 with RFC 8760 algorithms)
+     */
+    static computeResponse({ algorithm, username, password, realm, nonce, nc, cnonce, qop, method, uri, body = '' }) {
+        let ha1 = DigestAuth.hash(algorithm, `${username}:${realm}:${password}`);
+        if (algorithm.endsWith('-SESS')) {
+            ha1 = DigestAuth.hash(algorithm, `${ha1}:${nonce}:${cnonce}`);
+        }
+
+        const ha2 = qop === 'auth-int'
+            ? DigestAuth.hash(algorithm, `${method}:${uri}:${DigestAuth.hash(algorithm, body || '')}`)
+            : DigestAuth.hash(algorithm, `${method}:${uri}`);
+
+        return qop
+            ? DigestAuth.hash(algorithm, `${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+            : DigestAuth.hash(algorithm, `${ha1}:${nonce}:${ha2}`);
+    }
+
+    /**
+     * 8-digit hex nonce count, incremented on every use of a nonce
+     */
+    nextNonceCount(nonce) {
+        const count = (this.nonceCounts.get(nonce) || 0) + 1;
+        this.nonceCounts.set(nonce, count);
+        return count.toString(16).padStart(8, '0');
+    }
+
+    reset() {
+        this.challenges.clear();
+        this.nonceCounts.clear();
+    }
+}
+
+DigestAuth.ALGORITHMS = ALGORITHMS;
+
+module.exports = DigestAuth;
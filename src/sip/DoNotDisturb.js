@@ -0,0 +1,134 @@
+/**
+ * 🌙 FlexPhone Do Not Disturb
+ * Manual DND, weekly schedules and daily quiet hours, with VIP contacts ringing through.
+ * Calls are rejected with a SIP status or sent to voicemail
+ */
+
+// 486 Busy Here, 480 Temporarily Unavailable, 603 Decline; 'voicemail' forwards to the voicemail target
+const RESPONSES = [486, 480, 603, 'voicemail'];
+
+const DEFAULTS = {
+    enabled: false,
+    response: 486,
+    voicemail: null,
+    schedule: [], // [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '08:00' }]; days as Date#getDay(), end before start runs past midnight
+    quietHours: null, // { start: '22:00', end: '07:00' } every day
+    suspendedUntil: null, // schedules and quiet hours are off until then (turning DND off by hand mid-window)
+    vipFavorites: true,
+    vipTags: ['vip']
+};
+
+class DoNotDisturb {
+    constructor(options = {}) {
+        const settings = { ...DEFAULTS, ...options };
+        const response = /^\d+$/.test(String(settings.response)) ? parseInt(settings.response, 10) : settings.response;
+
+        this.enabled = settings.enabled === true;
+        this.voicemail = settings.voicemail ? String(settings.voicemail).trim() || null : null;
+        // Without a voicemail target there is nowhere to send calls
+        this.response = RESPONSES.includes(response) && (response !== 'voicemail' || this.voicemail) ? response : DEFAULTS.response;
+        this.schedule = (settings.schedule || []).map(DoNotDisturb.parseWindow).filter(Boolean);
+        this.quietHours = settings.quietHours ? DoNotDisturb.parseWindow({ ...settings.quietHours, days: [0, 1, 2, 3, 4, 5, 6] }) : null;
+        this.suspendedUntil = settings.suspendedUntil ? new Date(settings.suspendedUntil) : null;
+        this.vipFavorites = settings.vipFavorites !== false;
+        this.vipTags = [].concat(settings.vipTags || []).map(tag => String(tag).toLowerCase());
+    }
+
+    /**
+     * Why DND is on at this moment: 'manual', 'schedule', 'quiet-hours', or null when it is off
+     */
+    reasonAt(date = new Date()) {
+        if (this.enabled) return 'manual';
+        if (this.suspendedUntil && date < this.suspendedUntil) return null;
+        if (this.schedule.some(window => DoNotDisturb.inWindow(window, date))) return 'schedule';
+        if (this.quietHours && DoNotDisturb.inWindow(this.quietHours, date)) return 'quiet-hours';
+        return null;
+    }
+
+    /**
+     * When the schedule or quiet hours window DND is in at this moment ends; null for manual DND or when off
+     */
+    activeUntil(date = new Date()) {
+        const reason = this.reasonAt(date);
+        const windows = reason === 'schedule' ? this.schedule : reason === 'quiet-hours' ? [this.quietHours] : [];
+        const window = windows.find(candidate => DoNotDisturb.inWindow(candidate, date));
+
+        return window ? DoNotDisturb.windowEnd(window, date) : null;
+    }
+
+    isVIP(contact) {
+        if (!contact) return false;
+        return (this.vipFavorites && contact.favorite === true) ||
+               (contact.tags || []).some(tag => this.vipTags.includes(String(tag).toLowerCase()));
+    }
+
+    /**
+     * What to do with an incoming call: null to ring, else { reason, status } or { reason, voicemail }
+     */
+    decide(contact = null, date = new Date()) {
+        const reason = this.reasonAt(date);
+        if (!reason || this.isVIP(contact)) {
+            return null;
+        }
+
+        return this.response === 'voicemail'
+            ? { reason, voicemail: this.voicemail }
+            : { reason, status: this.response };
+    }
+
+    /**
+     * { days, start, end } with times as minutes after midnight; null for anything unusable
+     */
+    static parseWindow(window) {
+        const start = minutes(window && window.start);
+        const end = minutes(window && window.end);
+        const days = [].concat(window && window.days !== undefined ? window.days : [0, 1, 2, 3, 4, 5, 6])
+            .map(Number)
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+        if (start === null || end === null || start === end || days.length === 0) {
+            return null;
+        }
+        return { days, start, end };
+    }
+
+    /**
+     * A window past midnight belongs to the day it starts on
+     */
+    static inWindow(window, date) {
+        const day = date.getDay();
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        if (window.start < window.end) {
+            return window.days.includes(day) && now >= window.start && now < window.end;
+        }
+        return (window.days.includes(day) && now >= window.start) ||
+               (window.days.includes((day + 6) % 7) && now < window.end);
+    }
+
+    /**
+     * End of a window that contains date; one past midnight that started yesterday ends today
+     */
+    static windowEnd(window, date) {
+        const end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(window.end / 60), window.end % 60);
+        const now = date.getHours() * 60 + date.getMinutes();
+
+        if (window.start > window.end && now >= window.start) {
+            end.setDate(end.getDate() + 1);
+        }
+        return end;
+    }
+}
+
+function minutes(time) {
+    const match = String(time || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        return null;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+DoNotDisturb.RESPONSES = RESPONSES;
+DoNotDisturb.DEFAULTS = DEFAULTS;
+
+module.exports = DoNotDisturb;
@@ -0,0 +1,162 @@
+/**
+ * 💓 FlexPhone Keep-Alive Manager
+ * Keeps the NAT binding and registered flow to the registrar open: CRLF pings or OPTIONS (RFC 5626 section 4.4)
+ */
+
+const EventEmitter = require('events');
+
+// Seconds between pings when the registrar sends no Flow-Timer; NAT UDP mappings often expire after 30s
+const DEFAULT_INTERVALS = { UDP: 25, TCP: 90, TLS: 90 };
+
+// A pong must follow a CRLF ping this quickly on an outbound flow (RFC 5626 section 4.4.1)
+const PONG_TIMEOUT = 10000;
+
+class KeepAliveManager extends EventEmitter {
+    constructor(userAgent, options = {}) {
+        super();
+
+        this.userAgent = userAgent;
+        this.method = (options.method || 'crlf').toLowerCase();
+        this.interval = options.interval || null;
+        this.pongTimeout = options.pongTimeout || PONG_TIMEOUT;
+
+        this.target = null;
+        this.expectPong = false;
+        this.timers = { ping: null, pong: null };
+
+        this.onPong = (remote) => this.handlePong(remote);
+        this.onConnectionClosed = (remote) => {
+            if (this.target && this.matches(remote)) {
+                this.fail('connection closed');
+            }
+        };
+    }
+
+    get isRunning() {
+        return this.target !== null;
+    }
+
+    /**
+     * Ping target ({ server, port }) every interval; flowTimer (seconds) from the registrar overrides it.
+     * expectPong when the registrar supports outbound and the transport is a stream
+     */
+    start(target, { flowTimer = null, outbound = false } = {}) {
+        this.stop();
+
+        const transport = this.userAgent.transport;
+        const protocol = transport.protocol;
+
+        this.target = { host: target.server, port: target.port };
+        this.expectPong = this.method === 'crlf' && outbound && transport.reliable;
+        this.currentInterval = (flowTimer || this.interval || DEFAULT_INTERVALS[protocol]) * 1000;
+
+        transport.on('pong', this.onPong);
+        transport.on('connection-closed', this.onConnectionClosed);
+
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timers.ping);
+        clearTimeout(this.timers.pong);
+        this.timers = { ping: null, pong: null };
+
+        if (this.userAgent.transport) {
+            this.userAgent.transport.removeListener('pong', this.onPong);
+            this.userAgent.transport.removeListener('connection-closed', this.onConnectionClosed);
+        }
+
+        this.target = null;
+    }
+
+    schedule() {
+        // Jitter spreads pings from many clients behind one NAT (RFC 5626 section 4.4.1: 80-100%)
+        const delay = Math.round(this.currentInterval * (0.8 + Math.random() * 0.2));
+        this.timers.ping = setTimeout(() => this.ping(), delay);
+    }
+
+    async ping() {
+        const target = this.target;
+        if (!target) return;
+
+        if (this.method === 'options') {
+            await this.pingOptions();
+        } else {
+            await this.pingCRLF();
+        }
+
+        // Restarted meanwhile: the new start() already scheduled its own ping
+        if (this.target === target && !this.timers.pong) {
+            this.schedule();
+        }
+    }
+
+    async pingCRLF() {
+        try {
+            await this.userAgent.transport.sendKeepAlive(this.target);
+        } catch (error) {
+            this.fail(error.message);
+            return;
+        }
+
+        if (this.expectPong) {
+            this.timers.pong = setTimeout(() => this.fail('no pong'), this.pongTimeout);
+        }
+    }
+
+    /**
+     * Any response proves the path works; timeouts, transport errors and a changed public address need a new registration
+     */
+    async pingOptions() {
+        const target = this.target;
+        const response = await this.userAgent.ping();
+        if (this.target !== target) return;
+
+        if (response.status === 408 || response.status === 503) {
+            this.fail(`OPTIONS ${response.status}`);
+            return;
+        }
+
+        const reflexive = this.userAgent.getReflexiveAddress(response);
+        const current = this.userAgent.contactAddress;
+        if (reflexive && !this.userAgent.transport.reliable &&
+            (reflexive.host !== current.host || reflexive.port !== current.port)) {
+            this.fail('public address changed');
+            return;
+        }
+
+        this.emit('alive', { method: 'options', status: response.status });
+    }
+
+    handlePong(remote) {
+        if (!this.target || !this.matches(remote)) return;
+
+        if (this.timers.pong) {
+            clearTimeout(this.timers.pong);
+            this.timers.pong = null;
+            this.schedule();
+        }
+
+        this.emit('alive', { method: 'crlf' });
+    }
+
+    matches(remote) {
+        return remote.address === this.target.host && remote.port === this.target.port;
+    }
+
+    /**
+     * The flow is gone; the owner re-registers, which opens a new one
+     */
+    fail(reason) {
+        if (!this.target) return;
+
+        console.warn(`⚠️ Keep-alive to ${this.target.host}:${this.target.port} failed: ${reason}`);
+        const target = this.target;
+        this.stop();
+        this.emit('flow-failed', { reason, server: target.host, port: target.port });
+    }
+}
+
+KeepAliveManager.DEFAULT_INTERVALS = DEFAULT_INTERVALS;
+
+module.exports = KeepAliveManager;
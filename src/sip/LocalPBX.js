@@ -0,0 +1,1141 @@
+/**
+ * 🏠 FlexPhone Local PBX
+ * Bundled SIP registrar and B2BUA for offline testing and demo mode (UDP, TCP + WebSocket)
+ *
+ * Dialing a registered username bridges the call to that user. These
+ * extensions run scripted behaviours instead, answering with echo media:
+ *   echo / 9000      answer immediately
+ *   ring / 9001      ring, then answer
+ *   busy / 9002      ring, then 486 Busy Here
+ *   noanswer / 9003  ring until the caller cancels
+ *   early / 9004     183 with early media, then answer
+ *   486 / 9486       reject at once with 486 Busy Here
+ *   487 / 9487       ring, then 487 Request Terminated
+ *
+ * Echo media is plain RTP; WebSocket (WebRTC) clients get signaling only.
+ * Pass `auth` to challenge REGISTER and INVITE with digest authentication.
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const net = require('net');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const SIPMessage = require('./SIPMessage');
+const SIPDialog = require('./SIPDialog');
+const SIPStreamParser = require('./SIPStreamParser');
+const DigestAuth = require('./DigestAuth');
+const SDP = require('./SDP');
+const RTPSession = require('./RTPSession');
+const { ClientTransaction, ServerTransaction } = require('./SIPTransaction');
+
+const SCENARIOS = {
+    echo: 'echo', 9000: 'echo',
+    ring: 'ring', 9001: 'ring',
+    busy: 'busy', 9002: 'busy',
+    noanswer: 'noanswer', 9003: 'noanswer',
+    early: 'early', 9004: 'early',
+    486: '486', 9486: '486',
+    487: '487', 9487: '487'
+};
+
+// Headers carried across the bridge on relayed in-dialog requests
+const RELAYED_HEADERS = ['Event', 'Subscription-State', 'Refer-To', 'Referred-By', 'Replaces', 'Reason'];
+
+// 3xx responses followed per call before the redirect goes back to the caller
+const MAX_REDIRECTS = 5;
+
+class LocalPBX extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.host = options.host || '127.0.0.1';
+        this.udpPort = options.udpPort !== undefined ? options.udpPort : 5070;
+        this.tcpPort = options.tcpPort !== undefined ? options.tcpPort : this.udpPort;
+        this.wsPort = options.wsPort !== undefined ? options.wsPort : 8089;
+        this.ringTime = options.ringTime !== undefined ? options.ringTime : 2000;
+        this.noAnswerTime = options.noAnswerTime || 60000;
+
+        // Seconds between client keep-alives requested from outbound (RFC 5626) registrations
+        this.flowTimer = options.flowTimer || 120;
+        this.codecs = options.codecs || ['PCMU', 'PCMA', 'G722'];
+        this.scenarios = { ...SCENARIOS, ...(options.scenarios || {}) };
+
+        // Optional digest challenge: { password, passwords: { user: pw }, algorithms, qop, realm, nonceLifetime }
+        this.auth = options.auth ? {
+            realm: this.host,
+            algorithms: ['SHA-256'],
+            qop: 'auth',
+            passwords: {},
+            nonceLifetime: 300000,
+            ...options.auth
+        } : null;
+        this.nonces = new Map();
+
+        this.udpSocket = null;
+        this.tcpServer = null;
+        this.tcpSockets = new Set();
+        this.wsServer = null;
+        this.isRunning = false;
+
+        this.bindings = new Map();           // username -> { contact, flow, expiresAt }
+        this.serverTransactions = new Map();
+        this.clientTransactions = new Map();
+        this.dialogs = new Map();            // dialog id -> { call, leg }
+        this.calls = new Map();
+    }
+
+    async start() {
+        if (this.isRunning) return;
+
+        await new Promise((resolve, reject) => {
+            this.udpSocket = dgram.createSocket('udp4');
+            this.udpSocket.once('error', reject);
+            this.udpSocket.bind(this.udpPort, this.host, () => {
+                this.udpSocket.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.udpPort = this.udpSocket.address().port;
+        this.udpSocket.on('message', (data, rinfo) => {
+            this.handleData(data, { transport: 'UDP', address: rinfo.address, port: rinfo.port });
+        });
+        this.udpSocket.on('error', (error) => console.error('❌ Local PBX UDP error:', error.message));
+
+        if (this.tcpPort !== null) {
+            await this.startTCP();
+        }
+
+        if (this.wsPort !== null) {
+            await this.startWebSocket();
+        }
+
+        this.isRunning = true;
+        console.log(`🏠 Local PBX listening on udp://${this.host}:${this.udpPort}` +
+            (this.tcpServer ? `, tcp://${this.host}:${this.tcpPort}` : '') +
+            (this.wsServer ? ` and ws://${this.host}:${this.wsPort}` : ''));
+    }
+
+    startTCP() {
+        return new Promise((resolve, reject) => {
+            this.tcpServer = net.createServer((socket) => {
+                const flow = {
+                    transport: 'TCP',
+                    socket,
+                    address: socket.remoteAddress,
+                    port: socket.remotePort
+                };
+                const parser = new SIPStreamParser();
+
+                parser.on('message', (data) => this.handleData(data, flow));
+                parser.on('ping', () => socket.write('\r\n'));
+                parser.on('error', (error) => {
+                    console.warn('⚠️ Local PBX closing TCP connection:', error.message);
+                    const rejection = SIPStreamParser.rejection(error);
+                    if (rejection) {
+                        socket.end(rejection, () => socket.destroy());
+                    } else {
+                        socket.destroy();
+                    }
+                });
+
+                this.tcpSockets.add(socket);
+                socket.on('data', (data) => parser.push(data));
+                socket.on('close', () => {
+                    this.tcpSockets.delete(socket);
+                    this.removeFlowBindings(flow);
+                });
+                socket.on('error', (error) => console.warn('⚠️ Local PBX TCP error:', error.message));
+            });
+
+            this.tcpServer.once('error', reject);
+            this.tcpServer.listen(this.tcpPort, this.host, () => {
+                this.tcpServer.removeListener('error', reject);
+                this.tcpPort = this.tcpServer.address().port;
+                resolve();
+            });
+        });
+    }
+
+    startWebSocket() {
+        return new Promise((resolve, reject) => {
+            this.wsServer = new WebSocket.Server({
+                host: this.host,
+                port: this.wsPort,
+                handleProtocols: (protocols) => (protocols.has('sip') ? 'sip' : false)
+            });
+
+            this.wsServer.once('error', reject);
+            this.wsServer.once('listening', () => {
+                this.wsServer.removeListener('error', reject);
+                this.wsPort = this.wsServer.address().port;
+                resolve();
+            });
+
+            this.wsServer.on('connection', (socket, req) => {
+                const flow = {
+                    transport: 'WS',
+                    socket,
+                    address: req.socket.remoteAddress,
+                    port: req.socket.remotePort
+                };
+
+                socket.on('message', (data) => this.handleData(data, flow));
+                socket.on('close', () => this.removeFlowBindings(flow));
+                socket.on('error', (error) => console.warn('⚠️ Local PBX WebSocket error:', error.message));
+            });
+        });
+    }
+
+    async stop() {
+        for (const call of this.calls.values()) {
+            this.endCall(call);
+        }
+        for (const transaction of [...this.serverTransactions.values(), ...this.clientTransactions.values()]) {
+            transaction.clearTimers();
+        }
+
+        this.serverTransactions.clear();
+        this.clientTransactions.clear();
+        this.dialogs.clear();
+        this.bindings.clear();
+
+        if (this.wsServer) {
+            this.wsServer.clients.forEach(client => client.terminate());
+            await new Promise(resolve => this.wsServer.close(resolve));
+            this.wsServer = null;
+        }
+
+        if (this.tcpServer) {
+            this.tcpSockets.forEach(socket => socket.destroy());
+            await new Promise(resolve => this.tcpServer.close(resolve));
+            this.tcpServer = null;
+        }
+
+        if (this.udpSocket) {
+            this.udpSocket.close();
+            this.udpSocket = null;
+        }
+
+        this.isRunning = false;
+        console.log('🏠 Local PBX stopped');
+    }
+
+    // Transport
+
+    send(message, flow) {
+        if (flow.transport === 'WS') {
+            if (flow.socket.readyState !== WebSocket.OPEN) {
+                return Promise.reject(new Error('WebSocket flow is closed'));
+            }
+            flow.socket.send(message.toString());
+            return Promise.resolve();
+        }
+
+        if (flow.transport === 'TCP') {
+            if (flow.socket.destroyed) {
+                return Promise.reject(new Error('TCP flow is closed'));
+            }
+            return new Promise((resolve, reject) => {
+                flow.socket.write(message.toBuffer(), (error) => (error ? reject(error) : resolve()));
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.udpSocket.send(message.toBuffer(), flow.port, flow.address, (error) => {
+                if (error) reject(error);
+                else resolve();
+            });
+        });
+    }
+
+    viaFor(flow, branch) {
+        if (flow.transport === 'WS') {
+            return `SIP/2.0/WS ${this.host}:${this.wsPort};branch=${branch}`;
+        }
+        if (flow.transport === 'TCP') {
+            return `SIP/2.0/TCP ${this.host}:${this.tcpPort};branch=${branch};rport`;
+        }
+        return `SIP/2.0/UDP ${this.host}:${this.udpPort};branch=${branch};rport`;
+    }
+
+    contactFor(flow) {
+        if (flow.transport === 'WS') {
+            return `<sip:pbx@${this.host}:${this.wsPort};transport=ws>`;
+        }
+        if (flow.transport === 'TCP') {
+            return `<sip:pbx@${this.host}:${this.tcpPort};transport=tcp>`;
+        }
+        return `<sip:pbx@${this.host}:${this.udpPort}>`;
+    }
+
+    handleData(data, flow) {
+        const text = data.toString();
+        if (!text.trim()) return;
+
+        let message;
+        try {
+            message = SIPMessage.parse(text);
+        } catch (error) {
+            console.warn('⚠️ Local PBX dropped unparsable message:', error.message);
+            return;
+        }
+
+        try {
+            if (message.isResponse) {
+                this.handleResponse(message);
+            } else {
+                this.handleRequest(message, flow);
+            }
+        } catch (error) {
+            console.error('❌ Local PBX failed to process message:', error);
+        }
+    }
+
+    /**
+     * Record where the request really came from in its top Via (RFC 3581), so clients behind NAT learn their address
+     */
+    stampVia(request, flow) {
+        const via = request.via;
+        if (flow.transport === 'WS' || !('rport' in via.params)) return;
+
+        via.params.rport = String(flow.port);
+        via.params.received = flow.address;
+
+        const vias = request.getAll('Via');
+        vias[0] = SIPMessage.formatVia(via);
+        request.remove('Via');
+        vias.forEach(value => request.add('Via', value));
+    }
+
+    handleResponse(response) {
+        const via = response.via;
+        if (!via || !response.cseq) return;
+
+        const transaction = this.clientTransactions.get(ClientTransaction.key(via.params.branch, response.cseq.method));
+        if (transaction) {
+            transaction.receiveResponse(response);
+        }
+    }
+
+    handleRequest(request, flow) {
+        if (!request.via || !request.cseq || !request.callId) return;
+
+        this.stampVia(request, flow);
+        const branch = request.via.params.branch;
+
+        if (request.method === 'ACK') {
+            this.handleAck(request, branch);
+            return;
+        }
+
+        const existing = this.serverTransactions.get(ServerTransaction.key(branch, request.method));
+        if (existing) {
+            existing.receiveRequest(request);
+            return;
+        }
+
+        const transaction = new ServerTransaction(
+            request,
+            (response) => this.send(response, flow),
+            { reliable: flow.transport !== 'UDP' }
+        );
+        this.serverTransactions.set(transaction.id, transaction);
+        transaction.once('terminated', () => this.serverTransactions.delete(transaction.id));
+
+        if (request.to.params.tag) {
+            this.handleInDialogRequest(request, transaction);
+            return;
+        }
+
+        switch (request.method) {
+            case 'REGISTER':
+                if (this.checkAuthorization(request, transaction)) {
+                    this.handleRegister(request, transaction, flow);
+                }
+                break;
+            case 'INVITE':
+                this.respond(transaction, 100);
+                if (this.checkAuthorization(request, transaction)) {
+                    this.handleInvite(request, transaction, flow);
+                }
+                break;
+            case 'CANCEL':
+                this.handleCancel(request, transaction, branch);
+                break;
+            case 'OPTIONS':
+                this.respond(transaction, 200);
+                break;
+            default:
+                this.respond(transaction, 405, { headers: { 'Allow': 'INVITE, ACK, CANCEL, BYE, OPTIONS, INFO, REGISTER' } });
+                break;
+        }
+    }
+
+    respond(transaction, status, options = {}) {
+        const response = SIPMessage.createResponse(transaction.request, status, options.reason, options.toTag);
+
+        for (const [name, value] of Object.entries(options.headers || {})) {
+            if (Array.isArray(value)) {
+                value.forEach(item => response.add(name, item));
+            } else if (value !== undefined && value !== null) {
+                response.add(name, value);
+            }
+        }
+
+        if (options.contact) {
+            response.add('Contact', options.contact);
+        }
+        if (options.body) {
+            response.setBody(options.body, options.contentType || 'application/sdp');
+        }
+
+        transaction.respond(response);
+        return response;
+    }
+
+    // Authentication
+
+    /**
+     * Verify digest credentials; answers with a 401 challenge and returns false when they are missing or wrong
+     */
+    checkAuthorization(request, transaction) {
+        if (!this.auth) return true;
+
+        const user = request.from.uri ? request.from.uri.user : null;
+        const password = this.auth.passwords[user] !== undefined ? this.auth.passwords[user] : this.auth.password;
+        let stale = false;
+
+        for (const value of request.getAll('Authorization')) {
+            const credentials = DigestAuth.parseCredentials(value);
+            if (!credentials || credentials.realm !== this.auth.realm || !this.auth.algorithms.includes(credentials.algorithm)) {
+                continue;
+            }
+
+            const expected = DigestAuth.computeResponse({
+                ...credentials,
+                password,
+                method: request.method,
+                body: request.body
+            });
+            if (password === undefined || expected !== credentials.response) {
+                continue;
+            }
+
+            // Right password but a nonce we no longer honour
+            const issued = this.nonces.get(credentials.nonce);
+            if (!issued || Date.now() - issued.time > this.auth.nonceLifetime) {
+                stale = true;
+                continue;
+            }
+
+            const nc = parseInt(credentials.nc || '0', 16);
+            if (credentials.qop && nc <= issued.nc) {
+                continue;
+            }
+            issued.nc = nc;
+            return true;
+        }
+
+        this.challenge(transaction, stale);
+        return false;
+    }
+
+    challenge(transaction, stale = false) {
+        const now = Date.now();
+        for (const [nonce, issued] of this.nonces) {
+            if (now - issued.time > 2 * this.auth.nonceLifetime) this.nonces.delete(nonce);
+        }
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        this.nonces.set(nonce, { time: now, nc: 0 });
+
+        const challenges = this.auth.algorithms.map(algorithm =>
+            `Digest realm="${this.auth.realm}", nonce="${nonce}", algorithm=${algorithm}, qop="${this.auth.qop}"` +
+            (stale ? ', stale=true' : '')
+        );
+
+        this.respond(transaction, 401, { headers: { 'WWW-Authenticate': challenges } });
+    }
+
+    // Registrar
+
+    handleRegister(request, transaction, flow) {
+        const user = request.to.uri ? request.to.uri.user : null;
+        if (!user) {
+            this.respond(transaction, 404);
+            return;
+        }
+
+        const contactValue = request.get('Contact');
+        const headerExpires = request.has('Expires') ? parseInt(request.get('Expires'), 10) : 3600;
+
+        if (contactValue === '*') {
+            this.bindings.delete(user);
+            this.respond(transaction, 200);
+            this.emit('unregistered', { user });
+            return;
+        }
+
+        if (!contactValue) {
+            // Binding query
+            const binding = this.getBinding(user);
+            this.respond(transaction, 200, {
+                headers: binding ? { 'Contact': `<${binding.contact}>;expires=${this.remaining(binding)}` } : {}
+            });
+            return;
+        }
+
+        const contact = SIPMessage.parseNameAddr(contactValue);
+        const expires = contact.params.expires !== undefined ? parseInt(contact.params.expires, 10) : headerExpires;
+
+        if (expires === 0) {
+            this.bindings.delete(user);
+            this.respond(transaction, 200);
+            console.log(`🏠 Unregistered ${user}`);
+            this.emit('unregistered', { user });
+            return;
+        }
+
+        this.bindings.set(user, {
+            user,
+            contact: contact.uriString,
+            flow,
+            expiresAt: Date.now() + expires * 1000
+        });
+
+        // Outbound clients keep their flow open; tell them how often to ping it
+        const outbound = /\boutbound\b/i.test(request.get('Supported') || '') &&
+            contact.params['reg-id'] !== undefined && contact.params['+sip.instance'] !== undefined;
+
+        this.respond(transaction, 200, {
+            headers: {
+                'Contact': `<${contact.uriString}>;expires=${expires}`,
+                'Require': outbound ? 'outbound' : null,
+                'Flow-Timer': outbound ? String(this.flowTimer) : null
+            }
+        });
+
+        console.log(`🏠 Registered ${user} via ${flow.transport} ${flow.address}:${flow.port}`);
+        this.emit('registered', { user, transport: flow.transport });
+    }
+
+    getBinding(user) {
+        const binding = this.bindings.get(user);
+        if (!binding) return null;
+
+        if (binding.expiresAt <= Date.now()) {
+            this.bindings.delete(user);
+            return null;
+        }
+        return binding;
+    }
+
+    remaining(binding) {
+        return Math.max(0, Math.round((binding.expiresAt - Date.now()) / 1000));
+    }
+
+    removeFlowBindings(flow) {
+        for (const [user, binding] of this.bindings) {
+            if (binding.flow.socket && binding.flow.socket === flow.socket) {
+                this.bindings.delete(user);
+                this.emit('unregistered', { user });
+            }
+        }
+    }
+
+    getRegisteredUsers() {
+        return Array.from(this.bindings.keys()).filter(user => this.getBinding(user));
+    }
+
+    // Calls
+
+    handleInvite(request, transaction, flow) {
+        const target = request.uri ? SIPMessage.parseURI(request.uri) : null;
+        const user = target ? target.user : null;
+
+        const call = {
+            id: request.callId,
+            caller: request.from.uri ? request.from.uri.user : null,
+            callee: user,
+            scenario: null,
+            timers: [],
+            echo: null,
+            aLeg: {
+                request,
+                transaction,
+                flow,
+                localTag: SIPMessage.generateTag(),
+                dialog: null
+            },
+            bLeg: null,
+            state: 'setup'
+        };
+        this.calls.set(call.id, call);
+
+        if (user && this.getBinding(user)) {
+            this.bridgeCall(call, this.getBinding(user));
+            return;
+        }
+
+        const scenario = user && Object.prototype.hasOwnProperty.call(this.scenarios, user) ? this.scenarios[user] : null;
+        if (!scenario) {
+            this.rejectCall(call, 404);
+            return;
+        }
+
+        call.scenario = scenario;
+        console.log(`🏠 ${call.caller} → ${user} (scenario: ${scenario})`);
+        this.runScenario(call).catch(error => {
+            console.error('❌ Local PBX scenario failed:', error);
+            this.rejectCall(call, 500);
+        });
+    }
+
+    async runScenario(call) {
+        const ring = () => this.respond(call.aLeg.transaction, 180, { toTag: call.aLeg.localTag, contact: this.contactFor(call.aLeg.flow) });
+        const later = (fn, delay) => call.timers.push(setTimeout(fn, delay));
+
+        switch (call.scenario) {
+            case 'echo':
+                await this.answerWithEcho(call);
+                break;
+
+            case 'ring':
+                ring();
+                later(() => this.answerWithEcho(call), this.ringTime);
+                break;
+
+            case 'busy':
+                ring();
+                later(() => this.rejectCall(call, 486), this.ringTime);
+                break;
+
+            case 'noanswer':
+                ring();
+                later(() => this.rejectCall(call, 480), this.noAnswerTime);
+                break;
+
+            case 'early': {
+                const body = await this.prepareEcho(call);
+                if (!body) return;
+                this.respond(call.aLeg.transaction, 183, {
+                    toTag: call.aLeg.localTag,
+                    contact: this.contactFor(call.aLeg.flow),
+                    body
+                });
+                later(() => this.answerWithEcho(call), this.ringTime);
+                break;
+            }
+
+            case '486':
+                this.rejectCall(call, 486);
+                break;
+
+            case '487':
+                ring();
+                later(() => this.rejectCall(call, 487), this.ringTime);
+                break;
+
+            default:
+                this.rejectCall(call, 404);
+                break;
+        }
+    }
+
+    /**
+     * Open an echo RTP endpoint and build the SDP answer (or offer) for it
+     */
+    async prepareEcho(call) {
+        if (!call.echo) {
+            call.echo = new RTPSession({ localAddress: this.host });
+            await call.echo.open();
+
+            // Symmetric RTP: bounce every packet back to where it came from
+            call.echo.on('packet', (data, rinfo) => {
+                call.echo.setRemote(rinfo.address, rinfo.port);
+                call.echo.send(data);
+            });
+        }
+
+        const request = call.aLeg.request;
+        const mediaOptions = { address: this.host, port: call.echo.localPort, codecs: this.codecs };
+        const body = request.body ? SDP.createAnswer(request.body, mediaOptions) : SDP.createOffer(mediaOptions);
+
+        if (!body) {
+            this.rejectCall(call, 488);
+            return null;
+        }
+        return body;
+    }
+
+    async answerWithEcho(call) {
+        if (call.state !== 'setup') return;
+
+        const body = await this.prepareEcho(call);
+        if (!body) return;
+
+        this.answerALeg(call, body);
+    }
+
+    answerALeg(call, body) {
+        const leg = call.aLeg;
+        leg.dialog = SIPDialog.fromUAS(leg.request, leg.localTag, this.contactFor(leg.flow));
+        leg.dialog.state = 'confirmed';
+        leg.pendingTransaction = leg.transaction;
+        this.dialogs.set(leg.dialog.id, { call, leg });
+
+        call.state = 'answered';
+        this.respond(leg.transaction, 200, { toTag: leg.localTag, contact: this.contactFor(leg.flow), body });
+        this.emit('call-answered', { callId: call.id, caller: call.caller, callee: call.callee });
+    }
+
+    rejectCall(call, status) {
+        if (call.state !== 'setup') return;
+
+        this.respond(call.aLeg.transaction, status, { toTag: call.aLeg.localTag });
+        this.endCall(call);
+    }
+
+    /**
+     * B2BUA: place a second leg toward the registered callee and relay between the two
+     */
+    bridgeCall(call, binding, extraHeaders = {}) {
+        const aRequest = call.aLeg.request;
+        const from = aRequest.from;
+
+        const request = SIPMessage.createRequest('INVITE', binding.contact, {
+            'Via': this.viaFor(binding.flow, SIPMessage.generateBranch()),
+            'Max-Forwards': '70',
+            'From': SIPMessage.formatNameAddr({ displayName: from.displayName, uri: from.uriString, params: { tag: SIPMessage.generateTag() } }),
+            'To': `<sip:${binding.user}@${this.host}>`,
+            'Call-ID': SIPMessage.generateCallId(this.host),
+            'CSeq': '1 INVITE',
+            'Contact': this.contactFor(binding.flow)
+        });
+
+        for (const name of ['Call-Info', 'Alert-Info']) {
+            aRequest.getAll(name).forEach(value => request.add(name, value));
+        }
+        if (aRequest.has('Replaces')) {
+            request.add('Replaces', this.translateReplaces(aRequest.get('Replaces')));
+        }
+        for (const [name, values] of Object.entries(extraHeaders)) {
+            values.forEach(value => request.add(name, value));
+        }
+        if (aRequest.body) {
+            request.setBody(aRequest.body, aRequest.get('Content-Type'));
+        }
+
+        call.bLeg = {
+            request,
+            flow: binding.flow,
+            dialog: null,
+            transaction: null
+        };
+
+        console.log(`🏠 Bridging ${call.caller} → ${binding.user}`);
+
+        const transaction = this.startClientTransaction(request, binding.flow);
+        call.bLeg.transaction = transaction;
+
+        transaction.on('provisional', (response) => {
+            if (response.status === 100 || call.state !== 'setup') return;
+            this.respond(call.aLeg.transaction, response.status, {
+                reason: response.reason,
+                toTag: call.aLeg.localTag,
+                contact: this.contactFor(call.aLeg.flow),
+                body: response.body || null
+            });
+        });
+
+        transaction.once('final', (response) => {
+            if (response.status >= 300) {
+                const redirect = response.status < 400 && call.state === 'setup' ? this.redirectTarget(call, response) : null;
+                if (redirect && redirect.binding) {
+                    console.log(`🏠 ${binding.user} forwarded the call to ${redirect.user}`);
+                    this.bridgeCall(call, redirect.binding, { 'Diversion': response.getAll('Diversion') });
+                    return;
+                }
+
+                // Targets we don't serve go back to the caller to follow
+                if (call.state === 'setup') {
+                    this.respond(call.aLeg.transaction, response.status, {
+                        reason: response.reason,
+                        toTag: call.aLeg.localTag,
+                        headers: redirect ? { 'Contact': `<${redirect.uri}>`, 'Diversion': response.getAll('Diversion') } : {}
+                    });
+                }
+                this.endCall(call);
+                return;
+            }
+
+            call.bLeg.dialog = SIPDialog.fromUAC(request, response);
+            this.sendAck(call.bLeg, request.cseq.seq);
+
+            // The caller gave up while the callee was answering
+            if (call.state !== 'setup') {
+                this.sendInDialog(call.bLeg, 'BYE');
+                call.bLeg.dialog.terminate();
+                return;
+            }
+
+            this.dialogs.set(call.bLeg.dialog.id, { call, leg: call.bLeg });
+            this.answerALeg(call, response.body);
+        });
+
+        transaction.on('retransmitted-final', () => {
+            if (call.bLeg.ack) this.send(call.bLeg.ack, call.bLeg.flow).catch(() => {});
+        });
+
+        transaction.once('timeout', () => this.rejectCall(call, 408));
+        transaction.once('transport-error', () => this.rejectCall(call, 503));
+    }
+
+    /**
+     * Where a 3xx from a callee points: { uri, user, binding } with binding set for our registered users.
+     * Each call follows at most MAX_REDIRECTS, so two phones forwarding to each other can't loop
+     */
+    redirectTarget(call, response) {
+        if (!response.has('Contact') || (call.redirects = (call.redirects || 0) + 1) > MAX_REDIRECTS) {
+            return null;
+        }
+
+        let contact;
+        try {
+            contact = SIPMessage.parseNameAddr(response.get('Contact'));
+        } catch (error) {
+            return null;
+        }
+        if (!contact.uri) return null;
+
+        const user = contact.uri.user;
+        return { uri: contact.uriString, user, binding: user ? this.getBinding(user) : null };
+    }
+
+    /**
+     * Replaces names the caller's dialog with us; the callee only knows the other leg of that call
+     */
+    translateReplaces(value) {
+        const replaces = SIPMessage.parseReplaces(value);
+        const entry = this.dialogs.get(SIPDialog.key(replaces.callId, replaces.toTag, replaces.fromTag));
+        if (!entry) return value;
+
+        const { call, leg } = entry;
+        const other = leg === call.aLeg ? call.bLeg : call.aLeg;
+        if (!other || !other.dialog) return value;
+
+        return SIPMessage.formatReplaces({
+            callId: other.dialog.callId,
+            toTag: other.dialog.remoteTag,
+            fromTag: other.dialog.localTag,
+            earlyOnly: replaces.earlyOnly
+        });
+    }
+
+    /**
+     * Originate a call from the PBX to a registered user, answered with echo media
+     */
+    async callUser(user, options = {}) {
+        const binding = this.getBinding(user);
+        if (!binding) {
+            throw new Error(`${user} is not registered`);
+        }
+
+        const callerId = options.from || 'flexpbx';
+        const echo = new RTPSession({ localAddress: this.host });
+        await echo.open();
+        echo.on('packet', (data, rinfo) => {
+            echo.setRemote(rinfo.address, rinfo.port);
+            echo.send(data);
+        });
+
+        const headers = {
+            'Via': this.viaFor(binding.flow, SIPMessage.generateBranch()),
+            'Max-Forwards': '70',
+            'From': SIPMessage.formatNameAddr({
+                displayName: options.displayName || null,
+                uri: `sip:${callerId}@${this.host}`,
+                params: { tag: SIPMessage.generateTag() }
+            }),
+            'To': `<sip:${user}@${this.host}>`,
+            'Call-ID': SIPMessage.generateCallId(this.host),
+            'CSeq': '1 INVITE',
+            'Contact': this.contactFor(binding.flow),
+            ...(options.headers || {})
+        };
+
+        const request = SIPMessage.createRequest('INVITE', binding.contact, headers);
+        request.setBody(SDP.createOffer({ address: this.host, port: echo.localPort, codecs: this.codecs }), 'application/sdp');
+
+        const call = {
+            id: request.callId,
+            caller: callerId,
+            callee: user,
+            scenario: 'originate',
+            timers: [],
+            echo,
+            aLeg: null,
+            bLeg: { request, flow: binding.flow, dialog: null, transaction: null },
+            state: 'setup'
+        };
+        this.calls.set(call.id, call);
+
+        console.log(`🏠 Calling ${user} from ${callerId}`);
+
+        const transaction = this.startClientTransaction(request, binding.flow);
+        call.bLeg.transaction = transaction;
+
+        return new Promise((resolve) => {
+            transaction.once('final', (response) => {
+                if (response.status >= 300) {
+                    this.endCall(call);
+                    resolve({ success: false, status: response.status, reason: response.reason });
+                    return;
+                }
+
+                call.bLeg.dialog = SIPDialog.fromUAC(request, response);
+                this.dialogs.set(call.bLeg.dialog.id, { call, leg: call.bLeg });
+                this.sendAck(call.bLeg, request.cseq.seq);
+                call.state = 'answered';
+
+                const target = response.body ? SDP.getMediaTarget(response.body) : null;
+                if (target) echo.setRemote(target.address, target.port);
+
+                resolve({ success: true, callId: call.id });
+            });
+
+            transaction.on('retransmitted-final', () => {
+                if (call.bLeg.ack) this.send(call.bLeg.ack, call.bLeg.flow).catch(() => {});
+            });
+            transaction.once('timeout', () => {
+                this.endCall(call);
+                resolve({ success: false, status: 408, reason: 'Request Timeout' });
+            });
+        });
+    }
+
+    /**
+     * Tear down a call from the PBX side
+     */
+    hangup(callId) {
+        const call = this.calls.get(callId);
+        if (!call) return false;
+
+        for (const leg of [call.aLeg, call.bLeg]) {
+            if (leg && leg.dialog && leg.dialog.state === 'confirmed') {
+                this.sendInDialog(leg, 'BYE');
+            }
+        }
+        if (call.state === 'setup' && call.aLeg) {
+            this.rejectCall(call, 480);
+        }
+
+        this.endCall(call);
+        return true;
+    }
+
+    startClientTransaction(request, flow) {
+        const transaction = new ClientTransaction(
+            request,
+            (message) => this.send(message, flow),
+            { reliable: flow.transport !== 'UDP' }
+        );
+
+        this.clientTransactions.set(transaction.id, transaction);
+        transaction.once('terminated', () => this.clientTransactions.delete(transaction.id));
+        transaction.start();
+
+        return transaction;
+    }
+
+    sendAck(leg, seq) {
+        leg.ack = leg.dialog.createRequest('ACK', { cseq: seq });
+        leg.ack.prepend('Via', this.viaFor(leg.flow, SIPMessage.generateBranch()));
+        this.send(leg.ack, leg.flow).catch(error => console.warn('⚠️ Local PBX ACK failed:', error.message));
+    }
+
+    sendInDialog(leg, method, options = {}) {
+        const request = leg.dialog.createRequest(method, options);
+        request.prepend('Via', this.viaFor(leg.flow, SIPMessage.generateBranch()));
+
+        return new Promise((resolve) => {
+            const transaction = this.startClientTransaction(request, leg.flow);
+            transaction.once('final', (response) => {
+                if (method === 'INVITE' && response.status < 300) {
+                    this.sendAck(leg, request.cseq.seq);
+                }
+                resolve(response);
+            });
+            transaction.once('timeout', () => resolve(SIPMessage.createResponse(request, 408)));
+            transaction.once('transport-error', () => resolve(SIPMessage.createResponse(request, 503)));
+        });
+    }
+
+    handleAck(request, branch) {
+        const inviteTransaction = this.serverTransactions.get(ServerTransaction.key(branch, 'INVITE'));
+        if (inviteTransaction) {
+            inviteTransaction.receiveRequest(request);
+            return;
+        }
+
+        const entry = this.dialogs.get(SIPDialog.key(request.callId, request.to.params.tag, request.from.params.tag));
+        if (!entry) return;
+
+        const { call, leg } = entry;
+        if (leg.pendingTransaction) {
+            leg.pendingTransaction.acknowledge();
+            leg.pendingTransaction = null;
+        }
+
+        // Late offer answered in the ACK: point the echo back at the caller
+        if (request.body && call.echo) {
+            const target = SDP.getMediaTarget(request.body);
+            if (target) call.echo.setRemote(target.address, target.port);
+        }
+    }
+
+    handleCancel(request, transaction, branch) {
+        const inviteTransaction = this.serverTransactions.get(ServerTransaction.key(branch, 'INVITE'));
+        const call = inviteTransaction ? this.calls.get(request.callId) : null;
+
+        if (!call || call.state !== 'setup') {
+            this.respond(transaction, 481);
+            return;
+        }
+
+        this.respond(transaction, 200);
+
+        if (call.bLeg && call.bLeg.transaction && call.bLeg.transaction.state === 'proceeding') {
+            this.cancelLeg(call.bLeg);
+        }
+
+        this.rejectCall(call, 487);
+    }
+
+    cancelLeg(leg) {
+        const invite = leg.request;
+        const cancel = SIPMessage.createRequest('CANCEL', invite.uri, {
+            'Via': invite.getAll('Via')[0],
+            'Max-Forwards': '70',
+            'From': invite.get('From'),
+            'To': invite.get('To'),
+            'Call-ID': invite.callId,
+            'CSeq': `${invite.cseq.seq} CANCEL`
+        });
+
+        this.startClientTransaction(cancel, leg.flow);
+    }
+
+    handleInDialogRequest(request, transaction) {
+        const entry = this.dialogs.get(SIPDialog.key(request.callId, request.to.params.tag, request.from.params.tag));
+
+        if (!entry) {
+            this.respond(transaction, 481);
+            return;
+        }
+
+        const { call, leg } = entry;
+        if (!leg.dialog.receiveRequest(request)) {
+            this.respond(transaction, 500, { reason: 'CSeq Out of Order' });
+            return;
+        }
+
+        const otherLeg = leg === call.aLeg ? call.bLeg : call.aLeg;
+
+        if (request.method === 'BYE') {
+            this.respond(transaction, 200);
+            if (otherLeg && otherLeg.dialog && otherLeg.dialog.state === 'confirmed') {
+                this.sendInDialog(otherLeg, 'BYE');
+            }
+            this.endCall(call);
+            return;
+        }
+
+        if (otherLeg && otherLeg.dialog) {
+            this.relayRequest(leg, otherLeg, request, transaction);
+            return;
+        }
+
+        // Scripted call: the PBX itself is the far end
+        switch (request.method) {
+            case 'INVITE':
+            case 'UPDATE':
+                this.answerMidCallOffer(call, leg, request, transaction);
+                break;
+            case 'INFO':
+                this.respond(transaction, 200);
+                break;
+            default:
+                this.respond(transaction, 405);
+                break;
+        }
+    }
+
+    answerMidCallOffer(call, leg, request, transaction) {
+        const mediaOptions = { address: this.host, port: call.echo.localPort, codecs: this.codecs };
+        const body = request.body ? SDP.createAnswer(request.body, mediaOptions) : SDP.createOffer(mediaOptions);
+
+        if (!body) {
+            this.respond(transaction, 488);
+            return;
+        }
+
+        if (request.method === 'INVITE') {
+            leg.pendingTransaction = transaction;
+        }
+        this.respond(transaction, 200, { contact: this.contactFor(leg.flow), body });
+    }
+
+    relayRequest(fromLeg, toLeg, request, transaction) {
+        const headers = {};
+        for (const name of RELAYED_HEADERS) {
+            if (request.has(name)) headers[name] = request.getAll(name);
+        }
+
+        if (request.method === 'INVITE') {
+            fromLeg.pendingTransaction = transaction;
+        }
+
+        this.sendInDialog(toLeg, request.method, {
+            headers,
+            body: request.body || null,
+            contentType: request.get('Content-Type')
+        }).then(response => {
+            this.respond(transaction, response.status, {
+                reason: response.reason,
+                contact: request.method === 'INVITE' && response.status < 300 ? this.contactFor(fromLeg.flow) : null,
+                body: response.body || null,
+                contentType: response.get('Content-Type')
+            });
+        });
+    }
+
+    endCall(call) {
+        if (call.state === 'ended') return;
+
+        call.state = 'ended';
+        call.timers.forEach(timer => clearTimeout(timer));
+        call.timers = [];
+
+        if (call.echo) {
+            call.echo.close();
+            call.echo = null;
+        }
+
+        for (const leg of [call.aLeg, call.bLeg]) {
+            if (leg && leg.dialog) {
+                leg.dialog.terminate();
+                this.dialogs.delete(leg.dialog.id);
+            }
+        }
+
+        this.calls.delete(call.id);
+        this.emit('call-ended', { callId: call.id, caller: call.caller, callee: call.callee });
+    }
+}
+
+LocalPBX.SCENARIOS = SCENARIOS;
+
+module.exports = LocalPBX;
@@ -0,0 +1,204 @@
+/**
+ * 🎙️ FlexPhone RTP Session
+ * Local RTP endpoint reserved for a call's media stream
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+class RTPSession extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.localAddress = options.localAddress || '0.0.0.0';
+        this.portRange = options.portRange || { min: 10000, max: 20000 };
+        this.localPort = null;
+        this.remote = null;
+        this.socket = null;
+        this.packetsReceived = 0;
+        this.packetsSent = 0;
+
+        // Negotiated codec; only its payload type counts as audio, and its clock rate converts jitter from timestamp units
+        this.codec = { name: 'PCMU', payload: 0, clockRate: 8000 };
+
+        // RFC 3550 appendix A receive statistics for the incoming stream; other counts telephone-event
+        // and comfort noise packets, which share the sequence space but not the audio timing
+        this.receiveStats = { baseSeq: null, maxSeq: 0, cycles: 0, received: 0, other: 0, transit: null, jitter: 0 };
+
+        // Outgoing stream: random SSRC, sequence and timestamp origin (RFC 3550 section 5.1)
+        this.ssrc = crypto.randomBytes(4).readUInt32BE(0);
+        this.sequence = crypto.randomBytes(2).readUInt16BE(0);
+        this.timestampBase = crypto.randomBytes(4).readUInt32BE(0);
+        this.startedAt = Date.now();
+    }
+
+    /**
+     * Bind to a random even port inside the configured range
+     */
+    async open() {
+        const { min, max } = this.portRange;
+
+        for (let attempt = 0; attempt < 20; attempt++) {
+            const port = min + 2 * Math.floor(Math.random() * ((max - min) / 2));
+
+            try {
+                await this.bind(port);
+                this.localPort = port;
+                return port;
+            } catch (error) {
+                if (error.code !== 'EADDRINUSE') {
+                    throw error;
+                }
+            }
+        }
+
+        throw new Error('No free RTP port available');
+    }
+
+    bind(port) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+
+            socket.once('error', (error) => {
+                socket.close();
+                reject(error);
+            });
+
+            socket.bind(port, () => {
+                socket.removeAllListeners('error');
+                socket.on('error', (error) => console.warn('⚠️ RTP socket error:', error.message));
+                socket.on('message', (data, rinfo) => {
+                    this.packetsReceived++;
+                    this.trackPacket(data);
+                    this.emit('packet', data, rinfo);
+                });
+                this.socket = socket;
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Sequence and interarrival jitter bookkeeping (RFC 3550 sections A.1 and A.8)
+     */
+    trackPacket(data) {
+        const header = RTPSession.parseHeader(data);
+        if (!header) return;
+
+        const stats = this.receiveStats;
+        const seq = header.sequence;
+        const timestamp = header.timestamp;
+
+        if (stats.baseSeq === null) {
+            stats.baseSeq = seq;
+            stats.maxSeq = seq;
+        } else if (seq > stats.maxSeq || stats.maxSeq - seq > 0x8000) {
+            if (seq < stats.maxSeq) stats.cycles += 0x10000;
+            stats.maxSeq = seq;
+        }
+
+        // RFC 4733 events repeat one timestamp for the whole tone, which would read as jitter
+        if (header.payloadType !== this.codec.payload) {
+            stats.other++;
+            return;
+        }
+        stats.received++;
+
+        const arrival = Math.round(Number(process.hrtime.bigint() / 1000000n) * this.codec.clockRate / 1000);
+        const transit = arrival - timestamp;
+        if (stats.transit !== null) {
+            stats.jitter += (Math.abs(transit - stats.transit) - stats.jitter) / 16;
+        }
+        stats.transit = transit;
+    }
+
+    /**
+     * Audio receive statistics shaped like an RTCStatsReport. No RTCP is exchanged, so there is
+     * no remote-inbound-rtp entry and the round-trip time stays unknown
+     */
+    getStats() {
+        const stats = this.receiveStats;
+        const expected = stats.baseSeq === null ? 0 : stats.cycles + stats.maxSeq - stats.baseSeq + 1;
+
+        return new Map([
+            ['RTPInbound', {
+                id: 'RTPInbound',
+                type: 'inbound-rtp',
+                kind: 'audio',
+                packetsReceived: stats.received,
+                packetsLost: Math.max(0, expected - stats.received - stats.other),
+                jitter: stats.jitter / this.codec.clockRate,
+                codecId: 'RTPCodec'
+            }],
+            ['RTPCodec', {
+                id: 'RTPCodec',
+                type: 'codec',
+                mimeType: `audio/${this.codec.name}`,
+                clockRate: this.codec.clockRate
+            }]
+        ]);
+    }
+
+    /**
+     * Media clock now, in timestamp units of the negotiated codec
+     */
+    currentTimestamp() {
+        return (this.timestampBase + Math.round((Date.now() - this.startedAt) * this.codec.clockRate / 1000)) >>> 0;
+    }
+
+    /**
+     * Send one RTP packet on our stream; timestamp defaults to the media clock
+     */
+    sendRTP(payloadType, payload, { marker = false, timestamp = this.currentTimestamp() } = {}) {
+        const header = Buffer.alloc(12);
+        header[0] = 0x80;
+        header[1] = (marker ? 0x80 : 0) | (payloadType & 0x7f);
+        header.writeUInt16BE(this.sequence, 2);
+        header.writeUInt32BE(timestamp >>> 0, 4);
+        header.writeUInt32BE(this.ssrc, 8);
+
+        this.sequence = (this.sequence + 1) & 0xffff;
+        this.send(Buffer.concat([header, payload]));
+    }
+
+    static parseHeader(data) {
+        if (data.length < 12 || (data[0] >> 6) !== 2) return null;
+
+        const csrcCount = data[0] & 0x0f;
+        const offset = 12 + csrcCount * 4;
+        return {
+            marker: (data[1] & 0x80) !== 0,
+            payloadType: data[1] & 0x7f,
+            sequence: data.readUInt16BE(2),
+            timestamp: data.readUInt32BE(4),
+            ssrc: data.readUInt32BE(8),
+            payload: data.slice(offset)
+        };
+    }
+
+    setRemote(address, port) {
+        this.remote = address && port ? { address, port } : null;
+    }
+
+    send(packet) {
+        if (!this.socket || !this.remote) return;
+
+        this.packetsSent++;
+        this.socket.send(packet, this.remote.port, this.remote.address);
+    }
+
+    close() {
+        if (this.socket) {
+            try {
+                this.socket.close();
+            } catch (error) {
+                // Socket already closed
+            }
+            this.socket = null;
+        }
+        this.remote = null;
+    }
+}
+
+module.exports = RTPSession;
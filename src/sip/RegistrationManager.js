@@ -0,0 +1,387 @@
+/**
+ * 🔁 FlexPhone Registration Manager
+ * Keeps one account registered: refresh before expiry, failover with backoff, failback to the primary registrar
+ */
+
+const EventEmitter = require('events');
+const SIPMessage = require('./SIPMessage');
+
+// Final responses worth retrying later or at another registrar; anything else (403, 404...) needs the user
+const RETRYABLE_STATUS = [408, 480, 500, 502, 503, 504];
+
+class RegistrationManager extends EventEmitter {
+    constructor(userAgent, options = {}) {
+        super();
+
+        this.userAgent = userAgent;
+
+        // Primary first, then fallbacks in order of preference; a missing port means "locate via DNS"
+        const registrars = (options.registrars || []).map(value => RegistrationManager.parseRegistrar(value));
+        this.registrars = registrars.length > 0
+            ? registrars
+            : [{ server: userAgent.config.server, port: userAgent.config.port }];
+
+        // SIPResolver for RFC 3263 lookups; without one registrars are used literally
+        this.resolver = options.resolver || null;
+        this.defaultPort = options.defaultPort || userAgent.config.port;
+
+        this.expires = options.expires || 3600;
+        this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 30000;
+        this.retryBaseDelay = options.retryBaseDelay || 5000;
+        this.maxRetryDelay = options.maxRetryDelay || 300000;
+        this.failbackInterval = options.failbackInterval || 60000;
+
+        this.state = 'unregistered';
+        this.activeTarget = null;
+        this.failures = 0;
+        this.grantedExpires = null;
+        this.expiresAt = null;
+        this.stopped = true;
+
+        this.timers = { refresh: null, retry: null, failback: null };
+
+        // REGISTER transactions for one account must not overlap
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Accept "host", "host:port" or { server, port }
+     */
+    static parseRegistrar(value) {
+        if (typeof value === 'object') {
+            return { server: value.server, port: parseInt(value.port, 10) || null };
+        }
+
+        const [server, port] = String(value).trim().split(':');
+        return { server, port: parseInt(port, 10) || null };
+    }
+
+    get registrar() {
+        return this.activeTarget;
+    }
+
+    get isRegistered() {
+        return this.state === 'registered' || this.state === 'refreshing';
+    }
+
+    get isRetrying() {
+        return this.state === 'retrying';
+    }
+
+    get isFallback() {
+        return Boolean(this.activeTarget && this.activeTarget.registrarIndex > 0);
+    }
+
+    /**
+     * First registration; resolves once a registrar accepts or every target has been tried
+     */
+    start() {
+        this.stopped = false;
+        this.failures = 0;
+        return this.enqueue(async () => this.registerCycle(await this.resolveTargets()));
+    }
+
+    /**
+     * Remove the binding and stop all timers
+     */
+    stop() {
+        this.stopped = true;
+        this.clearTimers();
+
+        return this.enqueue(async () => {
+            this.clearTimers();
+
+            if (this.isRegistered) {
+                this.setState('unregistering');
+                const response = await this.registerAt(this.activeTarget, 0);
+                if (response.status >= 300) {
+                    console.warn(`⚠️ Unregister returned ${response.status} ${response.reason}`);
+                }
+            }
+
+            this.expiresAt = null;
+            this.setState('unregistered');
+        });
+    }
+
+    /**
+     * Refresh right away, e.g. after the network changed or a keep-alive went unanswered
+     */
+    reregister() {
+        if (this.stopped) {
+            return Promise.resolve(null);
+        }
+
+        this.clearTimers();
+        return this.enqueue(() => this.refresh());
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(() => task());
+        this.queue = run.catch((error) => console.error('❌ Registration task failed:', error));
+        return run;
+    }
+
+    /**
+     * Concrete { server, port, registrarIndex } targets for the given registrars, re-resolved on every cycle
+     */
+    async resolveTargets(indexes = this.registrars.map((registrar, index) => index)) {
+        const transport = this.userAgent.config.transport;
+        const targets = [];
+
+        for (const index of indexes) {
+            const { server, port } = this.registrars[index];
+            const resolved = this.resolver
+                ? await this.resolver.resolve(server, { port, defaultPort: this.defaultPort, transports: [transport] })
+                : [];
+
+            if (resolved.length === 0) {
+                // Unresolvable names are still tried so the failure is reported like any other
+                targets.push({ server, port: port || this.defaultPort, name: server, registrarIndex: index });
+                continue;
+            }
+
+            for (const target of resolved) {
+                targets.push({ server: target.host, port: target.port, name: target.name, registrarIndex: index });
+            }
+        }
+
+        return targets;
+    }
+
+    /**
+     * Try the given targets in order; back off and start over when none accepts.
+     * response is the failure that led here, if any
+     */
+    async registerCycle(targets, response = null) {
+        let retryable = Boolean(response) && RETRYABLE_STATUS.includes(response.status);
+
+        for (const target of targets) {
+            if (this.stopped) {
+                return { success: false, response };
+            }
+
+            this.setState('registering', { target });
+            response = await this.registerAt(target);
+
+            if (response.status >= 200 && response.status < 300) {
+                this.failures = 0;
+                this.handleRegistered(target, response);
+                return { success: true, response, registrar: this.registrar };
+            }
+
+            console.warn(`⚠️ REGISTER at ${this.describe(target)} failed: ${response.status} ${response.reason}`);
+            retryable = retryable || RETRYABLE_STATUS.includes(response.status);
+        }
+
+        if (this.stopped) {
+            return { success: false, response };
+        }
+
+        this.expiresAt = null;
+
+        if (retryable) {
+            this.scheduleRetry(response);
+        } else {
+            this.setState('failed', {
+                status: response ? response.status : null,
+                reason: response ? response.reason : null
+            });
+        }
+
+        return { success: false, response, retrying: retryable };
+    }
+
+    async registerAt(target, expires = this.expires) {
+        this.userAgent.useRegistrar(target.server, target.port);
+
+        let response = await this.userAgent.register(expires);
+
+        // 423 Interval Too Brief: retry once with the registrar's minimum (RFC 3261 section 10.2.8)
+        if (response.status === 423 && response.has('Min-Expires') && expires > 0) {
+            this.expires = parseInt(response.get('Min-Expires'), 10);
+            response = await this.userAgent.register(this.expires);
+        }
+
+        // Behind NAT: drop the unreachable binding and register the address the registrar sees
+        const success = response.status >= 200 && response.status < 300;
+        const stale = success && expires > 0 ? this.userAgent.learnPublicAddress(response) : null;
+        if (stale) {
+            await this.userAgent.register(0, { contact: stale });
+            response = await this.userAgent.register(this.expires);
+        }
+
+        return response;
+    }
+
+    handleRegistered(target, response) {
+        const previous = this.activeTarget;
+
+        this.activeTarget = target;
+        this.grantedExpires = this.getGrantedExpires(response);
+        this.expiresAt = Date.now() + this.grantedExpires * 1000;
+
+        this.setState('registered', {
+            status: response.status,
+            // Registrar keeps our flow (RFC 5626); Flow-Timer is how often it wants keep-alives
+            outbound: (response.get('Require') || '').toLowerCase().includes('outbound'),
+            flowTimer: response.has('Flow-Timer') ? parseInt(response.get('Flow-Timer'), 10) : null,
+            failover: target.registrarIndex > 0 && (!previous || previous.registrarIndex !== target.registrarIndex),
+            failback: target.registrarIndex === 0 && Boolean(previous) && previous.registrarIndex > 0
+        });
+
+        if (!this.stopped) {
+            this.scheduleRefresh();
+            this.scheduleFailback();
+        }
+    }
+
+    /**
+     * Expiry the registrar granted for our Contact, falling back to Expires and then to what we asked for
+     */
+    getGrantedExpires(response) {
+        const ours = SIPMessage.parseNameAddr(this.userAgent.contact).uriString;
+
+        for (const value of response.getAll('Contact')) {
+            const contact = SIPMessage.parseNameAddr(value);
+            if (contact.uriString === ours && contact.params.expires !== undefined) {
+                return parseInt(contact.params.expires, 10);
+            }
+        }
+
+        if (response.has('Expires')) {
+            return parseInt(response.get('Expires'), 10);
+        }
+
+        return this.expires;
+    }
+
+    async refresh() {
+        if (this.stopped || !this.activeTarget) {
+            return null;
+        }
+
+        const target = this.activeTarget;
+        this.setState('refreshing');
+
+        const response = await this.registerAt(target);
+        if (response.status >= 200 && response.status < 300) {
+            this.handleRegistered(target, response);
+            return { success: true, response, registrar: this.registrar };
+        }
+
+        console.warn(`⚠️ Registration refresh at ${this.describe(target)} failed: ${response.status} ${response.reason}`);
+
+        // Move on to the other targets before backing off
+        const others = (await this.resolveTargets()).filter(other => this.describe(other) !== this.describe(target));
+        return this.registerCycle(others, response);
+    }
+
+    /**
+     * While on a fallback, periodically try the primary and move back once it answers
+     */
+    async tryFailback() {
+        if (this.stopped || !this.isFallback || !this.isRegistered) {
+            return;
+        }
+
+        const fallback = this.activeTarget;
+
+        for (const target of await this.resolveTargets([0])) {
+            const response = await this.registerAt(target);
+            if (response.status < 200 || response.status >= 300) {
+                continue;
+            }
+
+            console.log(`✅ Primary registrar ${this.describe(target)} is back`);
+
+            // Release the fallback binding so calls are not delivered twice
+            await this.registerAt(fallback, 0);
+            this.userAgent.useRegistrar(target.server, target.port);
+
+            this.handleRegistered(target, response);
+            return;
+        }
+
+        this.userAgent.useRegistrar(fallback.server, fallback.port);
+        this.scheduleFailback();
+    }
+
+    scheduleRefresh() {
+        clearTimeout(this.timers.refresh);
+
+        // Renew ahead of expiry, but never later than halfway through short registrations
+        const lifetime = this.grantedExpires * 1000;
+        const delay = Math.max(lifetime / 2, lifetime - this.refreshMargin);
+
+        this.timers.refresh = setTimeout(() => this.enqueue(() => this.refresh()), delay);
+    }
+
+    /**
+     * Exponential backoff with jitter (RFC 5626 section 4.5); Retry-After wins when present
+     */
+    scheduleRetry(response) {
+        clearTimeout(this.timers.retry);
+
+        const retryAfter = response && response.has('Retry-After')
+            ? parseInt(response.get('Retry-After'), 10) * 1000
+            : null;
+        const backoff = Math.min(this.maxRetryDelay, this.retryBaseDelay * 2 ** this.failures);
+        const delay = retryAfter || Math.round(backoff * (0.5 + Math.random() / 2));
+
+        this.failures++;
+        this.setState('retrying', {
+            status: response ? response.status : null,
+            reason: response ? response.reason : null,
+            retryIn: delay
+        });
+
+        this.timers.retry = setTimeout(() => {
+            this.enqueue(async () => this.registerCycle(await this.resolveTargets()));
+        }, delay);
+    }
+
+    scheduleFailback() {
+        clearTimeout(this.timers.failback);
+
+        if (this.isFallback) {
+            this.timers.failback = setTimeout(() => this.enqueue(() => this.tryFailback()), this.failbackInterval);
+        }
+    }
+
+    clearTimers() {
+        for (const name of Object.keys(this.timers)) {
+            clearTimeout(this.timers[name]);
+            this.timers[name] = null;
+        }
+    }
+
+    describe(target) {
+        return `${target.server}:${target.port}`;
+    }
+
+    setState(state, details = {}) {
+        const previousState = this.state;
+        const { target = this.activeTarget, ...rest } = details;
+
+        this.state = state;
+
+        this.emit('state', {
+            state,
+            previousState,
+            registrar: target ? this.describe(target) : null,
+            registrarName: target ? target.name : null,
+            registrarIndex: target ? target.registrarIndex : null,
+            isFallback: Boolean(target && target.registrarIndex > 0),
+            expires: this.grantedExpires,
+            expiresAt: this.expiresAt,
+            failures: this.failures,
+            ...rest,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
+
+RegistrationManager.RETRYABLE_STATUS = RETRYABLE_STATUS;
+
+module.exports = RegistrationManager;
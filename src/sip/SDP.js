@@ -0,0 +1,451 @@
+/**
+ * 📝 FlexPhone SDP
+ * RFC 4566 session descriptions and RFC 3264 offer/answer helpers
+ */
+
+// Well-known audio payload types; dynamic ones are assigned on offer
+const CODECS = {
+    PCMU: { payload: 0, name: 'PCMU', clockRate: 8000 },
+    PCMA: { payload: 8, name: 'PCMA', clockRate: 8000 },
+    G722: { payload: 9, name: 'G722', clockRate: 8000 },
+    OPUS: { payload: 111, name: 'opus', clockRate: 48000, channels: 2 },
+    'TELEPHONE-EVENT': { payload: 101, name: 'telephone-event', clockRate: 8000, fmtp: '0-16' },
+    // RFC 4733 events must share the audio clock, so Opus calls need their own payload
+    'TELEPHONE-EVENT/48000': { payload: 110, name: 'telephone-event', clockRate: 48000, fmtp: '0-16' }
+};
+
+// Opus fmtp parameters (RFC 7587) for narrowband-friendly mono voice; ptime goes on the m-line
+const OPUS_DEFAULTS = { maxaveragebitrate: 32000, useinbandfec: 1, stereo: 0, ptime: 20 };
+
+const DIRECTIONS = ['sendrecv', 'sendonly', 'recvonly', 'inactive'];
+
+class SDP {
+    /**
+     * Parse SDP text into session and media sections
+     */
+    static parse(text) {
+        const session = {
+            version: 0,
+            origin: null,
+            sessionName: '-',
+            connection: null,
+            bandwidth: [],
+            timing: '0 0',
+            attributes: [],
+            media: []
+        };
+
+        let current = session;
+
+        for (const rawLine of String(text).split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (line.length < 2 || line[1] !== '=') continue;
+
+            const type = line[0];
+            const value = line.slice(2);
+
+            switch (type) {
+                case 'v':
+                    session.version = parseInt(value, 10);
+                    break;
+                case 'o': {
+                    const [username, sessionId, sessionVersion, netType, addrType, address] = value.split(' ');
+                    session.origin = { username, sessionId, sessionVersion: parseInt(sessionVersion, 10), netType, addrType, address };
+                    break;
+                }
+                case 's':
+                    session.sessionName = value;
+                    break;
+                case 't':
+                    session.timing = value;
+                    break;
+                case 'c': {
+                    const [netType, addrType, address] = value.split(' ');
+                    current.connection = { netType, addrType, address: address.split('/')[0] };
+                    break;
+                }
+                case 'b':
+                    current.bandwidth.push(value);
+                    break;
+                case 'm': {
+                    const [mediaType, port, protocol, ...formats] = value.split(' ');
+                    current = {
+                        type: mediaType,
+                        port: parseInt(port, 10),
+                        protocol,
+                        formats: formats.filter(Boolean),
+                        connection: null,
+                        bandwidth: [],
+                        attributes: []
+                    };
+                    session.media.push(current);
+                    break;
+                }
+                case 'a': {
+                    const colon = value.indexOf(':');
+                    current.attributes.push(colon === -1
+                        ? { name: value, value: null }
+                        : { name: value.slice(0, colon), value: value.slice(colon + 1) });
+                    break;
+                }
+                default:
+                    break;
+            }
+        }
+
+        return session;
+    }
+
+    static serialize(session) {
+        const lines = [];
+        const origin = session.origin;
+
+        lines.push(`v=${session.version || 0}`);
+        lines.push(`o=${origin.username} ${origin.sessionId} ${origin.sessionVersion} ${origin.netType} ${origin.addrType} ${origin.address}`);
+        lines.push(`s=${session.sessionName || '-'}`);
+        if (session.connection) {
+            lines.push(`c=${session.connection.netType} ${session.connection.addrType} ${session.connection.address}`);
+        }
+        (session.bandwidth || []).forEach(value => lines.push(`b=${value}`));
+        lines.push(`t=${session.timing || '0 0'}`);
+        (session.attributes || []).forEach(attr => lines.push(SDP.formatAttribute(attr)));
+
+        for (const media of session.media) {
+            lines.push(`m=${media.type} ${media.port} ${media.protocol} ${media.formats.join(' ')}`);
+            if (media.connection) {
+                lines.push(`c=${media.connection.netType} ${media.connection.addrType} ${media.connection.address}`);
+            }
+            (media.bandwidth || []).forEach(value => lines.push(`b=${value}`));
+            (media.attributes || []).forEach(attr => lines.push(SDP.formatAttribute(attr)));
+        }
+
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    static formatAttribute(attr) {
+        return attr.value === null || attr.value === undefined ? `a=${attr.name}` : `a=${attr.name}:${attr.value}`;
+    }
+
+    static getAttribute(section, name) {
+        const attr = section.attributes.find(item => item.name === name);
+        return attr ? attr.value : undefined;
+    }
+
+    static getAttributes(section, name) {
+        return section.attributes.filter(item => item.name === name).map(item => item.value);
+    }
+
+    /**
+     * Media direction, falling back to the session-level attribute
+     */
+    static getDirection(media, session = null) {
+        const own = media.attributes.find(attr => DIRECTIONS.includes(attr.name));
+        if (own) return own.name;
+
+        if (session) {
+            const sessionLevel = session.attributes.find(attr => DIRECTIONS.includes(attr.name));
+            if (sessionLevel) return sessionLevel.name;
+        }
+
+        return 'sendrecv';
+    }
+
+    static setDirection(media, direction) {
+        media.attributes = media.attributes.filter(attr => !DIRECTIONS.includes(attr.name));
+        media.attributes.push({ name: direction, value: null });
+    }
+
+    /**
+     * Direction we must answer with for a given offered direction (RFC 3264 section 6.1)
+     */
+    static reverseDirection(direction) {
+        switch (direction) {
+            case 'sendonly': return 'recvonly';
+            case 'recvonly': return 'sendonly';
+            case 'inactive': return 'inactive';
+            default: return 'sendrecv';
+        }
+    }
+
+    static sends(direction) {
+        return direction === 'sendrecv' || direction === 'sendonly';
+    }
+
+    static receives(direction) {
+        return direction === 'sendrecv' || direction === 'recvonly';
+    }
+
+    /**
+     * Narrowest direction both sides allow, e.g. sendonly with recvonly is inactive
+     */
+    static intersectDirections(a, b) {
+        const send = SDP.sends(a) && SDP.sends(b);
+        const receive = SDP.receives(a) && SDP.receives(b);
+
+        if (send && receive) return 'sendrecv';
+        if (send) return 'sendonly';
+        return receive ? 'recvonly' : 'inactive';
+    }
+
+    /**
+     * Describe the codecs of a media section in m-line order
+     */
+    static getCodecs(media) {
+        const rtpmaps = {};
+        const fmtps = {};
+
+        for (const attr of media.attributes) {
+            if (attr.name === 'rtpmap') {
+                const match = attr.value.match(/^(\d+)\s+([^/]+)\/(\d+)(?:\/(\d+))?/);
+                if (match) {
+                    rtpmaps[match[1]] = {
+                        name: match[2],
+                        clockRate: parseInt(match[3], 10),
+                        channels: match[4] ? parseInt(match[4], 10) : 1
+                    };
+                }
+            } else if (attr.name === 'fmtp') {
+                const space = attr.value.indexOf(' ');
+                if (space !== -1) {
+                    fmtps[attr.value.slice(0, space)] = attr.value.slice(space + 1);
+                }
+            }
+        }
+
+        return media.formats.map(format => {
+            const payload = parseInt(format, 10);
+            const known = Object.values(CODECS).find(codec => codec.payload === payload && payload < 96);
+            const rtpmap = rtpmaps[format] || (known ? { name: known.name, clockRate: known.clockRate, channels: 1 } : null);
+
+            return {
+                payload,
+                name: rtpmap ? rtpmap.name : `PT${payload}`,
+                clockRate: rtpmap ? rtpmap.clockRate : 8000,
+                channels: rtpmap ? rtpmap.channels : 1,
+                fmtp: fmtps[format] || null
+            };
+        });
+    }
+
+    static buildAudioMedia(port, codecs, direction = 'sendrecv') {
+        const media = {
+            type: 'audio',
+            port,
+            protocol: 'RTP/AVP',
+            formats: [],
+            connection: null,
+            bandwidth: [],
+            attributes: []
+        };
+
+        for (const codec of codecs) {
+            media.formats.push(String(codec.payload));
+            const channels = codec.channels && codec.channels > 1 ? `/${codec.channels}` : '';
+            media.attributes.push({ name: 'rtpmap', value: `${codec.payload} ${codec.name}/${codec.clockRate}${channels}` });
+            if (codec.fmtp) {
+                media.attributes.push({ name: 'fmtp', value: `${codec.payload} ${codec.fmtp}` });
+            }
+        }
+
+        media.attributes.push({ name: 'ptime', value: '20' });
+        SDP.setDirection(media, direction);
+
+        return media;
+    }
+
+    static lookupCodecs(names) {
+        return names
+            .map(name => CODECS[String(name).trim().toUpperCase()])
+            .filter(Boolean);
+    }
+
+    /**
+     * Codec names from a setting like 'G722,PCMU,PCMA' or an array
+     */
+    static parseCodecList(value) {
+        const names = Array.isArray(value) ? value : String(value || '').split(',');
+        return names.map(name => String(name).trim()).filter(Boolean);
+    }
+
+    static parseFmtp(value) {
+        const params = {};
+        for (const pair of String(value || '').split(';')) {
+            const [key, ...rest] = pair.split('=');
+            if (key.trim()) {
+                params[key.trim()] = rest.join('=').trim();
+            }
+        }
+        return params;
+    }
+
+    static formatFmtp(params) {
+        return Object.entries(params)
+            .map(([key, value]) => (value === '' ? key : `${key}=${value}`))
+            .join(';');
+    }
+
+    /**
+     * Rewrite local SDP (ours or a WebRTC stack's) to follow codec preferences: audio codecs not
+     * listed are dropped and the rest put in list order, Opus gets its fmtp parameters and ptime,
+     * and telephone-event is kept for each remaining clock rate. A section with no listed codec
+     * is left alone rather than rejected
+     */
+    static applyCodecPreferences(text, { codecs, opus = {}, telephoneEvent = true } = {}) {
+        const order = SDP.parseCodecList(codecs).map(name => name.toUpperCase());
+        const opusParams = { ...OPUS_DEFAULTS, ...opus };
+        const session = SDP.parse(text);
+
+        for (const media of session.media) {
+            if (media.type !== 'audio' || media.port === 0) continue;
+
+            const offered = SDP.getCodecs(media);
+            const audio = offered
+                .filter(codec => order.includes(codec.name.toUpperCase()))
+                .sort((a, b) => order.indexOf(a.name.toUpperCase()) - order.indexOf(b.name.toUpperCase()));
+            if (audio.length === 0 && order.length > 0) continue;
+
+            const kept = order.length > 0 ? audio : offered.filter(codec => codec.name.toLowerCase() !== 'telephone-event');
+            const clockRates = kept.map(codec => codec.clockRate);
+            const events = telephoneEvent
+                ? offered.filter(codec => codec.name.toLowerCase() === 'telephone-event' && clockRates.includes(codec.clockRate))
+                : [];
+
+            const payloads = [...kept, ...events].map(codec => String(codec.payload));
+            media.formats = payloads;
+
+            // Drop per-payload attributes (rtpmap, fmtp, rtcp-fb) of removed codecs
+            media.attributes = media.attributes.filter(attr => {
+                if (!['rtpmap', 'fmtp', 'rtcp-fb'].includes(attr.name)) return true;
+                return payloads.includes(String(attr.value).split(' ')[0]);
+            });
+
+            const opusCodec = kept.find(codec => codec.name.toLowerCase() === 'opus');
+            if (opusCodec) {
+                const { ptime, ...fmtpParams } = opusParams;
+                const fmtp = media.attributes.find(attr => attr.name === 'fmtp' && attr.value.split(' ')[0] === String(opusCodec.payload));
+                const params = { ...SDP.parseFmtp(fmtp ? fmtp.value.slice(fmtp.value.indexOf(' ') + 1) : ''), ...fmtpParams };
+                const value = `${opusCodec.payload} ${SDP.formatFmtp(params)}`;
+
+                if (fmtp) {
+                    fmtp.value = value;
+                } else {
+                    media.attributes.splice(media.attributes.findIndex(attr => attr.name === 'rtpmap' &&
+                        attr.value.split(' ')[0] === String(opusCodec.payload)) + 1, 0, { name: 'fmtp', value });
+                }
+
+                if (kept[0] === opusCodec && ptime) {
+                    media.attributes = media.attributes.filter(attr => attr.name !== 'ptime');
+                    media.attributes.push({ name: 'ptime', value: String(ptime) });
+                }
+            }
+        }
+
+        return SDP.serialize(session);
+    }
+
+    /**
+     * Create an audio offer for the given local RTP address and port
+     */
+    static createOffer(options) {
+        const sessionId = options.sessionId || String(Date.now());
+        const codecNames = options.codecs || ['PCMU', 'PCMA'];
+        const events = codecNames.some(name => String(name).trim().toUpperCase() === 'OPUS')
+            ? ['telephone-event', 'telephone-event/48000']
+            : ['telephone-event'];
+        const codecs = SDP.lookupCodecs([...codecNames, ...events]);
+
+        return SDP.serialize({
+            version: 0,
+            origin: {
+                username: 'FlexPhone',
+                sessionId,
+                sessionVersion: options.sessionVersion || 1,
+                netType: 'IN',
+                addrType: 'IP4',
+                address: options.address
+            },
+            sessionName: 'FlexPhone',
+            connection: { netType: 'IN', addrType: 'IP4', address: options.address },
+            bandwidth: [],
+            timing: '0 0',
+            attributes: [],
+            media: [SDP.buildAudioMedia(options.port, codecs, options.direction || 'sendrecv')]
+        });
+    }
+
+    /**
+     * Answer an offer, keeping the offerer's codec order for codecs we support
+     */
+    static createAnswer(offerText, options) {
+        const offer = SDP.parse(offerText);
+        const supported = (options.codecs || ['PCMU', 'PCMA']).map(name => String(name).toUpperCase());
+
+        const media = offer.media.map(offered => {
+            if (offered.type !== 'audio' || offered.port === 0) {
+                return { ...offered, port: 0, attributes: [], connection: null };
+            }
+
+            const accepted = SDP.getCodecs(offered).filter(codec =>
+                supported.includes(codec.name.toUpperCase()) || codec.name.toLowerCase() === 'telephone-event'
+            );
+
+            if (!accepted.some(codec => codec.name.toLowerCase() !== 'telephone-event')) {
+                return { ...offered, port: 0, attributes: [], connection: null };
+            }
+
+            // options.direction is what we want locally (e.g. sendonly while we hold); the offer can narrow it
+            const reversed = SDP.reverseDirection(SDP.getDirection(offered, offer));
+            const direction = options.direction ? SDP.intersectDirections(reversed, options.direction) : reversed;
+            return SDP.buildAudioMedia(options.port, accepted, direction);
+        });
+
+        if (!media.some(section => section.port !== 0)) {
+            return null;
+        }
+
+        return SDP.serialize({
+            version: 0,
+            origin: {
+                username: 'FlexPhone',
+                sessionId: options.sessionId || String(Date.now()),
+                sessionVersion: options.sessionVersion || 1,
+                netType: 'IN',
+                addrType: 'IP4',
+                address: options.address
+            },
+            sessionName: 'FlexPhone',
+            connection: { netType: 'IN', addrType: 'IP4', address: options.address },
+            bandwidth: [],
+            timing: '0 0',
+            attributes: [],
+            media
+        });
+    }
+
+    /**
+     * Remote RTP address/port and direction of the first active audio stream
+     */
+    static getMediaTarget(text) {
+        const session = typeof text === 'string' ? SDP.parse(text) : text;
+        const audio = session.media.find(media => media.type === 'audio' && media.port !== 0);
+        if (!audio) return null;
+
+        const connection = audio.connection || session.connection;
+        const codecs = SDP.getCodecs(audio);
+        const codec = codecs.find(item => item.name.toLowerCase() !== 'telephone-event') || null;
+        const events = codecs.filter(item => item.name.toLowerCase() === 'telephone-event');
+
+        return {
+            address: connection ? connection.address : null,
+            port: audio.port,
+            direction: SDP.getDirection(audio, session),
+            codec,
+            telephoneEvent: events.find(item => codec && item.clockRate === codec.clockRate) || events[0] || null
+        };
+    }
+}
+
+SDP.CODECS = CODECS;
+SDP.OPUS_DEFAULTS = OPUS_DEFAULTS;
+
+module.exports = SDP;
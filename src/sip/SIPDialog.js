@@ -0,0 +1,178 @@
+/**
+ * 🤝 FlexPhone SIP Dialog
+ * RFC 3261 section 12 dialog state and in-dialog request construction
+ */
+
+const SIPMessage = require('./SIPMessage');
+
+class SIPDialog {
+    constructor(options) {
+        this.callId = options.callId;
+        this.localTag = options.localTag;
+        this.remoteTag = options.remoteTag;
+        this.localIdentity = options.localIdentity;   // From value we send (with tag)
+        this.remoteIdentity = options.remoteIdentity; // To value we send (with tag)
+        this.localTarget = options.localTarget;       // our Contact value
+        this.remoteTarget = options.remoteTarget;     // remote Contact URI
+        this.routeSet = options.routeSet || [];
+        this.localSeq = options.localSeq || 0;
+        this.remoteSeq = options.remoteSeq || null;
+        this.role = options.role;                     // 'uac' or 'uas'
+        this.state = options.state || 'early';
+    }
+
+    get id() {
+        return SIPDialog.key(this.callId, this.localTag, this.remoteTag);
+    }
+
+    static key(callId, localTag, remoteTag) {
+        return `${callId};${localTag};${remoteTag}`;
+    }
+
+    /**
+     * Dialog created by a response to a request we sent
+     */
+    static fromUAC(request, response) {
+        const to = response.to;
+        const contact = response.contact;
+
+        return new SIPDialog({
+            callId: request.callId,
+            localTag: request.from.params.tag,
+            remoteTag: to.params.tag,
+            localIdentity: request.get('From'),
+            remoteIdentity: response.get('To'),
+            localTarget: request.get('Contact'),
+            remoteTarget: contact ? contact.uriString : request.uri,
+            routeSet: response.getAll('Record-Route').reverse(),
+            localSeq: request.cseq.seq,
+            role: 'uac',
+            state: response.status < 200 ? 'early' : 'confirmed'
+        });
+    }
+
+    /**
+     * Dialog created by our response to a request we received
+     */
+    static fromUAS(request, localTag, localContact) {
+        const contact = request.contact;
+
+        return new SIPDialog({
+            callId: request.callId,
+            localTag: localTag,
+            remoteTag: request.from.params.tag,
+            localIdentity: `${request.get('To')};tag=${localTag}`,
+            remoteIdentity: request.get('From'),
+            localTarget: localContact,
+            remoteTarget: contact ? contact.uriString : null,
+            routeSet: request.getAll('Record-Route'),
+            localSeq: Math.floor(Math.random() * 10000) + 1,
+            remoteSeq: request.cseq.seq,
+            role: 'uas',
+            state: 'early'
+        });
+    }
+
+    /**
+     * Refresh dialog state from a later response (early -> confirmed)
+     */
+    updateFromResponse(response) {
+        const contact = response.contact;
+        if (contact) {
+            this.remoteTarget = contact.uriString;
+        }
+
+        if (response.status >= 200 && response.status < 300) {
+            // The route set is fixed by the 2xx (RFC 3261 section 13.2.2.4)
+            if (this.role === 'uac' && this.state === 'early') {
+                this.routeSet = response.getAll('Record-Route').reverse();
+            }
+            this.state = 'confirmed';
+        }
+    }
+
+    /**
+     * Validate an incoming in-dialog request; returns false when it is out of order
+     */
+    receiveRequest(request) {
+        const cseq = request.cseq;
+
+        if (request.method !== 'ACK' && request.method !== 'CANCEL') {
+            if (this.remoteSeq !== null && cseq.seq <= this.remoteSeq) {
+                return false;
+            }
+            this.remoteSeq = cseq.seq;
+        }
+
+        // Target refresh requests may move the remote party
+        if (['INVITE', 'UPDATE', 'SUBSCRIBE', 'NOTIFY', 'REFER'].includes(request.method)) {
+            const contact = request.contact;
+            if (contact) {
+                this.remoteTarget = contact.uriString;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Build an in-dialog request (RFC 3261 section 12.2.1.1)
+     */
+    createRequest(method, options = {}) {
+        const upperMethod = method.toUpperCase();
+        let seq;
+
+        if (upperMethod === 'ACK' || upperMethod === 'CANCEL') {
+            seq = options.cseq || this.localSeq;
+        } else {
+            this.localSeq += 1;
+            seq = this.localSeq;
+        }
+
+        let requestURI = this.remoteTarget;
+        let routes = [...this.routeSet];
+
+        // Strict routing: the first route becomes the Request-URI
+        if (routes.length > 0) {
+            const firstRoute = SIPMessage.parseNameAddr(routes[0]);
+            if (!firstRoute.uri || !('lr' in firstRoute.uri.params)) {
+                requestURI = firstRoute.uriString;
+                routes = routes.slice(1);
+                routes.push(`<${this.remoteTarget}>`);
+            }
+        }
+
+        const request = SIPMessage.createRequest(upperMethod, requestURI, {
+            'Max-Forwards': '70',
+            'Route': routes,
+            'From': this.localIdentity,
+            'To': this.remoteIdentity,
+            'Call-ID': this.callId,
+            'CSeq': `${seq} ${upperMethod}`
+        });
+
+        if (['INVITE', 'UPDATE', 'SUBSCRIBE', 'REFER', 'NOTIFY'].includes(upperMethod) && this.localTarget) {
+            request.add('Contact', this.localTarget);
+        }
+
+        for (const [name, value] of Object.entries(options.headers || {})) {
+            if (Array.isArray(value)) {
+                value.forEach(item => request.add(name, item));
+            } else if (value !== undefined && value !== null) {
+                request.add(name, value);
+            }
+        }
+
+        if (options.body) {
+            request.setBody(options.body, options.contentType || 'application/sdp');
+        }
+
+        return request;
+    }
+
+    terminate() {
+        this.state = 'terminated';
+    }
+}
+
+module.exports = SIPDialog;
@@ -0,0 +1,652 @@
+/**
+ * 📨 FlexPhone SIP Message
+ * RFC 3261 message parsing, serialization and header helpers
+ */
+
+const crypto = require('crypto');
+
+// RFC 3261 section 7.3.3 compact header forms
+const COMPACT_HEADERS = {
+    i: 'call-id',
+    m: 'contact',
+    e: 'content-encoding',
+    l: 'content-length',
+    c: 'content-type',
+    f: 'from',
+    s: 'subject',
+    k: 'supported',
+    t: 'to',
+    v: 'via',
+    o: 'event',
+    r: 'refer-to',
+    b: 'referred-by',
+    u: 'allow-events'
+};
+
+// Header names that do not follow simple Title-Case
+const CANONICAL_NAMES = {
+    'call-id': 'Call-ID',
+    'cseq': 'CSeq',
+    'www-authenticate': 'WWW-Authenticate',
+    'mime-version': 'MIME-Version',
+    'rack': 'RAck',
+    'rseq': 'RSeq',
+    'sip-etag': 'SIP-ETag',
+    'sip-if-match': 'SIP-If-Match'
+};
+
+// Headers whose values may be combined into one comma-separated line
+const LIST_HEADERS = new Set([
+    'via', 'route', 'record-route', 'contact', 'allow', 'supported',
+    'require', 'proxy-require', 'unsupported', 'accept', 'allow-events',
+    'path', 'service-route'
+]);
+
+const MAGIC_COOKIE = 'z9hG4bK';
+
+class SIPMessage {
+    constructor() {
+        this.method = null;
+        this.uri = null;
+        this.status = null;
+        this.reason = null;
+        this.headers = [];
+        this.body = '';
+    }
+
+    get isRequest() {
+        return this.method !== null;
+    }
+
+    get isResponse() {
+        return this.status !== null;
+    }
+
+    /**
+     * Parse a raw SIP message from a Buffer or string
+     */
+    static parse(data) {
+        const text = Buffer.isBuffer(data) ? data.toString('utf8') : String(data);
+
+        let separator = text.indexOf('\r\n\r\n');
+        let separatorLength = 4;
+        if (separator === -1) {
+            separator = text.indexOf('\n\n');
+            separatorLength = 2;
+        }
+        if (separator === -1) {
+            throw new Error('Malformed SIP message: missing header terminator');
+        }
+
+        const head = text.slice(0, separator);
+        let body = text.slice(separator + separatorLength);
+
+        // Unfold continuation lines before splitting into headers
+        const lines = head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+        const startLine = lines.shift().trim();
+
+        const message = new SIPMessage();
+
+        if (startLine.startsWith('SIP/2.0 ')) {
+            const match = startLine.match(/^SIP\/2\.0 (\d{3})(?: (.*))?$/);
+            if (!match) {
+                throw new Error(`Malformed status line: ${startLine}`);
+            }
+            message.status = parseInt(match[1], 10);
+            message.reason = match[2] || '';
+        } else {
+            const match = startLine.match(/^([A-Za-z]+) (\S+) SIP\/2\.0$/);
+            if (!match) {
+                throw new Error(`Malformed request line: ${startLine}`);
+            }
+            message.method = match[1].toUpperCase();
+            message.uri = match[2];
+        }
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+
+            const colon = line.indexOf(':');
+            if (colon === -1) {
+                throw new Error(`Malformed header line: ${line}`);
+            }
+
+            const name = line.slice(0, colon).trim();
+            const value = line.slice(colon + 1).trim();
+            message.add(name, value);
+        }
+
+        const contentLength = message.get('Content-Length');
+        if (contentLength !== null) {
+            const length = parseInt(contentLength, 10);
+            const bodyBuffer = Buffer.from(body, 'utf8');
+            if (!isNaN(length) && bodyBuffer.length > length) {
+                body = bodyBuffer.slice(0, length).toString('utf8');
+            }
+        }
+
+        message.body = body;
+        return message;
+    }
+
+    /**
+     * Build a new request with the mandatory header set
+     */
+    static createRequest(method, uri, headers = {}) {
+        const request = new SIPMessage();
+        request.method = method.toUpperCase();
+        request.uri = uri;
+
+        for (const [name, value] of Object.entries(headers)) {
+            if (Array.isArray(value)) {
+                value.forEach(item => request.add(name, item));
+            } else if (value !== undefined && value !== null) {
+                request.add(name, value);
+            }
+        }
+
+        if (!request.has('Max-Forwards')) {
+            request.set('Max-Forwards', '70');
+        }
+
+        return request;
+    }
+
+    /**
+     * Build a response to a request (RFC 3261 section 8.2.6)
+     */
+    static createResponse(request, status, reason = null, toTag = null) {
+        const response = new SIPMessage();
+        response.status = status;
+        response.reason = reason || SIPMessage.reasonPhrase(status);
+
+        request.getAll('Via').forEach(via => response.add('Via', via));
+        response.add('From', request.get('From'));
+
+        let to = request.get('To');
+        if (status > 100 && toTag && !/;\s*tag=/i.test(to)) {
+            to = `${to};tag=${toTag}`;
+        }
+        response.add('To', to);
+        response.add('Call-ID', request.get('Call-ID'));
+        response.add('CSeq', request.get('CSeq'));
+
+        // Dialog-forming responses echo the Record-Route set
+        if (request.method === 'INVITE' && status > 100 && status < 300) {
+            request.getAll('Record-Route').forEach(route => response.add('Record-Route', route));
+        }
+
+        return response;
+    }
+
+    static normalizeName(name) {
+        const lower = name.toLowerCase();
+        return COMPACT_HEADERS[lower] || lower;
+    }
+
+    static canonicalName(name) {
+        const lower = SIPMessage.normalizeName(name);
+        if (CANONICAL_NAMES[lower]) {
+            return CANONICAL_NAMES[lower];
+        }
+        return lower.replace(/(^|-)([a-z])/g, (match, dash, letter) => dash + letter.toUpperCase());
+    }
+
+    get(name) {
+        const values = this.getAll(name);
+        return values.length > 0 ? values[0] : null;
+    }
+
+    getAll(name) {
+        const key = SIPMessage.normalizeName(name);
+        const values = [];
+
+        for (const header of this.headers) {
+            if (header.key !== key) continue;
+
+            if (LIST_HEADERS.has(key)) {
+                values.push(...SIPMessage.splitList(header.value));
+            } else {
+                values.push(header.value);
+            }
+        }
+
+        return values;
+    }
+
+    has(name) {
+        const key = SIPMessage.normalizeName(name);
+        return this.headers.some(header => header.key === key);
+    }
+
+    add(name, value) {
+        this.headers.push({
+            key: SIPMessage.normalizeName(name),
+            name: SIPMessage.canonicalName(name),
+            value: String(value)
+        });
+        return this;
+    }
+
+    prepend(name, value) {
+        this.headers.unshift({
+            key: SIPMessage.normalizeName(name),
+            name: SIPMessage.canonicalName(name),
+            value: String(value)
+        });
+        return this;
+    }
+
+    set(name, value) {
+        const key = SIPMessage.normalizeName(name);
+        const index = this.headers.findIndex(header => header.key === key);
+
+        this.remove(name);
+
+        const header = { key, name: SIPMessage.canonicalName(name), value: String(value) };
+        if (index === -1) {
+            this.headers.push(header);
+        } else {
+            this.headers.splice(index, 0, header);
+        }
+        return this;
+    }
+
+    remove(name) {
+        const key = SIPMessage.normalizeName(name);
+        this.headers = this.headers.filter(header => header.key !== key);
+        return this;
+    }
+
+    /**
+     * Remove only the topmost value of a list header (e.g. our own Via)
+     */
+    removeFirst(name) {
+        const key = SIPMessage.normalizeName(name);
+        const index = this.headers.findIndex(header => header.key === key);
+        if (index === -1) return this;
+
+        const values = SIPMessage.splitList(this.headers[index].value);
+        if (values.length > 1) {
+            this.headers[index].value = values.slice(1).join(', ');
+        } else {
+            this.headers.splice(index, 1);
+        }
+        return this;
+    }
+
+    get callId() {
+        return this.get('Call-ID');
+    }
+
+    get cseq() {
+        const value = this.get('CSeq');
+        return value ? SIPMessage.parseCSeq(value) : null;
+    }
+
+    get from() {
+        const value = this.get('From');
+        return value ? SIPMessage.parseNameAddr(value) : null;
+    }
+
+    get to() {
+        const value = this.get('To');
+        return value ? SIPMessage.parseNameAddr(value) : null;
+    }
+
+    get via() {
+        const value = this.get('Via');
+        return value ? SIPMessage.parseVia(value) : null;
+    }
+
+    get contact() {
+        const value = this.get('Contact');
+        return value && value !== '*' ? SIPMessage.parseNameAddr(value) : null;
+    }
+
+    setBody(body, contentType = null) {
+        this.body = body || '';
+        if (contentType) {
+            this.set('Content-Type', contentType);
+        } else if (!this.body) {
+            this.remove('Content-Type');
+        }
+        return this;
+    }
+
+    clone() {
+        const copy = new SIPMessage();
+        copy.method = this.method;
+        copy.uri = this.uri;
+        copy.status = this.status;
+        copy.reason = this.reason;
+        copy.headers = this.headers.map(header => ({ ...header }));
+        copy.body = this.body;
+        return copy;
+    }
+
+    toString() {
+        const lines = [];
+
+        if (this.isRequest) {
+            lines.push(`${this.method} ${this.uri} SIP/2.0`);
+        } else {
+            lines.push(`SIP/2.0 ${this.status} ${this.reason}`);
+        }
+
+        for (const header of this.headers) {
+            if (header.key === 'content-length') continue;
+            lines.push(`${header.name}: ${header.value}`);
+        }
+
+        lines.push(`Content-Length: ${Buffer.byteLength(this.body || '', 'utf8')}`);
+
+        return lines.join('\r\n') + '\r\n\r\n' + (this.body || '');
+    }
+
+    toBuffer() {
+        return Buffer.from(this.toString(), 'utf8');
+    }
+
+    /**
+     * Split a comma-separated header value, ignoring commas inside
+     * quoted strings and angle brackets
+     */
+    static splitList(value) {
+        const items = [];
+        let current = '';
+        let inQuotes = false;
+        let inBrackets = false;
+
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+
+            if (char === '"' && value[i - 1] !== '\\') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && char === '<') {
+                inBrackets = true;
+            } else if (!inQuotes && char === '>') {
+                inBrackets = false;
+            }
+
+            if (char === ',' && !inQuotes && !inBrackets) {
+                if (current.trim()) items.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+
+        if (current.trim()) items.push(current.trim());
+        return items;
+    }
+
+    /**
+     * Parse ";name=value;flag" parameter strings
+     */
+    static parseParams(paramString) {
+        const params = {};
+        if (!paramString) return params;
+
+        for (const part of paramString.split(';')) {
+            const trimmed = part.trim();
+            if (!trimmed) continue;
+
+            const equals = trimmed.indexOf('=');
+            if (equals === -1) {
+                params[trimmed.toLowerCase()] = null;
+            } else {
+                let value = trimmed.slice(equals + 1).trim();
+                if (value.startsWith('"') && value.endsWith('"')) {
+                    value = value.slice(1, -1);
+                }
+                params[trimmed.slice(0, equals).trim().toLowerCase()] = value;
+            }
+        }
+
+        return params;
+    }
+
+    static formatParams(params = {}) {
+        return Object.entries(params)
+            .map(([name, value]) => (value === null || value === undefined ? `;${name}` : `;${name}=${value}`))
+            .join('');
+    }
+
+    /**
+     * Parse a sip:, sips: or tel: URI
+     */
+    static parseURI(uriString) {
+        if (!uriString) return null;
+        const value = uriString.trim();
+
+        const telMatch = value.match(/^tel:([^;?]+)([^?]*)(?:\?(.*))?$/i);
+        if (telMatch) {
+            return {
+                scheme: 'tel',
+                user: telMatch[1],
+                password: null,
+                host: null,
+                port: null,
+                params: SIPMessage.parseParams(telMatch[2]),
+                headers: SIPMessage.parseURIHeaders(telMatch[3])
+            };
+        }
+
+        const match = value.match(/^(sips?):(?:([^:@;?]+)(?::([^@;?]*))?@)?(\[[^\]]+\]|[^:;?]+)(?::(\d+))?([^?]*)(?:\?(.*))?$/i);
+        if (!match) return null;
+
+        return {
+            scheme: match[1].toLowerCase(),
+            user: match[2] ? decode(match[2]) : null,
+            password: match[3] || null,
+            host: match[4],
+            port: match[5] ? parseInt(match[5], 10) : null,
+            params: SIPMessage.parseParams(match[6]),
+            headers: SIPMessage.parseURIHeaders(match[7])
+        };
+    }
+
+    static parseURIHeaders(headerString) {
+        const headers = {};
+        if (!headerString) return headers;
+
+        for (const pair of headerString.split('&')) {
+            const [name, ...rest] = pair.split('=');
+            if (name) {
+                headers[decode(name)] = decode(rest.join('='));
+            }
+        }
+
+        return headers;
+    }
+
+    static formatURI(uri) {
+        if (!uri) return '';
+        if (typeof uri === 'string') return uri;
+
+        if (uri.scheme === 'tel') {
+            return `tel:${uri.user}${SIPMessage.formatParams(uri.params)}`;
+        }
+
+        let result = `${uri.scheme || 'sip'}:`;
+        if (uri.user) {
+            // Escape anything outside the RFC 3261 user character set (notably '#')
+            result += uri.user.replace(/[^A-Za-z0-9\-_.!~*'()&=+$,;?/]/g, char => encodeURIComponent(char));
+            if (uri.password) result += `:${uri.password}`;
+            result += '@';
+        }
+        result += uri.host;
+        if (uri.port) result += `:${uri.port}`;
+        result += SIPMessage.formatParams(uri.params);
+
+        const headerEntries = Object.entries(uri.headers || {});
+        if (headerEntries.length > 0) {
+            result += '?' + headerEntries
+                .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+                .join('&');
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse name-addr / addr-spec values used by From, To, Contact and friends
+     */
+    static parseNameAddr(value) {
+        const trimmed = value.trim();
+        let displayName = null;
+        let uriString;
+        let paramString = '';
+
+        const bracketStart = trimmed.indexOf('<');
+        if (bracketStart !== -1) {
+            const bracketEnd = trimmed.indexOf('>', bracketStart);
+            if (bracketEnd === -1) {
+                throw new Error(`Malformed name-addr: ${value}`);
+            }
+
+            const name = trimmed.slice(0, bracketStart).trim();
+            if (name) {
+                displayName = name.startsWith('"') && name.endsWith('"')
+                    ? name.slice(1, -1).replace(/\\"/g, '"')
+                    : name;
+            }
+
+            uriString = trimmed.slice(bracketStart + 1, bracketEnd);
+            paramString = trimmed.slice(bracketEnd + 1);
+        } else {
+            // addr-spec form: parameters after the URI belong to the header
+            const semicolon = trimmed.indexOf(';');
+            uriString = semicolon === -1 ? trimmed : trimmed.slice(0, semicolon);
+            paramString = semicolon === -1 ? '' : trimmed.slice(semicolon);
+        }
+
+        return {
+            displayName,
+            uri: SIPMessage.parseURI(uriString),
+            uriString: uriString.trim(),
+            params: SIPMessage.parseParams(paramString)
+        };
+    }
+
+    static formatNameAddr({ displayName = null, uri, params = {} }) {
+        const uriString = SIPMessage.formatURI(uri);
+        const name = displayName ? `"${String(displayName).replace(/"/g, '\\"')}" ` : '';
+        return `${name}<${uriString}>${SIPMessage.formatParams(params)}`;
+    }
+
+    static parseVia(value) {
+        const match = value.trim().match(/^([^/\s]+)\s*\/\s*([^/\s]+)\s*\/\s*(\S+)\s+([^;]+)(.*)$/);
+        if (!match) {
+            throw new Error(`Malformed Via: ${value}`);
+        }
+
+        const hostPort = match[4].trim();
+        const portMatch = hostPort.match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+
+        return {
+            protocol: `${match[1]}/${match[2]}`,
+            transport: match[3].toUpperCase(),
+            host: portMatch ? portMatch[1] : hostPort,
+            port: portMatch && portMatch[2] ? parseInt(portMatch[2], 10) : null,
+            params: SIPMessage.parseParams(match[5])
+        };
+    }
+
+    static formatVia(via) {
+        const port = via.port ? `:${via.port}` : '';
+        return `SIP/2.0/${via.transport} ${via.host}${port}${SIPMessage.formatParams(via.params)}`;
+    }
+
+    static parseCSeq(value) {
+        const match = value.trim().match(/^(\d+)\s+([A-Za-z]+)$/);
+        if (!match) {
+            throw new Error(`Malformed CSeq: ${value}`);
+        }
+        return { seq: parseInt(match[1], 10), method: match[2].toUpperCase() };
+    }
+
+    /**
+     * Replaces header (RFC 3891): the dialog to take over, seen from the side receiving it
+     */
+    static parseReplaces(value) {
+        const [callId, ...rest] = String(value).split(';');
+        const params = SIPMessage.parseParams(rest.join(';'));
+        return {
+            callId: callId.trim(),
+            toTag: params['to-tag'] || null,
+            fromTag: params['from-tag'] || null,
+            earlyOnly: 'early-only' in params
+        };
+    }
+
+    static formatReplaces({ callId, toTag, fromTag, earlyOnly = false }) {
+        return `${callId};to-tag=${toTag};from-tag=${fromTag}${earlyOnly ? ';early-only' : ''}`;
+    }
+
+    static generateBranch() {
+        return MAGIC_COOKIE + crypto.randomBytes(8).toString('hex');
+    }
+
+    static generateTag() {
+        return crypto.randomBytes(6).toString('hex');
+    }
+
+    static generateCallId(host = 'flexphone') {
+        return `${crypto.randomBytes(12).toString('hex')}@${host}`;
+    }
+
+    static reasonPhrase(status) {
+        const phrases = {
+            100: 'Trying',
+            180: 'Ringing',
+            181: 'Call Is Being Forwarded',
+            182: 'Queued',
+            183: 'Session Progress',
+            200: 'OK',
+            202: 'Accepted',
+            300: 'Multiple Choices',
+            301: 'Moved Permanently',
+            302: 'Moved Temporarily',
+            400: 'Bad Request',
+            401: 'Unauthorized',
+            403: 'Forbidden',
+            404: 'Not Found',
+            405: 'Method Not Allowed',
+            407: 'Proxy Authentication Required',
+            408: 'Request Timeout',
+            413: 'Request Entity Too Large',
+            415: 'Unsupported Media Type',
+            480: 'Temporarily Unavailable',
+            481: 'Call/Transaction Does Not Exist',
+            482: 'Loop Detected',
+            486: 'Busy Here',
+            487: 'Request Terminated',
+            488: 'Not Acceptable Here',
+            491: 'Request Pending',
+            500: 'Server Internal Error',
+            501: 'Not Implemented',
+            503: 'Service Unavailable',
+            504: 'Server Time-out',
+            513: 'Message Too Large',
+            600: 'Busy Everywhere',
+            603: 'Decline',
+            604: 'Does Not Exist Anywhere',
+            606: 'Not Acceptable'
+        };
+
+        return phrases[status] || 'Unknown';
+    }
+}
+
+// A malformed % escape in a received URI is kept as sent rather than thrown from the transport
+function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+module.exports = SIPMessage;
@@ -0,0 +1,166 @@
+/**
+ * 🧭 FlexPhone SIP Resolver
+ * RFC 3263 server location: NAPTR, then SRV (RFC 2782 weighted selection), then A/AAAA
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// NAPTR service field -> transport
+const NAPTR_SERVICES = {
+    'SIP+D2U': 'UDP',
+    'SIP+D2T': 'TCP',
+    'SIPS+D2T': 'TLS',
+    'SIP+D2W': 'WS',
+    'SIPS+D2W': 'WSS'
+};
+
+// SRV prefixes tried when the domain publishes no NAPTR records
+const SRV_PREFIXES = {
+    'UDP': '_sip._udp',
+    'TCP': '_sip._tcp',
+    'TLS': '_sips._tcp'
+};
+
+const DEFAULT_PORTS = {
+    'UDP': 5060,
+    'TCP': 5060,
+    'TLS': 5061,
+    'WS': 80,
+    'WSS': 443
+};
+
+class SIPResolver {
+    /**
+     * options.resolver stands in for require('dns').promises (resolveNaptr, resolveSrv, lookup)
+     */
+    constructor(options = {}) {
+        this.resolver = options.resolver || dns.promises;
+        this.random = options.random || Math.random;
+
+        // Our transports bind IPv4 sockets
+        this.family = options.family !== undefined ? options.family : 4;
+    }
+
+    /**
+     * Ordered list of { host, port, transport, name } to try for a SIP server;
+     * an explicit port or IP address skips NAPTR/SRV (RFC 3263 section 4.2).
+     * options.defaultPort replaces the transport default when no SRV record applies
+     */
+    async resolve(server, options = {}) {
+        const transports = (options.transports || ['UDP']).map(transport => transport.toUpperCase());
+        const port = options.port || null;
+        const defaultPort = options.defaultPort || DEFAULT_PORTS[transports[0]];
+
+        if (net.isIP(server)) {
+            return [{ host: server, port: port || defaultPort, transport: transports[0], name: server }];
+        }
+
+        if (port) {
+            return this.lookupTargets({ name: server, port, transport: transports[0] });
+        }
+
+        const services = await this.resolveNaptrServices(server, transports);
+        const srvNames = services.length > 0
+            ? services
+            : transports
+                .filter(transport => SRV_PREFIXES[transport])
+                .map(transport => ({ name: `${SRV_PREFIXES[transport]}.${server}`, transport }));
+
+        for (const service of srvNames) {
+            const records = await this.query('resolveSrv', service.name);
+            if (records.length === 0) continue;
+
+            const targets = [];
+            for (const record of this.orderSrv(records)) {
+                targets.push(...await this.lookupTargets({
+                    name: record.name,
+                    port: record.port,
+                    transport: service.transport
+                }));
+            }
+
+            if (targets.length > 0) {
+                return targets;
+            }
+        }
+
+        // No NAPTR or SRV: the domain itself on the default port
+        return this.lookupTargets({ name: server, port: defaultPort, transport: transports[0] });
+    }
+
+    /**
+     * SRV names from NAPTR records for transports we support, in order/preference order
+     */
+    async resolveNaptrServices(domain, transports) {
+        const records = await this.query('resolveNaptr', domain);
+
+        return records
+            .filter(record => (record.flags || '').toUpperCase() === 'S' && record.replacement)
+            .map(record => ({ ...record, transport: NAPTR_SERVICES[(record.service || '').toUpperCase()] }))
+            .filter(record => record.transport && transports.includes(record.transport))
+            .sort((a, b) => a.order - b.order || a.preference - b.preference)
+            .map(record => ({ name: record.replacement, transport: record.transport }));
+    }
+
+    /**
+     * Lowest priority first; within a priority, weighted random order (RFC 2782)
+     */
+    orderSrv(records) {
+        const priorities = [...new Set(records.map(record => record.priority))].sort((a, b) => a - b);
+        const ordered = [];
+
+        for (const priority of priorities) {
+            // Zero-weight records go first so they keep a small chance of selection
+            const remaining = records
+                .filter(record => record.priority === priority)
+                .sort((a, b) => (a.weight === 0 ? -1 : 0) - (b.weight === 0 ? -1 : 0));
+
+            while (remaining.length > 0) {
+                const total = remaining.reduce((sum, record) => sum + record.weight, 0);
+                const pick = this.random() * total;
+
+                let running = 0;
+                let index = remaining.findIndex(record => {
+                    running += record.weight;
+                    return running >= pick;
+                });
+                if (index < 0) index = remaining.length - 1;
+
+                ordered.push(remaining.splice(index, 1)[0]);
+            }
+        }
+
+        return ordered;
+    }
+
+    async lookupTargets({ name, port, transport }) {
+        if (net.isIP(name)) {
+            return [{ host: name, port, transport, name }];
+        }
+
+        const addresses = await this.query('lookup', name, { all: true, family: this.family });
+        return addresses.map(entry => ({ host: entry.address, port, transport, name }));
+    }
+
+    /**
+     * Run a DNS query; missing records resolve to an empty list
+     */
+    async query(method, name, options) {
+        try {
+            const result = options !== undefined
+                ? await this.resolver[method](name, options)
+                : await this.resolver[method](name);
+            return Array.isArray(result) ? result : [result];
+        } catch (error) {
+            if (!['ENODATA', 'ENOTFOUND', 'ENOTIMP', 'ESERVFAIL', 'EREFUSED'].includes(error.code)) {
+                console.warn(`⚠️ DNS ${method} ${name} failed: ${error.message}`);
+            }
+            return [];
+        }
+    }
+}
+
+SIPResolver.DEFAULT_PORTS = DEFAULT_PORTS;
+
+module.exports = SIPResolver;
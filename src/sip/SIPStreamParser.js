@@ -0,0 +1,115 @@
+/**
+ * 🧵 FlexPhone SIP Stream Parser
+ * Splits a TCP/TLS byte stream into SIP messages using Content-Length (RFC 3261 section 18.3)
+ */
+
+const EventEmitter = require('events');
+const SIPMessage = require('./SIPMessage');
+
+const HEADER_TERMINATOR = Buffer.from('\r\n\r\n');
+
+// Refuse to buffer endless headers or bodies from a broken or hostile peer
+const MAX_HEADER_SIZE = 65536;
+const MAX_BODY_SIZE = 1048576;
+
+class SIPStreamParser extends EventEmitter {
+    constructor() {
+        super();
+
+        this.buffer = Buffer.alloc(0);
+        this.failed = false;
+    }
+
+    /**
+     * Feed received bytes; emits 'message' (Buffer) per complete message,
+     * 'ping'/'pong' for CRLF keep-alives (RFC 5626 section 3.5.1) and 'error' on framing errors.
+     * Oversized messages fail with error.status (513, or 413 for the body) and error.head when
+     * the headers are complete, so the request can be answered before the connection closes
+     */
+    push(data) {
+        // Whatever follows a framing error is dropped while the connection closes
+        if (this.failed) return;
+
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+
+        while (this.buffer.length > 0) {
+            if (this.buffer.indexOf(HEADER_TERMINATOR) === 0) {
+                this.buffer = this.buffer.slice(4);
+                this.emit('ping');
+                continue;
+            }
+
+            if (this.buffer.indexOf('\r\n') === 0) {
+                // A lone CRLF is a pong (a ping split across reads also lands here and is harmless)
+                this.buffer = this.buffer.slice(2);
+                this.emit('pong');
+                continue;
+            }
+
+            const headerEnd = this.buffer.indexOf(HEADER_TERMINATOR);
+            if (headerEnd === -1) {
+                if (this.buffer.length > MAX_HEADER_SIZE) {
+                    this.fail(new Error('SIP headers exceed maximum size'), 513);
+                }
+                break;
+            }
+
+            const head = this.buffer.slice(0, headerEnd).toString('utf8');
+            if (headerEnd > MAX_HEADER_SIZE) {
+                this.fail(new Error('SIP headers exceed maximum size'), 513, head);
+                break;
+            }
+
+            const match = head.match(/^(?:content-length|l)[ \t]*:[ \t]*(\d+)/im);
+            if (!match) {
+                this.fail(new Error('Missing Content-Length on stream transport'));
+                break;
+            }
+
+            const length = parseInt(match[1], 10);
+            if (length > MAX_BODY_SIZE) {
+                this.fail(new Error(`SIP body of ${length} bytes exceeds maximum size`), 413, head);
+                break;
+            }
+
+            const total = headerEnd + HEADER_TERMINATOR.length + length;
+            if (this.buffer.length < total) {
+                break;
+            }
+
+            const message = this.buffer.slice(0, total);
+            this.buffer = this.buffer.slice(total);
+            this.emit('message', message);
+        }
+    }
+
+    fail(error, status = null, head = null) {
+        this.buffer = Buffer.alloc(0);
+        this.failed = true;
+        error.status = status;
+        error.head = head;
+        this.emit('error', error);
+    }
+
+    /**
+     * Response refusing the request an oversized-message error came from; null when the headers
+     * never completed or belong to a response
+     */
+    static rejection(error) {
+        if (!error.status || !error.head) return null;
+
+        try {
+            const request = SIPMessage.parse(`${error.head}\r\n\r\n`);
+            return request.isRequest && request.method !== 'ACK'
+                ? SIPMessage.createResponse(request, error.status).toBuffer()
+                : null;
+        } catch (parseError) {
+            return null;
+        }
+    }
+}
+
+SIPStreamParser.MAX_HEADER_SIZE = MAX_HEADER_SIZE;
+SIPStreamParser.MAX_BODY_SIZE = MAX_BODY_SIZE;
+
+module.exports = SIPStreamParser;
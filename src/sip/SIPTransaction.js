@@ -0,0 +1,343 @@
+/**
+ * 🔁 FlexPhone SIP Transactions
+ * RFC 3261 section 17 client and server transaction state machines
+ */
+
+const EventEmitter = require('events');
+const SIPMessage = require('./SIPMessage');
+
+// RFC 3261 timer values (milliseconds)
+const Timers = {
+    T1: 500,
+    T2: 4000,
+    T4: 5000
+};
+
+/**
+ * Client transaction: sends a request and absorbs retransmissions
+ */
+class ClientTransaction extends EventEmitter {
+    constructor(request, send, options = {}) {
+        super();
+
+        this.request = request;
+        this.send = send;
+        this.reliable = options.reliable || false;
+        this.isInvite = request.method === 'INVITE';
+        this.branch = request.via.params.branch;
+        this.id = ClientTransaction.key(this.branch, request.method);
+        this.state = this.isInvite ? 'calling' : 'trying';
+        this.lastResponse = null;
+        this.ackRequest = null;
+        this.timers = {};
+        this.retransmitInterval = Timers.T1;
+    }
+
+    static key(branch, method) {
+        return `${branch}:${method === 'ACK' ? 'INVITE' : method}`;
+    }
+
+    start() {
+        this.transmit(this.request);
+
+        if (!this.reliable) {
+            // Timer A (INVITE) / Timer E (non-INVITE)
+            this.timers.retransmit = setTimeout(() => this.retransmit(), this.retransmitInterval);
+        }
+
+        // Timer B (INVITE) / Timer F (non-INVITE)
+        this.timers.timeout = setTimeout(() => this.timeout(), 64 * Timers.T1);
+    }
+
+    transmit(message) {
+        this.send(message).catch(error => {
+            console.error(`❌ SIP transport error for ${this.request.method}:`, error.message);
+            this.clearTimers();
+            this.state = 'terminated';
+            this.emit('transport-error', error);
+            this.emit('terminated');
+        });
+    }
+
+    retransmit() {
+        if (this.state !== 'calling' && this.state !== 'trying' && this.state !== 'proceeding') {
+            return;
+        }
+        // INVITE retransmissions stop once a provisional response arrives
+        if (this.isInvite && this.state === 'proceeding') {
+            return;
+        }
+
+        this.transmit(this.request);
+
+        this.retransmitInterval = this.isInvite
+            ? this.retransmitInterval * 2
+            : Math.min(this.retransmitInterval * 2, Timers.T2);
+
+        if (!this.isInvite && this.state === 'proceeding') {
+            this.retransmitInterval = Timers.T2;
+        }
+
+        this.timers.retransmit = setTimeout(() => this.retransmit(), this.retransmitInterval);
+    }
+
+    timeout() {
+        if (this.state === 'calling' || this.state === 'trying' || this.state === 'proceeding') {
+            this.clearTimers();
+            this.state = 'terminated';
+            this.emit('timeout');
+            this.emit('terminated');
+        }
+    }
+
+    receiveResponse(response) {
+        const status = response.status;
+
+        if (status < 200) {
+            if (this.state === 'calling' || this.state === 'trying' || this.state === 'proceeding') {
+                // Timer B only guards the calling state; a ringing INVITE waits for the TU
+                if (this.isInvite) {
+                    clearTimeout(this.timers.timeout);
+                }
+                this.state = 'proceeding';
+                this.emit('provisional', response);
+            }
+            return;
+        }
+
+        if (this.isInvite) {
+            this.receiveInviteFinal(response);
+        } else {
+            this.receiveNonInviteFinal(response);
+        }
+    }
+
+    receiveInviteFinal(response) {
+        const status = response.status;
+
+        if (status < 300) {
+            // RFC 6026 "Accepted": 2xx retransmissions go to the TU, which ACKs them
+            if (this.state === 'accepted') {
+                this.emit('retransmitted-final', response);
+                return;
+            }
+            if (this.state !== 'calling' && this.state !== 'proceeding') return;
+
+            this.clearTimers();
+            this.state = 'accepted';
+            this.lastResponse = response;
+            this.emit('final', response);
+            this.timers.accepted = setTimeout(() => this.terminate(), 64 * Timers.T1);
+            return;
+        }
+
+        if (this.state === 'completed') {
+            // Retransmitted failure response: repeat the ACK
+            if (this.ackRequest) this.transmit(this.ackRequest);
+            return;
+        }
+        if (this.state !== 'calling' && this.state !== 'proceeding') return;
+
+        this.clearTimers();
+        this.state = 'completed';
+        this.lastResponse = response;
+        this.ackRequest = this.createAck(response);
+        this.transmit(this.ackRequest);
+        this.emit('final', response);
+
+        // Timer D
+        this.timers.completed = setTimeout(() => this.terminate(), this.reliable ? 0 : 32000);
+    }
+
+    receiveNonInviteFinal(response) {
+        if (this.state !== 'trying' && this.state !== 'proceeding') return;
+
+        this.clearTimers();
+        this.state = 'completed';
+        this.lastResponse = response;
+        this.emit('final', response);
+
+        // Timer K
+        this.timers.completed = setTimeout(() => this.terminate(), this.reliable ? 0 : Timers.T4);
+    }
+
+    /**
+     * ACK for a non-2xx final response (RFC 3261 section 17.1.1.3)
+     */
+    createAck(response) {
+        return SIPMessage.createRequest('ACK', this.request.uri, {
+            'Via': this.request.getAll('Via')[0],
+            'Max-Forwards': '70',
+            'Route': this.request.getAll('Route'),
+            'From': this.request.get('From'),
+            'To': response.get('To'),
+            'Call-ID': this.request.get('Call-ID'),
+            'CSeq': `${this.request.cseq.seq} ACK`
+        });
+    }
+
+    terminate() {
+        if (this.state === 'terminated') return;
+        this.clearTimers();
+        this.state = 'terminated';
+        this.emit('terminated');
+    }
+
+    clearTimers() {
+        Object.values(this.timers).forEach(timer => clearTimeout(timer));
+        this.timers = {};
+    }
+}
+
+/**
+ * Server transaction: tracks an incoming request and its responses
+ */
+class ServerTransaction extends EventEmitter {
+    constructor(request, send, options = {}) {
+        super();
+
+        this.request = request;
+        this.send = send;
+        this.reliable = options.reliable || false;
+        this.isInvite = request.method === 'INVITE';
+        this.branch = request.via.params.branch;
+        this.id = ServerTransaction.key(this.branch, request.method);
+        this.state = this.isInvite ? 'proceeding' : 'trying';
+        this.lastResponse = null;
+        this.timers = {};
+    }
+
+    static key(branch, method) {
+        return `${branch}:${method === 'ACK' ? 'INVITE' : method}`;
+    }
+
+    respond(response) {
+        if (this.state === 'terminated' || this.state === 'completed' || this.state === 'confirmed') {
+            console.warn(`⚠️ Ignoring ${response.status} for finished ${this.request.method} transaction`);
+            return;
+        }
+
+        this.lastResponse = response;
+        this.transmit(response);
+
+        if (response.status < 200) {
+            this.state = 'proceeding';
+            return;
+        }
+
+        if (this.isInvite) {
+            if (response.status < 300) {
+                this.startAccepted();
+            } else {
+                this.startCompleted();
+            }
+        } else {
+            this.state = 'completed';
+            // Timer J
+            this.timers.completed = setTimeout(() => this.terminate(), this.reliable ? 0 : 64 * Timers.T1);
+        }
+    }
+
+    /**
+     * 2xx to INVITE: retransmit until the dialog ACK arrives (RFC 3261 section 13.3.1.4)
+     */
+    startAccepted() {
+        this.state = 'accepted';
+        let interval = Timers.T1;
+
+        if (!this.reliable) {
+            const retransmit = () => {
+                if (this.state !== 'accepted') return;
+                this.transmit(this.lastResponse);
+                interval = Math.min(interval * 2, Timers.T2);
+                this.timers.retransmit = setTimeout(retransmit, interval);
+            };
+            this.timers.retransmit = setTimeout(retransmit, interval);
+        }
+
+        this.timers.timeout = setTimeout(() => {
+            if (this.state === 'accepted') {
+                this.clearTimers();
+                this.state = 'terminated';
+                this.emit('ack-timeout');
+                this.emit('terminated');
+            }
+        }, 64 * Timers.T1);
+    }
+
+    /**
+     * Non-2xx to INVITE: retransmit until ACK (Timer G / Timer H)
+     */
+    startCompleted() {
+        this.state = 'completed';
+        let interval = Timers.T1;
+
+        if (!this.reliable) {
+            const retransmit = () => {
+                if (this.state !== 'completed') return;
+                this.transmit(this.lastResponse);
+                interval = Math.min(interval * 2, Timers.T2);
+                this.timers.retransmit = setTimeout(retransmit, interval);
+            };
+            this.timers.retransmit = setTimeout(retransmit, interval);
+        }
+
+        this.timers.timeout = setTimeout(() => {
+            if (this.state === 'completed') {
+                this.clearTimers();
+                this.state = 'terminated';
+                this.emit('ack-timeout');
+                this.emit('terminated');
+            }
+        }, 64 * Timers.T1);
+    }
+
+    /**
+     * Handle a retransmitted request or the ACK for a non-2xx response
+     */
+    receiveRequest(request) {
+        if (request.method === 'ACK') {
+            if (this.state === 'completed') {
+                this.clearTimers();
+                this.state = 'confirmed';
+                // Timer I
+                this.timers.confirmed = setTimeout(() => this.terminate(), this.reliable ? 0 : Timers.T4);
+            }
+            return;
+        }
+
+        if (this.lastResponse) {
+            this.transmit(this.lastResponse);
+        }
+    }
+
+    /**
+     * The dialog layer saw the ACK for our 2xx
+     */
+    acknowledge() {
+        if (this.state === 'accepted') {
+            this.terminate();
+        }
+    }
+
+    transmit(message) {
+        this.send(message).catch(error => {
+            console.error(`❌ SIP transport error responding to ${this.request.method}:`, error.message);
+            this.emit('transport-error', error);
+        });
+    }
+
+    terminate() {
+        if (this.state === 'terminated') return;
+        this.clearTimers();
+        this.state = 'terminated';
+        this.emit('terminated');
+    }
+
+    clearTimers() {
+        Object.values(this.timers).forEach(timer => clearTimeout(timer));
+        this.timers = {};
+    }
+}
+
+module.exports = { ClientTransaction, ServerTransaction, Timers };
@@ -0,0 +1,348 @@
+/**
+ * 🛰️ FlexPhone SIP Transport
+ * Network transport for SIP messages (UDP, TCP and TLS)
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const SIPMessage = require('./SIPMessage');
+const SIPStreamParser = require('./SIPStreamParser');
+
+const SUPPORTED_TRANSPORTS = ['UDP', 'TCP', 'TLS'];
+
+// Advertised port when we cannot listen (TLS without a certificate)
+const DEFAULT_PORTS = { UDP: 5060, TCP: 5060, TLS: 5061 };
+
+const CONNECT_TIMEOUT = 10000;
+
+class SIPTransport extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.protocol = (options.transport || 'UDP').toUpperCase();
+        this.localPort = options.localPort || 0;
+        this.localAddress = null;
+        this.socket = null;
+        this.server = null;
+        this.isOpen = false;
+
+        // TLS client options: rejectUnauthorized, servername, ca; key/cert also accept incoming connections
+        this.tlsOptions = options.tls || {};
+
+        // Stream connections keyed by "host:port", reused for every message to that peer (RFC 5923)
+        this.connections = new Map();
+        this.pendingConnections = new Map();
+
+        // Datagram transports need SIP-level retransmissions
+        this.reliable = this.protocol !== 'UDP';
+    }
+
+    /**
+     * Bind the local socket; remoteHost is used to pick the outgoing interface
+     */
+    async open(remoteHost = null, remotePort = 5060) {
+        if (this.isOpen) return;
+
+        if (!SUPPORTED_TRANSPORTS.includes(this.protocol)) {
+            throw new Error(`Unsupported SIP transport: ${this.protocol}`);
+        }
+
+        this.localAddress = await SIPTransport.getLocalAddress(remoteHost, remotePort);
+
+        if (this.protocol === 'UDP') {
+            await this.openDatagram();
+        } else {
+            await this.openStream();
+        }
+
+        this.isOpen = true;
+        console.log(`🛰️ SIP ${this.protocol} transport ${this.server || this.socket ? 'listening' : 'ready'} on ${this.localAddress}:${this.localPort}`);
+    }
+
+    async openDatagram() {
+        await new Promise((resolve, reject) => {
+            this.socket = dgram.createSocket('udp4');
+
+            this.socket.once('error', reject);
+            this.socket.bind(this.localPort, () => {
+                this.socket.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.localPort = this.socket.address().port;
+
+        this.socket.on('message', (data, rinfo) => {
+            this.handleData(data, { address: rinfo.address, port: rinfo.port, transport: 'UDP' });
+        });
+
+        this.socket.on('error', (error) => {
+            console.error('❌ SIP transport error:', error.message);
+            this.emit('error', error);
+        });
+    }
+
+    /**
+     * Listen for incoming connections; TLS only listens when given a certificate,
+     * otherwise peers reach us over the connections we open
+     */
+    async openStream() {
+        if (this.protocol === 'TCP') {
+            this.server = net.createServer((socket) => this.addConnection(socket));
+        } else if (this.tlsOptions.key && this.tlsOptions.cert) {
+            this.server = tls.createServer(this.tlsOptions, (socket) => this.addConnection(socket));
+        } else {
+            this.localPort = this.localPort || DEFAULT_PORTS.TLS;
+            return;
+        }
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.localPort, '0.0.0.0', () => {
+                this.server.removeListener('error', reject);
+                resolve();
+            });
+        });
+
+        this.localPort = this.server.address().port;
+        this.server.on('error', (error) => {
+            console.error('❌ SIP transport error:', error.message);
+            this.emit('error', error);
+        });
+    }
+
+    /**
+     * Track a connected stream socket; key is the peer it was opened to, or its remote address for accepted ones
+     */
+    addConnection(socket, remote = null) {
+        const connection = {
+            socket,
+            parser: new SIPStreamParser(),
+            remote: remote || { address: socket.remoteAddress, port: socket.remotePort },
+            aliases: []
+        };
+        connection.key = `${connection.remote.address}:${connection.remote.port}`;
+        connection.remote.transport = this.protocol;
+
+        this.connections.set(connection.key, connection);
+
+        socket.on('data', (data) => connection.parser.push(data));
+        socket.on('error', (error) => console.warn(`⚠️ SIP ${this.protocol} connection ${connection.key} error: ${error.message}`));
+        socket.on('close', () => this.removeConnection(connection));
+
+        connection.parser.on('message', (data) => this.handleData(data, connection.remote, connection));
+        connection.parser.on('ping', () => socket.write('\r\n'));
+        connection.parser.on('pong', () => this.emit('pong', connection.remote));
+        connection.parser.on('error', (error) => {
+            console.warn(`⚠️ Closing SIP ${this.protocol} connection ${connection.key}: ${error.message}`);
+            const rejection = SIPStreamParser.rejection(error);
+            if (rejection) {
+                socket.end(rejection, () => socket.destroy());
+            } else {
+                socket.destroy();
+            }
+        });
+
+        return connection;
+    }
+
+    removeConnection(connection) {
+        for (const key of [connection.key, ...connection.aliases]) {
+            if (this.connections.get(key) === connection) {
+                this.connections.delete(key);
+            }
+        }
+        this.emit('connection-closed', connection.remote);
+    }
+
+    /**
+     * Existing connection to the target, or a new one
+     */
+    getConnection(target) {
+        const host = target.host || target.address;
+        const key = `${host}:${target.port}`;
+
+        const existing = this.connections.get(key);
+        if (existing && !existing.socket.destroyed) {
+            return Promise.resolve(existing);
+        }
+
+        if (!this.pendingConnections.has(key)) {
+            const pending = this.connect(host, target.port)
+                .finally(() => this.pendingConnections.delete(key));
+            this.pendingConnections.set(key, pending);
+        }
+
+        return this.pendingConnections.get(key);
+    }
+
+    connect(host, port) {
+        return new Promise((resolve, reject) => {
+            let socket;
+            const onConnect = () => {
+                socket.setTimeout(0);
+                socket.removeListener('error', onError);
+                resolve(this.addConnection(socket, { address: host, port }));
+            };
+            const onError = (error) => {
+                socket.destroy();
+                reject(error);
+            };
+
+            if (this.protocol === 'TLS') {
+                const { rejectUnauthorized = true, servername, ca } = this.tlsOptions;
+                socket = tls.connect({
+                    host,
+                    port,
+                    ca,
+                    rejectUnauthorized,
+                    // SNI needs a hostname; certificates are matched against the SIP domain (RFC 5922)
+                    servername: servername && !net.isIP(servername) ? servername : undefined
+                }, onConnect);
+            } else {
+                socket = net.connect({ host, port }, onConnect);
+            }
+
+            socket.once('error', onError);
+            socket.setTimeout(CONNECT_TIMEOUT, () => onError(new Error(`Connection to ${host}:${port} timed out`)));
+        });
+    }
+
+    handleData(data, remote, connection = null) {
+        // CRLF keep-alive pings carry no SIP message
+        if (data.length <= 4 && /^[\r\n]+$/.test(data.toString())) {
+            return;
+        }
+
+        let message;
+        try {
+            message = SIPMessage.parse(data);
+        } catch (error) {
+            console.warn(`⚠️ Dropping malformed SIP message from ${remote.address}:${remote.port}: ${error.message}`);
+            return;
+        }
+
+        // Via alias: requests to the sender's address may reuse this connection (RFC 5923)
+        if (connection && message.isRequest && message.via && 'alias' in message.via.params) {
+            const alias = `${message.via.host}:${message.via.port || DEFAULT_PORTS[this.protocol]}`;
+            if (!this.connections.has(alias)) {
+                this.connections.set(alias, connection);
+                connection.aliases.push(alias);
+            }
+        }
+
+        this.emit('message', message, remote);
+    }
+
+    async send(message, target) {
+        if (!this.isOpen) {
+            throw new Error('SIP transport is not open');
+        }
+
+        const data = Buffer.isBuffer(message) ? message : Buffer.from(message.toString(), 'utf8');
+
+        if (this.protocol !== 'UDP') {
+            const connection = await this.getConnection(target);
+            return new Promise((resolve, reject) => {
+                connection.socket.write(data, (error) => (error ? reject(error) : resolve()));
+            });
+        }
+
+        return new Promise((resolve, reject) => {
+            this.socket.send(data, target.port, target.host || target.address, (error) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+
+    /**
+     * CRLF keep-alive ping (RFC 5626 section 4.4.1); on TCP/TLS only over an existing connection,
+     * since opening a new one would not keep the registered flow alive
+     */
+    sendKeepAlive(target) {
+        if (this.protocol === 'UDP') {
+            return this.send(Buffer.from('\r\n\r\n'), target);
+        }
+
+        const connection = this.connections.get(`${target.host || target.address}:${target.port}`);
+        if (!connection || connection.socket.destroyed) {
+            return Promise.reject(new Error(`No connection to ${target.host || target.address}:${target.port}`));
+        }
+
+        return new Promise((resolve, reject) => {
+            connection.socket.write('\r\n\r\n', (error) => (error ? reject(error) : resolve()));
+        });
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+
+        for (const connection of new Set(this.connections.values())) {
+            connection.socket.destroy();
+        }
+        this.connections.clear();
+        this.pendingConnections.clear();
+
+        try {
+            if (this.socket) this.socket.close();
+            if (this.server) this.server.close();
+        } catch (error) {
+            console.warn('⚠️ SIP transport close failed:', error.message);
+        }
+        this.socket = null;
+        this.server = null;
+        this.emit('closed');
+    }
+
+    /**
+     * Work out which local address the OS would use to reach a remote host
+     */
+    static async getLocalAddress(remoteHost, remotePort = 5060) {
+        if (remoteHost) {
+            try {
+                return await new Promise((resolve, reject) => {
+                    const probe = dgram.createSocket('udp4');
+                    probe.once('error', (error) => {
+                        probe.close();
+                        reject(error);
+                    });
+                    probe.connect(remotePort, remoteHost, () => {
+                        const { address } = probe.address();
+                        probe.close();
+                        // An unroutable name can leave the probe unbound
+                        if (address === '0.0.0.0') {
+                            reject(new Error('no route'));
+                        } else {
+                            resolve(address);
+                        }
+                    });
+                });
+            } catch (error) {
+                console.warn(`⚠️ Could not probe route to ${remoteHost}: ${error.message}`);
+            }
+        }
+
+        for (const addresses of Object.values(os.networkInterfaces())) {
+            for (const entry of addresses || []) {
+                if (entry.family === 'IPv4' && !entry.internal) {
+                    return entry.address;
+                }
+            }
+        }
+
+        return '127.0.0.1';
+    }
+}
+
+SIPTransport.SUPPORTED_TRANSPORTS = SUPPORTED_TRANSPORTS;
+
+module.exports = SIPTransport;
@@ -0,0 +1,777 @@
+/**
+ * 📡 FlexPhone SIP User Agent
+ * Transaction and dialog layer for a single SIP account
+ */
+
+const EventEmitter = require('events');
+const SIPMessage = require('./SIPMessage');
+const SIPTransport = require('./SIPTransport');
+const SIPDialog = require('./SIPDialog');
+const DigestAuth = require('./DigestAuth');
+const { ClientTransaction, ServerTransaction } = require('./SIPTransaction');
+
+const ALLOWED_METHODS = ['INVITE', 'ACK', 'CANCEL', 'BYE', 'OPTIONS', 'INFO', 'NOTIFY', 'REFER', 'UPDATE', 'MESSAGE'];
+
+// Challenges answered per request before giving up (the first plus stale nonce refreshes)
+const MAX_AUTH_ATTEMPTS = 3;
+
+class SIPUserAgent extends EventEmitter {
+    constructor(config) {
+        super();
+
+        this.config = {
+            transport: 'UDP',
+            port: 5060,
+            userAgentString: 'FlexPhone/1.0',
+            ...config
+        };
+        this.domain = this.config.domain || this.config.server;
+
+        this.transport = null;
+        this.clientTransactions = new Map();
+        this.serverTransactions = new Map();
+        this.dialogs = new Map();
+
+        this.auth = new DigestAuth({
+            username: this.config.authUsername || this.config.username,
+            password: this.config.password
+        });
+
+        // REGISTER keeps one Call-ID and an increasing CSeq (RFC 3261 section 10.2)
+        this.registerCallId = SIPMessage.generateCallId();
+        this.registerCSeq = 0;
+        this.registerTag = SIPMessage.generateTag();
+
+        // Call-ID/CSeq of registrars we switched away from, keyed by host:port
+        this.registrarState = new Map();
+
+        // Address the registrar sees us from behind NAT (Via received/rport), used in our Contact
+        this.publicAddress = null;
+    }
+
+    get aor() {
+        return `sip:${this.config.username}@${this.domain}`;
+    }
+
+    get localAddress() {
+        return this.transport ? this.transport.localAddress : null;
+    }
+
+    get localPort() {
+        return this.transport ? this.transport.localPort : null;
+    }
+
+    /**
+     * Address advertised in our Contact: the NAT-mapped one once learned, otherwise the local socket
+     */
+    get contactAddress() {
+        return this.publicAddress || { host: this.localAddress, port: this.localPort };
+    }
+
+    get contact() {
+        const transport = this.config.transport.toLowerCase();
+        const { host, port } = this.contactAddress;
+        return `<sip:${this.config.username}@${host}:${port};transport=${transport}>`;
+    }
+
+    /**
+     * RFC 5626 outbound: registrations carry our instance ID and a reg-id so the registrar keeps the flow
+     */
+    get isOutbound() {
+        return this.config.outbound !== false && Boolean(this.config.instanceId);
+    }
+
+    get registerContact() {
+        if (!this.isOutbound) {
+            return this.contact;
+        }
+        return `${this.contact};+sip.instance="<urn:uuid:${this.config.instanceId}>";reg-id=${this.config.regId || 1}`;
+    }
+
+    get outboundTarget() {
+        return {
+            host: this.config.outboundProxy || this.config.server,
+            port: this.config.outboundProxyPort || this.config.port || 5060
+        };
+    }
+
+    async start() {
+        const target = this.outboundTarget;
+
+        this.transport = new SIPTransport({
+            transport: this.config.transport,
+            localPort: this.config.localPort,
+            tls: {
+                rejectUnauthorized: this.config.tlsVerify !== false,
+                servername: this.domain,
+                ca: this.config.tlsCA
+            }
+        });
+
+        this.transport.on('message', (message, remote) => this.handleMessage(message, remote));
+        this.transport.on('error', (error) => this.emit('transport-error', error));
+
+        await this.transport.open(target.host, target.port);
+    }
+
+    stop() {
+        for (const transaction of this.clientTransactions.values()) {
+            transaction.clearTimers();
+        }
+        for (const transaction of this.serverTransactions.values()) {
+            transaction.clearTimers();
+        }
+
+        this.clientTransactions.clear();
+        this.serverTransactions.clear();
+        this.dialogs.clear();
+
+        if (this.transport) {
+            this.transport.close();
+            this.transport = null;
+        }
+    }
+
+    createVia(branch) {
+        // alias lets the server send its requests back over our connection (RFC 5923)
+        const alias = this.transport && this.transport.reliable ? ';alias' : '';
+        return `SIP/2.0/${this.config.transport.toUpperCase()} ${this.localAddress}:${this.localPort};branch=${branch};rport${alias}`;
+    }
+
+    /**
+     * Build an out-of-dialog request from this account
+     */
+    createRequest(method, uri, options = {}) {
+        const upperMethod = method.toUpperCase();
+        const from = options.from || SIPMessage.formatNameAddr({
+            displayName: this.config.displayName,
+            uri: this.aor,
+            params: { tag: options.fromTag || SIPMessage.generateTag() }
+        });
+
+        const request = SIPMessage.createRequest(upperMethod, uri, {
+            'Max-Forwards': '70',
+            'From': from,
+            'To': options.to || `<${uri}>`,
+            'Call-ID': options.callId || SIPMessage.generateCallId(this.localAddress),
+            'CSeq': `${options.cseq || 1} ${upperMethod}`
+        });
+
+        if (['INVITE', 'REGISTER', 'SUBSCRIBE', 'REFER'].includes(upperMethod)) {
+            request.add('Contact', options.contact || this.contact);
+        }
+        if (upperMethod === 'INVITE') {
+            request.add('Allow', ALLOWED_METHODS.join(', '));
+        }
+        request.add('User-Agent', this.config.userAgentString);
+
+        for (const [name, value] of Object.entries(options.headers || {})) {
+            if (Array.isArray(value)) {
+                value.forEach(item => request.add(name, item));
+            } else if (value !== undefined && value !== null) {
+                request.add(name, value);
+            }
+        }
+
+        if (options.body) {
+            request.setBody(options.body, options.contentType || 'application/sdp');
+        }
+
+        return request;
+    }
+
+    /**
+     * Start a client transaction for a request (a fresh Via branch is stamped on every send)
+     */
+    sendRequest(request) {
+        request.remove('Via');
+        request.prepend('Via', this.createVia(SIPMessage.generateBranch()));
+
+        if (request.method !== 'ACK' && request.method !== 'CANCEL') {
+            this.auth.authorize(request);
+        }
+
+        const target = this.outboundTarget;
+        const transaction = new ClientTransaction(
+            request,
+            (message) => this.transport.send(message, target),
+            { reliable: this.transport.reliable }
+        );
+
+        this.clientTransactions.set(transaction.id, transaction);
+        transaction.once('terminated', () => this.clientTransactions.delete(transaction.id));
+        transaction.start();
+
+        return transaction;
+    }
+
+    /**
+     * Send a request and resolve with its final response; 401/407 challenges
+     * are answered automatically, timeouts and transport failures resolve
+     * with a synthesized 408/503
+     */
+    async request(request, options = {}) {
+        let current = request;
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await this.sendAndWait(current, options);
+
+            if (!this.shouldAuthenticate(response, attempt)) {
+                return response;
+            }
+            current = this.prepareAuthRetry(current, options.dialog);
+        }
+    }
+
+    sendAndWait(request, options = {}) {
+        return new Promise((resolve) => {
+            const transaction = this.sendRequest(request);
+            if (options.onTransaction) options.onTransaction(transaction);
+
+            transaction.on('provisional', (response) => {
+                if (options.onProvisional) options.onProvisional(response, transaction);
+            });
+            transaction.once('final', (response) => resolve(response));
+            transaction.once('timeout', () => resolve(SIPMessage.createResponse(request, 408)));
+            transaction.once('transport-error', () => resolve(SIPMessage.createResponse(request, 503)));
+        });
+    }
+
+    shouldAuthenticate(response, attempt) {
+        if (response.status !== 401 && response.status !== 407) {
+            return false;
+        }
+        if (attempt >= MAX_AUTH_ATTEMPTS || !this.config.password) {
+            return false;
+        }
+
+        const retry = this.auth.handleChallenge(response, attempt > 0);
+        if (!retry) {
+            console.warn(`⚠️ ${response.cseq.method} rejected with ${response.status}; not retrying authentication`);
+        }
+        return retry;
+    }
+
+    /**
+     * Copy of a challenged request with the next CSeq (RFC 3261 section 22.2);
+     * credentials are added by sendRequest()
+     */
+    prepareAuthRetry(request, dialog = null) {
+        const retry = request.clone();
+        const seq = dialog ? ++dialog.localSeq : request.cseq.seq + 1;
+
+        retry.set('CSeq', `${seq} ${request.method}`);
+        if (request.method === 'REGISTER') {
+            this.registerCSeq = seq;
+        }
+
+        return retry;
+    }
+
+    /**
+     * Register our Contact (or options.contact, e.g. to remove a stale binding)
+     */
+    async register(expires = 3600, options = {}) {
+        this.registerCSeq += 1;
+
+        const headers = { 'Expires': String(expires) };
+        if (this.isOutbound) {
+            headers['Supported'] = 'outbound, path';
+        }
+
+        const request = this.createRequest('REGISTER', `sip:${this.domain}`, {
+            from: SIPMessage.formatNameAddr({
+                displayName: this.config.displayName,
+                uri: this.aor,
+                params: { tag: this.registerTag }
+            }),
+            to: `<${this.aor}>`,
+            callId: this.registerCallId,
+            cseq: this.registerCSeq,
+            contact: options.contact || this.registerContact,
+            headers
+        });
+
+        return this.request(request);
+    }
+
+    /**
+     * Our address as the server saw it, from the received/rport it added to our Via (RFC 3581)
+     */
+    getReflexiveAddress(response) {
+        const via = response.via;
+        if (!via || (!via.params.received && !via.params.rport)) {
+            return null;
+        }
+
+        return {
+            host: via.params.received || via.host,
+            port: parseInt(via.params.rport, 10) || via.port || 5060
+        };
+    }
+
+    /**
+     * Switch our Contact to the reflexive address when it differs; returns the Contact
+     * it replaces, or null. Only datagrams: on TCP/TLS the server reuses our connection
+     */
+    learnPublicAddress(response) {
+        const reflexive = this.getReflexiveAddress(response);
+        if (!reflexive || this.transport.reliable || this.config.rewriteContact === false) {
+            return null;
+        }
+
+        const current = this.contactAddress;
+        if (reflexive.host === current.host && reflexive.port === current.port) {
+            return null;
+        }
+
+        const stale = this.registerContact;
+        this.publicAddress = reflexive.host === this.localAddress && reflexive.port === this.localPort
+            ? null
+            : reflexive;
+
+        console.log(`🌐 Public SIP address is ${reflexive.host}:${reflexive.port}; updating Contact`);
+        return stale;
+    }
+
+    /**
+     * Out-of-dialog OPTIONS to the current server, used as a keep-alive
+     */
+    ping() {
+        return this.request(this.createRequest('OPTIONS', `sip:${this.domain}`, {
+            headers: { 'Accept': 'application/sdp' }
+        }));
+    }
+
+    /**
+     * Send future requests to another registrar; each registrar keeps its own REGISTER Call-ID and CSeq
+     */
+    useRegistrar(server, port = 5060) {
+        if (this.config.server === server && this.config.port === port) {
+            return;
+        }
+
+        this.registrarState.set(`${this.config.server}:${this.config.port}`, {
+            callId: this.registerCallId,
+            cseq: this.registerCSeq
+        });
+
+        this.config.server = server;
+        this.config.port = port;
+
+        const saved = this.registrarState.get(`${server}:${port}`);
+        this.registerCallId = saved ? saved.callId : SIPMessage.generateCallId();
+        this.registerCSeq = saved ? saved.cseq : 0;
+    }
+
+    /**
+     * Place an INVITE; resolves with the final response and, on success, the confirmed dialog
+     */
+    invite(targetURI, options = {}) {
+        const request = this.createRequest('INVITE', targetURI, {
+            to: options.to,
+            headers: options.headers,
+            body: options.body,
+            contentType: options.contentType
+        });
+
+        const context = {
+            request,
+            transaction: null,
+            earlyDialogs: new Map(),
+            dialog: null,
+            cancelRequested: false,
+            cancelled: false
+        };
+
+        context.promise = new Promise((resolve) => this.runInvite(context, options, resolve, 0));
+
+        return context;
+    }
+
+    runInvite(context, options, resolve, attempt) {
+        const request = context.request;
+        context.transaction = this.sendRequest(request);
+        context.earlyDialogs.clear();
+        const transaction = context.transaction;
+
+        transaction.on('provisional', (response) => {
+            let dialog = null;
+            const toTag = response.to.params.tag;
+
+            if (toTag && response.status > 100) {
+                dialog = context.earlyDialogs.get(toTag);
+                if (dialog) {
+                    dialog.updateFromResponse(response);
+                } else {
+                    dialog = SIPDialog.fromUAC(request, response);
+                    context.earlyDialogs.set(toTag, dialog);
+                }
+            }
+
+            if (context.cancelRequested && !context.cancelled) {
+                this.sendCancel(context);
+            }
+
+            if (options.onProvisional) options.onProvisional(response, dialog);
+        });
+
+        transaction.once('final', (response) => {
+            if (!context.cancelRequested && this.shouldAuthenticate(response, attempt)) {
+                context.request = this.prepareAuthRetry(request);
+                this.runInvite(context, options, resolve, attempt + 1);
+                return;
+            }
+
+            if (response.status >= 200 && response.status < 300) {
+                context.dialog = this.confirmDialog(context, response, options.ackBody);
+            }
+            resolve({ response, dialog: context.dialog });
+        });
+
+        transaction.on('retransmitted-final', (response) => this.handleForked2xx(context, response));
+        transaction.once('timeout', () => resolve({ response: SIPMessage.createResponse(request, 408), dialog: null }));
+        transaction.once('transport-error', () => resolve({ response: SIPMessage.createResponse(request, 503), dialog: null }));
+    }
+
+    confirmDialog(context, response, ackBody = null) {
+        const toTag = response.to.params.tag;
+        let dialog = context.earlyDialogs.get(toTag);
+
+        if (dialog) {
+            dialog.updateFromResponse(response);
+        } else {
+            dialog = SIPDialog.fromUAC(context.request, response);
+        }
+
+        this.dialogs.set(dialog.id, dialog);
+        dialog.ack = dialog.createRequest('ACK', {
+            cseq: context.request.cseq.seq,
+            body: ackBody
+        });
+        for (const name of ['Authorization', 'Proxy-Authorization']) {
+            context.request.getAll(name).forEach(value => dialog.ack.add(name, value));
+        }
+        this.sendAck(dialog.ack);
+
+        return dialog;
+    }
+
+    /**
+     * 2xx retransmissions re-trigger our ACK; extra forked 2xx answers are ACKed and released
+     */
+    handleForked2xx(context, response) {
+        const toTag = response.to.params.tag;
+
+        if (context.dialog && context.dialog.remoteTag === toTag) {
+            this.sendAck(context.dialog.ack);
+            return;
+        }
+
+        const stray = SIPDialog.fromUAC(context.request, response);
+        this.sendAck(stray.createRequest('ACK', { cseq: context.request.cseq.seq }));
+        this.request(this.prepareInDialog(stray, 'BYE'));
+    }
+
+    sendAck(ack) {
+        ack.remove('Via');
+        ack.prepend('Via', this.createVia(SIPMessage.generateBranch()));
+        this.transport.send(ack, this.outboundTarget).catch(error => {
+            console.error('❌ Failed to send ACK:', error.message);
+        });
+    }
+
+    /**
+     * Cancel a pending INVITE; deferred until a provisional response arrives
+     */
+    cancel(context) {
+        if (context.cancelled || context.cancelRequested) return;
+        context.cancelRequested = true;
+
+        if (context.transaction.state === 'proceeding') {
+            this.sendCancel(context);
+        }
+    }
+
+    sendCancel(context) {
+        context.cancelled = true;
+        const invite = context.request;
+
+        const cancel = SIPMessage.createRequest('CANCEL', invite.uri, {
+            'Via': invite.getAll('Via')[0],
+            'Max-Forwards': '70',
+            'Route': invite.getAll('Route'),
+            'From': invite.get('From'),
+            'To': invite.get('To'),
+            'Call-ID': invite.callId,
+            'CSeq': `${invite.cseq.seq} CANCEL`,
+            'User-Agent': this.config.userAgentString
+        });
+
+        // CANCEL shares the INVITE branch, so it bypasses sendRequest()
+        const target = this.outboundTarget;
+        const transaction = new ClientTransaction(
+            cancel,
+            (message) => this.transport.send(message, target),
+            { reliable: this.transport.reliable }
+        );
+        this.clientTransactions.set(transaction.id, transaction);
+        transaction.once('terminated', () => this.clientTransactions.delete(transaction.id));
+        transaction.start();
+    }
+
+    prepareInDialog(dialog, method, options = {}) {
+        const request = dialog.createRequest(method, options);
+        request.add('User-Agent', this.config.userAgentString);
+        return request;
+    }
+
+    /**
+     * Send an in-dialog request; a 2xx to a re-INVITE is ACKed automatically
+     */
+    async sendInDialog(dialog, method, options = {}) {
+        const request = this.prepareInDialog(dialog, method, options);
+        const response = await this.request(request, { ...options, dialog });
+
+        if (request.method === 'INVITE' && response.status >= 200 && response.status < 300) {
+            dialog.updateFromResponse(response);
+            dialog.ack = dialog.createRequest('ACK', { cseq: response.cseq.seq });
+            this.sendAck(dialog.ack);
+        }
+
+        return response;
+    }
+
+    /**
+     * Create the UAS side dialog for an INVITE we are about to answer
+     */
+    createDialog(request, localTag, serverTransaction = null) {
+        const dialog = SIPDialog.fromUAS(request, localTag, this.contact);
+        dialog.pendingTransaction = serverTransaction;
+        this.dialogs.set(dialog.id, dialog);
+        return dialog;
+    }
+
+    removeDialog(dialog) {
+        if (!dialog) return;
+        dialog.terminate();
+        this.dialogs.delete(dialog.id);
+    }
+
+    /**
+     * Respond through a server transaction
+     */
+    respond(transaction, status, options = {}) {
+        const response = SIPMessage.createResponse(transaction.request, status, options.reason, options.toTag);
+
+        const isInvite = transaction.request.method === 'INVITE';
+        if (isInvite && status > 100 && status < 300) {
+            response.add('Contact', this.contact);
+        }
+        if (isInvite || status === 405) {
+            response.add('Allow', ALLOWED_METHODS.join(', '));
+        }
+        response.add('User-Agent', this.config.userAgentString);
+
+        for (const [name, value] of Object.entries(options.headers || {})) {
+            if (Array.isArray(value)) {
+                value.forEach(item => response.add(name, item));
+            } else if (value !== undefined && value !== null) {
+                response.add(name, value);
+            }
+        }
+
+        if (options.body) {
+            response.setBody(options.body, options.contentType || 'application/sdp');
+        }
+
+        transaction.respond(response);
+        return response;
+    }
+
+    handleMessage(message, remote) {
+        try {
+            if (message.isResponse) {
+                this.handleResponse(message);
+            } else {
+                this.handleRequest(message, remote);
+            }
+        } catch (error) {
+            console.error('❌ Failed to process SIP message:', error);
+        }
+    }
+
+    handleResponse(response) {
+        const via = response.via;
+        const cseq = response.cseq;
+        if (!via || !cseq) return;
+
+        const transaction = this.clientTransactions.get(ClientTransaction.key(via.params.branch, cseq.method));
+        if (transaction) {
+            transaction.receiveResponse(response);
+            return;
+        }
+
+        // Late 2xx retransmission after the INVITE transaction ended
+        if (cseq.method === 'INVITE' && response.status >= 200 && response.status < 300) {
+            const dialog = this.findDialog(response.callId, response.from.params.tag, response.to.params.tag);
+            if (dialog && dialog.ack) {
+                this.sendAck(dialog.ack);
+            }
+        }
+    }
+
+    handleRequest(request, remote) {
+        const via = request.via;
+        if (!via || !request.cseq || !request.callId) {
+            console.warn('⚠️ Dropping SIP request without mandatory headers');
+            return;
+        }
+
+        request.source = remote;
+        const branch = via.params.branch;
+
+        if (request.method === 'ACK') {
+            this.handleAck(request, branch);
+            return;
+        }
+
+        const existing = this.serverTransactions.get(ServerTransaction.key(branch, request.method));
+        if (existing) {
+            existing.receiveRequest(request);
+            return;
+        }
+
+        const transaction = new ServerTransaction(
+            request,
+            (response) => this.transport.send(response, this.responseTarget(request, remote)),
+            { reliable: this.transport.reliable }
+        );
+        this.serverTransactions.set(transaction.id, transaction);
+        transaction.once('terminated', () => this.serverTransactions.delete(transaction.id));
+
+        if (request.method === 'CANCEL') {
+            this.handleCancel(request, transaction, branch);
+            return;
+        }
+
+        const toTag = request.to.params.tag;
+        if (toTag) {
+            this.handleInDialogRequest(request, transaction, toTag);
+            return;
+        }
+
+        switch (request.method) {
+            case 'INVITE':
+                this.respond(transaction, 100);
+                if (this.listenerCount('invite') === 0) {
+                    this.respond(transaction, 480);
+                } else {
+                    this.emit('invite', request, transaction);
+                }
+                break;
+
+            case 'OPTIONS':
+                this.respond(transaction, 200, {
+                    headers: {
+                        'Allow': ALLOWED_METHODS.join(', '),
+                        'Accept': 'application/sdp'
+                    }
+                });
+                break;
+
+            case 'BYE':
+                this.respond(transaction, 481);
+                break;
+
+            default:
+                if (this.listenerCount('request') === 0) {
+                    this.respond(transaction, 405);
+                } else {
+                    this.emit('request', request, transaction);
+                }
+                break;
+        }
+    }
+
+    handleAck(request, branch) {
+        // ACK for a non-2xx final shares the INVITE branch
+        const inviteTransaction = this.serverTransactions.get(ServerTransaction.key(branch, 'INVITE'));
+        if (inviteTransaction) {
+            inviteTransaction.receiveRequest(request);
+            return;
+        }
+
+        const dialog = this.findDialog(request.callId, request.to.params.tag, request.from.params.tag);
+        if (!dialog) return;
+
+        dialog.receiveRequest(request);
+        if (dialog.pendingTransaction) {
+            dialog.pendingTransaction.acknowledge();
+            dialog.pendingTransaction = null;
+        }
+        this.emit('ack', dialog, request);
+    }
+
+    handleCancel(request, transaction, branch) {
+        const inviteTransaction = this.serverTransactions.get(ServerTransaction.key(branch, 'INVITE'));
+
+        if (!inviteTransaction || inviteTransaction.state !== 'proceeding') {
+            this.respond(transaction, 481);
+            return;
+        }
+
+        this.respond(transaction, 200);
+        this.emit('cancel', inviteTransaction, request);
+    }
+
+    handleInDialogRequest(request, transaction, toTag) {
+        const dialog = this.findDialog(request.callId, toTag, request.from.params.tag);
+
+        if (!dialog) {
+            this.respond(transaction, 481);
+            return;
+        }
+
+        if (!dialog.receiveRequest(request)) {
+            this.respond(transaction, 500, { reason: 'CSeq Out of Order' });
+            return;
+        }
+
+        if (this.listenerCount('dialog-request') === 0) {
+            this.respond(transaction, 501);
+            return;
+        }
+
+        this.emit('dialog-request', dialog, request, transaction);
+    }
+
+    findDialog(callId, localTag, remoteTag) {
+        return this.dialogs.get(SIPDialog.key(callId, localTag, remoteTag)) || null;
+    }
+
+    /**
+     * Where responses go: the Via sent-by, overridden by received/rport (RFC 3581);
+     * on TCP/TLS the connection the request arrived on (RFC 3261 section 18.2.2)
+     */
+    responseTarget(request, remote) {
+        const via = request.via;
+
+        if (!remote) {
+            return { host: via.params.received || via.host, port: via.port || 5060 };
+        }
+
+        if (remote.transport !== 'UDP') {
+            return { host: remote.address, port: remote.port };
+        }
+
+        return {
+            host: remote.address,
+            port: 'rport' in via.params ? remote.port : (via.port || 5060)
+        };
+    }
+}
+
+SIPUserAgent.ALLOWED_METHODS = ALLOWED_METHODS;
+
+module.exports = SIPUserAgent;
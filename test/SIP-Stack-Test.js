@@ -0,0 +1,2032 @@
+/**
+ * 📡 FlexPhone SIP Stack Testing Script
+ * Tests SIP message handling and real call flows over loopback UDP
+ */
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+const net = require('net');
+const SIPMessage = require('../src/sip/SIPMessage');
+const SIPUserAgent = require('../src/sip/SIPUserAgent');
+const SDP = require('../src/sip/SDP');
+const SIPService = require('../src/services/SIPService');
+const EnhancedSIPService = require('../src/services/EnhancedSIPService');
+const LocalPBX = require('../src/sip/LocalPBX');
+const DigestAuth = require('../src/sip/DigestAuth');
+const FeatureManagementService = require('../src/services/FeatureManagementService');
+const ContactsService = require('../src/services/ContactsService');
+const RingtoneService = require('../src/services/RingtoneService');
+const RegistrationManager = require('../src/sip/RegistrationManager');
+const SIPResolver = require('../src/sip/SIPResolver');
+const SIPStreamParser = require('../src/sip/SIPStreamParser');
+const CallStateMachine = require('../src/sip/CallStateMachine');
+const CallQualityMonitor = require('../src/sip/CallQualityMonitor');
+const RTPSession = require('../src/sip/RTPSession');
+const DTMF = require('../src/sip/DTMF');
+const DialString = require('../src/sip/DialString');
+const DialPlan = require('../src/sip/DialPlan');
+const CallURI = require('../src/sip/CallURI');
+const CallForwarding = require('../src/sip/CallForwarding');
+const AutoAnswer = require('../src/sip/AutoAnswer');
+const DoNotDisturb = require('../src/sip/DoNotDisturb');
+const CallScreening = require('../src/sip/CallScreening');
+const ConferenceBridge = require('../src/sip/ConferenceBridge');
+const WebSocket = require('ws');
+const { UserAgent } = require('sip.js');
+
+class FlexPhoneSIPStackTest {
+    constructor() {
+        this.testResults = {
+            total: 0,
+            passed: 0,
+            failed: 0,
+            tests: []
+        };
+    }
+
+    async runTest(name, testFunction) {
+        this.testResults.total++;
+        console.log(`🧪 Testing: ${name}`);
+
+        try {
+            const result = await testFunction();
+            if (result) {
+                this.testResults.passed++;
+                this.testResults.tests.push({ name, status: 'PASSED', message: 'Test completed successfully' });
+                console.log(`✅ PASSED: ${name}`);
+            } else {
+                this.testResults.failed++;
+                this.testResults.tests.push({ name, status: 'FAILED', message: 'Test returned false' });
+                console.log(`❌ FAILED: ${name}`);
+            }
+        } catch (error) {
+            this.testResults.failed++;
+            this.testResults.tests.push({ name, status: 'FAILED', message: error.message });
+            console.log(`❌ FAILED: ${name} - ${error.message}`);
+        }
+    }
+
+    waitFor(emitter, event, timeout = 5000) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+            emitter.once(event, (...args) => {
+                clearTimeout(timer);
+                resolve(args);
+            });
+        });
+    }
+
+    /**
+     * Loopback peer standing in for a registrar that answers every INVITE
+     */
+    async createPeer() {
+        const peer = new SIPUserAgent({ server: '127.0.0.1', port: 5060, username: 'peer' });
+        await peer.start();
+
+        peer.on('request', (request, transaction) => {
+            peer.respond(transaction, request.method === 'REGISTER' ? 200 : 405);
+        });
+
+        peer.on('invite', (request, transaction) => {
+            const localTag = SIPMessage.generateTag();
+            peer.respond(transaction, 180, { toTag: localTag });
+
+            const answer = SDP.createAnswer(request.body, { address: '127.0.0.1', port: 40000 });
+            const dialog = peer.createDialog(request, localTag, transaction);
+            dialog.state = 'confirmed';
+            peer.respond(transaction, 200, { toTag: localTag, body: answer });
+        });
+
+        peer.on('dialog-request', (dialog, request, transaction) => {
+            peer.respond(transaction, 200);
+            if (request.method === 'BYE') {
+                peer.removeDialog(dialog);
+                peer.emit('bye', dialog);
+            }
+        });
+
+        return peer;
+    }
+
+    stopService(service) {
+        for (const account of service.accounts.values()) {
+            if (account.keepAlive) account.keepAlive.stop();
+            if (account.registration) {
+                account.registration.stopped = true;
+                account.registration.clearTimers();
+            }
+            if (account.userAgent) account.userAgent.stop();
+        }
+        service.qualityMonitor.stop();
+        service.conference.close();
+    }
+
+    /**
+     * Loopback registrar whose answer to each REGISTER is picked by respond(request, count)
+     */
+    async createRegistrar(respond) {
+        const registrar = await this.createPeer();
+        registrar.registers = [];
+        registrar.removeAllListeners('request');
+        registrar.on('request', (request, transaction) => {
+            registrar.registers.push(request);
+            const status = respond(request, registrar.registers.length);
+            registrar.respond(transaction, status, {
+                headers: status === 200 ? { 'Contact': `${request.get('Contact')};expires=${request.get('Expires')}` } : {}
+            });
+        });
+        return registrar;
+    }
+
+    /**
+     * DNS stand-in serving NAPTR/SRV/A records from plain objects
+     */
+    createDNS({ naptr = {}, srv = {}, a = {} }) {
+        const answer = (records, name) => {
+            if (!records[name]) {
+                const error = new Error(`queryX ENODATA ${name}`);
+                error.code = 'ENODATA';
+                throw error;
+            }
+            return records[name];
+        };
+
+        return {
+            resolveNaptr: async (name) => answer(naptr, name),
+            resolveSrv: async (name) => answer(srv, name),
+            lookup: async (name) => answer(a, name).map(address => ({ address, family: 4 }))
+        };
+    }
+
+    testParseRequest() {
+        const raw = [
+            'INVITE sip:bob@example.com SIP/2.0',
+            'Via: SIP/2.0/UDP 10.0.0.1:5060;branch=z9hG4bK776asdhds;rport',
+            'Max-Forwards: 70',
+            'f: "Alice" <sip:alice@example.com>;tag=1928301774',
+            't: <sip:bob@example.com>',
+            'i: a84b4c76e66710@pc33',
+            'CSeq: 314159 INVITE',
+            'l: 4',
+            '',
+            'testEXTRA'
+        ].join('\r\n');
+
+        const message = SIPMessage.parse(raw);
+
+        return message.method === 'INVITE' &&
+               message.from.displayName === 'Alice' &&
+               message.from.params.tag === '1928301774' &&
+               message.callId === 'a84b4c76e66710@pc33' &&
+               message.cseq.seq === 314159 &&
+               message.via.params.branch === 'z9hG4bK776asdhds' &&
+               message.body === 'test';
+    }
+
+    testResponseRoundTrip() {
+        const request = SIPMessage.createRequest('OPTIONS', 'sip:bob@example.com', {
+            'Via': 'SIP/2.0/UDP 10.0.0.1:5060;branch=z9hG4bKabc',
+            'From': '<sip:alice@example.com>;tag=abc',
+            'To': '<sip:bob@example.com>',
+            'Call-ID': 'call-1',
+            'CSeq': '1 OPTIONS'
+        });
+
+        const response = SIPMessage.parse(SIPMessage.createResponse(request, 200, null, 'xyz').toString());
+
+        return response.status === 200 &&
+               response.reason === 'OK' &&
+               response.to.params.tag === 'xyz' &&
+               response.via.params.branch === 'z9hG4bKabc' &&
+               response.get('Content-Length') === '0';
+    }
+
+    testOfferAnswer() {
+        const offer = SDP.createOffer({ address: '10.0.0.1', port: 10000, codecs: ['PCMA', 'PCMU'] });
+        const answer = SDP.createAnswer(offer, { address: '10.0.0.2', port: 20000, codecs: ['PCMU'] });
+        const target = SDP.getMediaTarget(answer);
+
+        return target.address === '10.0.0.2' &&
+               target.port === 20000 &&
+               target.codec.name === 'PCMU' &&
+               SDP.createAnswer(offer, { address: '10.0.0.2', port: 20000, codecs: ['G722'] }) === null;
+    }
+
+    testCodecPreferences() {
+        const webrtc = [
+            'v=0', 'o=- 1 2 IN IP4 127.0.0.1', 's=-', 't=0 0',
+            'm=audio 9 UDP/TLS/RTP/SAVPF 111 63 9 0 13 110 126',
+            'c=IN IP4 0.0.0.0',
+            'a=rtpmap:111 opus/48000/2', 'a=rtcp-fb:111 transport-cc', 'a=fmtp:111 minptime=10;useinbandfec=0',
+            'a=rtpmap:63 red/48000/2', 'a=fmtp:63 111/111',
+            'a=rtpmap:9 G722/8000', 'a=rtpmap:0 PCMU/8000', 'a=rtpmap:13 CN/8000',
+            'a=rtpmap:110 telephone-event/48000', 'a=rtpmap:126 telephone-event/8000',
+            'a=sendrecv'
+        ].join('\r\n');
+
+        const opusFirst = SDP.parse(SDP.applyCodecPreferences(webrtc, { codecs: 'opus,PCMU', opus: { maxaveragebitrate: 24000 } })).media[0];
+        const g722Only = SDP.parse(SDP.applyCodecPreferences(webrtc, { codecs: ['G722'] })).media[0];
+        const opusFmtp = SDP.parseFmtp(SDP.getAttribute(opusFirst, 'fmtp').slice(4));
+
+        return opusFirst.formats.join(' ') === '111 0 110 126' &&
+               opusFmtp.minptime === '10' && opusFmtp.useinbandfec === '1' &&
+               opusFmtp.maxaveragebitrate === '24000' && opusFmtp.stereo === '0' &&
+               SDP.getAttribute(opusFirst, 'ptime') === '20' &&
+               SDP.getAttributes(opusFirst, 'rtcp-fb').length === 1 &&
+               g722Only.formats.join(' ') === '9 126' &&
+               SDP.getAttributes(g722Only, 'rtpmap').length === 2 &&
+               SDP.getAttributes(g722Only, 'fmtp').length === 0;
+    }
+
+    async testNegotiatedCodec() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice', 'demo', { codecs: 'G722,PCMU' });
+            const bobService = new SIPService();
+            bobService.setDefaultCodecs('PCMU,G722');
+            const bob = await connect('bob', 'demo', { service: bobService });
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const connected = this.waitFor(alice, 'call-connected');
+            await alice.makeCall('bob');
+            const [inbound] = await incoming;
+            await bob.answerCall(inbound.id);
+            await connected;
+
+            const [aliceCall] = alice.getActiveCalls();
+            const [bobCall] = bob.getActiveCalls();
+
+            return aliceCall.codec.name === 'PCMU' && aliceCall.telephoneEvent === 101 &&
+                   bobCall.codec.name === 'PCMU' && bobCall.codec.clockRate === 8000 &&
+                   bob.getAccount().config.codecs.join(',') === 'PCMU,G722';
+        });
+    }
+
+    async testUserAgentInviteAndBye() {
+        const peer = await this.createPeer();
+        const caller = new SIPUserAgent({ server: '127.0.0.1', port: peer.localPort, username: 'alice' });
+        await caller.start();
+
+        try {
+            let ringing = false;
+            const invite = caller.invite(`sip:peer@127.0.0.1:${peer.localPort}`, {
+                body: SDP.createOffer({ address: '127.0.0.1', port: 30000 }),
+                onProvisional: (response) => { ringing = ringing || response.status === 180; }
+            });
+
+            const { response, dialog } = await invite.promise;
+            if (response.status !== 200 || !dialog || !ringing) return false;
+
+            const bye = this.waitFor(peer, 'bye');
+            const byeResponse = await caller.sendInDialog(dialog, 'BYE');
+            await bye;
+
+            return byeResponse.status === 200 && peer.dialogs.size === 0;
+        } finally {
+            caller.stop();
+            peer.stop();
+        }
+    }
+
+    async testServiceRegisterCallAndHangup() {
+        const peer = await this.createPeer();
+        const service = new SIPService();
+
+        try {
+            const connected = await service.connect({
+                provider: 'CUSTOM',
+                server: '127.0.0.1',
+                port: peer.localPort,
+                username: 'alice',
+                password: 'secret'
+            });
+            if (!connected.success || service.registrationState !== 'registered') return false;
+
+            const callConnected = this.waitFor(service, 'call-connected');
+            const result = await service.makeCall('(555) 010-0000');
+            const [call] = await callConnected;
+            if (!result.success || call.id !== result.callId || call.status !== 'connected') return false;
+
+            const bye = this.waitFor(peer, 'bye');
+            const hangup = await service.hangupCall(call.id);
+            await bye;
+
+            const disconnected = await service.disconnect();
+            return hangup.success && disconnected.success && service.callHistory[0].status === 'ended';
+        } finally {
+            this.stopService(service);
+            peer.stop();
+        }
+    }
+
+    async testServiceRegistrationFailure() {
+        const peer = await this.createPeer();
+        peer.removeAllListeners('request');
+        peer.on('request', (request, transaction) => peer.respond(transaction, 403));
+
+        const service = new SIPService();
+        service.on('connection-failed', () => {});
+
+        try {
+            const result = await service.connect({
+                provider: 'CUSTOM',
+                server: '127.0.0.1',
+                port: peer.localPort,
+                username: 'alice',
+                password: 'wrong'
+            });
+
+            return !result.success &&
+                   result.error === 'Registration failed: 403 Forbidden' &&
+                   service.registrationState === 'failed';
+        } finally {
+            peer.stop();
+        }
+    }
+
+    async withLocalPBX(testFunction, pbxOptions = {}) {
+        const pbx = new LocalPBX({ udpPort: 0, wsPort: 0, ringTime: 200, ...pbxOptions });
+        const services = [];
+        await pbx.start();
+
+        const connect = async (username, password = 'demo', { service = new SIPService(), ...config } = {}) => {
+            if (!services.includes(service)) {
+                services.push(service);
+                service.on('connection-failed', () => {});
+            }
+            const result = await service.connect({
+                provider: 'FLEXPBX_LOCAL',
+                port: pbx.udpPort,
+                username,
+                password,
+                ...config
+            });
+            if (!result.success) throw new Error(result.error);
+            return service;
+        };
+
+        try {
+            return await testFunction(pbx, connect);
+        } finally {
+            for (const service of services) {
+                this.stopService(service);
+            }
+            await pbx.stop();
+        }
+    }
+
+    async testLocalPBXEchoCall() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const service = await connect('alice');
+            if (!pbx.getRegisteredUsers().includes('alice')) return false;
+
+            const connected = this.waitFor(service, 'call-connected');
+            await service.makeCall('9000');
+            const [call] = await connected;
+            const statusWhenConnected = call.status;
+
+            const ended = this.waitFor(pbx, 'call-ended');
+            await service.hangupCall(call.id);
+            await ended;
+
+            return statusWhenConnected === 'connected' && pbx.calls.size === 0;
+        });
+    }
+
+    async testLocalPBXScriptedFailures() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const service = await connect('alice');
+            const outcome = async (number) => {
+                const ended = this.waitFor(service, 'call-ended');
+                await service.makeCall(number);
+                const [call] = await ended;
+                return call.sipCode;
+            };
+
+            return await outcome('486') === 486 &&
+                   await outcome('busy') === 486 &&
+                   await outcome('487') === 487 &&
+                   await outcome('unknown-extension') === 404;
+        });
+    }
+
+    async testLocalPBXRingingAndCancel() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const service = await connect('alice');
+
+            const ringing = this.waitFor(service, 'call-ringing');
+            const result = await service.makeCall('noanswer');
+            await ringing;
+
+            const pbxEnded = this.waitFor(pbx, 'call-ended');
+            await service.hangupCall(result.callId);
+            await pbxEnded;
+
+            const early = this.waitFor(service, 'call-ringing');
+            const connected = this.waitFor(service, 'call-connected');
+            const earlyCall = await service.makeCall('early');
+            await early;
+            await connected;
+
+            const earlyEnded = this.waitFor(pbx, 'call-ended');
+            await service.hangupCall(earlyCall.callId);
+            await earlyEnded;
+
+            return pbx.calls.size === 0;
+        });
+    }
+
+    async testLocalPBXBridgedCall() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            await alice.makeCall('bob');
+            const [inbound] = await incoming;
+            if (inbound.remoteNumber !== 'alice') return false;
+
+            const connected = this.waitFor(alice, 'call-connected');
+            await bob.answerCall(inbound.id);
+            await connected;
+
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            const outbound = alice.getActiveCalls()[0];
+            await alice.hangupCall(outbound.id);
+            const [ended] = await bobEnded;
+
+            return ended.endReason === 'remote-hangup';
+        });
+    }
+
+    async testLocalPBXWebSocketRegister() {
+        return this.withLocalPBX(async (pbx) => {
+            const socket = new WebSocket(`ws://127.0.0.1:${pbx.wsPort}`, 'sip');
+            await this.waitFor(socket, 'open');
+
+            const register = SIPMessage.createRequest('REGISTER', 'sip:127.0.0.1', {
+                'Via': `SIP/2.0/WS client.invalid;branch=${SIPMessage.generateBranch()}`,
+                'From': `<sip:carol@127.0.0.1>;tag=${SIPMessage.generateTag()}`,
+                'To': '<sip:carol@127.0.0.1>',
+                'Call-ID': SIPMessage.generateCallId(),
+                'CSeq': '1 REGISTER',
+                'Contact': '<sip:carol@client.invalid;transport=ws>;expires=600'
+            });
+
+            const reply = this.waitFor(socket, 'message');
+            socket.send(register.toString());
+            const [data] = await reply;
+            const response = SIPMessage.parse(data.toString());
+
+            const closed = this.waitFor(pbx, 'unregistered');
+            socket.close();
+            await closed;
+
+            return response.status === 200 &&
+                   response.contact.params.expires === '600' &&
+                   !pbx.getRegisteredUsers().includes('carol');
+        });
+    }
+
+    testDigestVectors() {
+        // RFC 2617 section 3.5 and RFC 7616 section 3.9.1 examples
+        const md5 = DigestAuth.computeResponse({
+            algorithm: 'MD5', username: 'Mufasa', password: 'Circle Of Life', realm: 'testrealm@host.com',
+            nonce: 'dcd98b7102dd2f0e8b11d0f600bfb0c093', nc: '00000001', cnonce: '0a4f113b', qop: 'auth',
+            method: 'GET', uri: '/dir/index.html'
+        });
+        const sha256 = DigestAuth.computeResponse({
+            algorithm: 'SHA-256', username: 'Mufasa', password: 'Circle of Life', realm: 'http-auth@example.org',
+            nonce: '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v', nc: '00000001',
+            cnonce: 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ', qop: 'auth',
+            method: 'GET', uri: '/dir/index.html'
+        });
+
+        const digest = new DigestAuth({ username: 'alice', password: 'secret' });
+        const challenge = DigestAuth.parseChallenge('Digest realm="pbx", nonce="abc", algorithm=SHA-512-256, qop="auth,auth-int"');
+        const first = DigestAuth.parseCredentials(digest.createCredentials(challenge, { method: 'INVITE', uri: 'sip:bob@pbx', body: 'v=0' }));
+        const second = DigestAuth.parseCredentials(digest.createCredentials(challenge, { method: 'INVITE', uri: 'sip:bob@pbx', body: 'v=0' }));
+
+        return md5 === '6629fae49393a05397450978507c4ef1' &&
+               sha256 === '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1' &&
+               first.algorithm === 'SHA-512-256' &&
+               first.qop === 'auth-int' &&
+               first.nc === '00000001' &&
+               second.nc === '00000002';
+    }
+
+    testEnhancedServiceDigest() {
+        // EnhancedSIPService hands SIP.js challenges to DigestAuth, so SHA-256 and auth-int work there too
+        const userAgent = new UserAgent({
+            uri: UserAgent.makeURI('sip:alice@pbx'),
+            transportOptions: { server: 'wss://pbx' },
+            logLevel: 'error'
+        });
+        new EnhancedSIPService().installDigestAuth(userAgent, { authUsername: 'alice', password: 'secret' });
+
+        const request = { method: 'REGISTER', ruri: UserAgent.makeURI('sip:pbx'), body: undefined };
+        const answer = userAgent.userAgentCore.configuration.authenticationFactory();
+        const answered = answer.authenticate(request, { realm: 'pbx', nonce: 'abc', algorithm: 'SHA-256', qop: ['auth', 'auth-int'] });
+        const credentials = DigestAuth.parseCredentials(answer.toString());
+        const expected = DigestAuth.computeResponse({
+            algorithm: 'SHA-256', username: 'alice', password: 'secret', realm: 'pbx', nonce: 'abc',
+            nc: credentials.nc, cnonce: credentials.cnonce, qop: 'auth-int', method: 'REGISTER', uri: 'sip:pbx'
+        });
+
+        const unsupported = userAgent.userAgentCore.configuration.authenticationFactory()
+            .authenticate(request, { realm: 'pbx', nonce: 'abc', algorithm: 'SHA-1' });
+
+        return answered && credentials.username === 'alice' && credentials.response === expected && unsupported === false;
+    }
+
+    async testDigestRegisterAndInvite() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const service = await connect('alice', 'secret');
+
+            const connected = this.waitFor(service, 'call-connected');
+            await service.makeCall('9000');
+            const [call] = await connected;
+
+            const ended = this.waitFor(pbx, 'call-ended');
+            await service.hangupCall(call.id);
+            await ended;
+
+            let rejected = null;
+            try {
+                await connect('bob', 'wrong');
+            } catch (error) {
+                rejected = error.message;
+            }
+
+            return rejected === 'Registration failed: 401 Unauthorized';
+        }, { auth: { password: 'secret', algorithms: ['SHA-256', 'MD5'], qop: 'auth-int' } });
+    }
+
+    async testDigestStaleNonce() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const service = await connect('alice', 'secret');
+            await new Promise(resolve => setTimeout(resolve, 150));
+
+            const response = await service.getAccount().userAgent.register(3600);
+            return response.status === 200;
+        }, { auth: { password: 'secret', nonceLifetime: 100 } });
+    }
+
+    async testMultipleAccounts() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const service = await connect('alice', 'demo', { accountId: 'extension' });
+            await connect('bob', 'demo', { service, accountId: 'did' });
+            if (service.getAccounts().filter(account => account.isConnected).length !== 2) return false;
+
+            // Incoming calls carry the account that received them
+            const incoming = this.waitFor(service, 'incoming-call');
+            const ringing = pbx.callUser('bob');
+            const [inbound] = await incoming;
+            await service.answerCall(inbound.id);
+            const answered = await ringing;
+            const ended = this.waitFor(service, 'call-ended');
+            pbx.hangup(answered.callId);
+            await ended;
+
+            // Outgoing calls go out through the selected account
+            const connected = this.waitFor(service, 'call-connected');
+            await service.makeCall('9000', { accountId: 'did' });
+            const [outbound] = await connected;
+            await service.hangupCall(outbound.id);
+            const unknown = await service.makeCall('9000', { accountId: 'missing' });
+
+            // SIP MESSAGE is tagged the same way
+            const target = service.getAccount('extension').userAgent;
+            const sender = new SIPUserAgent({ server: '127.0.0.1', port: target.localPort, username: 'carol' });
+            await sender.start();
+            const messageReceived = this.waitFor(service, 'message-received');
+            await sender.request(sender.createRequest('MESSAGE', `sip:alice@127.0.0.1:${target.localPort}`, {
+                body: 'hello',
+                contentType: 'text/plain'
+            }));
+            const [message] = await messageReceived;
+            sender.stop();
+
+            await service.disconnect('did');
+
+            return inbound.accountId === 'did' &&
+                   outbound.accountId === 'did' && outbound.localNumber === 'bob' &&
+                   unknown.error === 'Unknown account: missing' &&
+                   message.accountId === 'extension' && message.body === 'hello' && message.from === 'carol' &&
+                   service.getAccounts().length === 1 && service.isConnected;
+        });
+    }
+
+    async testAccountLimit() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const features = new FeatureManagementService();
+            features.initializeFeatures();
+
+            const service = new SIPService();
+            service.setFeatureManager(features);
+            await connect('alice', 'demo', { service, accountId: 'extension' });
+
+            let rejected = null;
+            try {
+                await connect('bob', 'demo', { service, accountId: 'did' });
+            } catch (error) {
+                rejected = error.message;
+            }
+
+            features.enableFeature('pro.external_providers', true);
+            await connect('bob', 'demo', { service, accountId: 'did' });
+
+            return rejected !== null && rejected.startsWith('Account limit reached (1)') &&
+                   service.getAccountLimit() === 2 &&
+                   service.getAccounts().length === 2;
+        });
+    }
+
+    async testRegistrationRefreshAndBackoff() {
+        // Two 503s, then accept with a one second lifetime
+        const registrar = await this.createRegistrar((request, count) => (count <= 2 ? 503 : 200));
+        const userAgent = new SIPUserAgent({ server: '127.0.0.1', port: registrar.localPort, username: 'alice' });
+        await userAgent.start();
+
+        const manager = new RegistrationManager(userAgent, { expires: 1, retryBaseDelay: 20 });
+        const states = [];
+        manager.on('state', (details) => states.push(details));
+
+        try {
+            const first = await manager.start();
+            if (first.success || !first.retrying) return false;
+
+            // Registered after the second retry, then refreshed at half the lifetime
+            while (states.filter(details => details.state === 'registered').length < 2) {
+                await this.waitFor(manager, 'state', 3000);
+            }
+
+            await manager.stop();
+
+            const retries = states.filter(details => details.state === 'retrying');
+            const last = registrar.registers[registrar.registers.length - 1];
+
+            return retries.length === 2 &&
+                   retries[0].status === 503 && retries[1].retryIn >= 20 &&
+                   states.some(details => details.state === 'refreshing') &&
+                   new Set(registrar.registers.map(request => request.callId)).size === 1 &&
+                   last.get('Expires') === '0' &&
+                   manager.state === 'unregistered';
+        } finally {
+            manager.clearTimers();
+            userAgent.stop();
+            registrar.stop();
+        }
+    }
+
+    async testRegistrationFailoverAndFailback() {
+        let primaryDown = true;
+        const primary = await this.createRegistrar(() => (primaryDown ? 503 : 200));
+
+        return this.withLocalPBX(async (pbx) => {
+            const userAgent = new SIPUserAgent({ server: '127.0.0.1', port: primary.localPort, username: 'alice' });
+            await userAgent.start();
+
+            const manager = new RegistrationManager(userAgent, {
+                registrars: [`127.0.0.1:${primary.localPort}`, { server: '127.0.0.1', port: pbx.udpPort }],
+                failbackInterval: 100
+            });
+            const states = [];
+            manager.on('state', (details) => states.push(details));
+
+            try {
+                const first = await manager.start();
+                const onFallback = first.success && manager.isFallback && pbx.getRegisteredUsers().includes('alice');
+
+                primaryDown = false;
+                while (!states.some(details => details.failback)) {
+                    await this.waitFor(manager, 'state', 3000);
+                }
+
+                return onFallback &&
+                       states.some(details => details.state === 'registered' && details.failover) &&
+                       !manager.isFallback &&
+                       !pbx.getRegisteredUsers().includes('alice') &&
+                       states[states.length - 1].registrar === `127.0.0.1:${primary.localPort}`;
+            } finally {
+                manager.stopped = true;
+                manager.clearTimers();
+                userAgent.stop();
+                primary.stop();
+            }
+        });
+    }
+
+    async testServiceFallbackRegistrar() {
+        const primary = await this.createRegistrar(() => 503);
+
+        try {
+            return await this.withLocalPBX(async (pbx, connect) => {
+                const service = await connect('alice', 'demo', {
+                    server: '127.0.0.1',
+                    port: primary.localPort,
+                    fallbackServers: [`127.0.0.1:${pbx.udpPort}`]
+                });
+                const [account] = service.getAccounts();
+
+                return account.isConnected &&
+                       account.registrar === `127.0.0.1:${pbx.udpPort}` &&
+                       pbx.getRegisteredUsers().includes('alice');
+            });
+        } finally {
+            primary.stop();
+        }
+    }
+
+    async testDNSResolution() {
+        const dns = this.createDNS({
+            naptr: {
+                'example.com': [
+                    { flags: 's', service: 'SIPS+D2T', regexp: '', replacement: '_sips._tcp.example.com', order: 10, preference: 10 },
+                    { flags: 's', service: 'SIP+D2U', regexp: '', replacement: '_sip._udp.example.com', order: 20, preference: 10 }
+                ]
+            },
+            srv: {
+                '_sip._udp.example.com': [
+                    { name: 'b.example.com', port: 5070, priority: 10, weight: 0 },
+                    { name: 'backup.example.com', port: 5080, priority: 20, weight: 5 },
+                    { name: 'a.example.com', port: 5060, priority: 10, weight: 100 }
+                ],
+                '_sip._udp.other.org': [{ name: 'sip.other.org', port: 5062, priority: 0, weight: 0 }]
+            },
+            a: {
+                'a.example.com': ['192.0.2.1'],
+                'b.example.com': ['192.0.2.2'],
+                'backup.example.com': ['192.0.2.3'],
+                'sip.other.org': ['198.51.100.7'],
+                'example.com': ['192.0.2.100'],
+                'plain.net': ['203.0.113.5']
+            }
+        });
+
+        const describe = (targets) => targets.map(target => `${target.host}:${target.port}`).join(',');
+        const weighted = new SIPResolver({ resolver: dns, random: () => 0.5 });
+        const zeroPick = new SIPResolver({ resolver: dns, random: () => 0 });
+
+        return describe(await weighted.resolve('example.com')) === '192.0.2.1:5060,192.0.2.2:5070,192.0.2.3:5080' &&
+               describe(await zeroPick.resolve('example.com')) === '192.0.2.2:5070,192.0.2.1:5060,192.0.2.3:5080' &&
+               describe(await weighted.resolve('other.org')) === '198.51.100.7:5062' &&
+               describe(await weighted.resolve('plain.net', { defaultPort: 5070 })) === '203.0.113.5:5070' &&
+               describe(await weighted.resolve('example.com', { port: 5090 })) === '192.0.2.100:5090' &&
+               describe(await weighted.resolve('10.1.1.1')) === '10.1.1.1:5060' &&
+               describe(await weighted.resolve('example.com', { transports: ['TLS'] })) === '192.0.2.100:5061';
+    }
+
+    async testSRVTargetFailover() {
+        const dead = await this.createRegistrar(() => 503);
+
+        try {
+            return await this.withLocalPBX(async (pbx, connect) => {
+                const service = new SIPService();
+                service.resolver = new SIPResolver({
+                    resolver: this.createDNS({
+                        srv: {
+                            '_sip._udp.pbx.test': [
+                                { name: 'primary.pbx.test', port: dead.localPort, priority: 10, weight: 10 },
+                                { name: 'secondary.pbx.test', port: pbx.udpPort, priority: 20, weight: 10 }
+                            ]
+                        },
+                        a: { 'primary.pbx.test': ['127.0.0.1'], 'secondary.pbx.test': ['127.0.0.1'] }
+                    })
+                });
+
+                await connect('alice', 'demo', { service, provider: 'CUSTOM', server: 'pbx.test', port: undefined });
+                const [account] = service.getAccounts();
+
+                return dead.registers.length === 1 &&
+                       account.registrar === `127.0.0.1:${pbx.udpPort}` &&
+                       pbx.getRegisteredUsers().includes('alice');
+            });
+        } finally {
+            dead.stop();
+        }
+    }
+
+    testStreamFraming() {
+        const raw = (body) => 'MESSAGE sip:bob@example.com SIP/2.0\r\n' +
+            'Via: SIP/2.0/TCP 10.0.0.1:5060;branch=z9hG4bKstream\r\n' +
+            'Call-ID: stream-test\r\n' +
+            'CSeq: 1 MESSAGE\r\n' +
+            `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`;
+
+        const parser = new SIPStreamParser();
+        const bodies = [];
+        const errors = [];
+        let pings = 0;
+        parser.on('message', (data) => bodies.push(SIPMessage.parse(data).body));
+        parser.on('ping', () => pings++);
+        parser.on('error', (error) => errors.push(error));
+
+        // Keep-alive, then two messages split at awkward offsets (including inside a multi-byte character)
+        const stream = Buffer.from('\r\n\r\n' + raw('héllo wörld') + raw('second'));
+        for (let offset = 0; offset < stream.length; offset += 7) {
+            parser.push(stream.slice(offset, offset + 7));
+        }
+
+        parser.push(Buffer.from('OPTIONS sip:bob@example.com SIP/2.0\r\nCall-ID: x\r\n\r\n'));
+
+        return pings === 1 &&
+               bodies.length === 2 && bodies[0] === 'héllo wörld' && bodies[1] === 'second' &&
+               errors.length === 1 && parser.buffer.length === 0;
+    }
+
+    async testOversizedStreamMessages() {
+        const head = 'MESSAGE sip:bob@127.0.0.1 SIP/2.0\r\n' +
+            'Via: SIP/2.0/TCP 127.0.0.1:5060;branch=z9hG4bKhuge\r\n' +
+            'From: <sip:alice@127.0.0.1>;tag=a\r\nTo: <sip:bob@127.0.0.1>\r\n' +
+            'Call-ID: huge\r\nCSeq: 1 MESSAGE\r\n' +
+            `Content-Length: ${SIPStreamParser.MAX_BODY_SIZE + 1}\r\n\r\n`;
+
+        const parser = new SIPStreamParser();
+        const errors = [];
+        parser.on('error', (error) => errors.push(error));
+        parser.push(Buffer.from(head));
+        parser.push(Buffer.from('more body bytes'));
+
+        const endless = new SIPStreamParser();
+        endless.on('error', (error) => errors.push(error));
+        endless.push(Buffer.alloc(SIPStreamParser.MAX_HEADER_SIZE + 1, 'a'));
+
+        const rejection = SIPMessage.parse(SIPStreamParser.rejection(errors[0]));
+        const malformed = SIPMessage.parseURI('sip:%E0%A4%A@example.com?subject=%zz');
+
+        const framing = errors.length === 2 && errors[0].status === 413 && parser.buffer.length === 0 &&
+                        rejection.status === 413 && rejection.get('Call-ID') === 'huge' &&
+                        errors[1].status === 513 && SIPStreamParser.rejection(errors[1]) === null &&
+                        malformed.user === '%E0%A4%A' && malformed.headers.subject === '%zz';
+
+        // The local PBX answers an oversized request over TCP, then closes the connection
+        return framing && this.withLocalPBX(async (pbx) => {
+            const socket = net.connect(pbx.tcpPort, '127.0.0.1');
+            let received = '';
+            socket.on('data', (data) => { received += data.toString(); });
+            const closed = new Promise(resolve => socket.on('close', resolve));
+
+            socket.write(head);
+            await Promise.race([closed, new Promise(resolve => setTimeout(resolve, 2000))]);
+            socket.destroy();
+
+            return received.startsWith('SIP/2.0 413 Request Entity Too Large');
+        });
+    }
+
+    async testTCPTransport() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice', 'demo', { transport: 'TCP', port: pbx.tcpPort });
+            const bob = await connect('bob');
+
+            const binding = pbx.bindings.get('alice');
+            if (!binding || binding.flow.transport !== 'TCP') return false;
+
+            // Outbound over TCP
+            const bobRinging = this.waitFor(bob, 'incoming-call');
+            await alice.makeCall('bob');
+            const [toBob] = await bobRinging;
+            const aliceConnected = this.waitFor(alice, 'call-connected');
+            await bob.answerCall(toBob.id);
+            await aliceConnected;
+
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            await alice.hangupCall(alice.getActiveCalls()[0].id);
+            await bobEnded;
+
+            // Inbound: the PBX reaches alice over the connection she opened
+            const aliceRinging = this.waitFor(alice, 'incoming-call');
+            await bob.makeCall('alice');
+            const [toAlice] = await aliceRinging;
+            const bobConnected = this.waitFor(bob, 'call-connected');
+            await alice.answerCall(toAlice.id);
+            await bobConnected;
+
+            const aliceEnded = this.waitFor(alice, 'call-ended');
+            await bob.hangupCall(bob.getActiveCalls()[0].id);
+            await aliceEnded;
+
+            const transport = alice.getAccount().userAgent.transport;
+            return transport.reliable &&
+                   new Set(transport.connections.values()).size === 1 &&
+                   alice.getAccount().userAgent.contact.includes('transport=tcp');
+        });
+    }
+
+    async testNATContactRewrite() {
+        // Registrar behind which we appear as 203.0.113.9:40000 and that supports outbound
+        const registrar = await this.createPeer();
+        registrar.registers = [];
+        registrar.removeAllListeners('request');
+        registrar.on('request', (request, transaction) => {
+            registrar.registers.push(request.clone());
+
+            const vias = request.getAll('Via');
+            const via = request.via;
+            via.params.received = '203.0.113.9';
+            via.params.rport = '40000';
+            vias[0] = SIPMessage.formatVia(via);
+            request.remove('Via');
+            vias.forEach(value => request.add('Via', value));
+
+            registrar.respond(transaction, 200, {
+                headers: {
+                    'Contact': `${request.get('Contact')};expires=${request.get('Expires')}`,
+                    'Require': 'outbound',
+                    'Flow-Timer': '30'
+                }
+            });
+        });
+
+        const service = new SIPService();
+        try {
+            const result = await service.connect({
+                provider: 'CUSTOM',
+                server: '127.0.0.1',
+                port: registrar.localPort,
+                username: 'alice',
+                password: 'demo'
+            });
+            if (!result.success) return false;
+
+            const [first, unregister, rewritten] = registrar.registers;
+            const account = service.getAccount();
+            const localContact = `127.0.0.1:${account.userAgent.localPort}`;
+
+            return registrar.registers.length === 3 &&
+                   first.get('Contact').includes(`+sip.instance="<urn:uuid:${service.instanceId}>"`) &&
+                   first.get('Contact').includes('reg-id=1') &&
+                   /outbound/.test(first.get('Supported')) &&
+                   unregister.get('Expires') === '0' && unregister.get('Contact').includes(localContact) &&
+                   rewritten.get('Contact').includes('203.0.113.9:40000') &&
+                   account.userAgent.contact.includes('203.0.113.9:40000') &&
+                   account.keepAlive.isRunning && account.keepAlive.currentInterval === 30000;
+        } finally {
+            this.stopService(service);
+            registrar.stop();
+        }
+    }
+
+    async testKeepAliveFlowRecovery() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            // CRLF ping/pong over an outbound TCP flow
+            const alice = await connect('alice', 'demo', { transport: 'TCP', port: pbx.tcpPort });
+            const keepAlive = alice.getAccount().keepAlive;
+            if (!keepAlive.expectPong) return false;
+
+            const [pong] = await this.waitFor(keepAlive, 'alive', 3000);
+            if (pong.method !== 'crlf') return false;
+
+            // Losing the connection re-registers over a new one
+            const oldSocket = pbx.bindings.get('alice').flow.socket;
+            const reregistered = this.waitFor(pbx, 'registered');
+            oldSocket.destroy();
+            await reregistered;
+
+            const binding = pbx.bindings.get('alice');
+
+            // OPTIONS pings over UDP
+            const bob = await connect('bob', 'demo', { keepAliveMethod: 'options', keepAliveInterval: 0.2 });
+            const [options] = await this.waitFor(bob.getAccount().keepAlive, 'alive', 3000);
+
+            return binding.flow.socket !== oldSocket && !binding.flow.socket.destroyed &&
+                   alice.getAccount().isConnected &&
+                   options.method === 'options' && options.status === 200;
+        }, { flowTimer: 1 });
+    }
+
+    testCallStateMachine() {
+        const call = new CallStateMachine();
+        const changes = [];
+        call.on('change', (change) => changes.push(`${change.previousState}>${change.state}`));
+
+        call.transition('ringing');
+        call.transition('early');
+        call.transition('confirmed');
+        call.transition('held');
+        call.transition('confirmed');
+
+        let rejected = false;
+        try {
+            call.transition('ringing');
+        } catch (error) {
+            rejected = true;
+        }
+
+        call.terminate({ reason: 'remote-hangup' });
+
+        const busy = new CallStateMachine();
+        busy.transition('ringing');
+        busy.terminate({ sipCode: 486, reason: 'Busy Here' });
+
+        const missed = new CallStateMachine('ringing');
+        missed.terminate({ sipCode: 487, reason: 'cancelled' });
+
+        return rejected &&
+               changes.join(',') === 'trying>ringing,ringing>early,early>confirmed,confirmed>held,held>confirmed,confirmed>terminated' &&
+               call.outcome('outbound') === 'completed' && call.cause.cause === 'remote-hangup' &&
+               busy.outcome('outbound') === 'busy' && busy.cause.cause === 'busy' &&
+               missed.outcome('inbound') === 'missed' && missed.cause.cause === 'cancelled' &&
+               new CallStateMachine().outcome('outbound', 603) === 'failed' &&
+               CallStateMachine.causeFor(480) === 'unavailable' && CallStateMachine.causeFor(603) === 'declined';
+    }
+
+    async testCallStatesAndCauses() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+
+            const states = new Map();
+            alice.on('call-state', (call) => {
+                states.set(call.id, [...(states.get(call.id) || ['trying']), call.state]);
+            });
+
+            const place = async (number, hangupWhen = null) => {
+                const ended = this.waitFor(alice, 'call-ended');
+                const { callId } = await alice.makeCall(number);
+                if (hangupWhen) {
+                    await this.waitFor(alice, hangupWhen);
+                    await alice.hangupCall(callId);
+                }
+                const [call] = await ended;
+                return { call, path: states.get(callId).join('>') };
+            };
+
+            // Early media, answered, then hung up by us
+            const early = await place('early', 'call-connected');
+            // Ringing, then 486
+            const busy = await place('busy');
+            // Ringing until we give up
+            const cancelled = await place('noanswer', 'call-ringing');
+
+            // Inbound: declined by alice, then missed when bob gives up
+            const aliceRings = this.waitFor(alice, 'incoming-call');
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            await bob.makeCall('alice');
+            const [declinedCall] = await aliceRings;
+            const aliceDeclined = this.waitFor(alice, 'call-ended');
+            await alice.hangupCall(declinedCall.id);
+            const [[declined], [rejected]] = await Promise.all([aliceDeclined, bobEnded]);
+
+            const aliceRingsAgain = this.waitFor(alice, 'incoming-call');
+            const aliceMissed = this.waitFor(alice, 'call-ended');
+            const { callId: bobCall } = await bob.makeCall('alice');
+            await aliceRingsAgain;
+            await bob.hangupCall(bobCall);
+            const [missed] = await aliceMissed;
+
+            return early.path === 'trying>early>confirmed>terminated' && early.call.outcome === 'completed' &&
+                   busy.path === 'trying>ringing>terminated' && busy.call.sipCode === 486 &&
+                   busy.call.cause === 'busy' && busy.call.outcome === 'busy' &&
+                   cancelled.call.sipCode === 487 && cancelled.call.outcome === 'cancelled' &&
+                   declined.outcome === 'declined' && declined.sipCode === 603 &&
+                   rejected.sipCode === 603 && rejected.cause === 'declined' && rejected.outcome === 'failed' &&
+                   missed.outcome === 'missed' && missed.cause === 'cancelled';
+        });
+    }
+
+    async testHoldAndResume() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+
+            // Direction offered in the re-INVITEs bob receives, and answered in the 200s to each side's re-INVITEs
+            const offers = [];
+            const answers = { alice: [], bob: [] };
+            bob.getAccount().userAgent.on('dialog-request', (dialog, request) => {
+                if (request.method === 'INVITE') offers.push(SDP.getMediaTarget(request.body).direction);
+            });
+            for (const [name, service] of [['alice', alice], ['bob', bob]]) {
+                service.getAccount().userAgent.transport.on('message', (message) => {
+                    if (!message.isRequest && message.cseq.method === 'INVITE' && message.cseq.seq > 1 && message.body) {
+                        answers[name].push(SDP.getMediaTarget(message.body).direction);
+                    }
+                });
+            }
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const { callId } = await alice.makeCall('bob');
+            const [inbound] = await incoming;
+            const connected = this.waitFor(alice, 'call-connected');
+            await bob.answerCall(inbound.id);
+            await connected;
+
+            const bobHeld = this.waitFor(bob, 'call-held');
+            const hold = await alice.holdCall(callId);
+            const heldByAlice = { ...(await bobHeld)[0] };
+
+            // Both hold, then alice resumes: still held until bob resumes too
+            await bob.holdCall(inbound.id);
+            const aliceResume = await alice.resumeCall(callId);
+            const stillHeld = { ...alice.getActiveCalls()[0] };
+
+            const aliceResumed = this.waitFor(alice, 'call-resumed');
+            await bob.resumeCall(inbound.id);
+            await aliceResumed;
+            const resumed = { ...alice.getActiveCalls()[0] };
+            const exchanged = offers.join(',') === 'sendonly,sendrecv' &&
+                              answers.alice.join(',') === 'recvonly,sendonly' && answers.bob.join(',') === 'inactive,sendrecv';
+
+            // A re-INVITE lost with the transport must not leave the call locked against later updates
+            const userAgent = alice.getAccount().userAgent;
+            const sendInDialog = userAgent.sendInDialog;
+            userAgent.sendInDialog = async () => { throw new Error('Transport closed'); };
+            const lost = await alice.holdCall(callId);
+            userAgent.sendInDialog = sendInDialog;
+            const unheld = alice.callSessions.get(callId).localHold === null;
+            const retried = await alice.holdCall(callId);
+
+            return hold.success && hold.state === 'held' &&
+                   lost.success === false && lost.error === 'Transport closed' && unheld && retried.success &&
+                   heldByAlice.state === 'held' && heldByAlice.remoteHold && !heldByAlice.localHold &&
+                   aliceResume.success && stillHeld.state === 'held' && stillHeld.remoteHold && !stillHeld.localHold &&
+                   resumed.state === 'confirmed' && !resumed.remoteHold && exchanged &&
+                   (await alice.resumeCall('missing')).success === false;
+        });
+    }
+
+    async testReinviteGlare() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+            alice.glareRetryDelays = { owner: [300, 400], other: [0, 100] };
+            bob.glareRetryDelays = alice.glareRetryDelays;
+
+            const glares = [];
+            for (const service of [alice, bob]) {
+                service.getAccount().userAgent.transport.on('message', (message) => {
+                    if (!message.isRequest && message.status === 491) glares.push(message);
+                });
+            }
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const { callId } = await alice.makeCall('bob');
+            const [inbound] = await incoming;
+            const connected = this.waitFor(alice, 'call-connected');
+            await bob.answerCall(inbound.id);
+            await connected;
+
+            // Both sides hold at once: each answers the other's re-INVITE with 491, then both retry
+            const [aliceHold, bobHold] = await Promise.all([alice.holdCall(callId), bob.holdCall(inbound.id)]);
+            const aliceCall = alice.getActiveCalls()[0];
+            const bobCall = bob.getActiveCalls()[0];
+
+            return glares.length >= 2 && aliceHold.success && bobHold.success &&
+                   aliceCall.state === 'held' && aliceCall.localHold && aliceCall.remoteHold &&
+                   bobCall.state === 'held' && bobCall.localHold && bobCall.remoteHold;
+        });
+    }
+
+    async testBlindTransfer() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+            const carol = await connect('carol');
+
+            const progress = [];
+            alice.on('transfer-progress', (update) => progress.push(`${update.state}:${update.status}`));
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const { callId } = await alice.makeCall('bob');
+            const [inbound] = await incoming;
+            const connected = this.waitFor(alice, 'call-connected');
+            await bob.answerCall(inbound.id);
+            await connected;
+
+            // A busy target leaves the original call up
+            const busyResult = this.waitFor(alice, 'transfer-progress');
+            await alice.transferCall(callId, 'busy');
+            let [result] = await busyResult;
+            while (result.state !== 'failed') [result] = await this.waitFor(alice, 'transfer-progress');
+            const afterFailure = alice.getActiveCalls()[0].state;
+
+            // tel: targets are dialed as their number, with the phone-context applied; a bad one is refused
+            const dialed = [];
+            const makeCall = bob.makeCall.bind(bob);
+            bob.makeCall = (number, options) => {
+                dialed.push(number);
+                return makeCall(number, options);
+            };
+            const telResult = this.waitFor(alice, 'transfer-progress');
+            await alice.refer(callId, 'tel:7042;phone-context=+1-201-555', '7042');
+            [result] = await telResult;
+            while (result.state !== 'failed') [result] = await this.waitFor(alice, 'transfer-progress');
+            const badTel = await alice.refer(callId, 'tel:555-01x0', '555-01x0');
+            bob.makeCall = makeCall;
+
+            // Carol answers the transferred call, then alice's leg ends
+            const carolRings = this.waitFor(carol, 'incoming-call');
+            const aliceEnded = this.waitFor(alice, 'call-ended');
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            await alice.transferCall(callId, 'carol');
+            const [transferred] = await carolRings;
+            const stillUp = alice.getActiveCalls().length === 1;
+            const bobConnected = this.waitFor(bob, 'call-connected');
+            await carol.answerCall(transferred.id);
+            const [[ended], [original]] = await Promise.all([aliceEnded, bobEnded, bobConnected]);
+
+            return afterFailure === 'confirmed' &&
+                   dialed.join(',') === '+12015557042' && badTel.error === 'Transfer rejected: 400 Bad Refer-To' &&
+                   stillUp && transferred.remoteNumber === 'bob' &&
+                   ended.endReason === 'transferred' && ended.cause === 'transferred' && ended.outcome === 'completed' &&
+                   original.endReason === 'remote-hangup' &&
+                   bob.getActiveCalls().length === 1 && bob.getActiveCalls()[0].state === 'confirmed' &&
+                   progress.includes('ringing:180') && progress[progress.length - 1] === 'succeeded:200';
+        });
+    }
+
+    async testAttendedTransfer() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+            const carol = await connect('carol');
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const { callId } = await alice.makeCall('bob');
+            const [inbound] = await incoming;
+            const connected = this.waitFor(alice, 'call-connected');
+            await bob.answerCall(inbound.id);
+            await connected;
+
+            const consult = async () => {
+                const carolRings = this.waitFor(carol, 'incoming-call');
+                const consultConnected = this.waitFor(alice, 'call-connected');
+                const started = await alice.startAttendedTransfer(callId, 'carol');
+                const [ringing] = await carolRings;
+                await carol.answerCall(ringing.id);
+                await consultConnected;
+                return started;
+            };
+
+            // Cancelled: the consultation ends and bob is resumed
+            const first = await consult();
+            const bobHeld = bob.getActiveCalls()[0].state;
+            const bobResumed = this.waitFor(bob, 'call-resumed');
+            await alice.cancelAttendedTransfer(callId);
+            await bobResumed;
+            const afterCancel = alice.getActiveCalls().map(call => call.state).join(',');
+
+            // Completed: bob's INVITE with Replaces takes over carol's consultation call
+            const second = await consult();
+            const replaced = this.waitFor(carol, 'call-replaced');
+            const consultEnded = this.waitFor(carol, 'call-ended');
+            const aliceDone = this.waitFor(alice, 'transfer-progress');
+            await alice.completeAttendedTransfer(callId);
+            const [[replacement], [oldCall]] = await Promise.all([replaced, consultEnded]);
+            let [progress] = await aliceDone;
+            while (progress.state !== 'succeeded' && progress.state !== 'failed') {
+                [progress] = await this.waitFor(alice, 'transfer-progress');
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            const bobCalls = bob.getActiveCalls();
+            return first.success && bobHeld === 'held' && afterCancel === 'confirmed' &&
+                   second.success && second.consultationId !== first.consultationId &&
+                   oldCall.endReason === 'replaced' && replacement.remoteNumber === 'bob' && replacement.state === 'confirmed' &&
+                   progress.state === 'succeeded' && alice.getActiveCalls().length === 0 &&
+                   bobCalls.length === 1 && bobCalls[0].state === 'confirmed' &&
+                   carol.getActiveCalls().length === 1 &&
+                   (await alice.completeAttendedTransfer('missing')).success === false;
+        });
+    }
+
+    async testConcurrentCallLimit() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const features = new FeatureManagementService();
+            features.initializeFeatures();
+
+            const alice = await connect('alice');
+            const bob = await connect('bob', 'demo', { service: new SIPService() });
+            const carol = await connect('carol');
+            bob.setFeatureManager(features);
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            await alice.makeCall('bob');
+            const [first] = await incoming;
+            await bob.answerCall(first.id);
+
+            // Community license: one line, so carol is busy and bob cannot dial out
+            const carolEnded = this.waitFor(carol, 'call-ended');
+            await carol.makeCall('bob');
+            const [busy] = await carolEnded;
+            const outbound = await bob.makeCall('carol');
+
+            // Professional license: carol's call waits on a second line
+            features.enableFeature('pro.concurrent_calls', true);
+            const waiting = this.waitFor(bob, 'incoming-call');
+            await carol.makeCall('bob');
+            const [second] = await waiting;
+
+            return busy.sipCode === 486 && busy.outcome === 'busy' &&
+                   outbound.success === false && outbound.error.startsWith('Call limit reached (1)') &&
+                   bob.getCallLimit() === 5 && second.remoteNumber === 'carol' &&
+                   bob.getActiveCalls().length === 2;
+        });
+    }
+
+    async testCallQuality() {
+        const report = (received, lost, jitter, rtt) => new Map([
+            ['in', { id: 'in', type: 'inbound-rtp', kind: 'audio', packetsReceived: received, packetsLost: lost, jitter, codecId: 'c' }],
+            ['remote', { id: 'remote', type: 'remote-inbound-rtp', kind: 'audio', roundTripTime: rtt }],
+            ['c', { id: 'c', type: 'codec', mimeType: 'audio/PCMU' }]
+        ]);
+        const reports = [report(100, 0, 0.005, 0.04), report(180, 20, 0.04, 0.4)];
+        const unmeasured = CallQualityMonitor.measure(new Map([['in', { id: 'in', type: 'inbound-rtp', kind: 'audio', packetsReceived: 50, packetsLost: 0, jitter: 0.005 }]]));
+
+        const monitor = new CallQualityMonitor({ interval: 10 });
+        const samples = [];
+        monitor.on('call-quality', (sample) => samples.push(sample));
+        monitor.watch('call-1', async () => reports[Math.min(samples.length, 1)]);
+        while (samples.length < 2) {
+            await this.waitFor(monitor, 'call-quality');
+        }
+        const summary = monitor.unwatch('call-1');
+        const [clean, lossy] = samples;
+
+        // Receive side of a plain RTP session: sequence 3 never arrives, 6 and 7 are a telephone-event
+        // repeating one timestamp, which must not count as audio or jitter
+        const rtp = new RTPSession();
+        await rtp.open();
+        const sender = dgram.createSocket('udp4');
+        try {
+            for (const seq of [1, 2, 4, 5, 6, 7]) {
+                const packet = Buffer.alloc(seq > 5 ? 16 : 172);
+                packet[0] = 0x80;
+                packet[1] = seq > 5 ? 101 : 0;
+                packet.writeUInt16BE(seq, 2);
+                packet.writeUInt32BE(Math.min(seq, 5) * 160, 4);
+                await new Promise(resolve => sender.send(packet, rtp.localPort, '127.0.0.1', resolve));
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        } finally {
+            sender.close();
+            rtp.close();
+        }
+        const inbound = rtp.getStats().get('RTPInbound');
+
+        return clean.rating === 'good' && clean.mos > 4.3 && clean.codec === 'PCMU' &&
+               lossy.packetLoss === 20 && lossy.rtt === 400 && lossy.jitter === 40 &&
+               CallQualityMonitor.isDegraded(lossy.rating) && lossy.previousRating === 'good' &&
+               summary.samples === 2 && summary.minMos === lossy.mos &&
+               monitor.calls.size === 0 &&
+               inbound.packetsReceived === 4 && inbound.packetsLost === 1 && rtp.receiveStats.other === 2 &&
+               unmeasured.rtt === null && CallQualityMonitor.summarize([{ ...unmeasured, mos: 4.4 }]).rtt === null;
+    }
+
+    async testConferenceBridge() {
+        // Stand-ins for RTP sessions: packets in through 'packet', mixed frames out through sendRTP
+        const party = (name, payload) => {
+            const rtp = new EventEmitter();
+            rtp.codec = { name, payload, clockRate: 8000 };
+            rtp.sent = [];
+            rtp.sendRTP = (payloadType, frame) => rtp.sent.push({ payloadType, frame });
+            rtp.speak = (level, payloadType = payload) => {
+                const encode = name === 'PCMA' ? DTMF.linearToAlaw : DTMF.linearToUlaw;
+                const packet = Buffer.alloc(12 + 160, encode(level));
+                packet[0] = 0x80;
+                packet[1] = payloadType;
+                rtp.emit('packet', packet);
+            };
+            return rtp;
+        };
+        const heard = (rtp) => {
+            const { frame } = rtp.sent[rtp.sent.length - 1];
+            return ConferenceBridge.decode(frame, rtp.codec.name)[80];
+        };
+        const near = (value, expected) => Math.abs(value - expected) <= expected * 0.07 + 16;
+
+        const alice = party('PCMU', 0);
+        const bob = party('PCMA', 8);
+        const carol = party('PCMU', 0);
+        const bridge = new ConferenceBridge({ maxParticipants: 3 });
+        bridge.add('a', alice, { label: 'alice' });
+        bridge.add('b', bob, { label: 'bob' });
+        bridge.add('c', carol, { label: 'carol' });
+        const full = bridge.add('d', party('PCMU', 0));
+        bridge.stop();
+
+        // Everyone hears the others and not themselves; carol's telephone-event stays out of the mix
+        alice.speak(1000);
+        bob.speak(2000);
+        carol.speak(8000, 101);
+        bridge.mix();
+        const mixed = [heard(alice), heard(bob), heard(carol)];
+
+        // A muted party is still sent the mix but adds nothing to it
+        bridge.setMuted('b', true);
+        alice.speak(1000);
+        bob.speak(2000);
+        bridge.mix();
+        const muted = [heard(alice), heard(carol)];
+
+        bridge.remove('a');
+        const removed = alice.listenerCount('packet') === 0 && bridge.timer === null;
+        bridge.close();
+
+        // The local microphone is mixed into every call, and the local user hears every call but not themselves
+        const frank = party('PCMU', 0);
+        const grace = party('PCMA', 8);
+        const withMic = new ConferenceBridge();
+        const speaker = [];
+        withMic.on('local-audio', (samples) => speaker.push(samples[80]));
+        withMic.add('f', frank);
+        withMic.add('g', grace);
+        withMic.joinLocal();
+        withMic.stop();
+        withMic.feedLocal(new Int16Array(100).fill(4000));
+        withMic.feedLocal(new Int16Array(60).fill(4000));
+        frank.speak(1000);
+        withMic.mix();
+        const local = [heard(frank), heard(grace), speaker[0]];
+
+        // Leaving takes the microphone out and stops the speaker; the calls still hear each other
+        withMic.leaveLocal();
+        frank.speak(1000);
+        withMic.mix();
+        const leftLocal = near(heard(frank), 0) && near(heard(grace), 1000) && speaker.length === 1;
+        withMic.remove('f');
+        withMic.joinLocal();
+        withMic.remove('g');
+        const emptied = withMic.local === null && withMic.timer === null;
+        withMic.close();
+
+        // Through SIPService: two connected calls join, a hang-up drops one from the mix
+        const service = await this.withLocalPBX(async (pbx, connect) => {
+            const features = new FeatureManagementService();
+            features.initializeFeatures();
+
+            features.enableFeature('pro.concurrent_calls', true);
+
+            const dave = await connect('dave');
+            dave.setFeatureManager(features);
+            const callEcho = async () => {
+                const connected = this.waitFor(dave, 'call-connected');
+                const { callId } = await dave.makeCall('echo');
+                await connected;
+                return callId;
+            };
+            const first = await callEcho();
+            const second = await callEcho();
+
+            const unlicensed = dave.joinConference(first);
+            features.enableFeature('pro.conference_calls', true);
+            dave.joinConference(first);
+            const joined = this.waitFor(dave, 'conference-state');
+            dave.joinConference(second);
+            const [state] = await joined;
+
+            const sent = dave.callSessions.get(second).rtp.packetsSent;
+            const [mixed] = await this.waitFor(dave, 'conference-audio');
+            await new Promise(resolve => setTimeout(resolve, 100));
+            const mixing = dave.callSessions.get(second).rtp.packetsSent > sent && mixed.length === 160;
+
+            // Leaving quietly drops only the local user
+            const quietly = this.waitFor(dave, 'conference-state');
+            const leftQuietly = dave.leaveConference();
+            const [without] = await quietly;
+            const quiet = leftQuietly.success && !without.local && without.participants.length === 2 &&
+                          dave.leaveConference().success === false && !dave.feedConferenceAudio(new Int16Array(160));
+
+            const left = this.waitFor(dave, 'conference-state');
+            await dave.hangupCall(first);
+            const [after] = await left;
+
+            return unlicensed.success === false && state.participants.length === 2 && state.limit === 5 && state.local &&
+                   mixing && quiet && after.participants.length === 1 && after.participants[0].callId === second &&
+                   dave.leaveConference(second).success && dave.conference.size === 0;
+        });
+
+        return full.success === false && full.error === 'Conference is limited to 3 participants' &&
+               near(mixed[0], 2000) && near(mixed[1], 1000) && near(mixed[2], 3000) &&
+               near(muted[0], 0) && near(muted[1], 1000) && removed &&
+               near(local[0], 4000) && near(local[1], 5000) && near(local[2], 1000) && leftLocal && emptied && service;
+    }
+
+    async testDTMFModes() {
+        return this.withLocalPBX(async (pbx, connect) => {
+            const collect = (service, count) => new Promise((resolve) => {
+                const digits = [];
+                service.on('dtmf-received', (dtmf) => {
+                    digits.push(dtmf);
+                    if (digits.length === count) resolve(digits);
+                });
+            });
+            const callEcho = async (service) => {
+                const connected = this.waitFor(service, 'call-connected');
+                const { callId } = await service.makeCall('echo');
+                await connected;
+                return callId;
+            };
+
+            // RFC 4733: the echo extension reflects our telephone-events back
+            const alice = await connect('alice');
+            const aliceFirst = await callEcho(alice);
+            const echoed = collect(alice, 2);
+            const relayed = await alice.sendDTMF('1#');
+            const events = [...await echoed];
+            const invalid = await alice.sendDTMF('1x');
+
+            // SIP INFO through the PBX to bob
+            const carol = await connect('carol', 'demo', { dtmfMode: 'info', dtmfDuration: 120 });
+            const bob = await connect('bob');
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const connected = this.waitFor(carol, 'call-connected');
+            await carol.makeCall('bob');
+            const [inbound] = await incoming;
+            await bob.answerCall(inbound.id);
+            await connected;
+            const bobHears = collect(bob, 1);
+            const info = await carol.sendDTMF('5');
+            const [infoDigit] = await bobHears;
+
+            // In-band: 60 ms of G.711 tone is three 20 ms packets, echoed back
+            const dave = await connect('dave', 'demo', { dtmfMode: 'inband', dtmfDuration: 60 });
+            const daveCall = await callEcho(dave);
+            const rtp = dave.callSessions.get(daveCall).rtp;
+            const before = rtp.packetsReceived;
+            const inband = await dave.sendDTMF('7');
+            await new Promise(resolve => setTimeout(resolve, 100));
+
+            // Two lines: digits go to the call named, and by default to the one not on hold
+            await alice.holdCall(aliceFirst);
+            const aliceSecond = await callEcho(alice);
+            const toCurrent = await alice.sendDTMF('2');
+            const toNamed = await alice.sendDTMF('3', aliceFirst);
+
+            return relayed.method === 'rfc4733' &&
+                   events.map(event => event.digit).join('') === '1#' && events[0].method === 'rfc4733' &&
+                   events[0].duration === 160 &&
+                   invalid.success === false && invalid.error === 'Invalid DTMF digit: x' &&
+                   info.method === 'info' && infoDigit.digit === '5' && infoDigit.duration === 120 &&
+                   infoDigit.method === 'info' && infoDigit.callId === inbound.id &&
+                   inband.method === 'inband' && rtp.packetsReceived - before >= 3 &&
+                   toCurrent.callId === aliceSecond && toNamed.callId === aliceFirst &&
+                   DTMF.parseRelay('Signal=*\r\nDuration=250').digit === '*' &&
+                   DTMF.parseRelay('#', 'application/dtmf').digit === '#' &&
+                   DTMF.linearToUlaw(0) === 0xff && DTMF.linearToAlaw(0) === 0xd5;
+        });
+    }
+
+    async testDialString() {
+        const parsed = DialString.parse('18005551234,,,98765#;');
+        const uri = DialString.parse('sip:bridge@example.com;transport=tcp');
+        let invalid = null;
+        try {
+            DialString.parse('5551234,12x');
+        } catch (error) {
+            invalid = error.message;
+        }
+
+        const parsing = parsed.number === '18005551234' &&
+                        DialString.format(parsed.steps) === ',,,98765#;' &&
+                        parsed.steps.filter(step => step.type === 'pause').length === 3 &&
+                        uri.number === 'sip:bridge@example.com;transport=tcp' && uri.steps.length === 0 &&
+                        invalid === 'Invalid character in dial string: x';
+
+        return parsing && this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice', 'demo', { dtmfPause: 100 });
+            const digits = [];
+            alice.on('dtmf-received', (dtmf) => digits.push(dtmf.digit));
+
+            const waiting = this.waitFor(alice, 'post-dial-wait');
+            const started = Date.now();
+            const { callId } = await alice.makeCall('echo,1;2#');
+            const [wait] = await waiting;
+            const sentBeforeWait = digits.join('');
+
+            const resumed = await alice.continueDialing(callId);
+            await new Promise(resolve => setTimeout(resolve, 600));
+            const call = alice.activeCalls.get(callId);
+            const again = await alice.continueDialing(callId);
+            const empty = await alice.makeCall(',,123');
+
+            return Date.now() - started >= 100 &&
+                   call.remoteNumber === 'echo' && call.dialString === 'echo,1;2#' &&
+                   sentBeforeWait === '1' && wait.callId === callId && wait.remaining === '2#' &&
+                   resumed.success && resumed.remaining === '2#' && digits.join('') === '12#' &&
+                   again.success === false && empty.error === 'No number to dial';
+        });
+    }
+
+    async testDialPlan() {
+        const us = new DialPlan({ rules: [{ prefix: '9', replace: '' }], blocked: ['+1900.', '976XXXX'], format: 'e164' });
+        const uk = new DialPlan({ countryCode: '44', internationalPrefix: '00', nationalPrefix: '0', nationalNumberLength: [9, 10], format: 'national' });
+
+        const national = us.route('9 1 (800) 555-1234');
+        const international = us.route('011 44 20 7946 0958');
+        const premium = us.route('1-900-555-1212');
+
+        const routing = national.dialed === '+18005551234' && national.type === 'national' && national.rule.prefix === '9' &&
+                        international.e164 === '+442079460958' && international.type === 'international' &&
+                        us.route('*97').type === 'extension' && us.route('bob').type === 'uri' &&
+                        premium.blocked === '+1900.' && us.route('9976 5551').blocked === '976XXXX' &&
+                        uk.route('+44 20 7946 0958').dialed === '02079460958' &&
+                        uk.route('001 800 555 1234').dialed === '0018005551234' &&
+                        us.matches('+1 (202) 555-0100', '2025550100') && !us.matches('', '');
+
+        return routing && this.withLocalPBX(async (pbx, connect) => {
+            const contacts = new ContactsService();
+            contacts.contacts.set('contact_office', {
+                id: 'contact_office',
+                displayName: 'Front Office',
+                phoneNumbers: [{ type: 'work', number: '+1 (202) 555-0100' }]
+            });
+            const bobService = new SIPService();
+            bobService.setContactsService(contacts);
+
+            const dialPlan = { rules: [{ prefix: '9', replace: '' }], blocked: ['+1900.'] };
+            const caller = await connect('12025550100', 'demo', { dialPlan });
+            const bob = await connect('2025550123', 'demo', { service: bobService });
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            const outbound = await caller.makeCall('9 (202) 555-0123');
+            const [inbound] = await incoming;
+            const blocked = await caller.makeCall('1 900 555 1212');
+
+            return outbound.success && inbound.remoteName === 'Front Office' && inbound.contactId === 'contact_office' &&
+                   inbound.e164 === '+12025550100' && caller.activeCalls.get(outbound.callId).e164 === '+12025550123' &&
+                   blocked.success === false && blocked.error === '1 900 555 1212 is blocked by the dial plan (+1900.)';
+        });
+    }
+
+    async testAutoAnswer() {
+        const invite = (headers) => SIPMessage.createRequest('INVITE', 'sip:bob@127.0.0.1', headers);
+        const callInfo = AutoAnswer.detect(invite({ 'Call-Info': '<sip:127.0.0.1>;answer-after=0' }));
+        const alertInfo = AutoAnswer.detect(invite({ 'Alert-Info': '<http://www.notused.com>;info=alert-autoanswer;delay=2' }));
+        const ringAnswer = AutoAnswer.detect(invite({ 'Alert-Info': 'Ring Answer' }));
+        const answerMode = AutoAnswer.detect(invite({ 'Answer-Mode': 'Auto;require' }));
+        const ringtone = AutoAnswer.detect(invite({ 'Alert-Info': '<http://example.com/ring.wav>;info=alert-external' }));
+
+        const hint = { delay: 0, source: 'call-info' };
+        const policies = AutoAnswer.decide(hint, { policy: 'never' }) === null &&
+                         AutoAnswer.decide(hint, { policy: 'intercom' }).intercom === true &&
+                         AutoAnswer.decide(hint, { policy: 'trusted', trusted: false }) === null &&
+                         AutoAnswer.decide(hint, { policy: 'intercom', busy: true }) === null &&
+                         AutoAnswer.decide(null, { policy: 'always', delay: 5 }).delay === 5 &&
+                         AutoAnswer.decide(null, { policy: 'intercom' }) === null;
+
+        const detected = callInfo.delay === 0 && callInfo.source === 'call-info' &&
+                         alertInfo.delay === 2 && alertInfo.source === 'alert-info' &&
+                         ringAnswer.source === 'alert-info' && answerMode.source === 'answer-mode' && ringtone === null;
+
+        return detected && policies && this.withLocalPBX(async (pbx, connect) => {
+            const bobService = new SIPService();
+            bobService.setAutoAnswerSettings({ policy: 'trusted', trusted: ['alice'] });
+
+            const alice = await connect('alice');
+            const carol = await connect('carol');
+            const bob = await connect('bob', 'demo', { service: bobService });
+
+            const headers = { 'Call-Info': '<sip:127.0.0.1>;answer-after=1' };
+            const trusted = this.waitFor(bob, 'incoming-call');
+            const fromAlice = await alice.makeCall('bob', { headers });
+            const [aliceCall] = await trusted;
+            await alice.hangupCall(fromAlice.callId);
+
+            const untrusted = this.waitFor(bob, 'incoming-call');
+            await carol.makeCall('bob', { headers });
+            const [carolCall] = await untrusted;
+
+            return aliceCall.intercom === true && aliceCall.autoAnswer.delay === 1 && aliceCall.autoAnswer.intercom === true &&
+                   carolCall.intercom === true && carolCall.autoAnswer === null;
+        });
+    }
+
+    async testRingRules() {
+        const ringtones = new RingtoneService();
+        ringtones.localServerRingtones = [{ id: 'sales', name: 'Sales' }];
+        ringtones.localServerUrl = 'http://localhost:8080';
+        ringtones.setRingtone('classic');
+        ringtones.setRingRules([
+            { match: 'alert-info', value: 'queue', ringtone: 'chime' },
+            { match: 'tag', value: 'Family', ringtone: 'bell' },
+            { match: 'account', value: 'office', ringtone: 'local_sales' },
+            { match: 'contact', value: '', ringtone: 'modern' }
+        ]);
+
+        const family = { id: 'contact_mum', displayName: 'Mum', tags: ['family'] };
+        const office = ringtones.ringtoneFor({ accountId: 'office', alertInfo: [] });
+        const rules = ringtones.ringRules.length === 3 &&
+                      ringtones.ringtoneFor({ alertInfo: [] }, family).id === 'bell' &&
+                      office.type === 'server' && office.url === 'http://localhost:8080/api/ringtones/sales/download' &&
+                      ringtones.ringtoneFor({ alertInfo: ['alert-external'] }).id === 'classic' &&
+                      ringtones.ringtoneFor(null).rule === null;
+
+        return rules && this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const bob = await connect('bob');
+
+            const incoming = this.waitFor(bob, 'incoming-call');
+            await alice.makeCall('bob', { headers: { 'Alert-Info': '<http://www.notused>;info=alert-queue' } });
+            const [call] = await incoming;
+            const ringtone = ringtones.ringtoneFor(call);
+
+            return call.alertInfo.includes('alert-queue') && ringtone.id === 'chime' &&
+                   ringtone.rule === 'Rule 1' && ringtone.pattern.length > 0;
+        });
+    }
+
+    async testCallForwarding() {
+        const rules = new CallForwarding({ busy: ' 2000 ', noAnswer: '', noAnswerTimeout: 'x' });
+        const engine = rules.enabled && rules.busy === '2000' && rules.noAnswer === null && rules.noAnswerTimeout === 20 &&
+                       rules.immediate({ busy: false }) === null && rules.immediate({ busy: true }).type === 'busy' &&
+                       new CallForwarding({ always: 'carol', busy: '2000' }).immediate({ busy: true }).type === 'always' &&
+                       CallForwarding.diversion('sip:bob@pbx', 'noAnswer') === '<sip:bob@pbx>;reason=no-answer;counter=1' &&
+                       new CallStateMachine('ringing').outcome('inbound', 302) === 'forwarded';
+
+        return engine && this.withLocalPBX(async (pbx, connect) => {
+            const alice = await connect('alice');
+            const carol = await connect('carol');
+            const bob = await connect('bob', 'demo', { forwarding: { always: 'carol' } });
+            const dave = await connect('dave', 'demo', { forwarding: { noAnswer: 'carol', noAnswerTimeout: 1 } });
+            const erin = await connect('erin', 'demo', { forwarding: { busy: 'carol' } });
+            const frank = await connect('frank');
+
+            // Unconditional: bob never rings and the PBX follows his 302 to carol
+            const forwarded = this.waitFor(bob, 'call-forwarded');
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            const atCarol = this.waitFor(carol, 'incoming-call');
+            const first = await alice.makeCall('bob');
+            const [[forward], [bobCall], [carolCall]] = await Promise.all([forwarded, bobEnded, atCarol]);
+            await alice.hangupCall(first.callId);
+
+            // No answer: dave rings for a second before the call moves on
+            const daveRinging = this.waitFor(dave, 'incoming-call');
+            const deflected = this.waitFor(carol, 'incoming-call');
+            const second = await alice.makeCall('dave');
+            const [daveCall] = await daveRinging;
+            const daveRang = daveCall.state === 'ringing';
+            const [[daveEnded]] = await Promise.all([this.waitFor(dave, 'call-ended'), deflected]);
+            await alice.hangupCall(second.callId);
+
+            // Busy: a call erin is still dialing doesn't count, one she is talking on does
+            const frankRinging = this.waitFor(frank, 'incoming-call');
+            const dialing = await erin.makeCall('frank');
+            await frankRinging;
+            const erinRinging = this.waitFor(erin, 'incoming-call');
+            const whileDialing = await alice.makeCall('erin');
+            const [rangWhileDialing] = await erinRinging;
+            const rangAlongside = rangWhileDialing.state === 'ringing';
+            await alice.hangupCall(whileDialing.callId);
+            await erin.hangupCall(dialing.callId);
+
+            const talking = this.waitFor(erin, 'call-connected');
+            await erin.makeCall('9000');
+            await talking;
+            const busyForwarded = this.waitFor(erin, 'call-forwarded');
+            const carolCovers = this.waitFor(carol, 'incoming-call');
+            const third = await alice.makeCall('erin');
+            const [[busyForward]] = await Promise.all([busyForwarded, carolCovers]);
+            await alice.hangupCall(third.callId);
+
+            // Deflection of a ringing call; anything else is refused
+            const carolRinging = this.waitFor(carol, 'incoming-call');
+            await alice.makeCall('carol');
+            const [ringing] = await carolRinging;
+            const deflect = await carol.deflectCall(ringing.id, 'dave');
+            const refused = await carol.deflectCall(ringing.id, 'dave');
+
+            return forward.type === 'always' && forward.target === 'carol' &&
+                   bobCall.outcome === 'forwarded' && bobCall.forwardedTo === 'carol' && bobCall.sipCode === 302 &&
+                   carolCall.remoteNumber === 'alice' &&
+                   daveRang && daveEnded.outcome === 'forwarded' && daveEnded.forwardType === 'noAnswer' &&
+                   rangAlongside && busyForward.type === 'busy' && busyForward.target === 'carol' &&
+                   deflect.success && deflect.target === 'dave' && refused.success === false;
+        });
+    }
+
+    async testDoNotDisturb() {
+        // Weeknights 18:00-08:00 past midnight; 2026-03-06 is a Friday
+        const at = (day, time) => new Date(`2026-03-${String(day).padStart(2, '0')}T${time}:00`);
+        const scheduled = new DoNotDisturb({ schedule: [{ days: [1, 2, 3, 4, 5], start: '18:00', end: '08:00' }], response: 'voicemail' });
+        const quiet = new DoNotDisturb({ quietHours: { start: '13:00', end: '14:00' }, response: 480 });
+        const suspended = new DoNotDisturb({ quietHours: { start: '13:00', end: '14:00' }, suspendedUntil: at(6, '14:00') });
+
+        const engine = scheduled.reasonAt(at(6, '19:00')) === 'schedule' && scheduled.reasonAt(at(7, '07:59')) === 'schedule' &&
+                       scheduled.reasonAt(at(7, '19:00')) === null && scheduled.reasonAt(at(6, '12:00')) === null &&
+                       scheduled.activeUntil(at(6, '23:00')).getTime() === at(7, '08:00').getTime() &&
+                       scheduled.response === 486 && scheduled.decide(null, at(6, '19:00')).status === 486 &&
+                       quiet.decide(null, at(6, '13:30')).status === 480 && quiet.decide(null, at(6, '12:30')) === null &&
+                       suspended.reasonAt(at(6, '13:30')) === null && suspended.reasonAt(at(9, '13:30')) === 'quiet-hours' &&
+                       quiet.decide({ favorite: true }, at(6, '13:30')) === null && quiet.decide({ tags: ['VIP'] }, at(6, '13:30')) === null &&
+                       new DoNotDisturb({ enabled: true, vipFavorites: false }).decide({ favorite: true }).reason === 'manual' &&
+                       DoNotDisturb.parseWindow({ start: '25:00', end: '08:00' }) === null;
+
+        return engine && this.withLocalPBX(async (pbx, connect) => {
+            const contacts = new ContactsService();
+            contacts.contacts.set('contact_dave', { id: 'contact_dave', displayName: 'Dave', phoneNumbers: [{ number: 'dave' }], tags: ['vip'] });
+            const bobService = new SIPService();
+            bobService.setContactsService(contacts);
+            bobService.setDoNotDisturb({ enabled: true, response: 603 });
+
+            const alice = await connect('alice');
+            const carol = await connect('carol');
+            const dave = await connect('dave');
+            const bob = await connect('bob', 'demo', { service: bobService });
+
+            // Turned away with 603 without ringing
+            const rejected = this.waitFor(bob, 'dnd-rejected');
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            const aliceEnded = this.waitFor(alice, 'call-ended');
+            await alice.makeCall('bob');
+            const [[rejection], [bobCall], [aliceCall]] = await Promise.all([rejected, bobEnded, aliceEnded]);
+
+            // A VIP rings through
+            const vipRinging = this.waitFor(bob, 'incoming-call');
+            const vip = await dave.makeCall('bob');
+            const [vipCall] = await vipRinging;
+            await dave.hangupCall(vip.callId);
+
+            // Voicemail: forwarded to carol with a do-not-disturb Diversion
+            bobService.setDoNotDisturb({ enabled: true, response: 'voicemail', voicemail: 'carol' });
+            const forwarded = this.waitFor(bob, 'call-forwarded');
+            const atCarol = this.waitFor(carol, 'incoming-call');
+            const toVoicemail = await alice.makeCall('bob');
+            const [[forward]] = await Promise.all([forwarded, atCarol]);
+            await alice.hangupCall(toVoicemail.callId);
+
+            return rejection.reason === 'manual' && rejection.response === 603 &&
+                   bobCall.outcome === 'declined' && bobCall.doNotDisturb === 'manual' && bobCall.sipCode === 603 &&
+                   aliceCall.outcome === 'failed' &&
+                   vipCall.remoteName === 'Dave' && !vipCall.doNotDisturb &&
+                   forward.type === 'dnd' && forward.target === 'carol' &&
+                   bobService.getDoNotDisturbState().active && bobService.getDoNotDisturbState().until === null;
+        });
+    }
+
+    async testCallScreening() {
+        const dialPlan = new DialPlan();
+        const rules = new CallScreening({
+            blocklist: ['+1900*', '555?123', { pattern: '(202) 555-0199', action: 'silent' }, { pattern: 'x', action: 'voicemail' }],
+            allowlist: ['+1 900 555 0100'],
+            contactsOnly: true,
+            rejectAnonymous: true
+        });
+        const stranger = number => rules.screen({ number, anonymous: false }, null, dialPlan);
+
+        const engine = stranger('19005551212').rule === '+1900*' && stranger('5551123').rule === '555?123' &&
+                       stranger('+12025550199').action === 'silent' && stranger('9005550100') === null &&
+                       rules.blocklist[3].action === null &&
+                       stranger('2025550123').reason === 'contacts-only' &&
+                       rules.screen({ number: '2025550123' }, { displayName: 'Ann' }, dialPlan) === null &&
+                       rules.screen({ number: '9005550100' }, { displayName: 'Spam', blocked: true }, dialPlan).reason === 'contact' &&
+                       rules.screen({ number: '', anonymous: true }, null, dialPlan).reason === 'anonymous' &&
+                       CallScreening.isAnonymous({ user: 'anonymous', host: 'anonymous.invalid' }) &&
+                       CallScreening.isAnonymous({ user: '2025550123', displayName: 'Restricted' }) &&
+                       !CallScreening.isAnonymous({ user: '2025550123', host: 'pbx', displayName: 'Ann' });
+
+        // Unblocking drops the exact entry; a pattern or contacts-only mode still applying allowlists the number
+        const unblocked = rules.unblock('2025550199', dialPlan);
+        const lists = unblocked.blocklist.length === 3 && unblocked.allowlist.includes('2025550199') &&
+                      stranger('2025550199') === null;
+
+        return engine && lists && this.withLocalPBX(async (pbx, connect) => {
+            const bobService = new SIPService();
+            bobService.setScreening({ blocklist: ['ev?', { pattern: 'trent', action: 'silent' }] });
+
+            const eve = await connect('eve');
+            const trent = await connect('trent');
+            const carol = await connect('carol');
+            const anonymous = await connect('anonymous');
+            const bob = await connect('bob', 'demo', { service: bobService });
+
+            // Rejected with 603 and logged as blocked
+            const bobEnded = this.waitFor(bob, 'call-ended');
+            const eveEnded = this.waitFor(eve, 'call-ended');
+            await eve.makeCall('bob');
+            const [[rejected], [eveCall]] = await Promise.all([bobEnded, eveEnded]);
+
+            // Silent: bob gets the call without ringing; it is blocked once trent gives up
+            const silentRing = this.waitFor(bob, 'incoming-call');
+            const silent = await trent.makeCall('bob');
+            const [silentCall] = await silentRing;
+            const silentEnded = this.waitFor(bob, 'call-ended');
+            await trent.hangupCall(silent.callId);
+            const [silentEnd] = await silentEnded;
+
+            // After unblocking trent rings normally
+            const lists = bobService.unblockCaller('trent');
+            bobService.setScreening({ ...lists });
+            const ringing = this.waitFor(bob, 'incoming-call');
+            const again = await trent.makeCall('bob');
+            const [ringingCall] = await ringing;
+            await trent.hangupCall(again.callId);
+
+            // Anonymous callers to voicemail
+            bobService.setScreening({ rejectAnonymous: true, action: 'voicemail', voicemail: 'carol' });
+            const screened = this.waitFor(bob, 'call-screened');
+            const toVoicemail = this.waitFor(bob, 'call-ended');
+            const atCarol = this.waitFor(carol, 'incoming-call');
+            const withheld = await anonymous.makeCall('bob');
+            const [[screen], [voicemailEnd]] = await Promise.all([screened, toVoicemail, atCarol]);
+            await anonymous.hangupCall(withheld.callId);
+
+            return rejected.outcome === 'blocked' && rejected.sipCode === 603 && rejected.screening.rule === 'ev?' &&
+                   eveCall.outcome === 'failed' &&
+                   silentCall.screening.action === 'silent' && silentEnd.outcome === 'blocked' &&
+                   lists.blocklist.length === 1 && ringingCall.screening === null &&
+                   screen.reason === 'anonymous' && screen.action === 'voicemail' &&
+                   voicemailEnd.outcome === 'blocked' && voicemailEnd.forwardedTo === 'carol' && voicemailEnd.forwardType === 'screened';
+        });
+    }
+
+    testCallURIParsing() {
+        const tel = CallURI.parse('tel:+1-201-555-0123;ext=101');
+        const local = CallURI.parse('tel:7042;phone-context=+1-201-555');
+        const sip = CallURI.parse('sip:alice:secret@example.com;transport=tcp?subject=Project%20review&priority=urgent');
+        const phone = CallURI.parse('sip:+1-212-555-1212@gateway.example.com;user=phone');
+        const callto = CallURI.parse('callto://+1 (555) 123-4567/');
+
+        return tel.target === '+12015550123,101' && tel.number === '+12015550123' &&
+               local.target === '+12015557042' && local.params['phone-context'] === '+1-201-555' &&
+               CallURI.parse('tel:7042;phone-context=example.com').target === '7042' &&
+               CallURI.parse('tel:8005551234;postd=pp1234w5#').target === '8005551234,,1234;5#' &&
+               sip.target === 'sip:alice@example.com;transport=tcp' && sip.number === null &&
+               sip.headers.subject === 'Project review' && sip.headers.priority === 'urgent' &&
+               phone.target === '+12125551212' && phone.params.user === 'phone' &&
+               callto.target === '+15551234567' && callto.scheme === 'callto' &&
+               CallURI.parse('callto:bob@example.com').target === 'sip:bob@example.com' &&
+               CallURI.parse('sip:a%0d%0aX-Injected:1@example.com') === null &&
+               CallURI.parse('https://example.com') === null && CallURI.parse('tel:not-a-number') === null &&
+               CallURI.fromArgv(['/opt/FlexPhone/flexphone', '--no-sandbox', 'sips:bob@pbx.example.com']) === 'sips:bob@pbx.example.com';
+    }
+
+    async runAllTests() {
+        console.log('📡 FlexPhone SIP Stack Tests');
+        console.log('================================');
+
+        await this.runTest('SIP Request Parsing', () => this.testParseRequest());
+        await this.runTest('SIP Response Round Trip', () => this.testResponseRoundTrip());
+        await this.runTest('SDP Offer/Answer', () => this.testOfferAnswer());
+        await this.runTest('SDP Codec Preferences', () => this.testCodecPreferences());
+        await this.runTest('User Agent INVITE and BYE', () => this.testUserAgentInviteAndBye());
+        await this.runTest('SIPService Register, Call and Hangup', () => this.testServiceRegisterCallAndHangup());
+        await this.runTest('SIPService Registration Failure', () => this.testServiceRegistrationFailure());
+        await this.runTest('Local PBX Echo Call', () => this.testLocalPBXEchoCall());
+        await this.runTest('Local PBX Scripted Failures', () => this.testLocalPBXScriptedFailures());
+        await this.runTest('Local PBX Ringing, Cancel and Early Media', () => this.testLocalPBXRingingAndCancel());
+        await this.runTest('Local PBX Bridged Call', () => this.testLocalPBXBridgedCall());
+        await this.runTest('Local PBX WebSocket Register', () => this.testLocalPBXWebSocketRegister());
+        await this.runTest('Digest Test Vectors and Nonce Count', () => this.testDigestVectors());
+        await this.runTest('Digest REGISTER and INVITE Challenges', () => this.testDigestRegisterAndInvite());
+        await this.runTest('Digest Challenges in EnhancedSIPService', () => this.testEnhancedServiceDigest());
+        await this.runTest('Digest Stale Nonce Retry', () => this.testDigestStaleNonce());
+        await this.runTest('SIPService Multiple Accounts', () => this.testMultipleAccounts());
+        await this.runTest('SIPService Account Limit', () => this.testAccountLimit());
+        await this.runTest('Registration Refresh and Backoff', () => this.testRegistrationRefreshAndBackoff());
+        await this.runTest('Registration Failover and Failback', () => this.testRegistrationFailoverAndFailback());
+        await this.runTest('SIPService Fallback Registrar', () => this.testServiceFallbackRegistrar());
+        await this.runTest('DNS NAPTR/SRV Resolution', () => this.testDNSResolution());
+        await this.runTest('SRV Target Failover', () => this.testSRVTargetFailover());
+        await this.runTest('SIP Stream Framing', () => this.testStreamFraming());
+        await this.runTest('Oversized Stream Messages', () => this.testOversizedStreamMessages());
+        await this.runTest('SIP over TCP', () => this.testTCPTransport());
+        await this.runTest('NAT Contact Rewrite and Outbound', () => this.testNATContactRewrite());
+        await this.runTest('Keep-alive and Flow Recovery', () => this.testKeepAliveFlowRecovery());
+        await this.runTest('Call State Machine', () => this.testCallStateMachine());
+        await this.runTest('Call States and Causes', () => this.testCallStatesAndCauses());
+        await this.runTest('Hold and Resume', () => this.testHoldAndResume());
+        await this.runTest('Re-INVITE Glare', () => this.testReinviteGlare());
+        await this.runTest('Blind Transfer', () => this.testBlindTransfer());
+        await this.runTest('Attended Transfer with Replaces', () => this.testAttendedTransfer());
+        await this.runTest('Concurrent Call Limit', () => this.testConcurrentCallLimit());
+        await this.runTest('Negotiated Codec', () => this.testNegotiatedCodec());
+        await this.runTest('Call Quality and MOS', () => this.testCallQuality());
+        await this.runTest('Conference Bridge Mixing', () => this.testConferenceBridge());
+        await this.runTest('DTMF Modes', () => this.testDTMFModes());
+        await this.runTest('Dial Strings with Pauses', () => this.testDialString());
+        await this.runTest('Dial Plan and Caller ID Matching', () => this.testDialPlan());
+        await this.runTest('Call Link URI Parsing', () => this.testCallURIParsing());
+        await this.runTest('Intercom Auto Answer', () => this.testAutoAnswer());
+        await this.runTest('Distinctive Ring Rules', () => this.testRingRules());
+        await this.runTest('Call Forwarding', () => this.testCallForwarding());
+        await this.runTest('Do Not Disturb', () => this.testDoNotDisturb());
+        await this.runTest('Call Screening and Blocking', () => this.testCallScreening());
+
+        console.log('\n📊 Test Results Summary:');
+        console.log('========================');
+        console.log(`Total Tests: ${this.testResults.total}`);
+        console.log(`Passed: ${this.testResults.passed} ✅`);
+        console.log(`Failed: ${this.testResults.failed} ❌`);
+        console.log(`Success Rate: ${Math.round((this.testResults.passed / this.testResults.total) * 100)}%`);
+
+        if (this.testResults.failed > 0) {
+            console.log('\n❌ Failed Tests:');
+            this.testResults.tests
+                .filter(test => test.status === 'FAILED')
+                .forEach(test => console.log(`  - ${test.name}: ${test.message}`));
+        }
+
+        return this.testResults;
+    }
+}
+
+// Run tests if this file is executed directly
+if (require.main === module) {
+    const tester = new FlexPhoneSIPStackTest();
+    tester.runAllTests().then((results) => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
+
+module.exports = FlexPhoneSIPStackTest;